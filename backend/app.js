@@ -7,6 +7,17 @@ const rateLimit = require('express-rate-limit');
 const userRoutes = require('./routes/userRoutes');
 const roomRoutes = require('./routes/roomRoutes');
 const reservationRoutes = require('./routes/reservationRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const billingRoutes = require('./routes/billingRoutes');
+const policyRoutes = require('./routes/policyRoutes');
+const closureRoutes = require('./routes/closureRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const eventRoutes = require('./routes/eventRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const organisationRoutes = require('./routes/organisationRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const buildingRoutes = require('./routes/buildingRoutes');
 
 const app = express();
 
@@ -44,6 +55,17 @@ app.use((err, req, res, next) => {
 app.use('/api/users', userRoutes);
 app.use('/api/rooms', roomRoutes);
 app.use('/api/reservations', reservationRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/billing', billingRoutes);
+app.use('/api/policies', policyRoutes);
+app.use('/api/closures', closureRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/organisations', organisationRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/buildings', buildingRoutes);
 
 
 // Basic health check route
@@ -1,9 +1,17 @@
 require('dotenv').config();
 
+// Whole number from the environment; unlike `|| fallback` this keeps an explicit 0
+const integerFrom = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : number;
+};
+
 const config = {
   // Server
   nodeEnv: process.env.NODE_ENV || 'development',
   port: process.env.PORT || 5000,
+  // IANA time zone for rooms whose building doesn't set one; defaults to the server's
+  timezone: process.env.TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
   
   // Database
   database: {
@@ -23,6 +31,76 @@ const config = {
     url: process.env.CLIENT_URL || 'http://localhost:3000'
   },
   
+  // Waitlist
+  waitlist: {
+    // 'offer' holds a freed slot for the user to accept, 'grant' books it straight away
+    mode: process.env.WAITLIST_MODE || 'offer',
+    holdMinutes: parseInt(process.env.WAITLIST_HOLD_MINUTES, 10) || 30
+  },
+  
+  // Check-in / no-show handling
+  checkIn: {
+    // Set CHECK_IN_REQUIRED=false to never release unclaimed bookings
+    required: process.env.CHECK_IN_REQUIRED !== 'false',
+    opensMinutesBefore: integerFrom(process.env.CHECK_IN_OPENS_MINUTES, 15),
+    graceMinutes: integerFrom(process.env.CHECK_IN_GRACE_MINUTES, 15)
+  },
+  
+  // Pricing
+  pricing: {
+    currency: process.env.CURRENCY || 'USD',
+    // Default tax rate in percent; rooms can override it
+    taxPercent: parseFloat(process.env.TAX_PERCENT) || 0
+  },
+  
+  // Billing (percent of the booked price)
+  billing: {
+    lateCancellationFeePercent: process.env.LATE_CANCELLATION_FEE_PERCENT
+      ? parseFloat(process.env.LATE_CANCELLATION_FEE_PERCENT)
+      : 50,
+    noShowFeePercent: process.env.NO_SHOW_FEE_PERCENT
+      ? parseFloat(process.env.NO_SHOW_FEE_PERCENT)
+      : 100
+  },
+  
+  // Email
+  mail: {
+    // 'smtp', 'file' (writes .eml files to MAIL_DIR) or 'memory' (kept in process, used by tests)
+    transport: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'memory' : 'file'),
+    from: process.env.MAIL_FROM || 'Room Reservations <no-reply@localhost>',
+    dir: process.env.MAIL_DIR || 'mail',
+    // Failed sends are retried with backoff until this many attempts have been made
+    maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 5,
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    }
+  },
+  
+  // Outgoing webhooks
+  webhooks: {
+    // How long to wait for a receiver before counting the attempt as failed
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000,
+    // Failed deliveries are retried with backoff until this many attempts have been made
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+    // Set WEBHOOK_ALLOW_PRIVATE_URLS=true to allow receivers on loopback or private networks
+    allowPrivateUrls: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
+  },
+  
+  // Live event streams
+  events: {
+    // Comment sent on idle streams so proxies don't close them
+    heartbeatMs: parseInt(process.env.EVENTS_HEARTBEAT_MS, 10) || 25 * 1000
+  },
+  
+  // Background jobs
+  scheduler: {
+    intervalMs: parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 60 * 1000
+  },
+  
   // Rate Limiting
   rateLimit: {
     windowMs: 15 * 60 * 1000, // 15 minutes
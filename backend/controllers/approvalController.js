@@ -0,0 +1,192 @@
+const Reservation = require('../models/reservation');
+const Room = require('../models/room');
+const {
+  approveReservationValidation,
+  rejectReservationValidation
+} = require('../utils/validations');
+const { snapshot } = require('../utils/audit');
+const { tenantFilter } = require('../utils/tenant');
+const { canApprove, expireApproval } = require('../services/approval');
+const { processFreedSlot } = require('../services/waitlist');
+const { notifyReservation } = require('../services/notifications');
+const { syncReminders } = require('../services/reminders');
+const { emitReservationEvent } = require('../services/events');
+const { recordAudit } = require('../services/audit');
+
+// Get reservations awaiting approval (admins see all, approvers see their rooms)
+const getApprovalQueue = async (req, res) => {
+  try {
+    const filter = {
+      ...tenantFilter(req),
+      status: 'pending',
+      'approval.state': 'awaiting',
+      startTime: { $gt: new Date() }
+    };
+
+    if (!req.user.can('reservations:approve')) {
+      const roomIds = await Room.find({ approvers: req.user.id }).distinct('_id');
+      if (roomIds.length === 0) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Access denied. You are not an approver for any room.'
+        });
+      }
+      filter.room = { $in: roomIds };
+    }
+
+    const reservations = await Reservation.find(filter)
+      .populate('room', 'name capacity pricePerHour location')
+      .populate('user', 'name email')
+      .sort({ startTime: 1 });
+
+    res.json({
+      status: 'success',
+      data: {
+        reservations,
+        count: reservations.length
+      }
+    });
+  } catch (error) {
+    console.error('Get approval queue error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Load a reservation awaiting approval and check the caller may decide on it
+const findDecidableReservation = async (req, res) => {
+  const reservation = await Reservation.findOne({ _id: req.params.id, ...tenantFilter(req) })
+    .populate('room')
+    .populate('user', 'name email');
+
+  if (!reservation) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Reservation not found'
+    });
+    return null;
+  }
+
+  if (!canApprove(req.user, reservation.room)) {
+    res.status(403).json({
+      status: 'error',
+      message: 'Access denied. You are not an approver for this room.'
+    });
+    return null;
+  }
+
+  if (reservation.status !== 'pending' || !reservation.approval || reservation.approval.state !== 'awaiting') {
+    res.status(400).json({
+      status: 'error',
+      message: 'Reservation is not awaiting approval'
+    });
+    return null;
+  }
+
+  if (reservation.startTime <= new Date()) {
+    await expireApproval(reservation);
+
+    res.status(400).json({
+      status: 'error',
+      message: 'Approval request expired because the reservation has already started'
+    });
+    return null;
+  }
+
+  return reservation;
+};
+
+// Approve a pending reservation
+const approveReservation = async (req, res) => {
+  try {
+    const { error, value } = approveReservationValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const reservation = await findDecidableReservation(req, res);
+    if (!reservation) return;
+
+    const before = snapshot(reservation);
+    reservation.status = 'confirmed';
+    reservation.approval.state = 'approved';
+    reservation.approval.decidedBy = req.user.id;
+    reservation.approval.decidedAt = new Date();
+    reservation.approval.reason = value.reason;
+    await reservation.save();
+    await recordAudit(req, 'reservation.approved', reservation._id, { before, after: reservation });
+
+    await notifyReservation('statusChange', reservation._id, { previousStatus: 'pending' });
+    await emitReservationEvent('reservation.status_changed', reservation, { previousStatus: 'pending' });
+
+    res.json({
+      status: 'success',
+      message: 'Reservation approved',
+      data: {
+        reservation
+      }
+    });
+  } catch (error) {
+    console.error('Approve reservation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Reject a pending reservation
+const rejectReservation = async (req, res) => {
+  try {
+    const { error, value } = rejectReservationValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const reservation = await findDecidableReservation(req, res);
+    if (!reservation) return;
+
+    const before = snapshot(reservation);
+    reservation.status = 'cancelled';
+    reservation.approval.state = 'rejected';
+    reservation.approval.decidedBy = req.user.id;
+    reservation.approval.decidedAt = new Date();
+    reservation.approval.reason = value.reason;
+    await reservation.save();
+    await recordAudit(req, 'reservation.rejected', reservation._id, { before, after: reservation });
+    await syncReminders([reservation]);
+
+    await processFreedSlot(reservation.room._id, reservation.startTime, reservation.endTime);
+    await notifyReservation('statusChange', reservation._id, { previousStatus: 'pending' });
+    await emitReservationEvent('reservation.status_changed', reservation, { previousStatus: 'pending' });
+    await emitReservationEvent('reservation.cancelled', reservation);
+
+    res.json({
+      status: 'success',
+      message: 'Reservation rejected',
+      data: {
+        reservation
+      }
+    });
+  } catch (error) {
+    console.error('Reject reservation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getApprovalQueue,
+  approveReservation,
+  rejectReservation
+};
@@ -0,0 +1,68 @@
+const AuditLog = require('../models/auditLog');
+const { auditQueryValidation } = require('../utils/validations');
+const { tenantFilter } = require('../utils/tenant');
+
+// Admin: Search the organisation's audit log, newest first
+const getAuditLogs = async (req, res) => {
+  try {
+    const { error, value } = auditQueryValidation.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const { page, limit, actor, targetType, targetId, action, from, to } = value;
+
+    // Build filter object
+    const filter = tenantFilter(req);
+    if (actor) filter.actor = actor;
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+    if (action) filter.action = action;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const entries = await AuditLog.find(filter)
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    // Get total count for pagination
+    const total = await AuditLog.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      status: 'success',
+      data: {
+        entries,
+        pagination: {
+          current: page,
+          total: totalPages,
+          limit,
+          totalRecords: total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs
+};
@@ -0,0 +1,327 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/invoice');
+const LedgerEntry = require('../models/ledgerEntry');
+const Reservation = require('../models/reservation');
+const User = require('../models/user');
+const config = require('../config/config');
+const {
+  ledgerQueryValidation,
+  createLedgerEntryValidation,
+  generateInvoicesValidation,
+  invoiceQueryValidation,
+  invoiceExportValidation
+} = require('../utils/validations');
+const { generateInvoices: generateMonthlyInvoices } = require('../services/billing');
+const { roundMoney } = require('../services/pricing');
+const { recordAudit } = require('../services/audit');
+const { formatInvoiceText } = require('../utils/invoice');
+const { tenantFilter } = require('../utils/tenant');
+const { MAX_OFFSET } = require('../utils/timezone');
+
+// Admin: List the organisation's ledger entries
+const getLedger = async (req, res) => {
+  try {
+    const { error, value } = ledgerQueryValidation.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const { page, limit, user, costCentre, type, invoiced, from, to } = value;
+
+    // Build filter object (cast up front, the balance aggregate doesn't cast for us)
+    const filter = {};
+    if (req.tenant !== undefined) {
+      filter.organisation = req.tenant && new mongoose.Types.ObjectId(String(req.tenant));
+    }
+    if (user) filter.user = new mongoose.Types.ObjectId(user);
+    if (costCentre) filter.costCentre = costCentre;
+    if (type) filter.type = type;
+    if (invoiced !== undefined) filter.invoice = { $exists: invoiced };
+
+    if (from || to) {
+      filter.occurredAt = {};
+      if (from) filter.occurredAt.$gte = new Date(from);
+      if (to) filter.occurredAt.$lte = new Date(to);
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const entries = await LedgerEntry.find(filter)
+      .populate('user', 'name email')
+      .populate('room', 'name')
+      .sort({ occurredAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    // Get total count and balance for the whole filter, not just this page
+    const total = await LedgerEntry.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+    const [balance] = await LedgerEntry.aggregate([
+      { $match: filter },
+      { $group: { _id: null, amount: { $sum: '$amount' } } }
+    ]);
+
+    res.json({
+      status: 'success',
+      data: {
+        entries,
+        balance: balance ? roundMoney(balance.amount) : 0,
+        pagination: {
+          current: page,
+          total: totalPages,
+          limit,
+          totalRecords: total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get ledger error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Post a manual credit or adjustment
+const createLedgerEntry = async (req, res) => {
+  try {
+    const { error, value } = createLedgerEntryValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const user = await User.findOne({ _id: value.user, ...tenantFilter(req) });
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    let reservation = null;
+    if (value.reservation) {
+      reservation = await Reservation.findById(value.reservation);
+      if (!reservation || reservation.user.toString() !== user._id.toString()) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Reservation not found for this user'
+        });
+      }
+    }
+
+    const entry = await LedgerEntry.create({
+      user: user._id,
+      costCentre: user.costCentre,
+      organisation: user.organisation,
+      type: value.type,
+      // Credits are stored as negative amounts
+      amount: value.type === 'credit' ? -value.amount : value.amount,
+      description: value.description,
+      // Manual entries aren't unique per reservation, so only the room is linked
+      room: reservation ? reservation.room : undefined,
+      currency: config.pricing.currency,
+      occurredAt: value.occurredAt || new Date(),
+      createdBy: req.user.id
+    });
+    await recordAudit(req, 'ledger.entry_created', entry._id, { after: entry });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Ledger entry created successfully',
+      data: {
+        entry
+      }
+    });
+  } catch (error) {
+    console.error('Create ledger entry error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Generate the organisation's invoices for a month
+const generateInvoices = async (req, res) => {
+  try {
+    const { error, value } = generateInvoicesValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const { year, month } = value;
+
+    // Charges for the month may still be posted until it is over in every zone
+    if (new Date(Date.UTC(year, month, 1) + MAX_OFFSET) > new Date()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invoices can only be generated for months that have ended'
+      });
+    }
+
+    const invoices = await generateMonthlyInvoices(year, month, tenantFilter(req));
+    await recordAudit(req, 'invoice.generated', undefined, {
+      after: { year, month, invoices: invoices.map(invoice => invoice._id) }
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: `${invoices.length} invoices generated`,
+      data: {
+        invoices
+      }
+    });
+  } catch (error) {
+    console.error('Generate invoices error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: List the organisation's invoices
+const getInvoices = async (req, res) => {
+  try {
+    const { error, value } = invoiceQueryValidation.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const { page, limit, year, month, user, costCentre } = value;
+
+    // Build filter object
+    const filter = tenantFilter(req);
+    if (year) filter['period.year'] = year;
+    if (month) filter['period.month'] = month;
+    if (user) filter.user = user;
+    if (costCentre) filter.costCentre = costCentre;
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const invoices = await Invoice.find(filter)
+      .select('-lines')
+      .populate('user', 'name email')
+      .sort({ issuedAt: -1, number: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    // Get total count for pagination
+    const total = await Invoice.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      status: 'success',
+      data: {
+        invoices,
+        pagination: {
+          current: page,
+          total: totalPages,
+          limit,
+          totalRecords: total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Get single invoice by ID
+const getInvoiceById = async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({ _id: req.params.id, ...tenantFilter(req) })
+      .populate('user', 'name email')
+      .populate('lines.user', 'name email');
+
+    if (!invoice) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Invoice not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        invoice
+      }
+    });
+  } catch (error) {
+    console.error('Get invoice by ID error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Download an invoice as plain text or JSON
+const exportInvoice = async (req, res) => {
+  try {
+    const { error, value } = invoiceExportValidation.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const invoice = await Invoice.findOne({ _id: req.params.id, ...tenantFilter(req) })
+      .populate('user', 'name email');
+
+    if (!invoice) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Invoice not found'
+      });
+    }
+
+    if (value.format === 'json') {
+      res.set('Content-Disposition', `attachment; filename="${invoice.number}.json"`);
+      return res.json(invoice);
+    }
+
+    res.set('Content-Type', 'text/plain; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${invoice.number}.txt"`);
+    res.send(formatInvoiceText(invoice));
+  } catch (error) {
+    console.error('Export invoice error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getLedger,
+  createLedgerEntry,
+  generateInvoices,
+  getInvoices,
+  getInvoiceById,
+  exportInvoice
+};
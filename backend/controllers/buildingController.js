@@ -0,0 +1,369 @@
+const Building = require('../models/building');
+const Floor = require('../models/floor');
+const Room = require('../models/room');
+const {
+  createBuildingValidation,
+  updateBuildingValidation,
+  createFloorValidation,
+  updateFloorValidation
+} = require('../utils/validations');
+const { snapshot } = require('../utils/audit');
+const { normalizeName } = require('../utils/locations');
+const { tenantFilter, tenantOf } = require('../utils/tenant');
+const { recordAudit } = require('../services/audit');
+const { setRoomTimeZone } = require('../services/locations');
+
+// Whether another building of the organisation already goes by one of these names or aliases
+const nameTaken = (organisation, names, exceptId = null) => {
+  const keys = names.map(normalizeName);
+  return Building.exists({
+    organisation: organisation || null,
+    _id: { $ne: exceptId },
+    $or: [{ nameKey: { $in: keys } }, { aliases: { $in: keys } }]
+  });
+};
+
+const findBuilding = (req) => Building.findOne({ _id: req.params.id, ...tenantFilter(req) });
+
+// List buildings, with their floors
+const getBuildings = async (req, res) => {
+  try {
+    const buildings = await Building.find(tenantFilter(req)).sort({ name: 1 });
+    const floors = await Floor.find({ building: { $in: buildings.map(building => building._id) } })
+      .sort({ level: 1, name: 1 });
+
+    res.json({
+      status: 'success',
+      data: {
+        buildings: buildings.map(building => ({
+          ...building.toJSON(),
+          floors: floors.filter(floor => floor.building.equals(building._id))
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get buildings error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get a building with its floors and the number of active rooms in it
+const getBuildingById = async (req, res) => {
+  try {
+    const building = await findBuilding(req);
+    if (!building) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Building not found'
+      });
+    }
+
+    const floors = await Floor.find({ building: building._id }).sort({ level: 1, name: 1 });
+    const roomCount = await Room.countDocuments({ 'location.buildingId': building._id, isActive: true });
+
+    res.json({
+      status: 'success',
+      data: {
+        building,
+        floors,
+        roomCount
+      }
+    });
+  } catch (error) {
+    console.error('Get building error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Add a building
+const createBuilding = async (req, res) => {
+  try {
+    const { error, value } = createBuildingValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const organisation = tenantOf(req);
+    if (await nameTaken(organisation, [value.name, ...(value.aliases || [])])) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Building with this name or alias already exists'
+      });
+    }
+
+    const building = await Building.create({
+      ...value,
+      organisation,
+      createdBy: req.user.id
+    });
+    await recordAudit(req, 'building.created', building._id, { after: building });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Building created successfully',
+      data: {
+        building
+      }
+    });
+  } catch (error) {
+    console.error('Create building error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Update a building. A new name and time zone are copied to its rooms; building-scope
+// policies and holidays still refer to the old name until they are updated.
+const updateBuilding = async (req, res) => {
+  try {
+    const { error, value } = updateBuildingValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const building = await findBuilding(req);
+    if (!building) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Building not found'
+      });
+    }
+
+    const names = [value.name, ...(value.aliases || [])].filter(Boolean);
+    if (names.length > 0 && await nameTaken(building.organisation, names, building._id)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Building with this name or alias already exists'
+      });
+    }
+
+    const before = snapshot(building);
+    Object.assign(building, value);
+    await building.save();
+
+    if (building.name !== before.name) {
+      await Room.updateMany({ 'location.buildingId': building._id }, { 'location.building': building.name });
+    }
+    if (building.timezone && building.timezone !== before.timezone) {
+      await setRoomTimeZone({ 'location.buildingId': building._id }, building.timezone);
+    }
+    await recordAudit(req, 'building.updated', building._id, { before, after: building });
+
+    res.json({
+      status: 'success',
+      message: 'Building updated successfully',
+      data: {
+        building
+      }
+    });
+  } catch (error) {
+    console.error('Update building error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Delete a building and its floors once no active room is in it. Inactive rooms keep the names.
+const deleteBuilding = async (req, res) => {
+  try {
+    const building = await findBuilding(req);
+    if (!building) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Building not found'
+      });
+    }
+
+    if (await Room.exists({ 'location.buildingId': building._id, isActive: true })) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Building still has active rooms'
+      });
+    }
+
+    await Room.updateMany(
+      { 'location.buildingId': building._id },
+      { $unset: { 'location.buildingId': 1, 'location.floorId': 1 } }
+    );
+    await Floor.deleteMany({ building: building._id });
+    await building.deleteOne();
+    await recordAudit(req, 'building.deleted', building._id, { before: building });
+
+    res.json({
+      status: 'success',
+      message: 'Building deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete building error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Add a floor to a building
+const createFloor = async (req, res) => {
+  try {
+    const { error, value } = createFloorValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const building = await findBuilding(req);
+    if (!building) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Building not found'
+      });
+    }
+
+    if (await Floor.exists({ building: building._id, nameKey: normalizeName(value.name) })) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Floor with this name already exists in the building'
+      });
+    }
+
+    const floor = await Floor.create({
+      ...value,
+      building: building._id,
+      organisation: building.organisation
+    });
+    await recordAudit(req, 'floor.created', floor._id, { after: floor });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Floor created successfully',
+      data: {
+        floor
+      }
+    });
+  } catch (error) {
+    console.error('Create floor error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Update a floor; a new name is copied to its rooms
+const updateFloor = async (req, res) => {
+  try {
+    const { error, value } = updateFloorValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const floor = await Floor.findOne({ _id: req.params.floorId, building: req.params.id, ...tenantFilter(req) });
+    if (!floor) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Floor not found'
+      });
+    }
+
+    if (value.name && await Floor.exists({
+      building: floor.building,
+      nameKey: normalizeName(value.name),
+      _id: { $ne: floor._id }
+    })) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Floor with this name already exists in the building'
+      });
+    }
+
+    const before = snapshot(floor);
+    Object.assign(floor, value);
+    await floor.save();
+
+    if (floor.name !== before.name) {
+      await Room.updateMany({ 'location.floorId': floor._id }, { 'location.floor': floor.name });
+    }
+    await recordAudit(req, 'floor.updated', floor._id, { before, after: floor });
+
+    res.json({
+      status: 'success',
+      message: 'Floor updated successfully',
+      data: {
+        floor
+      }
+    });
+  } catch (error) {
+    console.error('Update floor error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Delete a floor once no active room is on it
+const deleteFloor = async (req, res) => {
+  try {
+    const floor = await Floor.findOne({ _id: req.params.floorId, building: req.params.id, ...tenantFilter(req) });
+    if (!floor) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Floor not found'
+      });
+    }
+
+    if (await Room.exists({ 'location.floorId': floor._id, isActive: true })) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Floor still has active rooms'
+      });
+    }
+
+    await Room.updateMany({ 'location.floorId': floor._id }, { $unset: { 'location.floorId': 1 } });
+    await floor.deleteOne();
+    await recordAudit(req, 'floor.deleted', floor._id, { before: floor });
+
+    res.json({
+      status: 'success',
+      message: 'Floor deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete floor error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getBuildings,
+  getBuildingById,
+  createBuilding,
+  updateBuilding,
+  deleteBuilding,
+  createFloor,
+  updateFloor,
+  deleteFloor
+};
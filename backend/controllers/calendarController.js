@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const Reservation = require('../models/reservation');
+const Room = require('../models/room');
+const User = require('../models/user');
+const { importCalendarValidation } = require('../utils/validations');
+const { buildCalendar, parseCalendar } = require('../utils/ical');
+const { tenantFilter } = require('../utils/tenant');
+const { planImport, commitImport, buildImportReport } = require('../services/calendarImport');
+const { recordAudit } = require('../services/audit');
+
+// How far back subscription feeds reach, so recent cancellations still sync
+const FEED_HISTORY_DAYS = 30;
+
+const sendCalendar = (res, body, filename) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  if (filename) {
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  }
+  res.send(body);
+};
+
+const feedUrl = (req, path) => `${req.protocol}://${req.get('host')}/api/calendar/${path}`;
+
+const feedWindowStart = () => new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+// Export a single reservation as an .ics file
+const exportReservation = async (req, res) => {
+  try {
+    const reservation = await Reservation.findOne({ _id: req.params.id, ...tenantFilter(req) })
+      .populate('room', 'name location');
+
+    if (!reservation) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Reservation not found'
+      });
+    }
+
+    // Users can only export their own reservations, admins can export all
+    if (!req.user.can('reservations:manage') && reservation.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied. You can only export your own reservations.'
+      });
+    }
+
+    sendCalendar(res, buildCalendar([reservation]), `reservation-${reservation._id}.ics`);
+  } catch (error) {
+    console.error('Export reservation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Public (token-protected) feed of a user's reservations
+const getUserFeed = async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token, isActive: true });
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Calendar not found'
+      });
+    }
+
+    const reservations = await Reservation.find({
+      user: user._id,
+      endTime: { $gte: feedWindowStart() }
+    })
+    .populate('room', 'name location')
+    .sort({ startTime: 1 });
+
+    sendCalendar(res, buildCalendar(reservations, { name: `${user.name} - Room Reservations` }));
+  } catch (error) {
+    console.error('Get user calendar feed error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Public (token-protected) feed of a room's schedule for facility screens
+const getRoomFeed = async (req, res) => {
+  try {
+    const room = await Room.findOne({ calendarToken: req.params.token, isActive: true });
+    if (!room) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Calendar not found'
+      });
+    }
+
+    const reservations = await Reservation.find({
+      room: room._id,
+      endTime: { $gte: feedWindowStart() }
+    })
+    .populate('room', 'name location')
+    .sort({ startTime: 1 });
+
+    // Screens are shared, so leave out attendee details and special requirements
+    sendCalendar(res, buildCalendar(reservations, { name: room.name, includeDetails: false }));
+  } catch (error) {
+    console.error('Get room calendar feed error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Create (or rotate) the current user's calendar feed token
+const createUserCalendarToken = async (req, res) => {
+  try {
+    const calendarToken = crypto.randomBytes(24).toString('hex');
+    await User.findByIdAndUpdate(req.user.id, { calendarToken });
+    await recordAudit(req, 'user.calendar_token_rotated', req.user._id);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Calendar feed created. Any previous feed URL no longer works.',
+      data: {
+        url: feedUrl(req, `${calendarToken}.ics`)
+      }
+    });
+  } catch (error) {
+    console.error('Create calendar token error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Create (or rotate) a room's calendar feed token
+const createRoomCalendarToken = async (req, res) => {
+  try {
+    const calendarToken = crypto.randomBytes(24).toString('hex');
+    const room = await Room.findOneAndUpdate({ _id: req.params.id, ...tenantFilter(req) }, { calendarToken });
+
+    if (!room) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Room not found'
+      });
+    }
+
+    await recordAudit(req, 'room.calendar_token_rotated', room._id);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Room calendar feed created. Any previous feed URL no longer works.',
+      data: {
+        url: feedUrl(req, `rooms/${calendarToken}.ics`)
+      }
+    });
+  } catch (error) {
+    console.error('Create room calendar token error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Import reservations from an iCalendar file (dry run by default)
+const importReservations = async (req, res) => {
+  try {
+    // Validate request body
+    const { error, value } = importCalendarValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const { calendar, roomMapping, dryRun } = value;
+
+    let events;
+    try {
+      events = parseCalendar(calendar);
+    } catch (parseError) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid iCalendar file'
+      });
+    }
+
+    if (events.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Calendar does not contain any events'
+      });
+    }
+
+    // Book for the importing admin unless another user is given
+    let bookedFor = req.user;
+    if (value.user) {
+      bookedFor = await User.findOne({ _id: value.user, ...tenantFilter(req) });
+      if (!bookedFor || !bookedFor.isActive) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'User not found'
+        });
+      }
+    }
+
+    let items = await planImport(events, { roomMapping, roomFilter: tenantFilter(req) });
+    if (!dryRun) {
+      items = await commitImport(items, bookedFor);
+    }
+
+    const report = buildImportReport(items);
+
+    if (!dryRun) {
+      await recordAudit(req, 'reservation.imported', undefined, {
+        after: { bookedFor: bookedFor._id, ...report.summary }
+      });
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      status: 'success',
+      message: dryRun
+        ? `${report.summary.creatable} of ${report.results.length} occurrences can be imported`
+        : `${report.summary.created} reservations imported`,
+      data: {
+        dryRun,
+        ...report
+      }
+    });
+  } catch (error) {
+    console.error('Import reservations error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  exportReservation,
+  importReservations,
+  getUserFeed,
+  getRoomFeed,
+  createUserCalendarToken,
+  createRoomCalendarToken
+};
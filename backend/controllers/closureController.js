@@ -0,0 +1,241 @@
+const Blackout = require('../models/blackout');
+const Holiday = require('../models/holiday');
+const Room = require('../models/room');
+const {
+  createHolidayValidation,
+  blackoutQueryValidation,
+  createBlackoutValidation
+} = require('../utils/validations');
+const { snapshot } = require('../utils/audit');
+const { tenantFilter, tenantOf } = require('../utils/tenant');
+const { findBlackoutConflicts } = require('../services/closures');
+const { notifyReservation } = require('../services/notifications');
+const { syncReminders } = require('../services/reminders');
+const { emitReservationEvent } = require('../services/events');
+const { recordAudit } = require('../services/audit');
+
+// List the organisation's holidays
+const getHolidays = async (req, res) => {
+  try {
+    const holidays = await Holiday.find(tenantFilter(req)).sort({ date: 1, building: 1 });
+
+    res.json({
+      status: 'success',
+      data: {
+        holidays
+      }
+    });
+  } catch (error) {
+    console.error('Get holidays error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Add a holiday
+const createHoliday = async (req, res) => {
+  try {
+    const { error, value } = createHolidayValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const organisation = tenantOf(req);
+    const existingHoliday = await Holiday.findOne({ organisation, date: value.date, building: value.building });
+    if (existingHoliday) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A holiday already exists on this date'
+      });
+    }
+
+    const holiday = await Holiday.create({
+      ...value,
+      organisation,
+      createdBy: req.user.id
+    });
+    await recordAudit(req, 'holiday.created', holiday._id, { after: holiday });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Holiday created successfully',
+      data: {
+        holiday
+      }
+    });
+  } catch (error) {
+    console.error('Create holiday error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Remove a holiday
+const deleteHoliday = async (req, res) => {
+  try {
+    const holiday = await Holiday.findOneAndDelete({ _id: req.params.id, ...tenantFilter(req) });
+    if (!holiday) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Holiday not found'
+      });
+    }
+
+    await recordAudit(req, 'holiday.deleted', holiday._id, { before: holiday });
+
+    res.json({
+      status: 'success',
+      message: 'Holiday deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete holiday error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: List blackouts
+const getBlackouts = async (req, res) => {
+  try {
+    const { error, value } = blackoutQueryValidation.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    // Build filter object
+    const filter = tenantFilter(req);
+    if (value.room) filter.room = value.room;
+    if (value.building) filter.building = value.building;
+    if (value.from) filter.endTime = { $gt: value.from };
+    if (value.to) filter.startTime = { $lt: value.to };
+
+    const blackouts = await Blackout.find(filter)
+      .populate('room', 'name location')
+      .populate('createdBy', 'name email')
+      .sort({ startTime: 1 });
+
+    res.json({
+      status: 'success',
+      data: {
+        blackouts
+      }
+    });
+  } catch (error) {
+    console.error('Get blackouts error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Block out a room, building or every room, reporting (or cancelling) colliding reservations
+const createBlackout = async (req, res) => {
+  try {
+    const { error, value } = createBlackoutValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const { cancelReservations, ...fields } = value;
+
+    const room = fields.scope === 'room' ? await Room.findOne({ _id: fields.room, ...tenantFilter(req) }) : null;
+    if (fields.scope === 'room' && !room) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Room not found'
+      });
+    }
+
+    // Only rooms of the blackout's organisation are closed and cancelled
+    const blackout = await Blackout.create({
+      ...fields,
+      organisation: room ? room.organisation || null : tenantOf(req),
+      createdBy: req.user.id
+    });
+    await recordAudit(req, 'blackout.created', blackout._id, { after: blackout });
+
+    const conflicts = await findBlackoutConflicts(blackout);
+
+    // Not the owner's fault, so these are never billed as late cancellations
+    if (cancelReservations) {
+      for (const reservation of conflicts) {
+        const before = snapshot(reservation);
+        reservation.markCancelled(req.user.id, 0, `Room unavailable: ${blackout.reason}`);
+        await reservation.save();
+        await recordAudit(req, 'reservation.cancelled', reservation._id, { before, after: reservation });
+        await syncReminders([reservation]);
+        await notifyReservation('bookingCancellation', reservation._id, { reason: reservation.cancellation.reason });
+        await emitReservationEvent('reservation.cancelled', reservation);
+      }
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: cancelReservations
+        ? `Blackout created. ${conflicts.length} reservations cancelled`
+        : `Blackout created. ${conflicts.length} reservations collide with it`,
+      data: {
+        blackout,
+        conflicts,
+        cancelled: cancelReservations ? conflicts.length : 0
+      }
+    });
+  } catch (error) {
+    console.error('Create blackout error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Remove a blackout
+const deleteBlackout = async (req, res) => {
+  try {
+    const blackout = await Blackout.findOneAndDelete({ _id: req.params.id, ...tenantFilter(req) });
+    if (!blackout) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Blackout not found'
+      });
+    }
+
+    await recordAudit(req, 'blackout.deleted', blackout._id, { before: blackout });
+
+    res.json({
+      status: 'success',
+      message: 'Blackout deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete blackout error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getHolidays,
+  createHoliday,
+  deleteHoliday,
+  getBlackouts,
+  createBlackout,
+  deleteBlackout
+};
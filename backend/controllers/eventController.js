@@ -0,0 +1,99 @@
+const Room = require('../models/room');
+const config = require('../config/config');
+const { eventStreamQueryValidation } = require('../utils/validations');
+const { tenantFilter } = require('../utils/tenant');
+const { subscribe } = require('../services/events');
+
+// What someone watching a room may see of other people's bookings
+const publicReservation = ({ id, room, startTime, endTime, status }) => ({ id, room, startTime, endTime, status });
+
+// Decide what (if anything) a stream receives for an event
+const eventForStream = (data, { user, rooms, mine }) => {
+  if (data.room) {
+    return rooms.has(data.room.id) ? data : null;
+  }
+
+  const { reservation } = data;
+  const isOwner = reservation.user === user.id;
+  if (mine && isOwner) {
+    return data;
+  }
+  if (rooms.has(reservation.room)) {
+    return isOwner || user.can('reservations:manage')
+      ? data
+      : { ...data, reservation: publicReservation(reservation) };
+  }
+  return null;
+};
+
+// Server-Sent Events stream of reservation and room changes for the chosen rooms
+// and/or the user's own reservations
+const streamEvents = async (req, res) => {
+  try {
+    const { error, value } = eventStreamQueryValidation.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    if (!value.rooms && !value.mine) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Subscribe to "rooms", "mine" or both'
+      });
+    }
+
+    // Rooms of other organisations are silently dropped
+    const roomIds = value.rooms
+      ? await Room.find({ _id: { $in: value.rooms.split(',') }, ...tenantFilter(req) }).distinct('_id')
+      : [];
+
+    const subscription = {
+      user: req.user,
+      rooms: new Set(roomIds.map(id => id.toString())),
+      mine: value.mine
+    };
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const unsubscribe = subscribe((event, data) => {
+      const visible = eventForStream(data, subscription);
+      if (visible) send(event, visible);
+    });
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.events.heartbeatMs);
+    heartbeat.unref();
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    send('ready', { rooms: [...subscription.rooms], mine: subscription.mine });
+  } catch (error) {
+    console.error('Stream events error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  streamEvents
+};
@@ -0,0 +1,105 @@
+const Notification = require('../models/notification');
+const { notificationQueryValidation } = require('../utils/validations');
+const { deliver } = require('../services/notifications');
+const { recordAudit } = require('../services/audit');
+const { tenantFilter } = require('../utils/tenant');
+
+// Admin: List the organisation's email outbox
+const getNotifications = async (req, res) => {
+  try {
+    const { error, value } = notificationQueryValidation.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const { page, limit, status, template, user } = value;
+
+    // Build filter object
+    const filter = tenantFilter(req);
+    if (status) filter.status = status;
+    if (template) filter.template = template;
+    if (user) filter.user = user;
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const notifications = await Notification.find(filter)
+      .select('-text')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    // Get total count for pagination
+    const total = await Notification.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      status: 'success',
+      data: {
+        notifications,
+        pagination: {
+          current: page,
+          total: totalPages,
+          limit,
+          totalRecords: total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Try a failed or pending email again now
+const retryNotification = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, ...tenantFilter(req) });
+    if (!notification) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Notification not found'
+      });
+    }
+
+    if (notification.status === 'sent') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Notification has already been sent'
+      });
+    }
+
+    // A manual retry gets a fresh set of attempts
+    notification.status = 'pending';
+    notification.attempts = 0;
+    await deliver(notification);
+    await recordAudit(req, 'notification.retried', notification._id, { after: { status: notification.status } });
+
+    res.json({
+      status: 'success',
+      message: notification.status === 'sent' ? 'Notification sent' : 'Notification could not be sent, it will be retried',
+      data: {
+        notification
+      }
+    });
+  } catch (error) {
+    console.error('Retry notification error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  retryNotification
+};
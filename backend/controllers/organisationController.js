@@ -0,0 +1,197 @@
+const Organisation = require('../models/organisation');
+const User = require('../models/user');
+const {
+  createOrganisationValidation,
+  updateOrganisationValidation,
+  createOrganisationAdminValidation
+} = require('../utils/validations');
+const { recordAudit } = require('../services/audit');
+
+// Super-admin: List organisations
+const getOrganisations = async (req, res) => {
+  try {
+    const organisations = await Organisation.find().sort({ name: 1 });
+
+    res.json({
+      status: 'success',
+      data: {
+        organisations
+      }
+    });
+  } catch (error) {
+    console.error('Get organisations error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Super-admin: Get an organisation with its user count
+const getOrganisationById = async (req, res) => {
+  try {
+    const organisation = await Organisation.findById(req.params.id);
+    if (!organisation) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Organisation not found'
+      });
+    }
+
+    const userCount = await User.countDocuments({ organisation: organisation._id });
+
+    res.json({
+      status: 'success',
+      data: {
+        organisation,
+        userCount
+      }
+    });
+  } catch (error) {
+    console.error('Get organisation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Super-admin: Create an organisation
+const createOrganisation = async (req, res) => {
+  try {
+    const { error, value } = createOrganisationValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    if (await Organisation.exists({ slug: value.slug })) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Organisation with this slug already exists'
+      });
+    }
+
+    const organisation = await Organisation.create({
+      ...value,
+      createdBy: req.user.id
+    });
+    await recordAudit(req, 'organisation.created', organisation._id, { after: organisation });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Organisation created successfully',
+      data: {
+        organisation
+      }
+    });
+  } catch (error) {
+    console.error('Create organisation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Super-admin: Rename or (de)activate an organisation. Members of a deactivated
+// organisation can no longer sign in or use their tokens.
+const updateOrganisation = async (req, res) => {
+  try {
+    const { error, value } = updateOrganisationValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const before = await Organisation.findById(req.params.id);
+    const organisation = await Organisation.findByIdAndUpdate(
+      req.params.id,
+      value,
+      { new: true, runValidators: true }
+    );
+    if (!organisation) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Organisation not found'
+      });
+    }
+
+    await recordAudit(req, 'organisation.updated', organisation._id, { before, after: organisation });
+
+    res.json({
+      status: 'success',
+      message: 'Organisation updated successfully',
+      data: {
+        organisation
+      }
+    });
+  } catch (error) {
+    console.error('Update organisation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Super-admin: Create an admin for an organisation; they manage its users, rooms and bookings
+const createOrganisationAdmin = async (req, res) => {
+  try {
+    const { error, value } = createOrganisationAdminValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const organisation = await Organisation.findById(req.params.id);
+    if (!organisation) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Organisation not found'
+      });
+    }
+
+    if (await User.exists({ organisation: organisation._id, email: value.email })) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'User already exists with this email'
+      });
+    }
+
+    const user = await User.create({
+      ...value,
+      role: 'admin',
+      organisation: organisation._id
+    });
+    await recordAudit(req, 'user.created', user._id, { after: user });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Organisation admin created successfully',
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    console.error('Create organisation admin error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getOrganisations,
+  getOrganisationById,
+  createOrganisation,
+  updateOrganisation,
+  createOrganisationAdmin
+};
@@ -0,0 +1,191 @@
+const BookingPolicy = require('../models/bookingPolicy');
+const Room = require('../models/room');
+const { createPolicyValidation, updatePolicyValidation } = require('../utils/validations');
+const { POLICY_FIELDS } = require('../utils/bookingRules');
+const { snapshot } = require('../utils/audit');
+const { tenantFilter, tenantOf } = require('../utils/tenant');
+const { recordAudit } = require('../services/audit');
+
+// Error message if a policy's own duration limits contradict each other, otherwise null
+const durationRangeError = (policy) => {
+  if (policy.minDurationMinutes && policy.maxDurationMinutes &&
+      policy.maxDurationMinutes < policy.minDurationMinutes) {
+    return 'Maximum duration cannot be shorter than minimum duration';
+  }
+  return null;
+};
+
+// Admin: List the organisation's booking policies
+const getPolicies = async (req, res) => {
+  try {
+    const policies = await BookingPolicy.find(tenantFilter(req))
+      .populate('room', 'name location')
+      .sort({ scope: 1, building: 1, createdAt: 1 });
+
+    res.json({
+      status: 'success',
+      data: {
+        policies
+      }
+    });
+  } catch (error) {
+    console.error('Get policies error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Create a global, building or room policy
+const createPolicy = async (req, res) => {
+  try {
+    const { error, value } = createPolicyValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const rangeError = durationRangeError(value);
+    if (rangeError) {
+      return res.status(400).json({
+        status: 'error',
+        message: rangeError
+      });
+    }
+
+    const room = value.scope === 'room' ? await Room.findOne({ _id: value.room, ...tenantFilter(req) }) : null;
+    if (value.scope === 'room' && !room) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Room not found'
+      });
+    }
+
+    // Room policies belong to the room's organisation
+    const organisation = room ? room.organisation || null : tenantOf(req);
+
+    // One policy per scope target
+    const existingPolicy = await BookingPolicy.findOne({
+      organisation,
+      scope: value.scope,
+      building: value.building,
+      room: value.room
+    });
+    if (existingPolicy) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A policy already exists for this scope. Update it instead.'
+      });
+    }
+
+    const policy = await BookingPolicy.create({
+      ...value,
+      organisation,
+      createdBy: req.user.id
+    });
+    await recordAudit(req, 'policy.created', policy._id, { after: policy });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Policy created successfully',
+      data: {
+        policy
+      }
+    });
+  } catch (error) {
+    console.error('Create policy error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Change a policy's rules (null clears a rule)
+const updatePolicy = async (req, res) => {
+  try {
+    const { error, value } = updatePolicyValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const policy = await BookingPolicy.findOne({ _id: req.params.id, ...tenantFilter(req) });
+    if (!policy) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Policy not found'
+      });
+    }
+
+    const before = snapshot(policy);
+    for (const field of POLICY_FIELDS) {
+      if (value[field] !== undefined) {
+        policy[field] = value[field] === null ? undefined : value[field];
+      }
+    }
+
+    const rangeError = durationRangeError(policy);
+    if (rangeError) {
+      return res.status(400).json({
+        status: 'error',
+        message: rangeError
+      });
+    }
+
+    await policy.save();
+    await recordAudit(req, 'policy.updated', policy._id, { before, after: policy });
+
+    res.json({
+      status: 'success',
+      message: 'Policy updated successfully',
+      data: {
+        policy
+      }
+    });
+  } catch (error) {
+    console.error('Update policy error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Delete a policy (its rooms fall back to the broader policies)
+const deletePolicy = async (req, res) => {
+  try {
+    const policy = await BookingPolicy.findOneAndDelete({ _id: req.params.id, ...tenantFilter(req) });
+    if (!policy) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Policy not found'
+      });
+    }
+
+    await recordAudit(req, 'policy.deleted', policy._id, { before: policy });
+
+    res.json({
+      status: 'success',
+      message: 'Policy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete policy error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getPolicies,
+  createPolicy,
+  updatePolicy,
+  deletePolicy
+};
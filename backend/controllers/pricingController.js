@@ -0,0 +1,68 @@
+const Reservation = require('../models/reservation');
+const Room = require('../models/room');
+const { quoteValidation } = require('../utils/validations');
+const { validateDuration } = require('../utils/bookingRules');
+const { tenantFilter } = require('../utils/tenant');
+const { calculatePrice } = require('../services/pricing');
+const { resolvePolicy } = require('../services/policy');
+
+// Price a booking before making it
+const getQuote = async (req, res) => {
+  try {
+    const { error, value } = quoteValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const { room: roomId, startTime, endTime } = value;
+
+    // Check if room exists and is active
+    const room = await Room.findOne({ _id: roomId, ...tenantFilter(req) });
+    if (!room || !room.isActive) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Room not found or not available'
+      });
+    }
+
+    // Ensure booking duration is within the room's policy limits
+    const durationError = validateDuration(startTime, endTime, await resolvePolicy(room));
+    if (durationError) {
+      return res.status(400).json({
+        status: 'error',
+        message: durationError
+      });
+    }
+
+    const isAvailable = await Reservation.checkAvailability(roomId, startTime, endTime);
+
+    res.json({
+      status: 'success',
+      data: {
+        available: isAvailable,
+        room: {
+          id: room._id,
+          name: room.name
+        },
+        timeSlot: {
+          startTime,
+          endTime
+        },
+        price: calculatePrice(room, startTime, endTime, req.user)
+      }
+    });
+  } catch (error) {
+    console.error('Get quote error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getQuote
+};
@@ -1,11 +1,57 @@
 const Reservation = require('../models/reservation');
+const ReservationSeries = require('../models/reservationSeries');
 const Room = require('../models/room');
+const User = require('../models/user');
+const RoomLock = require('../models/roomLock');
 const {
   createReservationValidation,
+  createRecurringReservationValidation,
+  seriesScopeValidation,
   updateReservationValidation,
   reservationQueryValidation,
   checkAvailabilityValidation
 } = require('../utils/validations');
+const { validateBooking, validateDuration, validateBookingWindow, formatMinutes } = require('../utils/bookingRules');
+const { expandRecurrence, MAX_OCCURRENCES } = require('../utils/recurrence');
+const { conflictMessage } = require('../utils/availability');
+const { snapshot } = require('../utils/audit');
+const { tenantFilter, tenantFilterFor } = require('../utils/tenant');
+const {
+  DEFAULT_TIMEZONE,
+  roomTimeZone,
+  toWallClock,
+  fromWallClock,
+  startOfDay,
+  addDays,
+  startOfWeek,
+  toZonedISOString
+} = require('../utils/timezone');
+const { processFreedSlot } = require('../services/waitlist');
+const { approvalFields } = require('../services/approval');
+const { calculatePrice } = require('../services/pricing');
+const { resolvePolicy, checkActiveBookingLimit } = require('../services/policy');
+const { loadClosures, closureReason, findClosure } = require('../services/closures');
+const { notifyReservation } = require('../services/notifications');
+const { syncReminders } = require('../services/reminders');
+const { emitReservationEvent } = require('../services/events');
+const { recordAudit } = require('../services/audit');
+const config = require('../config/config');
+
+const ROOM_BUSY_MESSAGE = 'Room is being booked by another request. Please try again.';
+
+// Active, not yet started occurrences of a reservation's series covered by the scope
+const findSeriesOccurrences = (reservation, scope) => {
+  const now = new Date();
+  const from = scope === 'following' && reservation.startTime > now
+    ? reservation.startTime
+    : now;
+
+  return Reservation.find({
+    series: reservation.series,
+    status: { $in: ['pending', 'confirmed'] },
+    startTime: { $gte: from }
+  }).sort({ startTime: 1 });
+};
 
 // Create a new reservation
 const createReservation = async (req, res) => {
@@ -22,7 +68,7 @@ const createReservation = async (req, res) => {
     const { room: roomId, startTime, endTime, attendees, purpose, specialRequirements } = value;
 
     // Check if room exists and is active
-    const room = await Room.findById(roomId);
+    const room = await Room.findOne({ _id: roomId, ...tenantFilter(req) });
     if (!room || !room.isActive) {
       return res.status(404).json({
         status: 'error',
@@ -38,57 +84,255 @@ const createReservation = async (req, res) => {
       });
     }
 
-    // Check room availability
-    const isAvailable = await Reservation.checkAvailability(roomId, startTime, endTime);
-    if (!isAvailable) {
-      return res.status(409).json({
+    // Enforce the room's booking policy, opening hours and closures
+    const policy = await resolvePolicy(room);
+    const policyError = validateBooking(startTime, endTime, policy, req.user) ||
+      await findClosure(room, policy, startTime, endTime) ||
+      await checkActiveBookingLimit(policy, req.user);
+    if (policyError) {
+      return res.status(400).json({
         status: 'error',
-        message: 'Room is not available for the selected time slot'
+        message: policyError
       });
     }
 
-    // Ensure minimum booking duration (30 minutes)
-    const durationMs = new Date(endTime) - new Date(startTime);
-    const durationMinutes = durationMs / (1000 * 60);
-    if (durationMinutes < 30) {
-      return res.status(400).json({
+    // Hold the room lock so the availability check and insert can't interleave
+    const lockToken = await RoomLock.acquire(roomId);
+    if (!lockToken) {
+      return res.status(409).json({
         status: 'error',
-        message: 'Minimum booking duration is 30 minutes'
+        message: ROOM_BUSY_MESSAGE
       });
     }
 
-    // Ensure maximum booking duration (8 hours)
-    if (durationMinutes > 8 * 60) {
+    let reservation;
+    try {
+      // Check room availability
+      const conflict = await Reservation.findConflict(roomId, startTime, endTime);
+      if (conflict) {
+        return res.status(409).json({
+          status: 'error',
+          message: conflictMessage(room, conflict, startTime, endTime)
+        });
+      }
+
+      // Create reservation
+      reservation = await Reservation.create({
+        user: req.user.id,
+        room: roomId,
+        organisation: room.organisation,
+        timezone: room.timezone,
+        startTime,
+        endTime,
+        attendees,
+        purpose,
+        specialRequirements,
+        price: calculatePrice(room, startTime, endTime, req.user),
+        ...approvalFields(req.user, room, startTime, endTime)
+      });
+    } finally {
+      await RoomLock.release(roomId, lockToken);
+    }
+
+    await recordAudit(req, 'reservation.created', reservation._id, { after: reservation });
+    await syncReminders([reservation]);
+    await notifyReservation('bookingConfirmation', reservation._id);
+    await emitReservationEvent('reservation.created', reservation);
+
+    // Populate room details
+    await reservation.populate('room', 'name capacity pricePerHour location amenities');
+    await reservation.populate('user', 'name email');
+
+    res.status(201).json({
+      status: 'success',
+      message: reservation.status === 'pending'
+        ? 'Reservation submitted for approval'
+        : 'Reservation created successfully',
+      data: {
+        reservation
+      }
+    });
+  } catch (error) {
+    console.error('Create reservation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Create a recurring reservation series
+const createRecurringReservation = async (req, res) => {
+  try {
+    // Validate request body
+    const { error, value } = createRecurringReservationValidation.validate(req.body);
+    if (error) {
       return res.status(400).json({
         status: 'error',
-        message: 'Maximum booking duration is 8 hours'
+        message: error.details[0].message
       });
     }
 
-    // Create reservation
-    const reservation = await Reservation.create({
-      user: req.user.id,
+    const {
       room: roomId,
       startTime,
       endTime,
       attendees,
       purpose,
-      specialRequirements
-    });
+      specialRequirements,
+      recurrence,
+      skipConflicts
+    } = value;
 
-    // Populate room details
-    await reservation.populate('room', 'name capacity pricePerHour location amenities');
-    await reservation.populate('user', 'name email');
+    // Check if room exists and is active
+    const room = await Room.findOne({ _id: roomId, ...tenantFilter(req) });
+    if (!room || !room.isActive) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Room not found or not available'
+      });
+    }
+
+    // Check if room can accommodate attendees
+    if (attendees > room.capacity) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Room capacity exceeded. Maximum capacity: ${room.capacity}`
+      });
+    }
+
+    // Enforce the room's booking policy (role and duration are the same for every occurrence)
+    const policy = await resolvePolicy(room);
+    const policyError = validateBooking(startTime, endTime, policy, req.user);
+    if (policyError) {
+      return res.status(400).json({
+        status: 'error',
+        message: policyError
+      });
+    }
+
+    const occurrences = expandRecurrence(startTime, endTime, recurrence, policy.timezone);
+    if (occurrences.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Recurrence rule does not produce any occurrences'
+      });
+    }
+
+    if (occurrences.length > MAX_OCCURRENCES) {
+      return res.status(400).json({
+        status: 'error',
+        message: `A series cannot have more than ${MAX_OCCURRENCES} occurrences`
+      });
+    }
+
+    // Later occurrences may fall outside the advance booking window
+    const outsideWindow = occurrences.find(occurrence => validateBookingWindow(occurrence.startTime, policy));
+    if (outsideWindow) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Occurrence on ${toZonedISOString(outsideWindow.startTime, policy.timezone)}: ${validateBookingWindow(outsideWindow.startTime, policy)}`
+      });
+    }
+
+    const lockToken = await RoomLock.acquire(roomId);
+    if (!lockToken) {
+      return res.status(409).json({
+        status: 'error',
+        message: ROOM_BUSY_MESSAGE
+      });
+    }
+
+    let series;
+    let reservations;
+    const conflicts = [];
+    try {
+      // Occurrences on holidays, in blackouts or outside opening hours are skipped like conflicts
+      const closures = await loadClosures(occurrences[0].startTime, occurrences[occurrences.length - 1].endTime, tenantFilterFor(room));
+
+      // Check room availability for every occurrence
+      const available = [];
+      for (const occurrence of occurrences) {
+        const reason = closureReason(room, policy, closures, occurrence.startTime, occurrence.endTime);
+        if (reason) {
+          conflicts.push({ ...occurrence, reason });
+          continue;
+        }
+
+        const isAvailable = await Reservation.checkAvailability(
+          roomId,
+          occurrence.startTime,
+          occurrence.endTime
+        );
+        (isAvailable ? available : conflicts).push(occurrence);
+      }
+
+      if (available.length === 0 || (conflicts.length > 0 && !skipConflicts)) {
+        return res.status(409).json({
+          status: 'error',
+          message: `${conflicts.length} of ${occurrences.length} occurrences conflict with existing reservations or closures`,
+          data: {
+            conflicts
+          }
+        });
+      }
+
+      // Every occurrence counts towards the user's active booking limit
+      const limitError = await checkActiveBookingLimit(policy, req.user, available.length);
+      if (limitError) {
+        return res.status(400).json({
+          status: 'error',
+          message: limitError
+        });
+      }
+
+      series = await ReservationSeries.create({
+        user: req.user.id,
+        room: roomId,
+        recurrence,
+        purpose,
+        attendees,
+        specialRequirements
+      });
+
+      reservations = await Reservation.insertMany(available.map(occurrence => ({
+        user: req.user.id,
+        room: roomId,
+        organisation: room.organisation,
+        timezone: room.timezone,
+        startTime: occurrence.startTime,
+        endTime: occurrence.endTime,
+        attendees,
+        purpose,
+        specialRequirements,
+        series: series._id,
+        price: calculatePrice(room, occurrence.startTime, occurrence.endTime, req.user),
+        ...approvalFields(req.user, room, occurrence.startTime, occurrence.endTime)
+      })));
+    } finally {
+      await RoomLock.release(roomId, lockToken);
+    }
+
+    await syncReminders(reservations);
+
+    // One email for the whole series
+    await notifyReservation('bookingConfirmation', reservations[0]._id, { occurrences: reservations.length });
+    for (const occurrence of reservations) {
+      await recordAudit(req, 'reservation.created', occurrence._id, { after: occurrence });
+      await emitReservationEvent('reservation.created', occurrence);
+    }
 
     res.status(201).json({
       status: 'success',
-      message: 'Reservation created successfully',
+      message: `Recurring reservation created with ${reservations.length} occurrences`,
       data: {
-        reservation
+        series,
+        reservations,
+        skipped: conflicts
       }
     });
   } catch (error) {
-    console.error('Create reservation error:', error);
+    console.error('Create recurring reservation error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Internal server error'
@@ -167,7 +411,7 @@ const getUserReservations = async (req, res) => {
 // Get single reservation by ID
 const getReservationById = async (req, res) => {
   try {
-    const reservation = await Reservation.findById(req.params.id)
+    const reservation = await Reservation.findOne({ _id: req.params.id, ...tenantFilter(req) })
       .populate('room', 'name capacity pricePerHour location amenities')
       .populate('user', 'name email');
 
@@ -179,7 +423,7 @@ const getReservationById = async (req, res) => {
     }
 
     // Users can only see their own reservations, admins can see all
-    if (req.user.role !== 'admin' && reservation.user._id.toString() !== req.user.id) {
+    if (!req.user.can('reservations:manage') && reservation.user._id.toString() !== req.user.id) {
       return res.status(403).json({
         status: 'error',
         message: 'Access denied. You can only view your own reservations.'
@@ -204,7 +448,17 @@ const getReservationById = async (req, res) => {
 // Cancel reservation
 const cancelReservation = async (req, res) => {
   try {
-    const reservation = await Reservation.findById(req.params.id)
+    const { error, value } = seriesScopeValidation.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const { scope } = value;
+
+    const reservation = await Reservation.findOne({ _id: req.params.id, ...tenantFilter(req) })
       .populate('room');
 
     if (!reservation) {
@@ -215,34 +469,387 @@ const cancelReservation = async (req, res) => {
     }
 
     // Users can only cancel their own reservations
-    if (req.user.role !== 'admin' && reservation.user.toString() !== req.user.id) {
+    if (!req.user.can('reservations:manage') && reservation.user.toString() !== req.user.id) {
       return res.status(403).json({
         status: 'error',
         message: 'Access denied. You can only cancel your own reservations.'
       });
     }
 
-    // Check if reservation can be cancelled
-    if (req.user.role !== 'admin' && !reservation.canBeCancelled()) {
+    if (scope !== 'this' && !reservation.series) {
       return res.status(400).json({
         status: 'error',
-        message: 'Reservation cannot be cancelled. Must be cancelled at least 2 hours before start time.'
+        message: 'Reservation is not part of a series'
       });
     }
 
+    let targets = [reservation];
+    const { cancellationCutoffMinutes } = await resolvePolicy(reservation.room);
+
+    if (scope === 'this') {
+      // Check if reservation can be cancelled
+      if (!req.user.can('reservations:manage') && !reservation.canBeCancelled(cancellationCutoffMinutes)) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Reservation cannot be cancelled. Must be cancelled at least ${formatMinutes(cancellationCutoffMinutes)} before start time.`
+        });
+      }
+    } else {
+      targets = await findSeriesOccurrences(reservation, scope);
+
+      // Users can only cancel occurrences outside the cancellation window
+      if (!req.user.can('reservations:manage')) {
+        targets = targets.filter(target => target.canBeCancelled(cancellationCutoffMinutes));
+      }
+
+      if (targets.length === 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'No occurrences in this series can be cancelled'
+        });
+      }
+    }
+
     // Update reservation status
-    reservation.status = 'cancelled';
-    await reservation.save();
+    for (const target of targets) {
+      const before = snapshot(target);
+      target.markCancelled(req.user.id, cancellationCutoffMinutes);
+      await target.save();
+      await recordAudit(req, 'reservation.cancelled', target._id, { before, after: target });
+    }
+    await syncReminders(targets);
+
+    // Offer the freed slots to waitlisted users
+    for (const target of targets) {
+      await processFreedSlot(target.populated('room') || target.room, target.startTime, target.endTime);
+    }
+
+    if (scope === 'series') {
+      await ReservationSeries.findByIdAndUpdate(reservation.series, { status: 'cancelled' });
+    }
+
+    await notifyReservation('bookingCancellation', targets[0]._id, { occurrences: targets.length });
+    for (const target of targets) {
+      await emitReservationEvent('reservation.cancelled', target);
+    }
+
+    // For series scopes, only the occurrences actually cancelled (maybe not the one picked)
+    const data = scope === 'this'
+      ? { reservation }
+      : { reservations: targets, cancelledCount: targets.length };
 
     res.json({
       status: 'success',
       message: 'Reservation cancelled successfully',
+      data
+    });
+  } catch (error) {
+    console.error('Cancel reservation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Edit or reschedule reservation
+const updateReservation = async (req, res) => {
+  try {
+    const { error, value } = updateReservationValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const { error: scopeError, value: scopeValue } = seriesScopeValidation.validate(req.query);
+    if (scopeError) {
+      return res.status(400).json({
+        status: 'error',
+        message: scopeError.details[0].message
+      });
+    }
+
+    const { scope } = scopeValue;
+
+    const reservation = await Reservation.findOne({ _id: req.params.id, ...tenantFilter(req) })
+      .populate('room');
+
+    if (!reservation) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Reservation not found'
+      });
+    }
+
+    // Users can only edit their own reservations
+    if (!req.user.can('reservations:manage') && reservation.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied. You can only edit your own reservations.'
+      });
+    }
+
+    // Only active reservations can be edited
+    if (!reservation.isActive) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot edit a ${reservation.status} reservation`
+      });
+    }
+
+    // Users cannot edit a reservation once it has started
+    if (!req.user.can('reservations:manage') && reservation.startTime <= new Date()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Reservation cannot be edited after it has started'
+      });
+    }
+
+    if (scope !== 'this' && !reservation.series) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Reservation is not part of a series'
+      });
+    }
+
+    const room = reservation.room;
+    if (!room || !room.isActive) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Room not found or not available'
+      });
+    }
+
+    const startTime = value.startTime || reservation.startTime;
+    const endTime = value.endTime || reservation.endTime;
+    const attendees = value.attendees || reservation.attendees;
+
+    if (new Date(endTime) <= new Date(startTime)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'End time must be after start time'
+      });
+    }
+
+    // Check if room can accommodate attendees
+    if (attendees > room.capacity) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Room capacity exceeded. Maximum capacity: ${room.capacity}`
+      });
+    }
+
+    let targets = [reservation];
+    if (scope !== 'this') {
+      targets = (await findSeriesOccurrences(reservation, scope))
+        .map(target => (target._id.equals(reservation._id) ? reservation : target));
+
+      if (targets.length === 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'No upcoming occurrences in this series to edit'
+        });
+      }
+    }
+
+    // Every targeted occurrence moves by the same offset as the edited one, in the room's
+    // local time so occurrences on the other side of a DST change keep their wall-clock time
+    const timeZone = roomTimeZone(room);
+    const shift = toWallClock(startTime, timeZone) - toWallClock(reservation.startTime, timeZone);
+    const duration = new Date(endTime) - new Date(startTime);
+    const changes = targets.map(target => {
+      const newStart = fromWallClock(toWallClock(target.startTime, timeZone) + shift, timeZone);
+      return {
+        target,
+        startTime: newStart,
+        endTime: new Date(newStart.getTime() + duration)
+      };
+    });
+
+    // Re-check availability only when the time slot changes
+    const isRescheduled = value.startTime || value.endTime;
+    let lockToken = null;
+    if (isRescheduled) {
+      const policy = await resolvePolicy(room);
+      const durationError = validateDuration(startTime, endTime, policy);
+      if (durationError) {
+        return res.status(400).json({
+          status: 'error',
+          message: durationError
+        });
+      }
+
+      if (changes.some(change => change.startTime <= new Date())) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Start time must be in the future'
+        });
+      }
+
+      const closures = await loadClosures(changes[0].startTime, changes[changes.length - 1].endTime, tenantFilterFor(room));
+      for (const change of changes) {
+        const changeError = validateBookingWindow(change.startTime, policy) ||
+          closureReason(room, policy, closures, change.startTime, change.endTime);
+        if (changeError) {
+          return res.status(400).json({
+            status: 'error',
+            message: changes.length > 1 ? `Occurrence on ${toZonedISOString(change.startTime, policy.timezone)}: ${changeError}` : changeError
+          });
+        }
+      }
+
+      lockToken = await RoomLock.acquire(room._id);
+      if (!lockToken) {
+        return res.status(409).json({
+          status: 'error',
+          message: ROOM_BUSY_MESSAGE
+        });
+      }
+    }
+
+    // Moved bookings are repriced for the booking's owner, who may not be the editor
+    const owner = reservation.user.toString() === req.user.id
+      ? req.user
+      : await User.findById(reservation.user).select('role');
+
+    try {
+      if (isRescheduled) {
+        const excludeIds = targets.map(target => target._id);
+        const conflicts = [];
+        let message;
+        for (const change of changes) {
+          const conflict = await Reservation.findConflict(
+            room._id,
+            change.startTime,
+            change.endTime,
+            excludeIds
+          );
+          if (conflict) {
+            message = message || conflictMessage(room, conflict, change.startTime, change.endTime);
+            conflicts.push({
+              reservation: change.target._id,
+              startTime: change.startTime,
+              endTime: change.endTime
+            });
+          }
+        }
+
+        if (conflicts.length > 0) {
+          return res.status(409).json({
+            status: 'error',
+            message,
+            data: {
+              conflicts
+            }
+          });
+        }
+      }
+
+      for (const change of changes) {
+        // Remember the old slot so it can be offered to the waitlist
+        change.previous = { startTime: change.target.startTime, endTime: change.target.endTime };
+        change.before = snapshot(change.target);
+        Object.assign(change.target, value);
+        if (isRescheduled) {
+          change.target.startTime = change.startTime;
+          change.target.endTime = change.endTime;
+          change.target.price = calculatePrice(room, change.startTime, change.endTime, owner || {});
+          // A moved booking that now needs approval goes back into the queue
+          Object.assign(change.target, approvalFields(req.user, room, change.startTime, change.endTime));
+        }
+        await change.target.save();
+      }
+    } finally {
+      if (lockToken) {
+        await RoomLock.release(room._id, lockToken);
+      }
+    }
+
+    if (isRescheduled) {
+      await syncReminders(changes.map(change => change.target));
+      for (const change of changes) {
+        await processFreedSlot(room._id, change.previous.startTime, change.previous.endTime);
+      }
+    }
+
+    for (const change of changes) {
+      await recordAudit(req, 'reservation.updated', change.target._id, { before: change.before, after: change.target });
+      await emitReservationEvent('reservation.updated', change.target);
+    }
+
+    // Populate room details
+    await reservation.populate('room', 'name capacity pricePerHour location amenities');
+    await reservation.populate('user', 'name email');
+
+    const data = { reservation };
+    if (scope !== 'this') {
+      data.updatedCount = changes.length;
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Reservation updated successfully',
+      data
+    });
+  } catch (error) {
+    console.error('Update reservation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Check in to a reservation (unclaimed bookings are released as no-shows)
+const checkInReservation = async (req, res) => {
+  try {
+    const reservation = await Reservation.findOne({ _id: req.params.id, ...tenantFilter(req) });
+
+    if (!reservation) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Reservation not found'
+      });
+    }
+
+    // Users can only check in to their own reservations
+    if (!req.user.can('reservations:manage') && reservation.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied. You can only check in to your own reservations.'
+      });
+    }
+
+    if (reservation.checkedInAt) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Reservation is already checked in'
+      });
+    }
+
+    if (!reservation.canCheckIn(config.checkIn.opensMinutesBefore)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Check-in is only possible for confirmed reservations from ${config.checkIn.opensMinutesBefore} minutes before start until they end`
+      });
+    }
+
+    const before = snapshot(reservation);
+    reservation.checkedInAt = new Date();
+    await reservation.save();
+    await recordAudit(req, 'reservation.checked_in', reservation._id, { before, after: reservation });
+
+    res.json({
+      status: 'success',
+      message: 'Checked in successfully',
       data: {
         reservation
       }
     });
   } catch (error) {
-    console.error('Cancel reservation error:', error);
+    console.error('Check in reservation error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Internal server error'
@@ -264,7 +871,7 @@ const checkAvailability = async (req, res) => {
     const { room: roomId, startTime, endTime, excludeReservation } = value;
 
     // Check if room exists and is active
-    const room = await Room.findById(roomId);
+    const room = await Room.findOne({ _id: roomId, ...tenantFilter(req) });
     if (!room || !room.isActive) {
       return res.status(404).json({
         status: 'error',
@@ -272,18 +879,25 @@ const checkAvailability = async (req, res) => {
       });
     }
 
+    // A free slot the room's booking policy or closures reject still can't be booked
+    const policy = await resolvePolicy(room);
+    const policyError = validateBooking(startTime, endTime, policy, req.user) ||
+      await findClosure(room, policy, startTime, endTime);
+
     // Check availability
-    const isAvailable = await Reservation.checkAvailability(
+    const conflict = await Reservation.findConflict(
       roomId, 
       startTime, 
       endTime, 
       excludeReservation
     );
+    const reason = policyError || (conflict && conflictMessage(room, conflict, startTime, endTime));
 
     res.json({
       status: 'success',
       data: {
-        available: isAvailable,
+        available: !reason,
+        ...(reason && { reason }),
         room: {
           id: room._id,
           name: room.name,
@@ -311,9 +925,10 @@ const getUpcomingReservations = async (req, res) => {
     const limit = parseInt(req.query.limit) || 5;
     
     let reservations;
-    if (req.user.role === 'admin') {
+    if (req.user.can('reservations:manage')) {
       // Admin can see all upcoming reservations
       reservations = await Reservation.find({
+        ...tenantFilter(req),
         startTime: { $gte: new Date() },
         status: { $in: ['pending', 'confirmed'] }
       })
@@ -358,7 +973,7 @@ const getAllReservations = async (req, res) => {
     const { page, limit, status, from, to, sortBy, sortOrder } = value;
 
     // Build filter object
-    const filter = {};
+    const filter = tenantFilter(req);
 
     if (status) {
       filter.status = status;
@@ -417,20 +1032,14 @@ const updateReservationStatus = async (req, res) => {
   try {
     const { status } = req.body;
 
-    if (!['pending', 'confirmed', 'cancelled', 'completed'].includes(status)) {
+    if (!['pending', 'confirmed', 'cancelled', 'completed', 'no_show'].includes(status)) {
       return res.status(400).json({
         status: 'error',
         message: 'Invalid status'
       });
     }
 
-    const reservation = await Reservation.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true, runValidators: true }
-    )
-    .populate('room', 'name capacity pricePerHour location amenities')
-    .populate('user', 'name email');
+    const reservation = await Reservation.findOne({ _id: req.params.id, ...tenantFilter(req) });
 
     if (!reservation) {
       return res.status(404).json({
@@ -439,6 +1048,35 @@ const updateReservationStatus = async (req, res) => {
       });
     }
 
+    const previousStatus = reservation.status;
+    const before = snapshot(reservation);
+
+    // Cancellations record who cancelled and whether it was late, for billing
+    if (status === 'cancelled' && reservation.status !== 'cancelled') {
+      const { cancellationCutoffMinutes } = await resolvePolicy(await Room.findById(reservation.room));
+      reservation.markCancelled(req.user.id, cancellationCutoffMinutes);
+    } else {
+      reservation.status = status;
+    }
+    await reservation.save();
+    await recordAudit(req, 'reservation.status_updated', reservation._id, { before, after: reservation });
+    await syncReminders([reservation]);
+
+    await reservation.populate('room', 'name capacity pricePerHour location amenities');
+    await reservation.populate('user', 'name email');
+
+    if (status === 'cancelled') {
+      await processFreedSlot(reservation.room._id, reservation.startTime, reservation.endTime);
+    }
+
+    if (status !== previousStatus) {
+      await notifyReservation('statusChange', reservation._id, { previousStatus });
+      await emitReservationEvent('reservation.status_changed', reservation, { previousStatus });
+      if (status === 'cancelled') {
+        await emitReservationEvent('reservation.cancelled', reservation);
+      }
+    }
+
     res.json({
       status: 'success',
       message: 'Reservation status updated successfully',
@@ -458,7 +1096,7 @@ const updateReservationStatus = async (req, res) => {
 // Admin: Cancel any reservation
 const adminCancelReservation = async (req, res) => {
   try {
-    const reservation = await Reservation.findById(req.params.id)
+    const reservation = await Reservation.findOne({ _id: req.params.id, ...tenantFilter(req) })
       .populate('room')
       .populate('user', 'name email');
 
@@ -469,9 +1107,24 @@ const adminCancelReservation = async (req, res) => {
       });
     }
 
-    // Admin can cancel any reservation regardless of time
-    reservation.status = 'cancelled';
+    if (reservation.status === 'cancelled') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Reservation is already cancelled'
+      });
+    }
+
+    // Admin can cancel any reservation regardless of time (late cancellations are still billed)
+    const { cancellationCutoffMinutes } = await resolvePolicy(reservation.room);
+    const before = snapshot(reservation);
+    reservation.markCancelled(req.user.id, cancellationCutoffMinutes);
     await reservation.save();
+    await recordAudit(req, 'reservation.admin_cancelled', reservation._id, { before, after: reservation });
+    await syncReminders([reservation]);
+
+    await processFreedSlot(reservation.room._id, reservation.startTime, reservation.endTime);
+    await notifyReservation('bookingCancellation', reservation._id);
+    await emitReservationEvent('reservation.cancelled', reservation);
 
     res.json({
       status: 'success',
@@ -492,32 +1145,38 @@ const adminCancelReservation = async (req, res) => {
 // Admin: Get reservation statistics
 const getReservationStats = async (req, res) => {
   try {
-    const totalReservations = await Reservation.countDocuments();
-    const confirmedReservations = await Reservation.countDocuments({ status: 'confirmed' });
-    const pendingReservations = await Reservation.countDocuments({ status: 'pending' });
-    const cancelledReservations = await Reservation.countDocuments({ status: 'cancelled' });
-    const completedReservations = await Reservation.countDocuments({ status: 'completed' });
-
-    // Get today's reservations
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-
-    const todaysReservations = await Reservation.countDocuments({
-      startTime: { $gte: today, $lt: tomorrow },
-      status: { $in: ['pending', 'confirmed'] }
-    });
-
-    // Get this week's reservations
-    const weekStart = new Date(today);
-    weekStart.setDate(weekStart.getDate() - weekStart.getDay()); // Start of week (Sunday)
-    const weekEnd = new Date(weekStart);
-    weekEnd.setDate(weekEnd.getDate() + 7);
+    const tenant = tenantFilter(req);
+    const totalReservations = await Reservation.countDocuments(tenant);
+    const confirmedReservations = await Reservation.countDocuments({ ...tenant, status: 'confirmed' });
+    const pendingReservations = await Reservation.countDocuments({ ...tenant, status: 'pending' });
+    const cancelledReservations = await Reservation.countDocuments({ ...tenant, status: 'cancelled' });
+    const completedReservations = await Reservation.countDocuments({ ...tenant, status: 'completed' });
+    const noShowReservations = await Reservation.countDocuments({ ...tenant, status: 'no_show' });
+
+    // Today's and this week's (from Monday) reservations, where "today" is the day in the
+    // reservation's own time zone
+    const now = new Date();
+    const zones = new Set([DEFAULT_TIMEZONE, ...(await Reservation.distinct('timezone', tenant)).filter(Boolean)]);
+    let todaysReservations = 0;
+    let weeklyReservations = 0;
+
+    for (const timeZone of zones) {
+      // Reservations without a zone use the default one
+      const inZone = { ...tenant, timezone: timeZone === DEFAULT_TIMEZONE ? { $in: [timeZone, null] } : timeZone };
+      const today = startOfDay(now, timeZone);
+      const weekStart = startOfWeek(now, timeZone);
+
+      todaysReservations += await Reservation.countDocuments({
+        ...inZone,
+        startTime: { $gte: today, $lt: addDays(today, 1, timeZone) },
+        status: { $in: ['pending', 'confirmed'] }
+      });
 
-    const weeklyReservations = await Reservation.countDocuments({
-      startTime: { $gte: weekStart, $lt: weekEnd }
-    });
+      weeklyReservations += await Reservation.countDocuments({
+        ...inZone,
+        startTime: { $gte: weekStart, $lt: addDays(weekStart, 7, timeZone) }
+      });
+    }
 
     res.json({
       status: 'success',
@@ -528,6 +1187,7 @@ const getReservationStats = async (req, res) => {
           pendingReservations,
           cancelledReservations,
           completedReservations,
+          noShowReservations,
           todaysReservations,
           weeklyReservations,
           activeReservations: confirmedReservations + pendingReservations
@@ -550,7 +1210,7 @@ const getReservationsByRoom = async (req, res) => {
     const { from, to, status } = req.query;
 
     // Build filter
-    const filter = { room: roomId };
+    const filter = { ...tenantFilter(req), room: roomId };
 
     if (status) {
       filter.status = status;
@@ -585,9 +1245,12 @@ const getReservationsByRoom = async (req, res) => {
 
 module.exports = {
   createReservation,
+  createRecurringReservation,
   getUserReservations,
   getReservationById,
   cancelReservation,
+  updateReservation,
+  checkInReservation,
   checkAvailability,
   getUpcomingReservations,
   // Admin functions
@@ -0,0 +1,182 @@
+const Role = require('../models/role');
+const User = require('../models/user');
+const { createRoleValidation, updateRoleValidation } = require('../utils/validations');
+const { PERMISSIONS, BUILT_IN_ROLES, isBuiltInRole, effectivePermissions } = require('../utils/permissions');
+const { tenantFilter, tenantOf } = require('../utils/tenant');
+const { recordAudit } = require('../services/audit');
+
+// First permission in the list the user doesn't have, if any
+const missingPermission = (user, permissions) => permissions.find(permission => !user.can(permission));
+
+// List the permission catalogue, the built-in roles and the organisation's custom roles
+const getRoles = async (req, res) => {
+  try {
+    const organisation = tenantOf(req);
+    const builtIn = Object.entries(BUILT_IN_ROLES).map(([name, permissions]) => ({
+      name,
+      builtIn: true,
+      permissions: [...effectivePermissions(permissions, organisation)]
+    }));
+    const custom = await Role.find(tenantFilter(req)).sort({ name: 1 });
+
+    res.json({
+      status: 'success',
+      data: {
+        permissions: PERMISSIONS,
+        roles: [...builtIn, ...custom]
+      }
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Create a custom role. Only permissions the creator has can be granted.
+const createRole = async (req, res) => {
+  try {
+    const { error, value } = createRoleValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const organisation = tenantOf(req);
+    if (isBuiltInRole(value.name) || await Role.exists({ organisation, name: value.name })) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Role with this name already exists'
+      });
+    }
+
+    const missing = missingPermission(req.user, value.permissions);
+    if (missing) {
+      return res.status(403).json({
+        status: 'error',
+        message: `Cannot grant "${missing}", you do not have it`
+      });
+    }
+
+    const role = await Role.create({
+      ...value,
+      organisation,
+      createdBy: req.user.id
+    });
+    await recordAudit(req, 'role.created', role._id, { after: role });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Role created successfully',
+      data: {
+        role
+      }
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Change a custom role's description or permissions; takes effect on members' next request
+const updateRole = async (req, res) => {
+  try {
+    const { error, value } = updateRoleValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const role = await Role.findOne({ _id: req.params.id, ...tenantFilter(req) });
+    if (!role) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Role not found'
+      });
+    }
+
+    // Permissions being added or removed must be ones the editor has
+    if (value.permissions) {
+      const changed = [
+        ...value.permissions.filter(permission => !role.permissions.includes(permission)),
+        ...role.permissions.filter(permission => !value.permissions.includes(permission))
+      ];
+      const missing = missingPermission(req.user, changed);
+      if (missing) {
+        return res.status(403).json({
+          status: 'error',
+          message: `Cannot change "${missing}", you do not have it`
+        });
+      }
+    }
+
+    const before = role.toObject();
+    Object.assign(role, value);
+    await role.save();
+    await recordAudit(req, 'role.updated', role._id, { before, after: role });
+
+    res.json({
+      status: 'success',
+      message: 'Role updated successfully',
+      data: {
+        role
+      }
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Delete a custom role nobody has any more
+const deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findOne({ _id: req.params.id, ...tenantFilter(req) });
+    if (!role) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Role not found'
+      });
+    }
+
+    if (await User.exists({ organisation: role.organisation || null, role: role.name })) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Role is still assigned to users'
+      });
+    }
+
+    await role.deleteOne();
+    await recordAudit(req, 'role.deleted', role._id, { before: role });
+
+    res.json({
+      status: 'success',
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole
+};
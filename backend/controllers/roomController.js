@@ -1,9 +1,93 @@
 const Room = require('../models/room');
+const Reservation = require('../models/reservation');
+const BookingPolicy = require('../models/bookingPolicy');
+const Building = require('../models/building');
 const {
   createRoomValidation,
   updateRoomValidation,
-  roomQueryValidation
+  roomQueryValidation,
+  roomAvailabilityQueryValidation,
+  availableRoomsQueryValidation
 } = require('../utils/validations');
+const { validateBooking, validateDuration } = require('../utils/bookingRules');
+const {
+  bufferMinutes,
+  padIntervals,
+  findFreeIntervals,
+  suggestStartTimes
+} = require('../utils/availability');
+const { snapshot } = require('../utils/audit');
+const { tenantFilter, tenantOf } = require('../utils/tenant');
+const { policyFor, resolvePolicy } = require('../services/policy');
+const { resolveLocation, setRoomTimeZone, loadBuildings, buildingOf } = require('../services/locations');
+const { loadClosures, closureReason, findClosedIntervals } = require('../services/closures');
+const { emitRoomEvent } = require('../services/events');
+const { recordAudit } = require('../services/audit');
+
+// Longest window a single availability lookup may cover
+const MAX_AVAILABILITY_RANGE_DAYS = 31;
+
+// Build the room filter shared by listing and availability search
+const buildRoomFilter = async (req, {
+  search,
+  minCapacity,
+  maxCapacity,
+  minPrice,
+  maxPrice,
+  building,
+  buildingId,
+  floorId,
+  amenities
+}) => {
+  const filter = { ...tenantFilter(req), isActive: true };
+
+  // Search filter
+  if (search) {
+    filter.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { description: { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  // Capacity filter
+  if (minCapacity || maxCapacity) {
+    filter.capacity = {};
+    if (minCapacity) filter.capacity.$gte = minCapacity;
+    if (maxCapacity) filter.capacity.$lte = maxCapacity;
+  }
+
+  // Price filter
+  if (minPrice || maxPrice) {
+    filter.pricePerHour = {};
+    if (minPrice) filter.pricePerHour.$gte = minPrice;
+    if (maxPrice) filter.pricePerHour.$lte = maxPrice;
+  }
+
+  // Building filter: a building's name or alias, or a free-text building name as stored
+  if (building) {
+    const buildings = await Building.find({ ...tenantFilter(req), ...Building.byName(building) }).select('_id');
+    filter.$and = [{
+      $or: [
+        { 'location.buildingId': { $in: buildings.map(match => match._id) } },
+        { 'location.building': building }
+      ]
+    }];
+  }
+  if (buildingId) {
+    filter['location.buildingId'] = buildingId;
+  }
+  if (floorId) {
+    filter['location.floorId'] = floorId;
+  }
+
+  // Amenities filter
+  if (amenities) {
+    const amenitiesArray = amenities.split(',').map(a => a.trim());
+    filter.amenities = { $in: amenitiesArray };
+  }
+
+  return filter;
+};
 
 // Create a new room (Admin only)
 const createRoom = async (req, res) => {
@@ -17,8 +101,30 @@ const createRoom = async (req, res) => {
       });
     }
 
-    // Check if room with same name already exists
+    // Link the location to the building hierarchy
+    const organisation = tenantOf(req);
+    const { error: locationError, location, timezone } = await resolveLocation(value.location, organisation);
+    if (locationError) {
+      return res.status(400).json({
+        status: 'error',
+        message: locationError
+      });
+    }
+    value.location = location;
+
+    if (timezone) {
+      if (value.timezone && value.timezone !== timezone) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Rooms in ${location.building} use the building's time zone (${timezone})`
+        });
+      }
+      value.timezone = timezone;
+    }
+
+    // Check if room with same name already exists in this organisation
     const existingRoom = await Room.findOne({ 
+      organisation,
       name: value.name,
       'location.building': value.location.building 
     });
@@ -33,8 +139,10 @@ const createRoom = async (req, res) => {
     // Create room with admin user as creator
     const room = await Room.create({
       ...value,
+      organisation,
       createdBy: req.user.id
     });
+    await recordAudit(req, 'room.created', room._id, { after: room });
 
     // Populate creator info
     await room.populate('createdBy', 'name email');
@@ -67,64 +175,115 @@ const getAllRooms = async (req, res) => {
       });
     }
 
-    const {
-      page,
-      limit,
-      search,
-      minCapacity,
-      maxCapacity,
-      minPrice,
-      maxPrice,
-      building,
-      amenities,
-      sortBy,
-      sortOrder
-    } = value;
+    const { page, limit, sortBy, sortOrder } = value;
 
     // Build filter object
-    const filter = { isActive: true };
-    
-    // Search filter
-    if (search) {
-      filter.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
-    }
+    const filter = await buildRoomFilter(req, value);
 
-    // Capacity filter
-    if (minCapacity || maxCapacity) {
-      filter.capacity = {};
-      if (minCapacity) filter.capacity.$gte = minCapacity;
-      if (maxCapacity) filter.capacity.$lte = maxCapacity;
-    }
+    // Calculate pagination
+    const skip = (page - 1) * limit;
 
-    // Price filter
-    if (minPrice || maxPrice) {
-      filter.pricePerHour = {};
-      if (minPrice) filter.pricePerHour.$gte = minPrice;
-      if (maxPrice) filter.pricePerHour.$lte = maxPrice;
-    }
+    // Build sort object
+    const sort = {};
+    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+    // Execute query
+    const rooms = await Room.find(filter)
+      .populate('createdBy', 'name email')
+      .sort(sort)
+      .skip(skip)
+      .limit(limit);
+
+    // Get total count for pagination
+    const total = await Room.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
 
-    // Building filter
-    if (building) {
-      filter['location.building'] = { $regex: building, $options: 'i' };
+    res.json({
+      status: 'success',
+      data: {
+        rooms,
+        pagination: {
+          current: page,
+          total: totalPages,
+          limit,
+          totalRecords: total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get all rooms error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Search rooms that are free for a time slot, ranked by best capacity fit and price
+const searchAvailableRooms = async (req, res) => {
+  try {
+    const { error, value } = availableRoomsQueryValidation.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
     }
 
-    // Amenities filter
-    if (amenities) {
-      const amenitiesArray = amenities.split(',').map(a => a.trim());
-      filter.amenities = { $in: amenitiesArray };
+    const { page, limit, start, end, attendees, sortBy, sortOrder } = value;
+
+    const filter = await buildRoomFilter(req, value);
+
+    // Room must hold every attendee
+    if (attendees) {
+      filter.capacity = {
+        ...filter.capacity,
+        $gte: Math.max(attendees, (filter.capacity && filter.capacity.$gte) || 0)
+      };
     }
 
+    const candidates = await Room.find(filter).select('location timezone organisation bufferBeforeMinutes bufferAfterMinutes');
+    const gapByRoom = new Map(candidates.map(room => [room._id.toString(), bufferMinutes(room) * 60 * 1000]));
+    const maxGap = Math.max(0, ...gapByRoom.values());
+
+    // Exclude rooms with an active reservation overlapping the slot or its setup and teardown buffers
+    const nearby = await Reservation.find({
+      room: { $in: candidates.map(room => room._id) },
+      status: { $in: ['pending', 'confirmed'] },
+      startTime: { $lt: new Date(end.getTime() + maxGap) },
+      endTime: { $gt: new Date(start.getTime() - maxGap) }
+    }).select('room startTime endTime');
+    const busyRoomIds = nearby
+      .filter(reservation => {
+        const gap = gapByRoom.get(reservation.room.toString());
+        return reservation.startTime.getTime() < end.getTime() + gap &&
+          reservation.endTime.getTime() > start.getTime() - gap;
+      })
+      .map(reservation => reservation.room);
+
+    // Exclude rooms whose booking policy, opening hours or closures reject the slot
+    const policies = await BookingPolicy.find(tenantFilter(req));
+    const buildings = await loadBuildings(candidates);
+    const closures = await loadClosures(start, end, tenantFilter(req));
+    const blockedRoomIds = candidates
+      .filter(room => {
+        const policy = policyFor(policies, room, buildingOf(buildings, room));
+        return validateBooking(start, end, policy) || closureReason(room, policy, closures, start, end);
+      })
+      .map(room => room._id);
+
+    filter._id = { $nin: [...busyRoomIds, ...blockedRoomIds] };
+
     // Calculate pagination
     const skip = (page - 1) * limit;
 
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    // Every candidate seats all attendees, so the smallest capacity is the best fit
+    const sort = sortBy === 'fit'
+      ? { capacity: 1, pricePerHour: 1, name: 1 }
+      : { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
 
-    // Execute query
     const rooms = await Room.find(filter)
       .populate('createdBy', 'name email')
       .sort(sort)
@@ -139,6 +298,10 @@ const getAllRooms = async (req, res) => {
       status: 'success',
       data: {
         rooms,
+        timeSlot: {
+          startTime: start,
+          endTime: end
+        },
         pagination: {
           current: page,
           total: totalPages,
@@ -150,7 +313,7 @@ const getAllRooms = async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Get all rooms error:', error);
+    console.error('Search available rooms error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Internal server error'
@@ -161,7 +324,7 @@ const getAllRooms = async (req, res) => {
 // Get single room by ID
 const getRoomById = async (req, res) => {
   try {
-    const room = await Room.findById(req.params.id)
+    const room = await Room.findOne({ _id: req.params.id, ...tenantFilter(req) })
       .populate('createdBy', 'name email');
 
     if (!room) {
@@ -186,6 +349,137 @@ const getRoomById = async (req, res) => {
   }
 };
 
+// Get free time slots for a room over a date range
+const getRoomAvailability = async (req, res) => {
+  try {
+    const { error, value } = roomAvailabilityQueryValidation.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const { duration, step } = value;
+    const now = new Date();
+    // Past time can't be booked, so clip the window to start now at the earliest
+    let from = value.from && value.from > now ? new Date(value.from) : now;
+    let to = new Date(value.to);
+
+    if (to <= from) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Date range must end in the future'
+      });
+    }
+
+    if (to - from > MAX_AVAILABILITY_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Date range cannot exceed ${MAX_AVAILABILITY_RANGE_DAYS} days`
+      });
+    }
+
+    const room = await Room.findOne({ _id: req.params.id, ...tenantFilter(req) });
+    if (!room || !room.isActive) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Room not found or not available'
+      });
+    }
+
+    const policy = await resolvePolicy(room);
+    if (duration) {
+      const durationError = validateDuration(0, duration * 60 * 1000, policy);
+      if (durationError) {
+        return res.status(400).json({
+          status: 'error',
+          message: durationError
+        });
+      }
+    }
+
+    // Only offer time inside the policy's booking window
+    const earliest = new Date(now.getTime() + policy.minLeadMinutes * 60 * 1000);
+    if (from < earliest) from = earliest;
+    if (policy.maxAdvanceDays) {
+      const latest = new Date(now.getTime() + policy.maxAdvanceDays * 24 * 60 * 60 * 1000);
+      if (to > latest) to = latest;
+    }
+    // Nothing in the requested range is bookable
+    if (to < from) to = from;
+
+    // Bookings block the room's setup and teardown buffers too; closed time is left out like a booking
+    const gap = bufferMinutes(room);
+    const bookings = await Reservation.findBusyIntervals(
+      room._id,
+      new Date(from.getTime() - gap * 60 * 1000),
+      new Date(to.getTime() + gap * 60 * 1000)
+    );
+    const busy = [
+      ...padIntervals(bookings, gap),
+      ...await findClosedIntervals(room, policy, from, to)
+    ];
+    const freeSlots = findFreeIntervals(busy, from, to, policy.minDurationMinutes);
+
+    const data = {
+      room: {
+        id: room._id,
+        name: room.name,
+        capacity: room.capacity,
+        pricePerHour: room.pricePerHour,
+        timezone: policy.timezone
+      },
+      range: {
+        from,
+        to
+      },
+      freeSlots
+    };
+
+    if (duration) {
+      data.suggestedStartTimes = suggestStartTimes(freeSlots, duration, step);
+    }
+
+    res.json({
+      status: 'success',
+      data
+    });
+  } catch (error) {
+    console.error('Get room availability error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get the booking rules in effect for a room
+const getRoomPolicy = async (req, res) => {
+  try {
+    const room = await Room.findOne({ _id: req.params.id, ...tenantFilter(req) });
+    if (!room || !room.isActive) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Room not found or not available'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        policy: await resolvePolicy(room)
+      }
+    });
+  } catch (error) {
+    console.error('Get room policy error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
 // Update room (Admin only)
 const updateRoom = async (req, res) => {
   try {
@@ -199,7 +493,7 @@ const updateRoom = async (req, res) => {
     }
 
     // Check if room exists
-    const room = await Room.findById(req.params.id);
+    const room = await Room.findOne({ _id: req.params.id, ...tenantFilter(req) });
     if (!room) {
       return res.status(404).json({
         status: 'error',
@@ -207,9 +501,40 @@ const updateRoom = async (req, res) => {
       });
     }
 
+    // Merge a partial location into the current one and link it to the building hierarchy.
+    // New names drop the old ids unless ids are sent as well.
+    if (value.location || value.timezone) {
+      const changes = value.location || {};
+      const merged = { ...room.toObject().location, ...changes };
+      if (changes.building && !changes.buildingId) delete merged.buildingId;
+      if ((changes.building || changes.buildingId) && !changes.floorId) delete merged.floorId;
+      if (changes.floor && !changes.floorId) delete merged.floorId;
+      if (changes.floorId && !changes.buildingId) delete merged.buildingId;
+
+      const { error: locationError, location, timezone } = await resolveLocation(merged, room.organisation);
+      if (locationError) {
+        return res.status(400).json({
+          status: 'error',
+          message: locationError
+        });
+      }
+      value.location = location;
+
+      if (timezone) {
+        if (value.timezone && value.timezone !== timezone) {
+          return res.status(400).json({
+            status: 'error',
+            message: `Rooms in ${location.building} use the building's time zone (${timezone})`
+          });
+        }
+        value.timezone = timezone;
+      }
+    }
+
     // Check for duplicate name if name is being updated
     if (value.name && value.name !== room.name) {
       const existingRoom = await Room.findOne({
+        organisation: room.organisation || null,
         name: value.name,
         'location.building': value.location?.building || room.location.building,
         _id: { $ne: req.params.id }
@@ -230,6 +555,17 @@ const updateRoom = async (req, res) => {
       { new: true, runValidators: true }
     ).populate('createdBy', 'name email');
 
+    // Existing reservations are shown in the room's new zone
+    if (updatedRoom.timezone && updatedRoom.timezone !== room.timezone) {
+      await setRoomTimeZone({ _id: room._id }, updatedRoom.timezone);
+    }
+
+    await recordAudit(req, 'room.updated', room._id, { before: room, after: updatedRoom });
+    await emitRoomEvent('room.updated', updatedRoom);
+    if (room.isActive && !updatedRoom.isActive) {
+      await emitRoomEvent('room.deactivated', updatedRoom);
+    }
+
     res.json({
       status: 'success',
       message: 'Room updated successfully',
@@ -249,7 +585,7 @@ const updateRoom = async (req, res) => {
 // Delete room (Admin only - soft delete)
 const deleteRoom = async (req, res) => {
   try {
-    const room = await Room.findById(req.params.id);
+    const room = await Room.findOne({ _id: req.params.id, ...tenantFilter(req) });
 
     if (!room) {
       return res.status(404).json({
@@ -259,8 +595,14 @@ const deleteRoom = async (req, res) => {
     }
 
     // Soft delete by setting isActive to false
+    const before = snapshot(room);
     room.isActive = false;
     await room.save();
+    await recordAudit(req, 'room.deleted', room._id, { before, after: room });
+
+    if (before.isActive) {
+      await emitRoomEvent('room.deactivated', room);
+    }
 
     res.json({
       status: 'success',
@@ -291,6 +633,7 @@ const getRoomsByCapacity = async (req, res) => {
     }
 
     const rooms = await Room.findByCapacityRange(minCapacity, maxCapacity)
+      .where(tenantFilter(req))
       .populate('createdBy', 'name email');
 
     res.json({
@@ -312,7 +655,10 @@ const getRoomsByCapacity = async (req, res) => {
 module.exports = {
   createRoom,
   getAllRooms,
+  searchAvailableRooms,
   getRoomById,
+  getRoomAvailability,
+  getRoomPolicy,
   updateRoom,
   deleteRoom,
   getRoomsByCapacity
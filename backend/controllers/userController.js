@@ -1,15 +1,67 @@
 const User = require('../models/user');
+const Organisation = require('../models/organisation');
+const RefreshToken = require('../models/refreshToken');
 const {
   registerValidation,
+  createUserValidation,
   loginValidation,
   updateUserValidation,
   changePasswordValidation,
   forgotPasswordValidation,
-  resetPasswordValidation
+  resetPasswordValidation,
+  refreshTokenValidation,
+  costCentreValidation,
+  updateUserRoleValidation
 } = require('../utils/validations');
-const { generateToken, generateRefreshToken } = require('../utils/jwt');
+const { generateToken, generateRefreshToken, verifyRefreshToken } = require('../utils/jwt');
+const { snapshot } = require('../utils/audit');
+const { tenantFilter, tenantOf } = require('../utils/tenant');
+const { notify } = require('../services/notifications');
+const { rescheduleUserReminders } = require('../services/reminders');
+const { recordAudit } = require('../services/audit');
+const { rolePermissions } = require('../services/permissions');
+const config = require('../config/config');
 const crypto = require('crypto');
 
+// How long a password reset link stays valid
+const RESET_TOKEN_MINUTES = 10;
+
+// Active organisation for a sign-in slug: undefined when no slug was given (the default
+// tenant), null when the slug is unknown or the organisation is deactivated
+const findOrganisation = async (slug) => {
+  if (!slug) return undefined;
+  return Organisation.findOne({ slug, isActive: true });
+};
+
+// Users an admin may see and manage: their own organisation, and never the platform's super-admins
+const manageableUsers = (req) => (
+  req.user.isSuperAdmin() ? tenantFilter(req) : { ...tenantFilter(req), $nor: [{ role: 'superadmin' }] }
+);
+
+// Whether the acting admin has every permission the user's role grants. Nobody can act
+// on a user with permissions beyond their own.
+const holdsPermissionsOf = async (req, user) => {
+  const permissions = await rolePermissions(user.role, user.organisation) || new Set();
+  return [...permissions].every(permission => req.user.can(permission));
+};
+
+// Issue an access token plus a persisted refresh token (new family on login)
+const issueTokens = async (user, family = crypto.randomBytes(16).toString('hex')) => {
+  const jti = crypto.randomBytes(16).toString('hex');
+  const token = generateToken({ id: user._id, role: user.role, organisation: user.organisation });
+  const refreshToken = generateRefreshToken({ id: user._id, jti, family });
+  const { exp } = verifyRefreshToken(refreshToken);
+
+  await RefreshToken.create({
+    user: user._id,
+    jti,
+    family,
+    expiresAt: new Date(exp * 1000)
+  });
+
+  return { token, refreshToken };
+};
+
 // Register new user
 const register = async (req, res) => {
   try {
@@ -22,8 +74,9 @@ const register = async (req, res) => {
       });
     }
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email: value.email });
+    // Public sign-up joins the default tenant as a regular user; organisations add
+    // their members through an admin
+    const existingUser = await User.findOne({ organisation: null, email: value.email });
     if (existingUser) {
       return res.status(409).json({
         status: 'error',
@@ -33,10 +86,10 @@ const register = async (req, res) => {
 
     // Create user
     const user = await User.create(value);
+    await recordAudit(req, 'user.registered', user._id, { after: user, actor: user });
 
     // Generate tokens
-    const token = generateToken({ id: user._id, role: user.role });
-    const refreshToken = generateRefreshToken({ id: user._id });
+    const { token, refreshToken } = await issueTokens(user);
 
     res.status(201).json({
       status: 'success',
@@ -68,8 +121,16 @@ const login = async (req, res) => {
       });
     }
 
+    // Unknown organisations fail like a wrong password
+    const organisation = await findOrganisation(value.organisation);
+
     // Find user and include password for comparison
-    const user = await User.findOne({ email: value.email }).select('+password');
+    const user = organisation === null
+      ? null
+      : await User.findOne({
+        organisation: organisation ? organisation._id : null,
+        email: value.email
+      }).select('+password');
     
     if (!user || !(await user.comparePassword(value.password))) {
       return res.status(401).json({
@@ -86,8 +147,7 @@ const login = async (req, res) => {
     }
 
     // Generate tokens
-    const token = generateToken({ id: user._id, role: user.role });
-    const refreshToken = generateRefreshToken({ id: user._id });
+    const { token, refreshToken } = await issueTokens(user);
 
     res.json({
       status: 'success',
@@ -97,7 +157,8 @@ const login = async (req, res) => {
           id: user._id,
           name: user.name,
           email: user.email,
-          role: user.role
+          role: user.role,
+          organisation: user.organisation
         },
         token,
         refreshToken
@@ -112,6 +173,134 @@ const login = async (req, res) => {
   }
 };
 
+// Exchange a refresh token for a new access token (rotates the refresh token)
+const refreshAccessToken = async (req, res) => {
+  try {
+    const { error, value } = refreshTokenValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    let decoded = null;
+    try {
+      decoded = verifyRefreshToken(value.refreshToken);
+    } catch (err) {
+      // Fall through to the 401 below
+    }
+
+    // Tokens issued before rotation was introduced carry no jti
+    if (!decoded || !decoded.jti) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    // Atomically claim the token so it can only be exchanged once
+    const stored = await RefreshToken.findOneAndUpdate(
+      {
+        jti: decoded.jti,
+        user: decoded.id,
+        usedAt: { $exists: false },
+        revokedAt: { $exists: false }
+      },
+      { usedAt: new Date() },
+      { new: true }
+    );
+
+    if (!stored) {
+      // A token that was already rotated is being replayed - kill the whole family
+      const existing = await RefreshToken.findOne({ jti: decoded.jti });
+      if (existing && existing.usedAt) {
+        await RefreshToken.revokeFamily(existing.family, 'reuse_detected');
+      }
+
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || !user.isActive) {
+      await RefreshToken.revokeFamily(stored.family, 'logout');
+      return res.status(401).json({
+        status: 'error',
+        message: 'Account is deactivated'
+      });
+    }
+
+    const { token, refreshToken } = await issueTokens(user, stored.family);
+
+    res.json({
+      status: 'success',
+      message: 'Token refreshed successfully',
+      data: {
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Logout user (revoke refresh token family)
+const logout = async (req, res) => {
+  try {
+    const { error, value } = refreshTokenValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    let decoded = null;
+    try {
+      decoded = verifyRefreshToken(value.refreshToken);
+    } catch (err) {
+      // Fall through to the 401 below
+    }
+
+    // Tokens issued before rotation was introduced carry no jti
+    if (!decoded || !decoded.jti) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const stored = await RefreshToken.findOne({ jti: decoded.jti, user: decoded.id });
+    if (!stored) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    await RefreshToken.revokeFamily(stored.family, 'logout');
+
+    res.json({
+      status: 'success',
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
 // Get current user profile
 const getProfile = async (req, res) => {
   try {
@@ -145,7 +334,10 @@ const updateProfile = async (req, res) => {
 
     // Prevent email change to existing email
     if (value.email && value.email !== req.user.email) {
-      const existingUser = await User.findOne({ email: value.email });
+      const existingUser = await User.findOne({
+        organisation: req.user.organisation || null,
+        email: value.email
+      });
       if (existingUser) {
         return res.status(409).json({
           status: 'error',
@@ -160,6 +352,13 @@ const updateProfile = async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    // Move reminders for upcoming bookings to the new times
+    if (value.reminderMinutes) {
+      await rescheduleUserReminders(user._id);
+    }
+
+    await recordAudit(req, 'user.profile_updated', user._id, { before: req.user, after: user });
+
     res.json({
       status: 'success',
       message: 'Profile updated successfully',
@@ -201,10 +400,19 @@ const changePassword = async (req, res) => {
     // Update password
     user.password = value.newPassword;
     await user.save();
+    await recordAudit(req, 'user.password_changed', user._id);
+
+    // Sign out every other session; this one continues with a fresh login
+    await RefreshToken.revokeUser(user._id, 'password_changed');
+    const { token, refreshToken } = await issueTokens(user);
 
     res.json({
       status: 'success',
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: {
+        token,
+        refreshToken
+      }
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -215,7 +423,7 @@ const changePassword = async (req, res) => {
   }
 };
 
-// Forgot password (simplified - in production, you'd send email)
+// Forgot password: email the user a reset link
 const forgotPassword = async (req, res) => {
   try {
     const { error, value } = forgotPasswordValidation.validate(req.body);
@@ -226,7 +434,13 @@ const forgotPassword = async (req, res) => {
       });
     }
 
-    const user = await User.findOne({ email: value.email });
+    const organisation = await findOrganisation(value.organisation);
+    const user = organisation === null
+      ? null
+      : await User.findOne({
+        organisation: organisation ? organisation._id : null,
+        email: value.email
+      });
     if (!user) {
       // Don't reveal if user exists or not
       return res.json({
@@ -235,22 +449,24 @@ const forgotPassword = async (req, res) => {
       });
     }
 
-    // Generate reset token (simplified - in production, send via email)
+    // Generate reset token
     const resetToken = crypto.randomBytes(32).toString('hex');
     user.passwordResetToken = resetToken;
-    user.passwordResetExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
+    user.passwordResetExpires = Date.now() + RESET_TOKEN_MINUTES * 60 * 1000;
     
     await user.save();
+    await recordAudit(req, 'user.password_reset_requested', user._id, { actor: user });
 
-    // In production: Send email with reset token
-    console.log(`Password reset token for ${user.email}: ${resetToken}`);
+    // Failed sends stay in the outbox and are retried
+    await notify('passwordReset', user.email, {
+      user,
+      resetUrl: `${config.client.url}/reset-password?token=${resetToken}`,
+      expiresMinutes: RESET_TOKEN_MINUTES
+    }, { user: user._id, organisation: user.organisation });
 
     res.json({
       status: 'success',
-      message: 'If the email exists, a reset token will be sent',
-      data: {
-        resetToken // Remove this in production - only for testing
-      }
+      message: 'If the email exists, a reset token will be sent'
     });
   } catch (error) {
     console.error('Forgot password error:', error);
@@ -289,6 +505,10 @@ const resetPassword = async (req, res) => {
     user.passwordResetToken = undefined;
     user.passwordResetExpires = undefined;
     await user.save();
+    await recordAudit(req, 'user.password_reset', user._id, { actor: user });
+
+    // Whoever held the old password may also hold a refresh token
+    await RefreshToken.revokeUser(user._id, 'password_changed');
 
     res.json({
       status: 'success',
@@ -311,7 +531,7 @@ const getAllUsers = async (req, res) => {
     const { page = 1, limit = 10, search = '', role = '' } = req.query;
 
     // Build filter
-    const filter = {};
+    const filter = manageableUsers(req);
     if (search) {
       filter.$or = [
         { name: { $regex: search, $options: 'i' } },
@@ -354,10 +574,52 @@ const getAllUsers = async (req, res) => {
   }
 };
 
+// Admin: Add a user to the admin's organisation. New members get the `user` role;
+// assign another one with the role endpoint.
+const createUser = async (req, res) => {
+  try {
+    const { error, value } = createUserValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const organisation = tenantOf(req);
+    if (await User.exists({ organisation, email: value.email })) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'User already exists with this email'
+      });
+    }
+
+    const user = await User.create({
+      ...value,
+      organisation: organisation || undefined
+    });
+    await recordAudit(req, 'user.created', user._id, { after: user });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'User created successfully',
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    console.error('Create user error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
 // Admin: Get user by ID
 const getUserById = async (req, res) => {
   try {
-    const user = await User.findById(req.params.id)
+    const user = await User.findOne({ _id: req.params.id, ...manageableUsers(req) })
       .select('-password -passwordResetToken -passwordResetExpires');
 
     if (!user) {
@@ -385,15 +647,16 @@ const getUserById = async (req, res) => {
 // Admin: Update user role
 const updateUserRole = async (req, res) => {
   try {
-    const { role } = req.body;
-
-    if (!['user', 'admin'].includes(role)) {
+    const { error, value } = updateUserRoleValidation.validate(req.body);
+    if (error) {
       return res.status(400).json({
         status: 'error',
-        message: 'Invalid role. Must be "user" or "admin"'
+        message: error.details[0].message
       });
     }
 
+    const { role } = value;
+
     // Prevent admin from modifying their own role
     if (req.params.id === req.user.id) {
       return res.status(400).json({
@@ -402,8 +665,33 @@ const updateUserRole = async (req, res) => {
       });
     }
 
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
+    const before = await User.findOne({ _id: req.params.id, ...manageableUsers(req) });
+    if (!before) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    // Built-in roles (except superadmin) and the custom roles of the user's organisation
+    const granted = role === 'superadmin' ? null : await rolePermissions(role, before.organisation);
+    if (!granted) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid role "${role}"`
+      });
+    }
+
+    // Nobody can hand out, or take away, permissions they don't have themselves
+    if (![...granted].every(permission => req.user.can(permission)) || !(await holdsPermissionsOf(req, before))) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Cannot manage roles with permissions you do not have'
+      });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, ...manageableUsers(req) },
       { role },
       { new: true, runValidators: true }
     ).select('-password -passwordResetToken -passwordResetExpires');
@@ -415,6 +703,8 @@ const updateUserRole = async (req, res) => {
       });
     }
 
+    await recordAudit(req, 'user.role_updated', user._id, { before, after: user });
+
     res.json({
       status: 'success',
       message: 'User role updated successfully',
@@ -431,6 +721,53 @@ const updateUserRole = async (req, res) => {
   }
 };
 
+// Admin: Set the cost centre a user's bookings are invoiced to
+const updateUserCostCentre = async (req, res) => {
+  try {
+    const { error, value } = costCentreValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const update = value.costCentre
+      ? { costCentre: value.costCentre }
+      : { $unset: { costCentre: 1 } };
+
+    const before = await User.findOne({ _id: req.params.id, ...manageableUsers(req) });
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, ...manageableUsers(req) },
+      update,
+      { new: true, runValidators: true }
+    ).select('-password -passwordResetToken -passwordResetExpires');
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    await recordAudit(req, 'user.cost_centre_updated', user._id, { before, after: user });
+
+    res.json({
+      status: 'success',
+      message: 'User cost centre updated successfully',
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    console.error('Update user cost centre error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
 // Admin: Delete user
 const deleteUser = async (req, res) => {
   try {
@@ -442,7 +779,23 @@ const deleteUser = async (req, res) => {
       });
     }
 
-    const user = await User.findByIdAndDelete(req.params.id);
+    const target = await User.findOne({ _id: req.params.id, ...manageableUsers(req) });
+    if (!target) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    if (!(await holdsPermissionsOf(req, target))) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Cannot manage users with permissions you do not have'
+      });
+    }
+
+    // Only delete the user if their role hasn't changed since the check
+    const user = await User.findOneAndDelete({ _id: target._id, role: target.role, ...manageableUsers(req) });
 
     if (!user) {
       return res.status(404).json({
@@ -451,6 +804,8 @@ const deleteUser = async (req, res) => {
       });
     }
 
+    await recordAudit(req, 'user.deleted', user._id, { before: user });
+
     res.json({
       status: 'success',
       message: 'User deleted successfully'
@@ -475,7 +830,7 @@ const toggleUserStatus = async (req, res) => {
       });
     }
 
-    const user = await User.findById(req.params.id);
+    const user = await User.findOne({ _id: req.params.id, ...manageableUsers(req) });
     
     if (!user) {
       return res.status(404).json({
@@ -484,8 +839,17 @@ const toggleUserStatus = async (req, res) => {
       });
     }
 
+    if (!(await holdsPermissionsOf(req, user))) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Cannot manage users with permissions you do not have'
+      });
+    }
+
+    const before = snapshot(user);
     user.isActive = !user.isActive;
     await user.save();
+    await recordAudit(req, 'user.status_toggled', user._id, { before, after: user });
 
     res.json({
       status: 'success',
@@ -512,16 +876,18 @@ const toggleUserStatus = async (req, res) => {
 // Admin: Get user statistics
 const getUserStats = async (req, res) => {
   try {
-    const totalUsers = await User.countDocuments();
-    const activeUsers = await User.countDocuments({ isActive: true });
-    const adminUsers = await User.countDocuments({ role: 'admin', isActive: true });
-    const regularUsers = await User.countDocuments({ role: 'user', isActive: true });
+    const tenant = manageableUsers(req);
+    const totalUsers = await User.countDocuments(tenant);
+    const activeUsers = await User.countDocuments({ ...tenant, isActive: true });
+    const adminUsers = await User.countDocuments({ ...tenant, role: 'admin', isActive: true });
+    const regularUsers = await User.countDocuments({ ...tenant, role: 'user', isActive: true });
 
     // Get recent users (last 7 days)
     const sevenDaysAgo = new Date();
     sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
     
     const recentUsers = await User.countDocuments({
+      ...tenant,
       createdAt: { $gte: sevenDaysAgo }
     });
 
@@ -550,6 +916,8 @@ const getUserStats = async (req, res) => {
 module.exports = {
   register,
   login,
+  refreshAccessToken,
+  logout,
   getProfile,
   updateProfile,
   changePassword,
@@ -557,8 +925,10 @@ module.exports = {
   resetPassword,
   // Admin functions
   getAllUsers,
+  createUser,
   getUserById,
   updateUserRole,
+  updateUserCostCentre,
   deleteUser,
   toggleUserStatus,
   getUserStats
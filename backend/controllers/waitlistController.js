@@ -0,0 +1,324 @@
+const WaitlistEntry = require('../models/waitlistEntry');
+const Reservation = require('../models/reservation');
+const Room = require('../models/room');
+const { createReservationValidation } = require('../utils/validations');
+const { validateBooking } = require('../utils/bookingRules');
+const { tenantFilter } = require('../utils/tenant');
+const { releaseOffer, waitlistBookingError } = require('../services/waitlist');
+const { resolvePolicy } = require('../services/policy');
+const { findClosure } = require('../services/closures');
+const { approvalFields } = require('../services/approval');
+const { notifyReservation } = require('../services/notifications');
+const { emitReservationEvent } = require('../services/events');
+const { recordAudit } = require('../services/audit');
+
+// Join the waitlist for a fully booked slot
+const joinWaitlist = async (req, res) => {
+  try {
+    // Same shape as a booking request
+    const { error, value } = createReservationValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const { room: roomId, startTime, endTime, attendees, purpose, specialRequirements } = value;
+
+    // Check if room exists and is active
+    const room = await Room.findOne({ _id: roomId, ...tenantFilter(req) });
+    if (!room || !room.isActive) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Room not found or not available'
+      });
+    }
+
+    // Check if room can accommodate attendees
+    if (attendees > room.capacity) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Room capacity exceeded. Maximum capacity: ${room.capacity}`
+      });
+    }
+
+    // The slot must be one the user could book under the room's policy
+    const policy = await resolvePolicy(room);
+    const policyError = validateBooking(startTime, endTime, policy, req.user) ||
+      await findClosure(room, policy, startTime, endTime);
+    if (policyError) {
+      return res.status(400).json({
+        status: 'error',
+        message: policyError
+      });
+    }
+
+    // Only fully booked slots can be waitlisted
+    const isAvailable = await Reservation.checkAvailability(roomId, startTime, endTime);
+    if (isAvailable) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Room is available for the selected time slot. Book it directly.'
+      });
+    }
+
+    const existingEntry = await WaitlistEntry.findOne({
+      user: req.user.id,
+      room: roomId,
+      startTime,
+      endTime,
+      status: { $in: ['waiting', 'offered'] }
+    });
+    if (existingEntry) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'You are already on the waitlist for this time slot'
+      });
+    }
+
+    const entry = await WaitlistEntry.create({
+      user: req.user.id,
+      room: roomId,
+      startTime,
+      endTime,
+      attendees,
+      purpose,
+      specialRequirements
+    });
+    await recordAudit(req, 'waitlist.joined', entry._id, { after: entry });
+
+    await entry.populate('room', 'name capacity location');
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Added to waitlist successfully',
+      data: {
+        entry
+      }
+    });
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get user's waitlist entries
+const getMyWaitlist = async (req, res) => {
+  try {
+    // Offers whose hold ran out are left out until the scheduler expires them
+    const now = new Date();
+    const entries = await WaitlistEntry.find({
+      user: req.user.id,
+      $or: [
+        { status: 'waiting', startTime: { $gt: now } },
+        { status: 'offered', holdExpiresAt: { $gt: now } }
+      ]
+    })
+    .populate('room', 'name capacity location')
+    .sort({ startTime: 1 });
+
+    // Queue position among entries overlapping the same slot
+    const results = [];
+    for (const entry of entries) {
+      const ahead = entry.status === 'waiting'
+        ? await WaitlistEntry.countDocuments({
+          room: entry.room._id,
+          status: 'waiting',
+          startTime: { $lt: entry.endTime },
+          endTime: { $gt: entry.startTime },
+          $or: [
+            { createdAt: { $lt: entry.createdAt } },
+            { createdAt: entry.createdAt, _id: { $lt: entry._id } }
+          ]
+        })
+        : 0;
+      results.push({ ...entry.toJSON(), position: ahead + 1 });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        entries: results,
+        count: results.length
+      }
+    });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Accept a waitlist offer (confirms the held reservation)
+const acceptOffer = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+
+    if (!entry || entry.user.toString() !== req.user.id) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    if (entry.status !== 'offered') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'There is no open offer for this waitlist entry'
+      });
+    }
+
+    if (entry.holdExpiresAt <= new Date()) {
+      await releaseOffer(entry, 'expired');
+      return res.status(410).json({
+        status: 'error',
+        message: 'Offer has expired'
+      });
+    }
+
+    const reservation = await Reservation.findById(entry.reservation);
+    if (!reservation || reservation.status !== 'pending') {
+      entry.status = 'expired';
+      await entry.save();
+      return res.status(410).json({
+        status: 'error',
+        message: 'Offer is no longer available'
+      });
+    }
+
+    // Accepting is booking: the same rules, limits and approval apply as for a new reservation.
+    // The held reservation already counts towards the user's active bookings.
+    const room = await Room.findById(reservation.room);
+    const policy = await resolvePolicy(room);
+    const bookingError = await waitlistBookingError(req.user, room, policy, reservation.startTime, reservation.endTime, 0);
+    if (bookingError) {
+      return res.status(400).json({
+        status: 'error',
+        message: bookingError
+      });
+    }
+
+    reservation.set({
+      status: 'confirmed',
+      ...approvalFields(req.user, room, reservation.startTime, reservation.endTime)
+    });
+    reservation.holdExpiresAt = undefined;
+    await reservation.save();
+
+    entry.status = 'fulfilled';
+    await entry.save();
+    await recordAudit(req, 'waitlist.offer_accepted', entry._id, { after: { reservation: reservation._id } });
+
+    if (reservation.status === 'pending') {
+      await notifyReservation('bookingConfirmation', reservation._id);
+    } else {
+      await emitReservationEvent('reservation.status_changed', reservation, { previousStatus: 'pending' });
+    }
+
+    await reservation.populate('room', 'name capacity pricePerHour location amenities');
+
+    res.json({
+      status: 'success',
+      message: reservation.status === 'pending'
+        ? 'Waitlist offer accepted and submitted for approval'
+        : 'Waitlist offer accepted',
+      data: {
+        reservation
+      }
+    });
+  } catch (error) {
+    console.error('Accept waitlist offer error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Decline a waitlist offer (passes the slot to the next user)
+const declineOffer = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+
+    if (!entry || entry.user.toString() !== req.user.id) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    if (entry.status !== 'offered') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'There is no open offer for this waitlist entry'
+      });
+    }
+
+    await releaseOffer(entry, 'declined');
+    await recordAudit(req, 'waitlist.offer_declined', entry._id);
+
+    res.json({
+      status: 'success',
+      message: 'Waitlist offer declined'
+    });
+  } catch (error) {
+    console.error('Decline waitlist offer error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Leave the waitlist
+const leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+
+    if (!entry || entry.user.toString() !== req.user.id) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    if (entry.status === 'offered') {
+      await releaseOffer(entry, 'cancelled');
+    } else if (entry.status === 'waiting') {
+      entry.status = 'cancelled';
+      await entry.save();
+    } else {
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot leave a ${entry.status} waitlist entry`
+      });
+    }
+
+    await recordAudit(req, 'waitlist.left', entry._id);
+
+    res.json({
+      status: 'success',
+      message: 'Removed from waitlist successfully'
+    });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  getMyWaitlist,
+  acceptOffer,
+  declineOffer,
+  leaveWaitlist
+};
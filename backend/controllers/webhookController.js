@@ -0,0 +1,311 @@
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookDelivery');
+const {
+  createWebhookValidation,
+  updateWebhookValidation,
+  webhookDeliveryQueryValidation
+} = require('../utils/validations');
+const { generateSecret } = require('../utils/webhooks');
+const { deliverWebhook, checkWebhookHost } = require('../services/webhooks');
+const { recordAudit } = require('../services/audit');
+const { tenantFilter, tenantOf } = require('../utils/tenant');
+
+const webhookFilter = (req) => ({ _id: req.params.id, ...tenantFilter(req) });
+
+// Error message if the URL points at an internal address. Hosts that don't resolve (yet) are
+// accepted, since every delivery checks the address again before sending.
+const urlError = async (url) => {
+  try {
+    return await checkWebhookHost(url);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Admin: List the organisation's webhooks
+const getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await Webhook.find(tenantFilter(req))
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      status: 'success',
+      data: {
+        webhooks
+      }
+    });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Subscribe an endpoint to the organisation's events. The signing secret is only returned here.
+const createWebhook = async (req, res) => {
+  try {
+    const { error, value } = createWebhookValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const hostError = await urlError(value.url);
+    if (hostError) {
+      return res.status(400).json({
+        status: 'error',
+        message: hostError
+      });
+    }
+
+    const secret = generateSecret();
+    const webhook = await Webhook.create({
+      ...value,
+      secret,
+      organisation: tenantOf(req),
+      createdBy: req.user.id
+    });
+    await recordAudit(req, 'webhook.created', webhook._id, { after: webhook });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Webhook created successfully. Store the secret now, it will not be shown again',
+      data: {
+        webhook,
+        secret
+      }
+    });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Change a webhook's URL, events or description, or switch it on or off
+const updateWebhook = async (req, res) => {
+  try {
+    const { error, value } = updateWebhookValidation.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    const hostError = value.url && await urlError(value.url);
+    if (hostError) {
+      return res.status(400).json({
+        status: 'error',
+        message: hostError
+      });
+    }
+
+    const before = await Webhook.findOne(webhookFilter(req));
+    const webhook = await Webhook.findOneAndUpdate(
+      webhookFilter(req),
+      value,
+      { new: true, runValidators: true }
+    );
+    if (!webhook) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Webhook not found'
+      });
+    }
+
+    await recordAudit(req, 'webhook.updated', webhook._id, { before, after: webhook });
+
+    res.json({
+      status: 'success',
+      message: 'Webhook updated successfully',
+      data: {
+        webhook
+      }
+    });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Issue a new signing secret; the old one stops working immediately
+const rotateWebhookSecret = async (req, res) => {
+  try {
+    const secret = generateSecret();
+    const webhook = await Webhook.findOneAndUpdate(webhookFilter(req), { secret }, { new: true });
+    if (!webhook) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Webhook not found'
+      });
+    }
+
+    await recordAudit(req, 'webhook.secret_rotated', webhook._id);
+
+    res.json({
+      status: 'success',
+      message: 'Webhook secret rotated. Store the secret now, it will not be shown again',
+      data: {
+        webhook,
+        secret
+      }
+    });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Remove a webhook and its delivery log
+const deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await Webhook.findOneAndDelete(webhookFilter(req));
+    if (!webhook) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Webhook not found'
+      });
+    }
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    await recordAudit(req, 'webhook.deleted', webhook._id, { before: webhook });
+
+    res.json({
+      status: 'success',
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: A webhook's delivery log, newest first
+const getWebhookDeliveries = async (req, res) => {
+  try {
+    const { error, value } = webhookDeliveryQueryValidation.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.details[0].message
+      });
+    }
+
+    if (!await Webhook.exists(webhookFilter(req))) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Webhook not found'
+      });
+    }
+
+    const { page, limit, status, event } = value;
+
+    // Build filter object
+    const filter = { webhook: req.params.id };
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    // Get total count for pagination
+    const total = await WebhookDelivery.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      status: 'success',
+      data: {
+        deliveries,
+        pagination: {
+          current: page,
+          total: totalPages,
+          limit,
+          totalRecords: total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Admin: Send a delivery again now, whatever happened to it before
+const redeliverWebhook = async (req, res) => {
+  try {
+    const delivery = await Webhook.exists(webhookFilter(req)) && await WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      webhook: req.params.id
+    });
+    if (!delivery) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Delivery not found'
+      });
+    }
+
+    // A manual redelivery gets a fresh set of attempts
+    delivery.status = 'pending';
+    delivery.attempts = 0;
+    delivery.deliveredAt = undefined;
+    await deliverWebhook(delivery);
+    await recordAudit(req, 'webhook.redelivered', delivery.webhook, {
+      after: { delivery: delivery._id, status: delivery.status }
+    });
+
+    res.json({
+      status: 'success',
+      message: delivery.status === 'delivered'
+        ? 'Delivery sent'
+        : delivery.status === 'pending'
+          ? 'Delivery failed, it will be retried'
+          : 'Delivery failed',
+      data: {
+        delivery
+      }
+    });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhook
+};
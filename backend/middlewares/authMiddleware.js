@@ -1,5 +1,7 @@
 const { getTokenFromHeader, verifyToken } = require('../utils/jwt');
 const User = require('../models/user');
+const Organisation = require('../models/organisation');
+const { loadPermissions } = require('../services/permissions');
 
 const auth = async (req, res, next) => {
   try {
@@ -43,6 +45,38 @@ const auth = async (req, res, next) => {
       });
     }
 
+    // A token is only good for the organisation it was issued in
+    if (String(decoded.organisation || null) !== String(user.organisation || null)) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid token.'
+      });
+    }
+
+    if (user.organisation && !await Organisation.exists({ _id: user.organisation, isActive: true })) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Organisation is deactivated.'
+      });
+    }
+
+    // Super-admins work across tenants, optionally narrowed to one with X-Organisation-Id
+    // ("default" for the default tenant)
+    if (user.isSuperAdmin()) {
+      const organisation = req.headers['x-organisation-id'];
+      if (organisation && organisation !== 'default' && !/^[0-9a-fA-F]{24}$/.test(organisation)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'X-Organisation-Id must be an organisation id or "default"'
+        });
+      }
+      req.tenant = organisation === 'default' ? null : organisation;
+    } else {
+      req.tenant = user.organisation || null;
+    }
+
+    user.$locals.permissions = await loadPermissions(user);
+
     req.user = user;
     next();
   } catch (error) {
@@ -53,9 +87,28 @@ const auth = async (req, res, next) => {
   }
 };
 
-const authorize = (...roles) => {
+// Public routes work without a token (default tenant only) and are scoped to the
+// caller's organisation when one is sent
+const optionalAuth = (req, res, next) => {
+  if (!getTokenFromHeader(req)) {
+    req.tenant = null;
+    return next();
+  }
+  return auth(req, res, next);
+};
+
+// EventSource can't send headers, so streams also accept the access token as ?token=
+const allowQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// Allow the request only if the user has every one of the permissions
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    if (!permissions.every(permission => req.user.can(permission))) {
       return res.status(403).json({
         status: 'error',
         message: 'Access denied. Insufficient permissions.'
@@ -67,5 +120,7 @@ const authorize = (...roles) => {
 
 module.exports = {
   auth,
-  authorize
+  optionalAuth,
+  allowQueryToken,
+  requirePermission
 };
\ No newline at end of file
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Who changed what, when and from where. Entries are append-only.
+const auditLogSchema = new mongoose.Schema({
+  // Missing for actions taken without logging in, e.g. a password reset, and for
+  // background jobs (actorRole "system")
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: String,
+  // "<targetType>.<what happened>", e.g. "room.updated"
+  action: {
+    type: String,
+    required: [true, 'Action is required']
+  },
+  targetType: {
+    type: String,
+    required: [true, 'Target type is required']
+  },
+  targetId: mongoose.Schema.Types.ObjectId,
+  // Fields that changed, as they were and as they became (null for creations and deletions)
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  // Tenant whose record changed; unset for the default tenant
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation'
+  },
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ organisation: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Refuse every kind of update or delete
+const rejectChange = function() {
+  throw new Error('Audit log entries cannot be changed');
+};
+
+auditLogSchema.pre(
+  ['updateOne', 'deleteOne'],
+  { document: true, query: true },
+  rejectChange
+);
+auditLogSchema.pre(
+  ['updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+auditLogSchema.pre('save', function() {
+  if (!this.isNew) rejectChange();
+});
+
+// Remove __v from JSON output
+auditLogSchema.set('toJSON', {
+  versionKey: false,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Period a room, a building or every room can't be booked (maintenance, events, ...)
+const blackoutSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['global', 'building', 'room'],
+    required: [true, 'Blackout scope is required']
+  },
+  building: {
+    type: String,
+    trim: true,
+    required: [function() { return this.scope === 'building'; }, 'Building is required for building blackouts']
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: [function() { return this.scope === 'room'; }, 'Room is required for room blackouts']
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'End time is required']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Blackout reason is required'],
+    trim: true,
+    maxlength: [200, 'Reason cannot be more than 200 characters']
+  },
+  // Unset for blackouts of the default tenant
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+blackoutSchema.index({ organisation: 1, startTime: 1, endTime: 1 });
+blackoutSchema.index({ room: 1, startTime: 1 });
+
+// Remove __v from JSON output
+blackoutSchema.set('toJSON', {
+  versionKey: false,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Blackout', blackoutSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const openingHoursSchema = require('./openingHours');
+const { ROLE_NAME } = require('../utils/permissions');
+
+// Booking rules for all rooms, a building or a single room. Unset fields
+// fall back to the next broader policy, then to the built-in defaults.
+const bookingPolicySchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['global', 'building', 'room'],
+    required: [true, 'Policy scope is required']
+  },
+  building: {
+    type: String,
+    trim: true,
+    required: [function() { return this.scope === 'building'; }, 'Building is required for building policies']
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: [function() { return this.scope === 'room'; }, 'Room is required for room policies']
+  },
+  minDurationMinutes: {
+    type: Number,
+    min: [1, 'Minimum duration must be at least 1 minute']
+  },
+  maxDurationMinutes: {
+    type: Number,
+    min: [1, 'Maximum duration must be at least 1 minute']
+  },
+  minLeadMinutes: {
+    type: Number,
+    min: [0, 'Lead time cannot be negative']
+  },
+  maxAdvanceDays: {
+    type: Number,
+    min: [1, 'Advance booking window must be at least 1 day']
+  },
+  cancellationCutoffMinutes: {
+    type: Number,
+    min: [0, 'Cancellation cutoff cannot be negative']
+  },
+  maxActiveBookings: {
+    type: Number,
+    min: [1, 'Booking limit must be at least 1']
+  },
+  allowedRoles: {
+    type: [{
+      type: String,
+      match: [ROLE_NAME, 'Invalid role name']
+    }],
+    default: undefined
+  },
+  openingHours: {
+    type: [openingHoursSchema],
+    default: undefined
+  },
+  // Unset for policies of the default tenant
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One policy per scope target (a single global policy per organisation)
+bookingPolicySchema.index({ organisation: 1, scope: 1, building: 1, room: 1 }, { unique: true });
+
+// Remove __v from JSON output
+bookingPolicySchema.set('toJSON', {
+  versionKey: false,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('BookingPolicy', bookingPolicySchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const openingHoursSchema = require('./openingHours');
+const { normalizeName } = require('../utils/locations');
+const { isValidTimeZone } = require('../utils/timezone');
+
+const buildingSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Building name is required'],
+    trim: true,
+    maxlength: [100, 'Building name cannot be more than 100 characters']
+  },
+  // Normalized name and aliases, so "HQ" and "Headquarters" resolve to the same building
+  nameKey: {
+    type: String
+  },
+  aliases: [{
+    type: String,
+    set: normalizeName
+  }],
+  address: {
+    street: { type: String, trim: true },
+    city: { type: String, trim: true },
+    postalCode: { type: String, trim: true },
+    country: { type: String, trim: true }
+  },
+  timezone: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Unknown time zone "{VALUE}"'
+    }
+  },
+  // Applies to every room in the building, below building and room policies
+  openingHours: {
+    type: [openingHoursSchema],
+    default: undefined
+  },
+  // Unset for buildings of the default tenant
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+buildingSchema.index({ organisation: 1, nameKey: 1 }, { unique: true });
+buildingSchema.index({ organisation: 1, aliases: 1 });
+
+buildingSchema.pre('save', function() {
+  if (this.isModified('name')) {
+    this.nameKey = normalizeName(this.name);
+  }
+});
+
+// Query conditions matching a building by its name or one of its aliases
+buildingSchema.statics.byName = function(name) {
+  const key = normalizeName(name);
+  return { $or: [{ nameKey: key }, { aliases: key }] };
+};
+
+// Remove __v and the lookup key from JSON output
+buildingSchema.set('toJSON', {
+  versionKey: false,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    delete ret.nameKey;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Building', buildingSchema);
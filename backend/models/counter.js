@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Named sequence (e.g. one per invoice month), advanced atomically so concurrent
+// callers never get the same value
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Static method to advance a counter and return its new value. A counter that doesn't
+// exist yet starts from what `initial` resolves to (0 by default).
+counterSchema.statics.next = async function(name, initial = async () => 0) {
+  const counter = await this.findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { new: true });
+  if (counter) return counter.seq;
+
+  try {
+    await this.create({ _id: name, seq: await initial() });
+  } catch (error) {
+    // Another caller created it first
+    if (error.code !== 11000) throw error;
+  }
+
+  const created = await this.findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { new: true });
+  return created.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { normalizeName } = require('../utils/locations');
+
+const floorSchema = new mongoose.Schema({
+  building: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building',
+    required: [true, 'Building is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Floor name is required'],
+    trim: true,
+    maxlength: [50, 'Floor name cannot be more than 50 characters']
+  },
+  nameKey: {
+    type: String
+  },
+  // Sort order within the building; 0 is the ground floor, negative levels are basements
+  level: {
+    type: Number
+  },
+  // Floor plan image and its size in pixels, for placing rooms on a map
+  map: {
+    imageUrl: { type: String, trim: true },
+    width: { type: Number, min: 1 },
+    height: { type: Number, min: 1 }
+  },
+  // Copied from the building
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation'
+  }
+}, {
+  timestamps: true
+});
+
+floorSchema.index({ building: 1, nameKey: 1 }, { unique: true });
+
+floorSchema.pre('save', function() {
+  if (this.isModified('name')) {
+    this.nameKey = normalizeName(this.name);
+  }
+});
+
+// Remove __v and the lookup key from JSON output
+floorSchema.set('toJSON', {
+  versionKey: false,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    delete ret.nameKey;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Floor', floorSchema);
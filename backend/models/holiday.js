@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A day every room (or every room in one building) is closed
+const holidaySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Holiday name is required'],
+    trim: true,
+    maxlength: [100, 'Holiday name cannot be more than 100 characters']
+  },
+  // Local calendar date, YYYY-MM-DD
+  date: {
+    type: String,
+    required: [true, 'Holiday date is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Holiday date must be YYYY-MM-DD']
+  },
+  // Absent for holidays that close every building
+  building: {
+    type: String,
+    trim: true
+  },
+  // Unset for holidays of the default tenant
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+holidaySchema.index({ organisation: 1, date: 1, building: 1 }, { unique: true });
+
+// Remove __v from JSON output
+holidaySchema.set('toJSON', {
+  versionKey: false,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Holiday', holidaySchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Monthly statement of ledger entries for one user or one cost centre
+const invoiceSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: true
+  },
+  period: {
+    year: {
+      type: Number,
+      required: true
+    },
+    month: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 12
+    }
+  },
+  // Billed to a cost centre when entries have one, otherwise to the user
+  costCentre: {
+    type: String,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lines: [{
+    _id: false,
+    entry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LedgerEntry'
+    },
+    date: Date,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    description: String,
+    amount: Number
+  }],
+  total: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  // Unset for invoices of the default tenant
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation'
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+invoiceSchema.index({ number: 1 }, { unique: true });
+invoiceSchema.index({ 'period.year': 1, 'period.month': 1 });
+invoiceSchema.index({ organisation: 1, issuedAt: -1 });
+invoiceSchema.index({ user: 1 });
+invoiceSchema.index({ costCentre: 1 });
+
+// Remove __v from JSON output
+invoiceSchema.set('toJSON', {
+  versionKey: false,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Charge (positive amount) or credit (negative amount) against a user's account
+const ledgerEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Ledger entry must belong to a user']
+  },
+  // Copied from the user when posted, so moving departments doesn't re-bill old entries
+  costCentre: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['charge', 'cancellation_fee', 'no_show_fee', 'credit', 'adjustment'],
+    required: [true, 'Ledger entry type is required']
+  },
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation'
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room'
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    trim: true,
+    maxlength: [300, 'Description cannot be more than 300 characters']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required']
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  // Decides which month's invoice the entry lands on
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  // Tenant of the billed user; unset for the default tenant
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+ledgerEntrySchema.index({ user: 1, occurredAt: -1 });
+ledgerEntrySchema.index({ organisation: 1, occurredAt: -1 });
+ledgerEntrySchema.index({ costCentre: 1, occurredAt: -1 });
+ledgerEntrySchema.index({ invoice: 1, occurredAt: 1 });
+
+// A reservation is only ever charged once per entry type
+ledgerEntrySchema.index(
+  { reservation: 1, type: 1 },
+  { unique: true, partialFilterExpression: { reservation: { $exists: true } } }
+);
+
+// Remove __v from JSON output
+ledgerEntrySchema.set('toJSON', {
+  versionKey: false,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
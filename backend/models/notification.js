@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Outbox entry for one email. Sends that fail stay pending and are retried by the scheduler.
+const notificationSchema = new mongoose.Schema({
+  template: {
+    type: String,
+    required: [true, 'Template is required']
+  },
+  to: {
+    type: String,
+    required: [true, 'Recipient is required'],
+    trim: true,
+    lowercase: true
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required']
+  },
+  text: {
+    type: String,
+    required: [true, 'Message body is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation'
+  },
+  // Unset for emails of the default tenant
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  // When the scheduler should next try a pending notification
+  nextAttemptAt: Date,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ organisation: 1, createdAt: -1 });
+
+// Remove __v from JSON output
+notificationSchema.set('toJSON', {
+  versionKey: false,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Notification', notificationSchema);
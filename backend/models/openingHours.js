@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const { WEEKDAYS } = require('../utils/recurrence');
+const { TIME_OF_DAY } = require('../utils/openingHours');
+
+// Weekly opening window, e.g. MO-FR 08:00-18:00. Shared by booking policies and buildings.
+const openingHoursSchema = new mongoose.Schema({
+  days: [{
+    type: String,
+    enum: WEEKDAYS
+  }],
+  open: {
+    type: String,
+    required: [true, 'Opening time is required'],
+    match: [TIME_OF_DAY, 'Opening hours must be HH:MM']
+  },
+  close: {
+    type: String,
+    required: [true, 'Closing time is required'],
+    match: [TIME_OF_DAY, 'Opening hours must be HH:MM']
+  }
+}, { _id: false });
+
+module.exports = openingHoursSchema;
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A tenant. Users, rooms and reservations without an organisation belong to the default tenant.
+const organisationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organisation name is required'],
+    trim: true,
+    maxlength: [100, 'Organisation name cannot be more than 100 characters']
+  },
+  // Short name users give when signing in
+  slug: {
+    type: String,
+    required: [true, 'Organisation slug is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, digits and dashes']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+organisationSchema.index({ slug: 1 }, { unique: true });
+
+// Remove __v from JSON output
+organisationSchema.set('toJSON', {
+  versionKey: false,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Organisation', organisationSchema);
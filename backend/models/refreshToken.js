@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Refresh token must belong to a user']
+  },
+  // Unique id embedded in the signed token as `jti`
+  jti: {
+    type: String,
+    required: true
+  },
+  // All tokens rotated from the same login share a family
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'reuse_detected', 'password_changed']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+refreshTokenSchema.index({ jti: 1 }, { unique: true });
+refreshTokenSchema.index({ family: 1 });
+
+// Let MongoDB purge tokens once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to revoke every token in a family
+refreshTokenSchema.statics.revokeFamily = function(family, reason) {
+  return this.updateMany(
+    { family, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Static method to revoke every token a user holds, signing them out everywhere
+refreshTokenSchema.statics.revokeUser = function(user, reason) {
+  return this.updateMany(
+    { user, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
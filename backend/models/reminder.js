@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// One scheduled reminder email. Stored rather than held in a timer so reminders survive restarts.
+const reminderSchema = new mongoose.Schema({
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: [true, 'Reservation is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // How long before the start time the reminder goes out
+  offsetMinutes: {
+    type: Number,
+    required: [true, 'Reminder offset is required'],
+    min: [1, 'Reminder offset must be at least 1 minute']
+  },
+  sendAt: {
+    type: Date,
+    required: [true, 'Send time is required']
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'sent', 'cancelled'],
+    default: 'scheduled'
+  },
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+reminderSchema.index({ status: 1, sendAt: 1 });
+reminderSchema.index({ reservation: 1 });
+
+// Remove __v from JSON output
+reminderSchema.set('toJSON', {
+  versionKey: false,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Reminder', reminderSchema);
@@ -1,4 +1,37 @@
 const mongoose = require('mongoose');
+const { DEFAULT_POLICY } = require('../utils/bookingRules');
+const { bufferMinutes } = require('../utils/availability');
+const { DEFAULT_TIMEZONE, toZonedISOString } = require('../utils/timezone');
+
+// Price breakdown frozen at booking time, so later room price changes don't rewrite history
+const priceSnapshotSchema = new mongoose.Schema({
+  currency: String,
+  lines: [{
+    _id: false,
+    label: String,
+    startTime: Date,
+    endTime: Date,
+    minutes: Number,
+    pricePerHour: Number,
+    amount: Number
+  }],
+  subtotal: Number,
+  discount: {
+    type: new mongoose.Schema({
+      percent: Number,
+      amount: Number
+    }, { _id: false }),
+    default: null
+  },
+  minimumChargeAdjustment: Number,
+  taxPercent: Number,
+  tax: Number,
+  total: Number,
+  calculatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const reservationSchema = new mongoose.Schema({
   user: {
@@ -11,6 +44,15 @@ const reservationSchema = new mongoose.Schema({
     ref: 'Room',
     required: [true, 'Reservation must be for a room']
   },
+  // Copied from the room so tenant queries don't need a join
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation'
+  },
+  // Copied from the room; the API also shows the times in this zone
+  timezone: {
+    type: String
+  },
   startTime: {
     type: Date,
     required: [true, 'Start time is required']
@@ -39,7 +81,7 @@ const reservationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'cancelled', 'completed'],
+    enum: ['pending', 'confirmed', 'cancelled', 'completed', 'no_show'],
     default: 'confirmed'
   },
   specialRequirements: {
@@ -47,6 +89,49 @@ const reservationSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'Special requirements cannot be more than 500 characters']
   },
+  // Approval workflow for rooms that require it (absent otherwise)
+  approval: {
+    state: {
+      type: String,
+      enum: ['awaiting', 'approved', 'rejected', 'expired']
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date,
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot be more than 500 characters']
+    }
+  },
+  checkedInAt: Date,
+  // Set while a waitlist offer is waiting to be accepted
+  holdExpiresAt: Date,
+  price: priceSnapshotSchema,
+  // Who cancelled and whether it was inside the cancellation window (late cancellations are billed)
+  cancellation: {
+    cancelledAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    late: Boolean,
+    // Set when the booking was cancelled for the owner, e.g. by a blackout
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Reason cannot be more than 300 characters']
+    }
+  },
+  // Set once the booking's charge or fee has been posted to the ledger
+  billedAt: Date,
+  // Set when the reservation is one occurrence of a recurring series
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReservationSeries'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -65,6 +150,10 @@ reservationSchema.index({ room: 1 });
 reservationSchema.index({ startTime: 1, endTime: 1 });
 reservationSchema.index({ status: 1 });
 reservationSchema.index({ user: 1, startTime: 1 });
+reservationSchema.index({ series: 1, startTime: 1 });
+reservationSchema.index({ 'approval.state': 1, startTime: 1 });
+reservationSchema.index({ status: 1, billedAt: 1 });
+reservationSchema.index({ organisation: 1, startTime: 1 });
 
 // Compound index for checking availability
 reservationSchema.index({ 
@@ -81,6 +170,10 @@ reservationSchema.virtual('durationHours').get(function() {
 
 // Virtual for total cost
 reservationSchema.virtual('totalCost').get(function() {
+  if (this.price) {
+    return this.price.total;
+  }
+  // Reservations made before pricing snapshots existed
   if (this.populated('room')) {
     return this.durationHours * this.room.pricePerHour;
   }
@@ -98,30 +191,47 @@ reservationSchema.pre('save', function(next) {
   next();
 });
 
-// Static method to check room availability
-reservationSchema.statics.checkAvailability = async function(roomId, startTime, endTime, excludeReservationId = null) {
+// Static method to find the first active reservation blocking a slot, keeping the
+// room's setup and teardown buffers free between bookings
+reservationSchema.statics.findConflict = async function(roomId, startTime, endTime, excludeReservationId = null) {
+  const room = await mongoose.model('Room').findById(roomId).select('bufferBeforeMinutes bufferAfterMinutes');
+  const gap = bufferMinutes(room) * 60 * 1000;
+
   const conflictConditions = {
     room: roomId,
     status: { $in: ['pending', 'confirmed'] }, // Only check active reservations
-    $or: [
-      // Existing reservation starts during new reservation
-      { startTime: { $gte: startTime, $lt: endTime } },
-      // Existing reservation ends during new reservation  
-      { endTime: { $gt: startTime, $lte: endTime } },
-      // New reservation is within existing reservation
-      { startTime: { $lte: startTime }, endTime: { $gte: endTime } }
-    ]
+    startTime: { $lt: new Date(new Date(endTime).getTime() + gap) },
+    endTime: { $gt: new Date(new Date(startTime).getTime() - gap) }
   };
 
-  // Exclude current reservation when updating
-  if (excludeReservationId) {
+  // Exclude current reservation(s) when updating
+  if (Array.isArray(excludeReservationId)) {
+    conflictConditions._id = { $nin: excludeReservationId };
+  } else if (excludeReservationId) {
     conflictConditions._id = { $ne: excludeReservationId };
   }
 
-  const conflictingReservation = await this.findOne(conflictConditions);
+  return this.findOne(conflictConditions).sort({ startTime: 1 });
+};
+
+// Static method to check room availability
+reservationSchema.statics.checkAvailability = async function(roomId, startTime, endTime, excludeReservationId = null) {
+  const conflictingReservation = await this.findConflict(roomId, startTime, endTime, excludeReservationId);
   return !conflictingReservation;
 };
 
+// Static method to list a room's active reservations overlapping a time window
+reservationSchema.statics.findBusyIntervals = function(roomId, from, to) {
+  return this.find({
+    room: roomId,
+    status: { $in: ['pending', 'confirmed'] },
+    startTime: { $lt: to },
+    endTime: { $gt: from }
+  })
+  .select('startTime endTime')
+  .sort({ startTime: 1 });
+};
+
 // Static method to find user's upcoming reservations
 reservationSchema.statics.findUpcomingByUser = function(userId, limit = 10) {
   return this.find({
@@ -134,11 +244,22 @@ reservationSchema.statics.findUpcomingByUser = function(userId, limit = 10) {
   .limit(limit);
 };
 
-// Instance method to check if reservation can be cancelled
-reservationSchema.methods.canBeCancelled = function() {
+// Instance method to check if reservation can be cancelled (up to the policy's cutoff before start)
+reservationSchema.methods.canBeCancelled = function(cutoffMinutes = DEFAULT_POLICY.cancellationCutoffMinutes) {
   const now = new Date();
-  const hoursUntilStart = (this.startTime - now) / (1000 * 60 * 60);
-  return this.status === 'confirmed' && hoursUntilStart > 2; // Can cancel up to 2 hours before
+  const minutesUntilStart = (this.startTime - now) / (1000 * 60);
+  return this.isActive && minutesUntilStart > cutoffMinutes;
+};
+
+// Instance method to cancel, recording whether it was too late to cancel for free
+reservationSchema.methods.markCancelled = function(userId, cutoffMinutes, reason) {
+  this.cancellation = {
+    cancelledAt: new Date(),
+    cancelledBy: userId,
+    late: this.status === 'confirmed' && !this.canBeCancelled(cutoffMinutes),
+    reason
+  };
+  this.status = 'cancelled';
 };
 
 // Instance method to check if reservation is in progress
@@ -147,12 +268,26 @@ reservationSchema.methods.isInProgress = function() {
   return now >= this.startTime && now <= this.endTime;
 };
 
+// Instance method to check if reservation can be checked into right now
+reservationSchema.methods.canCheckIn = function(opensMinutesBefore = 15) {
+  const now = new Date();
+  const opensAt = new Date(this.startTime.getTime() - opensMinutesBefore * 60 * 1000);
+  const isOpen = this.isInProgress() || (now >= opensAt && now < this.startTime);
+  return this.status === 'confirmed' && !this.checkedInAt && isOpen;
+};
+
 // Remove __v and add virtuals to JSON output
 reservationSchema.set('toJSON', {
   virtuals: true,
   versionKey: false,
   transform: function(doc, ret) {
     delete ret.__v;
+    // Same instants as startTime / endTime, with the room's UTC offset
+    if (ret.startTime && ret.endTime) {
+      ret.timezone = ret.timezone || DEFAULT_TIMEZONE;
+      ret.localStartTime = toZonedISOString(ret.startTime, ret.timezone);
+      ret.localEndTime = toZonedISOString(ret.endTime, ret.timezone);
+    }
     return ret;
   }
 });
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { WEEKDAYS } = require('../utils/recurrence');
+
+const reservationSeriesSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Series must belong to a user']
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: [true, 'Series must be for a room']
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly'],
+      required: [true, 'Recurrence frequency is required']
+    },
+    interval: {
+      type: Number,
+      min: [1, 'Interval must be at least 1'],
+      default: 1
+    },
+    byWeekday: [{
+      type: String,
+      enum: WEEKDAYS
+    }],
+    count: Number,
+    until: Date
+  },
+  purpose: {
+    type: String,
+    required: [true, 'Meeting purpose is required'],
+    trim: true,
+    maxlength: [200, 'Purpose cannot be more than 200 characters']
+  },
+  attendees: {
+    type: Number,
+    required: [true, 'Number of attendees is required'],
+    min: [1, 'There must be at least 1 attendee']
+  },
+  specialRequirements: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Special requirements cannot be more than 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+reservationSeriesSchema.index({ user: 1 });
+reservationSeriesSchema.index({ room: 1 });
+
+// Remove __v from JSON output
+reservationSeriesSchema.set('toJSON', {
+  versionKey: false,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ReservationSeries', reservationSeriesSchema);
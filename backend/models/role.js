@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, ROLE_NAME } = require('../utils/permissions');
+
+// A custom role defined by an organisation on top of the built-in ones
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    trim: true,
+    match: [ROLE_NAME, 'Role names are lowercase letters, digits and underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  permissions: [{
+    type: String,
+    enum: Object.keys(PERMISSIONS)
+  }],
+  // Unset for roles of the default tenant
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+roleSchema.index({ organisation: 1, name: 1 }, { unique: true });
+
+// Remove __v from JSON output
+roleSchema.set('toJSON', {
+  versionKey: false,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -1,4 +1,50 @@
 const mongoose = require('mongoose');
+const { WEEKDAYS } = require('../utils/recurrence');
+const { TIME_OF_DAY } = require('../utils/openingHours');
+const { ROLE_NAME } = require('../utils/permissions');
+const { isValidTimeZone } = require('../utils/timezone');
+
+// Rate for part of the day, optionally limited to certain weekdays
+const rateRuleSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Rate rule label is required'],
+    trim: true
+  },
+  days: [{
+    type: String,
+    enum: WEEKDAYS
+  }],
+  startTime: {
+    type: String,
+    required: [true, 'Rate rule start time is required'],
+    match: [TIME_OF_DAY, 'Rate rule times must be HH:MM']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'Rate rule end time is required'],
+    match: [TIME_OF_DAY, 'Rate rule times must be HH:MM']
+  },
+  pricePerHour: {
+    type: Number,
+    required: [true, 'Rate rule price is required'],
+    min: [0, 'Price cannot be negative']
+  }
+}, { _id: false });
+
+const roleDiscountSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    match: [ROLE_NAME, 'Invalid role name'],
+    required: true
+  },
+  percent: {
+    type: Number,
+    required: true,
+    min: [0, 'Discount cannot be negative'],
+    max: [100, 'Discount cannot exceed 100%']
+  }
+}, { _id: false });
 
 const roomSchema = new mongoose.Schema({
   name: {
@@ -28,6 +74,45 @@ const roomSchema = new mongoose.Schema({
     required: [true, 'Price per hour is required'],
     min: [0, 'Price cannot be negative']
   },
+  // Optional pricing rules on top of the flat pricePerHour
+  pricing: {
+    // Checked in order; the first rule covering a minute sets its rate
+    rateRules: [rateRuleSchema],
+    roleDiscounts: [roleDiscountSchema],
+    minimumCharge: {
+      type: Number,
+      min: [0, 'Minimum charge cannot be negative']
+    },
+    // Overrides the global tax rate
+    taxPercent: {
+      type: Number,
+      min: [0, 'Tax cannot be negative'],
+      max: [100, 'Tax cannot exceed 100%']
+    }
+  },
+  // Setup time kept free before and teardown time after every booking
+  bufferBeforeMinutes: {
+    type: Number,
+    default: 0,
+    min: [0, 'Buffer cannot be negative'],
+    max: [240, 'Buffer cannot exceed 240 minutes']
+  },
+  bufferAfterMinutes: {
+    type: Number,
+    default: 0,
+    min: [0, 'Buffer cannot be negative'],
+    max: [240, 'Buffer cannot exceed 240 minutes']
+  },
+  // IANA time zone for opening hours, pricing and how times are shown. Rooms in a building
+  // that has one always use the building's.
+  timezone: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Unknown time zone "{VALUE}"'
+    }
+  },
   location: {
     building: {
       type: String,
@@ -38,6 +123,15 @@ const roomSchema = new mongoose.Schema({
       type: String,
       required: [true, 'Floor number is required'],
       trim: true
+    },
+    // Set when the location is part of the building hierarchy; the names above are kept in sync
+    buildingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Building'
+    },
+    floorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Floor'
     }
   },
   images: [{
@@ -48,10 +142,41 @@ const roomSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Every booking must be approved before it is confirmed
+  requiresApproval: {
+    type: Boolean,
+    default: false
+  },
+  // Bookings above these limits need approval even if the room doesn't
+  approvalRules: {
+    priceAbove: {
+      type: Number,
+      min: [0, 'Price threshold cannot be negative']
+    },
+    durationAboveMinutes: {
+      type: Number,
+      min: [1, 'Duration threshold must be at least 1 minute']
+    }
+  },
+  // Users (besides admins) allowed to approve or reject bookings for this room
+  approvers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
+  },
+  // Tenant that owns the room; unset means the default tenant
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation'
+  },
+  // Secret for the read-only room schedule feed (facility screens)
+  calendarToken: {
+    type: String,
+    select: false
   }
 }, {
   timestamps: true
@@ -60,9 +185,13 @@ const roomSchema = new mongoose.Schema({
 // Index for better query performance
 roomSchema.index({ name: 1 });
 roomSchema.index({ 'location.building': 1 });
+roomSchema.index({ 'location.buildingId': 1, 'location.floorId': 1 });
 roomSchema.index({ capacity: 1 });
 roomSchema.index({ pricePerHour: 1 });
 roomSchema.index({ isActive: 1 });
+roomSchema.index({ approvers: 1 });
+roomSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
+roomSchema.index({ organisation: 1, isActive: 1 });
 
 // Virtual for checking if room is available (we'll use this later)
 roomSchema.virtual('isAvailable').get(function() {
@@ -89,6 +218,7 @@ roomSchema.set('toJSON', {
   versionKey: false,
   transform: function(doc, ret) {
     delete ret.__v;
+    delete ret.calendarToken;
     return ret;
   }
 });
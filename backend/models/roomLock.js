@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Short-lived per-room lock that serializes availability check + insert.
+// Works on a standalone MongoDB (no replica set / transactions required).
+const roomLockSchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  token: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// One lock document per room - a second insert fails with a duplicate key error
+roomLockSchema.index({ room: 1 }, { unique: true });
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Static method to acquire a room's lock; resolves to a release token or null if still busy
+roomLockSchema.statics.acquire = async function(roomId, { ttlMs = 10000, retries = 40, delayMs = 25 } = {}) {
+  // Make sure the unique index exists before relying on it
+  await this.init();
+
+  const token = crypto.randomBytes(16).toString('hex');
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      // Takes over an expired lock, or inserts a new one if none exists
+      await this.findOneAndUpdate(
+        { room: roomId, expiresAt: { $lte: new Date() } },
+        { room: roomId, token, expiresAt: new Date(Date.now() + ttlMs) },
+        { upsert: true }
+      );
+      return token;
+    } catch (error) {
+      // Duplicate key means another request holds a live lock
+      if (error.code !== 11000) throw error;
+    }
+
+    await sleep(delayMs);
+  }
+
+  return null;
+};
+
+// Static method to release a lock held with the given token
+roomLockSchema.statics.release = function(roomId, token) {
+  return this.deleteOne({ room: roomId, token });
+};
+
+module.exports = mongoose.model('RoomLock', roomLockSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { BUILT_IN_ROLES, ROLE_NAME, isBuiltInRole, effectivePermissions } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -21,23 +22,48 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false // Don't return password in queries by default
   },
+  // A built-in role (see utils/permissions.js) or a custom role of the user's organisation;
+  // superadmin runs the platform and belongs to no organisation
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    match: [ROLE_NAME, 'Invalid role name'],
     default: 'user'
   },
+  // Tenant the user belongs to; unset means the default tenant
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation'
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Department / cost centre that invoices for this user's bookings go to
+  costCentre: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Cost centre cannot be more than 50 characters']
+  },
+  // Minutes before each booking starts to send a reminder email; empty turns reminders off
+  reminderMinutes: {
+    type: [Number],
+    default: [60]
+  },
   passwordResetToken: String,
-  passwordResetExpires: Date
+  passwordResetExpires: Date,
+  // Secret for the read-only calendar subscription feed
+  calendarToken: {
+    type: String,
+    select: false
+  }
 }, {
   timestamps: true
 });
 
 // Index for better query performance
 userSchema.index({ role: 1 });
+userSchema.index({ costCentre: 1 });
+userSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -54,9 +80,17 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Check if user is admin
-userSchema.methods.isAdmin = function() {
-  return this.role === 'admin';
+// Check a permission. The auth middleware loads the permissions of custom roles; other
+// user documents only know the built-in roles.
+userSchema.methods.can = function(permission) {
+  const permissions = this.$locals.permissions ||
+    effectivePermissions(isBuiltInRole(this.role) ? BUILT_IN_ROLES[this.role] : [], this.organisation);
+  return permissions.has(permission);
+};
+
+// Check if user runs the whole platform
+userSchema.methods.isSuperAdmin = function() {
+  return this.role === 'superadmin';
 };
 
 // Remove password from JSON output
@@ -65,10 +99,11 @@ userSchema.methods.toJSON = function() {
   delete user.password;
   delete user.passwordResetToken;
   delete user.passwordResetExpires;
+  delete user.calendarToken;
   return user;
 };
 
-// Add unique index for email
-userSchema.index({ email: 1 }, { unique: true });
+// Emails are unique within an organisation
+userSchema.index({ organisation: 1, email: 1 }, { unique: true });
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
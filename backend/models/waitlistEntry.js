@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Waitlist entry must belong to a user']
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: [true, 'Waitlist entry must be for a room']
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'End time is required']
+  },
+  purpose: {
+    type: String,
+    required: [true, 'Meeting purpose is required'],
+    trim: true,
+    maxlength: [200, 'Purpose cannot be more than 200 characters']
+  },
+  attendees: {
+    type: Number,
+    required: [true, 'Number of attendees is required'],
+    min: [1, 'There must be at least 1 attendee']
+  },
+  specialRequirements: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Special requirements cannot be more than 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'fulfilled', 'declined', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  // Reservation created for this entry when the slot was offered or granted
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation'
+  },
+  offeredAt: Date,
+  holdExpiresAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+waitlistEntrySchema.index({ user: 1, status: 1 });
+waitlistEntrySchema.index({ room: 1, status: 1, startTime: 1, endTime: 1 });
+waitlistEntrySchema.index({ status: 1, holdExpiresAt: 1 });
+
+// Remove __v from JSON output
+waitlistEntrySchema.set('toJSON', {
+  versionKey: false,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
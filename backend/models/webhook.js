@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../utils/webhooks');
+
+// An external endpoint that receives signed JSON payloads for the events it subscribes to
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    trim: true
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: WEBHOOK_EVENTS
+    }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'At least one event is required'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  // Shared secret for the HMAC signature; only shown when created
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Receives events of this organisation only; unset for the default tenant
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ organisation: 1, isActive: 1, events: 1 });
+
+// Remove __v and the secret from JSON output
+webhookSchema.set('toJSON', {
+  versionKey: false,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    delete ret.secret;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// One event sent to one webhook. The scheduler sends pending deliveries and retries failed ones.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: [true, 'Webhook is required']
+  },
+  event: {
+    type: String,
+    required: [true, 'Event is required']
+  },
+  // The exact JSON body, so retries and redeliveries send the same thing
+  payload: {
+    type: String,
+    required: [true, 'Payload is required']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // HTTP status of the last response, if there was one
+  responseStatus: Number,
+  lastError: String,
+  // When the scheduler should next try a pending delivery
+  nextAttemptAt: Date,
+  deliveredAt: Date
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+// Remove __v from JSON output
+webhookDeliverySchema.set('toJSON', {
+  versionKey: false,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,12 @@
+const express = require('express');
+const { getAuditLogs } = require('../controllers/auditController');
+const { auth, requirePermission } = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+// The audit log is admin only and read-only
+router.use(auth, requirePermission('audit:view'));
+
+router.get('/', getAuditLogs);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+  getLedger,
+  createLedgerEntry,
+  generateInvoices,
+  getInvoices,
+  getInvoiceById,
+  exportInvoice
+} = require('../controllers/billingController');
+const { auth, requirePermission } = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+// All billing routes are admin only
+router.use(auth, requirePermission('billing:manage'));
+
+router.get('/ledger', getLedger);
+router.post('/ledger', createLedgerEntry);
+router.get('/invoices', getInvoices);
+router.post('/invoices', generateInvoices);
+router.get('/invoices/:id', getInvoiceById);
+router.get('/invoices/:id/export', exportInvoice);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+  getBuildings,
+  getBuildingById,
+  createBuilding,
+  updateBuilding,
+  deleteBuilding,
+  createFloor,
+  updateFloor,
+  deleteFloor
+} = require('../controllers/buildingController');
+const { auth, requirePermission } = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+router.use(auth);
+
+router.get('/', getBuildings);
+router.get('/:id', getBuildingById);
+
+// Buildings and floors are managed along with the rooms in them
+router.post('/', requirePermission('rooms:write'), createBuilding);
+router.patch('/:id', requirePermission('rooms:write'), updateBuilding);
+router.delete('/:id', requirePermission('rooms:write'), deleteBuilding);
+router.post('/:id/floors', requirePermission('rooms:write'), createFloor);
+router.patch('/:id/floors/:floorId', requirePermission('rooms:write'), updateFloor);
+router.delete('/:id/floors/:floorId', requirePermission('rooms:write'), deleteFloor);
+
+module.exports = router;
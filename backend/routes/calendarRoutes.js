@@ -0,0 +1,13 @@
+const express = require('express');
+const {
+  getUserFeed,
+  getRoomFeed
+} = require('../controllers/calendarController');
+
+const router = express.Router();
+
+// Public routes - the token in the URL is the credential
+router.get('/rooms/:token.ics', getRoomFeed);
+router.get('/:token.ics', getUserFeed);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const {
+  getHolidays,
+  createHoliday,
+  deleteHoliday,
+  getBlackouts,
+  createBlackout,
+  deleteBlackout
+} = require('../controllers/closureController');
+const { auth, optionalAuth, requirePermission } = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+// Public routes (scoped to the caller's organisation when a token is sent)
+router.get('/holidays', optionalAuth, getHolidays);
+
+// Admin only routes
+router.use(auth, requirePermission('policies:manage')); // All routes below require policies:manage
+
+router.post('/holidays', createHoliday);
+router.delete('/holidays/:id', deleteHoliday);
+router.get('/blackouts', getBlackouts);
+router.post('/blackouts', createBlackout);
+router.delete('/blackouts/:id', deleteBlackout);
+
+module.exports = router;
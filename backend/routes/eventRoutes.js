@@ -0,0 +1,9 @@
+const express = require('express');
+const { streamEvents } = require('../controllers/eventController');
+const { auth, allowQueryToken } = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+router.get('/', allowQueryToken, auth, streamEvents);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const {
+  getNotifications,
+  retryNotification
+} = require('../controllers/notificationController');
+const { auth, requirePermission } = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+// All notification routes are admin only
+router.use(auth, requirePermission('notifications:manage'));
+
+router.get('/', getNotifications);
+router.post('/:id/retry', retryNotification);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  getOrganisations,
+  getOrganisationById,
+  createOrganisation,
+  updateOrganisation,
+  createOrganisationAdmin
+} = require('../controllers/organisationController');
+const { auth, requirePermission } = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+// Tenants are managed by platform super-admins only
+router.use(auth, requirePermission('organisations:manage'));
+
+router.get('/', getOrganisations);
+router.post('/', createOrganisation);
+router.get('/:id', getOrganisationById);
+router.patch('/:id', updateOrganisation);
+router.post('/:id/admins', createOrganisationAdmin);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  getPolicies,
+  createPolicy,
+  updatePolicy,
+  deletePolicy
+} = require('../controllers/policyController');
+const { auth, requirePermission } = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+// All policy routes are admin only
+router.use(auth, requirePermission('policies:manage'));
+
+router.get('/', getPolicies);
+router.post('/', createPolicy);
+router.patch('/:id', updatePolicy);
+router.delete('/:id', deletePolicy);
+
+module.exports = router;
@@ -1,9 +1,12 @@
 const express = require('express');
 const {
   createReservation,
+  createRecurringReservation,
   getUserReservations,
   getReservationById,
   cancelReservation,
+  updateReservation,
+  checkInReservation,
   checkAvailability,
   getUpcomingReservations,
   getAllReservations,
@@ -12,7 +15,21 @@ const {
   getReservationStats,
   getReservationsByRoom
 } = require('../controllers/reservationController');
-const { auth, authorize } = require('../middlewares/authMiddleware');
+const {
+  joinWaitlist,
+  getMyWaitlist,
+  acceptOffer,
+  declineOffer,
+  leaveWaitlist
+} = require('../controllers/waitlistController');
+const {
+  getApprovalQueue,
+  approveReservation,
+  rejectReservation
+} = require('../controllers/approvalController');
+const { getQuote } = require('../controllers/pricingController');
+const { exportReservation, importReservations } = require('../controllers/calendarController');
+const { auth, requirePermission } = require('../middlewares/authMiddleware');
 
 const router = express.Router();
 
@@ -21,19 +38,38 @@ router.use(auth);
 
 // User routes
 router.post('/', createReservation);
+router.post('/recurring', createRecurringReservation);
+router.post('/quote', getQuote);
 router.get('/my-reservations', getUserReservations);
 router.get('/upcoming', getUpcomingReservations);
+
+// Waitlist routes
+router.post('/waitlist', joinWaitlist);
+router.get('/waitlist', getMyWaitlist);
+router.post('/waitlist/:id/accept', acceptOffer);
+router.post('/waitlist/:id/decline', declineOffer);
+router.delete('/waitlist/:id', leaveWaitlist);
+
+// Approval routes (admins and designated room approvers)
+router.get('/approvals', getApprovalQueue);
+router.post('/:id/approve', approveReservation);
+router.post('/:id/reject', rejectReservation);
+
 router.get('/:id', getReservationById);
+router.get('/:id/ics', exportReservation);
+router.patch('/:id', updateReservation);
 router.patch('/:id/cancel', cancelReservation);
+router.post('/:id/check-in', checkInReservation);
 
 // Availability check (public but authenticated)
 router.post('/check-availability', checkAvailability);
 
 //admin routes
-router.get('/admin/all', authorize('admin'), getAllReservations);
-router.get('/admin/stats', authorize('admin'), getReservationStats);
-router.get('/admin/room/:roomId', authorize('admin'), getReservationsByRoom);
-router.patch('/admin/:id/status', authorize('admin'), updateReservationStatus);
-router.patch('/admin/:id/cancel', authorize('admin'), adminCancelReservation);
+router.get('/admin/all', requirePermission('reservations:manage'), getAllReservations);
+router.get('/admin/stats', requirePermission('reports:view'), getReservationStats);
+router.get('/admin/room/:roomId', requirePermission('reservations:manage'), getReservationsByRoom);
+router.patch('/admin/:id/status', requirePermission('reservations:manage'), updateReservationStatus);
+router.patch('/admin/:id/cancel', requirePermission('reservations:manage'), adminCancelReservation);
+router.post('/admin/import', requirePermission('reservations:manage'), importReservations);
 
 module.exports = router;
\ No newline at end of file
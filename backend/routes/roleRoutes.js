@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole
+} = require('../controllers/roleController');
+const { auth, requirePermission } = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+router.use(auth);
+
+// Anyone who assigns roles needs to see them
+router.get('/', requirePermission('users:manage'), getRoles);
+router.post('/', requirePermission('roles:manage'), createRole);
+router.patch('/:id', requirePermission('roles:manage'), updateRole);
+router.delete('/:id', requirePermission('roles:manage'), deleteRole);
+
+module.exports = router;
@@ -2,25 +2,33 @@ const express = require('express');
 const {
   createRoom,
   getAllRooms,
+  searchAvailableRooms,
   getRoomById,
+  getRoomAvailability,
+  getRoomPolicy,
   updateRoom,
   deleteRoom,
   getRoomsByCapacity
 } = require('../controllers/roomController');
-const { auth, authorize } = require('../middlewares/authMiddleware');
+const { createRoomCalendarToken } = require('../controllers/calendarController');
+const { auth, optionalAuth, requirePermission } = require('../middlewares/authMiddleware');
 
 const router = express.Router();
 
-// Public routes
-router.get('/', getAllRooms);
-router.get('/capacity/:min/:max', getRoomsByCapacity);
-router.get('/:id', getRoomById);
+// Public routes (scoped to the caller's organisation when a token is sent)
+router.get('/', optionalAuth, getAllRooms);
+router.get('/available', optionalAuth, searchAvailableRooms);
+router.get('/capacity/:min/:max', optionalAuth, getRoomsByCapacity);
+router.get('/:id', optionalAuth, getRoomById);
+router.get('/:id/availability', optionalAuth, getRoomAvailability);
+router.get('/:id/policy', optionalAuth, getRoomPolicy);
 
-// Admin only routes
-router.use(auth, authorize('admin')); // All routes below require admin role
+// Room management routes
+router.use(auth, requirePermission('rooms:write')); // All routes below require rooms:write
 
 router.post('/', createRoom);
 router.patch('/:id', updateRoom);
 router.delete('/:id', deleteRoom);
+router.post('/:id/calendar-token', createRoomCalendarToken);
 
 module.exports = router;
\ No newline at end of file
@@ -2,25 +2,32 @@ const express = require('express');
 const {
   register,
   login,
+  refreshAccessToken,
+  logout,
   getProfile,
   updateProfile,
   changePassword,
   forgotPassword,
   resetPassword,
   getAllUsers,           
+  createUser,
   getUserById,             
   updateUserRole,        
+  updateUserCostCentre,
   deleteUser,            
   toggleUserStatus,
   getUserStats
 } = require('../controllers/userController');
-const { auth , authorize } = require('../middlewares/authMiddleware');
+const { createUserCalendarToken } = require('../controllers/calendarController');
+const { auth, requirePermission } = require('../middlewares/authMiddleware');
 
 const router = express.Router();
 
 // Public routes
 router.post('/register', register);
 router.post('/login', login);
+router.post('/refresh', refreshAccessToken);
+router.post('/logout', logout);
 router.post('/forgot-password', forgotPassword);
 router.post('/reset-password', resetPassword);
 
@@ -30,13 +37,16 @@ router.use(auth); // All routes below this require authentication
 router.get('/profile', getProfile);
 router.patch('/profile', updateProfile);
 router.patch('/change-password', changePassword);
+router.post('/calendar-token', createUserCalendarToken);
 
-// Admin only routes
-router.get('/admin/users', authorize('admin'), getAllUsers);
-router.get('/admin/users/:id', authorize('admin'), getUserById);
-router.get('/admin/users/stats', authorize('admin'), getUserStats);
-router.patch('/admin/users/:id/role', authorize('admin'), updateUserRole);
-router.patch('/admin/users/:id/status', authorize('admin'), toggleUserStatus);
-router.delete('/admin/users/:id', authorize('admin'), deleteUser);
+// User management routes
+router.get('/admin/users', requirePermission('users:manage'), getAllUsers);
+router.post('/admin/users', requirePermission('users:manage'), createUser);
+router.get('/admin/users/stats', requirePermission('reports:view'), getUserStats);
+router.get('/admin/users/:id', requirePermission('users:manage'), getUserById);
+router.patch('/admin/users/:id/role', requirePermission('users:manage'), updateUserRole);
+router.patch('/admin/users/:id/cost-centre', requirePermission('users:manage'), updateUserCostCentre);
+router.patch('/admin/users/:id/status', requirePermission('users:manage'), toggleUserStatus);
+router.delete('/admin/users/:id', requirePermission('users:manage'), deleteUser);
 
 module.exports = router;
\ No newline at end of file
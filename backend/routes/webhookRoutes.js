@@ -0,0 +1,26 @@
+const express = require('express');
+const {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhook
+} = require('../controllers/webhookController');
+const { auth, requirePermission } = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+// All webhook routes are admin only
+router.use(auth, requirePermission('webhooks:manage'));
+
+router.get('/', getWebhooks);
+router.post('/', createWebhook);
+router.patch('/:id', updateWebhook);
+router.delete('/:id', deleteWebhook);
+router.post('/:id/rotate-secret', rotateWebhookSecret);
+router.get('/:id/deliveries', getWebhookDeliveries);
+router.post('/:id/deliveries/:deliveryId/redeliver', redeliverWebhook);
+
+module.exports = router;
@@ -3,19 +3,29 @@ const mongoose = require('mongoose');
 const User = require('../models/user');
 const connectDB = require('../config/database');
 
+// `npm run create-admin -- --superadmin` creates the platform super-admin instead
+const superadmin = process.argv.includes('--superadmin');
+
 const createAdminUser = async () => {
   try {
     await connectDB();
     
-    const adminUser = {
-      name: 'System Administrator',
-      email: 'admin@roomreservation.com',
-      password: 'admin123',
-      role: 'admin'
-    };
+    const adminUser = superadmin
+      ? {
+        name: 'Platform Administrator',
+        email: 'superadmin@roomreservation.com',
+        password: 'admin123',
+        role: 'superadmin'
+      }
+      : {
+        name: 'System Administrator',
+        email: 'admin@roomreservation.com',
+        password: 'admin123',
+        role: 'admin'
+      };
 
-    // Check if admin already exists
-    const existingAdmin = await User.findOne({ email: adminUser.email });
+    // Check if admin already exists (both live outside any organisation)
+    const existingAdmin = await User.findOne({ email: adminUser.email, organisation: null });
     if (existingAdmin) {
       console.log('✅ Admin user already exists');
       process.exit(0);
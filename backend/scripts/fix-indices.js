@@ -1,40 +1,48 @@
 const mongoose = require('mongoose');
 const User = require('../models/user');
+const BookingPolicy = require('../models/bookingPolicy');
+const Holiday = require('../models/holiday');
 
-const removeDuplicateIndices = async () => {
+const fixEmailIndexes = async () => {
   try {
     // Get all indexes on the users collection
     const indexes = await User.collection.getIndexes();
     console.log('Current indexes:', indexes);
 
-    // Find email indexes
+    // Emails used to be unique across the platform and are now unique per organisation
+    // ({ organisation: 1, email: 1 }), so any index on email alone has to go
     const emailIndexes = Object.entries(indexes)
-      .filter(([_, def]) => JSON.stringify(def).includes('"email":1'));
+      .filter(([_, keys]) => keys.length === 1 && keys[0][0] === 'email');
 
-    // If multiple email indexes exist, drop all but one
-    if (emailIndexes.length > 1) {
-      console.log('Found multiple email indexes:', emailIndexes);
-      // Keep the first one and drop the rest
-      for (let i = 1; i < emailIndexes.length; i++) {
-        const [indexName] = emailIndexes[i];
+    if (emailIndexes.length > 0) {
+      for (const [indexName] of emailIndexes) {
         console.log('Dropping index:', indexName);
         await User.collection.dropIndex(indexName);
       }
-      console.log('Successfully removed duplicate indexes');
+      console.log('Successfully removed platform-wide email indexes');
     } else {
-      console.log('No duplicate indexes found');
+      console.log('No platform-wide email indexes found');
     }
+
+    // Build the per-organisation index now rather than waiting for the app to start
+    await User.syncIndexes();
+
+    // Policies and holidays used to be unique across the platform too; syncIndexes drops
+    // the old indexes and builds the per-organisation ones
+    await BookingPolicy.syncIndexes();
+    await Holiday.syncIndexes();
+    console.log('Synced booking policy and holiday indexes');
   } catch (error) {
-    console.error('Error removing duplicate indexes:', error);
+    console.error('Error fixing email indexes:', error);
   } finally {
     await mongoose.disconnect();
   }
 };
 
-// Connect to database and remove duplicates
+// Connect to database and fix the email indexes
 mongoose
   .connect(process.env.MONGODB_URI)
-  .then(() => removeDuplicateIndices())
+  .then(() => fixEmailIndexes())
   .catch(error => {
     console.error('Connection error:', error);
     process.exit(1);
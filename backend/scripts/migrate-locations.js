@@ -0,0 +1,119 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Building = require('../models/building');
+const Floor = require('../models/floor');
+const Room = require('../models/room');
+const connectDB = require('../config/database');
+const { normalizeName } = require('../utils/locations');
+
+// Turns the free-text location.building / location.floor of rooms into Building and Floor
+// documents and links the rooms to them. Names differing only in case or spacing become one
+// building. Other spellings can be merged with aliases:
+//   npm run migrate-locations -- --alias "HQ=Headquarters" --alias "Bldg 7=Building 7"
+// Pass --dry-run to only print what would be created. Safe to run again.
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+
+// alias key -> canonical building name
+const aliases = new Map();
+args.forEach((arg, index) => {
+  if (arg !== '--alias') return;
+  const [alias, name] = (args[index + 1] || '').split('=').map(part => part && part.trim());
+  if (!alias || !name) {
+    console.error(`❌ Expected --alias "Alias=Building name", got "${args[index + 1] || ''}"`);
+    process.exit(1);
+  }
+  aliases.set(normalizeName(alias), name);
+});
+
+// "Ground Floor" -> 0, "3rd Floor" -> 3, "B2" -> 2, otherwise unset
+const guessLevel = (floor) => {
+  if (/^ground\b/i.test(floor)) return 0;
+  const match = floor.match(/-?\d+/);
+  return match ? Number(match[0]) : undefined;
+};
+
+const migrateLocations = async () => {
+  try {
+    await connectDB();
+
+    const rooms = await Room.find({ 'location.buildingId': { $exists: false } });
+    console.log(`Found ${rooms.length} rooms without a linked building`);
+
+    const buildings = new Map();
+    const floors = new Map();
+    let createdBuildings = 0;
+    let createdFloors = 0;
+
+    const buildingFor = async (organisation, spelling) => {
+      const name = aliases.get(normalizeName(spelling)) || spelling.trim();
+      const key = `${organisation || ''}:${normalizeName(name)}`;
+      if (buildings.has(key)) return buildings.get(key);
+
+      let building = await Building.findOne({ organisation: organisation || null, ...Building.byName(name) });
+      if (!building) {
+        createdBuildings++;
+        console.log(`  + Building "${name}"${organisation ? ` (organisation ${organisation})` : ''}`);
+        building = dryRun
+          ? new Building({ name, organisation })
+          : await Building.create({ name, organisation });
+      }
+      buildings.set(key, building);
+      return building;
+    };
+
+    const floorFor = async (building, name) => {
+      const key = `${building._id}:${normalizeName(name)}`;
+      if (floors.has(key)) return floors.get(key);
+
+      let floor = await Floor.findOne({ building: building._id, nameKey: normalizeName(name) });
+      if (!floor) {
+        createdFloors++;
+        console.log(`  + Floor "${name.trim()}" in "${building.name}"`);
+        const fields = {
+          building: building._id,
+          name,
+          level: guessLevel(name),
+          organisation: building.organisation
+        };
+        floor = dryRun ? new Floor(fields) : await Floor.create(fields);
+      }
+      floors.set(key, floor);
+      return floor;
+    };
+
+    for (const room of rooms) {
+      const building = await buildingFor(room.organisation, room.location.building);
+      const floor = await floorFor(building, room.location.floor);
+
+      // Remember the old spelling, so filters and imports using it still find the building
+      const spelling = normalizeName(room.location.building);
+      if (spelling !== normalizeName(building.name) && !building.aliases.includes(spelling)) {
+        building.aliases.push(spelling);
+        if (!dryRun) await building.save();
+      }
+
+      if (!dryRun) {
+        await Room.updateOne({ _id: room._id }, {
+          location: {
+            building: building.name,
+            floor: floor.name,
+            buildingId: building._id,
+            floorId: floor._id
+          }
+        });
+      }
+    }
+
+    console.log(`✅ ${dryRun ? 'Would create' : 'Created'} ${createdBuildings} buildings and ${createdFloors} floors, ` +
+      `${dryRun ? 'would link' : 'linked'} ${rooms.length} rooms`);
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('❌ Error migrating room locations:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+migrateLocations();
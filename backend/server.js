@@ -2,10 +2,14 @@ require('dotenv').config();
 
 const app = require('./app');
 const connectDB = require('./config/database');
+const { startScheduler } = require('./services/scheduler');
 
 // Connect to database
 connectDB();
 
+// Start background jobs (expiry, no-show release, completion)
+startScheduler();
+
 const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
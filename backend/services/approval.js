@@ -0,0 +1,75 @@
+const Reservation = require('../models/reservation');
+const { snapshot } = require('../utils/audit');
+const { calculatePrice } = require('./pricing');
+const { syncReminders } = require('./reminders');
+const { emitReservationEvent } = require('./events');
+const { recordSystemAudit } = require('./audit');
+
+// Whether booking this room for this slot has to be approved first
+const requiresApproval = (room, startTime, endTime) => {
+  if (room.requiresApproval) return true;
+
+  const rules = room.approvalRules || {};
+  const minutes = (new Date(endTime) - new Date(startTime)) / (1000 * 60);
+
+  if (rules.durationAboveMinutes && minutes > rules.durationAboveMinutes) {
+    return true;
+  }
+
+  // Compared before discounts and tax, so the threshold is the same for everyone
+  if (typeof rules.priceAbove === 'number' && calculatePrice(room, startTime, endTime).subtotal > rules.priceAbove) {
+    return true;
+  }
+
+  return false;
+};
+
+// Status fields for a new or moved booking; bookings by approvers never need approval
+const approvalFields = (user, room, startTime, endTime) => {
+  if (user.can('reservations:approve') || !requiresApproval(room, startTime, endTime)) {
+    return {};
+  }
+  return { status: 'pending', approval: { state: 'awaiting' } };
+};
+
+// Check if a user may approve or reject bookings for this room
+const canApprove = (user, room) => {
+  if (user.can('reservations:approve')) return true;
+  return (room.approvers || []).some(approver => approver.toString() === user.id);
+};
+
+// Cancel a request nobody decided on before the booking started
+const expireApproval = async (reservation) => {
+  const before = snapshot(reservation);
+  reservation.status = 'cancelled';
+  reservation.approval.state = 'expired';
+  reservation.approval.decidedAt = new Date();
+  await reservation.save();
+  await recordSystemAudit('reservation.approval_expired', reservation._id, { before, after: reservation });
+  await syncReminders([reservation]);
+
+  await emitReservationEvent('reservation.status_changed', reservation, { previousStatus: 'pending' });
+  await emitReservationEvent('reservation.cancelled', reservation);
+};
+
+// Cancel approval requests nobody acted on before the booking started
+const expirePendingApprovals = async () => {
+  const expired = await Reservation.find({
+    status: 'pending',
+    'approval.state': 'awaiting',
+    startTime: { $lte: new Date() }
+  });
+
+  for (const reservation of expired) {
+    await expireApproval(reservation);
+  }
+  return expired.length;
+};
+
+module.exports = {
+  requiresApproval,
+  approvalFields,
+  canApprove,
+  expireApproval,
+  expirePendingApprovals
+};
@@ -0,0 +1,53 @@
+const AuditLog = require('../models/auditLog');
+const { snapshot, diffSnapshots } = require('../utils/audit');
+const { tenantOf } = require('../utils/tenant');
+
+// Background jobs: no actor ID, role "system"
+const SYSTEM_ACTOR = { role: 'system' };
+
+// Tenant an entry belongs to: the changed record's, or the request's for records without one
+const auditOrganisation = (req, action, targetId, changed) => {
+  if (action.startsWith('organisation.')) return targetId;
+  if (changed && changed.organisation !== undefined) return changed.organisation || null;
+  return req ? tenantOf(req) : null;
+};
+
+// Append an audit entry for the request. `action` is "<targetType>.<what happened>";
+// `before` and `after` are documents or snapshots and only their differences are stored.
+// Pass `actor` when the request isn't authenticated, no `req` outside a request, and
+// `organisation` for records that don't carry one. Never throws, so auditing can't fail
+// the action itself.
+const recordAudit = async (req, action, targetId, { before, after, actor = req && req.user, organisation } = {}) => {
+  try {
+    const beforeSnapshot = snapshot(before);
+    const afterSnapshot = snapshot(after);
+    const changes = diffSnapshots(beforeSnapshot, afterSnapshot);
+
+    return await AuditLog.create({
+      actor: actor && actor._id,
+      actorRole: actor && actor.role,
+      action,
+      targetType: action.split('.')[0],
+      targetId,
+      before: changes.before,
+      after: changes.after,
+      organisation: organisation !== undefined
+        ? organisation || null
+        : auditOrganisation(req, action, targetId, afterSnapshot || beforeSnapshot),
+      ip: req ? req.ip : undefined,
+      userAgent: req ? req.get('user-agent') : undefined
+    });
+  } catch (error) {
+    console.error(`Audit "${action}" error:`, error);
+    return null;
+  }
+};
+
+// Append an audit entry for a change a background job made
+const recordSystemAudit = (action, targetId, changes = {}) =>
+  recordAudit(null, action, targetId, { ...changes, actor: SYSTEM_ACTOR });
+
+module.exports = {
+  recordAudit,
+  recordSystemAudit
+};
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const Counter = require('../models/counter');
+const Invoice = require('../models/invoice');
+const LedgerEntry = require('../models/ledgerEntry');
+const Reservation = require('../models/reservation');
+const config = require('../config/config');
+const { calculatePrice, roundMoney } = require('./pricing');
+const { MAX_OFFSET, roomTimeZone, fromZonedTime } = require('../utils/timezone');
+
+// What a finished booking is charged, by final status
+const chargeRules = () => ({
+  completed: {
+    type: 'charge',
+    percent: 100,
+    label: '',
+    occurredAt: reservation => reservation.endTime
+  },
+  no_show: {
+    type: 'no_show_fee',
+    percent: config.billing.noShowFeePercent,
+    label: 'No-show fee',
+    occurredAt: reservation => reservation.startTime
+  },
+  cancelled: {
+    type: 'cancellation_fee',
+    percent: config.billing.lateCancellationFeePercent,
+    label: 'Late cancellation fee',
+    occurredAt: reservation => reservation.cancellation.cancelledAt
+  }
+});
+
+// The price the booking was made at; older bookings without a snapshot use current room prices
+const bookedPrice = (reservation) => {
+  if (reservation.price) {
+    return { total: reservation.price.total, currency: reservation.price.currency };
+  }
+  const price = calculatePrice(reservation.room, reservation.startTime, reservation.endTime);
+  return { total: price.total, currency: price.currency };
+};
+
+// Post ledger entries for completed bookings, no-shows and late cancellations not yet billed
+const postCharges = async () => {
+  const rules = chargeRules();
+  const reservations = await Reservation.find({
+    billedAt: { $exists: false },
+    $or: [
+      { status: 'completed' },
+      { status: 'no_show' },
+      { status: 'cancelled', 'cancellation.late': true }
+    ]
+  })
+  .populate('room', 'name pricePerHour pricing')
+  .populate('user', 'costCentre');
+
+  for (const reservation of reservations) {
+    const rule = rules[reservation.status];
+    const { total, currency } = bookedPrice(reservation);
+    const amount = roundMoney(total * rule.percent / 100);
+    const roomName = reservation.room ? reservation.room.name : 'Deleted room';
+
+    // Nobody is left to bill once the user has been deleted
+    if (amount !== 0 && reservation.user) {
+      try {
+        await LedgerEntry.create({
+          user: reservation.user._id,
+          costCentre: reservation.user.costCentre,
+          organisation: reservation.organisation,
+          type: rule.type,
+          reservation: reservation._id,
+          room: reservation.room && reservation.room._id,
+          description: [
+            rule.label && `${rule.label} (${rule.percent}%)`,
+            `${roomName}: ${reservation.purpose}`
+          ].filter(Boolean).join(' - '),
+          amount,
+          currency,
+          occurredAt: rule.occurredAt(reservation)
+        });
+      } catch (error) {
+        // Already posted by an earlier run that didn't get to mark the reservation
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    await Reservation.updateOne({ _id: reservation._id }, { billedAt: new Date() });
+  }
+
+  return reservations.length;
+};
+
+// Invoices are numbered per month: INV-202601-0001. Months invoiced before the counter
+// existed carry on from their invoice count.
+const nextInvoiceNumber = async (year, month) => {
+  const period = `${year}${String(month).padStart(2, '0')}`;
+  const seq = await Counter.next(`invoice:${period}`, () => (
+    Invoice.countDocuments({ 'period.year': year, 'period.month': month })
+  ));
+  return `INV-${period}-${String(seq).padStart(4, '0')}`;
+};
+
+// Whether an entry falls in the calendar month in its room's zone (the default zone for
+// entries without a room, such as manual credits)
+const inMonth = (entry, year, month) => {
+  const timeZone = roomTimeZone(entry.room);
+  return entry.occurredAt >= fromZonedTime({ year, month, day: 1 }, timeZone) &&
+    entry.occurredAt < fromZonedTime({ year, month: month + 1, day: 1 }, timeZone);
+};
+
+// Invoice every uninvoiced entry from the month, one invoice per organisation and cost centre
+// (or per user for entries without one). `tenant` narrows the run to one organisation.
+// Months run from midnight to midnight in each room's zone. Safe to re-run, even concurrently:
+// invoiced entries are skipped.
+const generateInvoices = async (year, month, tenant = {}) => {
+  // Every zone's month lies within the UTC month widened by the largest offset
+  const candidates = await LedgerEntry.find({
+    ...tenant,
+    invoice: { $exists: false },
+    occurredAt: {
+      $gte: new Date(Date.UTC(year, month - 1, 1) - MAX_OFFSET),
+      $lt: new Date(Date.UTC(year, month, 1) + MAX_OFFSET)
+    }
+  })
+  .populate('room', 'timezone')
+  .sort({ occurredAt: 1, _id: 1 });
+  const entries = candidates.filter(entry => inMonth(entry, year, month));
+
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = `${entry.organisation || ''}:` +
+      (entry.costCentre ? `costCentre:${entry.costCentre}` : `user:${entry.user}`);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+
+  const invoices = [];
+  for (const group of groups.values()) {
+    // Claim the entries before invoicing them, so overlapping runs never invoice an entry twice
+    const invoiceId = new mongoose.Types.ObjectId();
+    await LedgerEntry.updateMany(
+      { _id: { $in: group.map(entry => entry._id) }, invoice: { $exists: false } },
+      { invoice: invoiceId }
+    );
+    const groupEntries = await LedgerEntry.find({ invoice: invoiceId }).sort({ occurredAt: 1, _id: 1 });
+    if (!groupEntries.length) continue;
+
+    const [first] = groupEntries;
+    try {
+      const invoice = await Invoice.create({
+        _id: invoiceId,
+        number: await nextInvoiceNumber(year, month),
+        period: { year, month },
+        costCentre: first.costCentre,
+        user: first.costCentre ? undefined : first.user,
+        lines: groupEntries.map(entry => ({
+          entry: entry._id,
+          date: entry.occurredAt,
+          user: entry.user,
+          description: entry.description,
+          amount: entry.amount
+        })),
+        total: roundMoney(groupEntries.reduce((sum, entry) => sum + entry.amount, 0)),
+        currency: first.currency,
+        organisation: first.organisation
+      });
+      invoices.push(invoice);
+    } catch (error) {
+      // Hand the entries back so the next run can invoice them
+      await LedgerEntry.updateMany({ invoice: invoiceId }, { $unset: { invoice: 1 } });
+      throw error;
+    }
+  }
+
+  return invoices;
+};
+
+module.exports = {
+  postCharges,
+  generateInvoices
+};
@@ -0,0 +1,261 @@
+const BookingPolicy = require('../models/bookingPolicy');
+const Reservation = require('../models/reservation');
+const ReservationSeries = require('../models/reservationSeries');
+const Room = require('../models/room');
+const RoomLock = require('../models/roomLock');
+const { createReservationValidation } = require('../utils/validations');
+const { validateDuration } = require('../utils/bookingRules');
+const { expandRecurrence, MAX_OCCURRENCES } = require('../utils/recurrence');
+const { roomTimeZone } = require('../utils/timezone');
+const { resolveFloatingTimes } = require('../utils/ical');
+const { calculatePrice } = require('./pricing');
+const { policyFor } = require('./policy');
+const { loadBuildings, buildingOf } = require('./locations');
+const { findClosure } = require('./closures');
+const { syncReminders } = require('./reminders');
+const { emitReservationEvent } = require('./events');
+const { bufferMinutes, conflictMessage } = require('../utils/availability');
+
+const normalize = (value) => String(value).trim().toLowerCase();
+
+// Whether two slots come closer than `gapMinutes` apart
+const overlaps = (a, b, gapMinutes = 0) => {
+  const gap = gapMinutes * 60 * 1000;
+  return a.startTime.getTime() < b.endTime.getTime() + gap && a.endTime.getTime() > b.startTime.getTime() - gap;
+};
+
+// Find the room for an event LOCATION: the explicit mapping first, then a
+// room with that name, then the part before the first comma (our own exports
+// use "Room, Building, Floor"). Only rooms matching `roomFilter` (the tenant) are candidates.
+const buildRoomResolver = async (roomMapping, roomFilter = {}) => {
+  const rooms = await Room.find(roomFilter);
+  const byId = new Map(rooms.map(room => [room._id.toString(), room]));
+  const byName = new Map(rooms.map(room => [normalize(room.name), room]));
+  const mapping = new Map(Object.entries(roomMapping).map(([location, roomId]) => [normalize(location), roomId]));
+
+  return (location) => {
+    const key = normalize(location);
+    if (mapping.has(key)) return byId.get(mapping.get(key)) || null;
+    return byName.get(key) || byName.get(normalize(location.split(',')[0])) || null;
+  };
+};
+
+// Concrete occurrences of an event, minus EXDATEs and overridden instances. Events
+// without a TZID repeat in the room's zone.
+const expandEvent = (event, overrides, room) => {
+  if (!event.recurrence) {
+    return [{ startTime: event.startTime, endTime: event.endTime }];
+  }
+
+  const excluded = new Set([...event.exdates, ...overrides].map(date => date.getTime()));
+  return expandRecurrence(event.startTime, event.endTime, event.recurrence, event.timezone || roomTimeZone(room))
+    .filter(occurrence => !excluded.has(occurrence.startTime.getTime()));
+};
+
+// Why an event can't be imported at all, or null
+const checkEvent = (event, room, occurrences) => {
+  if (event.error) return event.error;
+  if (event.allDay) return 'All-day events cannot be imported';
+  if (!event.location) return 'Event has no LOCATION';
+  if (!room) return `No room mapped for location "${event.location}"`;
+  if (!room.isActive) return 'Room not found or not available';
+  if (occurrences.length === 0) return 'Recurrence rule does not produce any occurrences';
+  if (occurrences.length > MAX_OCCURRENCES) {
+    return `A series cannot have more than ${MAX_OCCURRENCES} occurrences`;
+  }
+  return null;
+};
+
+// Run one occurrence through the same checks as createReservation
+const checkOccurrence = (event, room, occurrence, policy) => {
+  const attendees = Math.max(event.attendees, 1);
+  const { error } = createReservationValidation.validate({
+    room: room._id.toString(),
+    startTime: occurrence.startTime,
+    endTime: occurrence.endTime,
+    purpose: event.summary,
+    attendees
+  });
+  if (error) return error.details[0].message;
+
+  if (attendees > room.capacity) {
+    return `Room capacity exceeded. Maximum capacity: ${room.capacity}`;
+  }
+
+  // Imports are made by admins on the owner's behalf, so only the duration limits apply
+  return validateDuration(occurrence.startTime, occurrence.endTime, policy);
+};
+
+// Build the dry-run report: every occurrence marked creatable, conflict or invalid
+const planImport = async (events, { roomMapping = {}, roomFilter = {} } = {}) => {
+  const resolveRoom = await buildRoomResolver(roomMapping, roomFilter);
+  const policies = await BookingPolicy.find(roomFilter);
+  const buildings = await loadBuildings(await Room.find(roomFilter).select('location'));
+  const accepted = new Map();
+  const items = [];
+
+  // Times without a zone are the room's local times
+  const rooms = new Map();
+  for (const event of events) {
+    const room = event.location ? resolveRoom(event.location) : null;
+    rooms.set(event, room);
+    resolveFloatingTimes(event, event.timezone || roomTimeZone(room));
+  }
+
+  // Instances moved or edited via RECURRENCE-ID replace the master's occurrence
+  const overridesByUid = new Map();
+  for (const event of events) {
+    if (event.recurrenceId && event.uid) {
+      overridesByUid.set(event.uid, [...(overridesByUid.get(event.uid) || []), event.recurrenceId]);
+    }
+  }
+
+  for (const event of events) {
+    if (event.status === 'CANCELLED') {
+      items.push({ event, result: { status: 'skipped', reason: 'Event is cancelled' } });
+      continue;
+    }
+
+    const room = rooms.get(event);
+    const occurrences = event.error || event.allDay || event.recurrenceId
+      ? [{ startTime: event.startTime, endTime: event.endTime }]
+      : expandEvent(event, overridesByUid.get(event.uid) || [], room);
+
+    const eventError = checkEvent(event, room, occurrences);
+    if (eventError) {
+      items.push({ event, room, result: { status: 'invalid', reason: eventError } });
+      continue;
+    }
+
+    const roomId = room._id.toString();
+    if (!accepted.has(roomId)) accepted.set(roomId, []);
+    const roomSlots = accepted.get(roomId);
+
+    for (const occurrence of occurrences) {
+      const item = { event, room, occurrence, result: {} };
+      items.push(item);
+
+      const policy = policyFor(policies, room, buildingOf(buildings, room));
+      const occurrenceError = checkOccurrence(event, room, occurrence, policy) ||
+        await findClosure(room, policy, occurrence.startTime, occurrence.endTime);
+      if (occurrenceError) {
+        item.result = { status: 'invalid', reason: occurrenceError };
+        continue;
+      }
+
+      if (roomSlots.some(slot => overlaps(slot, occurrence, bufferMinutes(room)))) {
+        item.result = { status: 'conflict', reason: 'Overlaps another event in this import' };
+        continue;
+      }
+
+      const conflict = await Reservation.findConflict(room._id, occurrence.startTime, occurrence.endTime);
+      if (conflict) {
+        item.result = { status: 'conflict', reason: conflictMessage(room, conflict, occurrence.startTime, occurrence.endTime) };
+      } else {
+        item.result = { status: 'creatable' };
+        roomSlots.push(occurrence);
+      }
+    }
+  }
+
+  return items;
+};
+
+// Create every creatable occurrence for `user`, re-checking availability under each room's lock
+const commitImport = async (items, user) => {
+  const byRoom = new Map();
+  for (const item of items.filter(({ result }) => result.status === 'creatable')) {
+    const roomId = item.room._id.toString();
+    if (!byRoom.has(roomId)) byRoom.set(roomId, []);
+    byRoom.get(roomId).push(item);
+  }
+
+  for (const [roomId, roomItems] of byRoom) {
+    const lockToken = await RoomLock.acquire(roomId);
+    if (!lockToken) {
+      roomItems.forEach(item => {
+        item.result = { status: 'conflict', reason: 'Room is being booked by another request' };
+      });
+      continue;
+    }
+
+    try {
+      const available = [];
+      for (const item of roomItems) {
+        const { startTime, endTime } = item.occurrence;
+        const conflict = await Reservation.findConflict(roomId, startTime, endTime);
+        if (conflict) {
+          item.result = { status: 'conflict', reason: conflictMessage(item.room, conflict, startTime, endTime) };
+        } else {
+          available.push(item);
+        }
+      }
+
+      // Recurring events become a series so they can be edited or cancelled together
+      const seriesByEvent = new Map();
+      for (const { event } of available) {
+        if (event.recurrence && !seriesByEvent.has(event)) {
+          const series = await ReservationSeries.create({
+            user: user._id,
+            room: roomId,
+            recurrence: event.recurrence,
+            purpose: event.summary,
+            attendees: Math.max(event.attendees, 1)
+          });
+          seriesByEvent.set(event, series._id);
+        }
+      }
+
+      const reservations = await Reservation.insertMany(available.map(({ event, room, occurrence }) => ({
+        user: user._id,
+        room: roomId,
+        organisation: room.organisation,
+        timezone: room.timezone,
+        startTime: occurrence.startTime,
+        endTime: occurrence.endTime,
+        attendees: Math.max(event.attendees, 1),
+        purpose: event.summary,
+        series: seriesByEvent.get(event),
+        price: calculatePrice(room, occurrence.startTime, occurrence.endTime, user)
+      })));
+      await syncReminders(reservations);
+      for (const reservation of reservations) {
+        await emitReservationEvent('reservation.created', reservation);
+      }
+
+      reservations.forEach((reservation, index) => {
+        available[index].result = { status: 'created', reservation: reservation._id };
+      });
+    } finally {
+      await RoomLock.release(roomId, lockToken);
+    }
+  }
+
+  return items;
+};
+
+// Flatten planned/committed items into the report returned to the client
+const buildImportReport = (items) => {
+  const results = items.map(({ event, room, occurrence, result }) => ({
+    uid: event.uid,
+    summary: event.summary,
+    location: event.location,
+    room: room ? { _id: room._id, name: room.name } : null,
+    startTime: occurrence ? occurrence.startTime : event.startTime,
+    endTime: occurrence ? occurrence.endTime : event.endTime,
+    ...result
+  }));
+
+  const summary = { events: new Set(items.map(({ event }) => event)).size };
+  for (const status of ['creatable', 'created', 'conflict', 'invalid', 'skipped']) {
+    summary[status] = results.filter(result => result.status === status).length;
+  }
+
+  return { summary, results };
+};
+
+module.exports = {
+  planImport,
+  commitImport,
+  buildImportReport
+};
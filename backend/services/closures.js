@@ -0,0 +1,112 @@
+const Blackout = require('../models/blackout');
+const Holiday = require('../models/holiday');
+const Reservation = require('../models/reservation');
+const Room = require('../models/room');
+const {
+  checkOpeningHours,
+  closedIntervals,
+  dateKeysBetween,
+  parseDateKey
+} = require('../utils/openingHours');
+const { DAY_MS, addDays, toZonedISOString } = require('../utils/timezone');
+const { tenantFilterFor, sameTenant } = require('../utils/tenant');
+
+// Holidays and blackouts carry a room, a building or neither (everywhere in the organisation)
+const coversRoom = (closure, room) => {
+  if (!sameTenant(closure, room)) return false;
+  if (closure.room) return closure.room.toString() === room._id.toString();
+  if (closure.building) return closure.building === (room.location && room.location.building);
+  return true;
+};
+
+// Holidays and blackouts touching [from, to), loaded once to check many slots or rooms.
+// Holidays are calendar dates in each room's zone, so a day either side is loaded too.
+// `tenant` narrows them to an organisation (see utils/tenant.js).
+const loadClosures = async (from, to, tenant = {}) => {
+  const dates = dateKeysBetween(new Date(new Date(from).getTime() - DAY_MS), new Date(new Date(to).getTime() + DAY_MS), 'UTC');
+  const holidays = await Holiday.find({ ...tenant, date: { $in: dates } });
+  const blackouts = await Blackout.find({ ...tenant, startTime: { $lt: to }, endTime: { $gt: from } });
+  return { holidays, blackouts };
+};
+
+// Why the room is closed for the slot, or null. `policy` supplies the opening hours and time zone.
+const closureReason = (room, policy, closures, startTime, endTime) => {
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+
+  const hoursError = checkOpeningHours(policy.openingHours, start, end, policy.timezone);
+  if (hoursError) return hoursError;
+
+  const days = dateKeysBetween(start, end, policy.timezone);
+  const holiday = closures.holidays.find(entry => days.includes(entry.date) && coversRoom(entry, room));
+  if (holiday) {
+    return `Room is closed for ${holiday.name} on ${holiday.date}`;
+  }
+
+  const blackout = closures.blackouts.find(entry => (
+    entry.startTime < end && entry.endTime > start && coversRoom(entry, room)
+  ));
+  if (blackout) {
+    return `Room is unavailable (${blackout.reason}) from ${toZonedISOString(blackout.startTime, policy.timezone)} ` +
+      `to ${toZonedISOString(blackout.endTime, policy.timezone)}`;
+  }
+
+  return null;
+};
+
+// closureReason for a single slot
+const findClosure = async (room, policy, startTime, endTime) => (
+  closureReason(room, policy, await loadClosures(startTime, endTime, tenantFilterFor(room)), startTime, endTime)
+);
+
+// Closed time inside [from, to), shaped like busy intervals
+const findClosedIntervals = async (room, policy, from, to) => {
+  const { holidays, blackouts } = await loadClosures(from, to, tenantFilterFor(room));
+  const intervals = closedIntervals(policy.openingHours, from, to, policy.timezone);
+
+  holidays
+    .filter(holiday => coversRoom(holiday, room))
+    .forEach(holiday => {
+      const day = parseDateKey(holiday.date, policy.timezone);
+      intervals.push({
+        startTime: day,
+        endTime: addDays(day, 1, policy.timezone)
+      });
+    });
+
+  blackouts
+    .filter(blackout => coversRoom(blackout, room))
+    .forEach(blackout => intervals.push({ startTime: blackout.startTime, endTime: blackout.endTime }));
+
+  return intervals;
+};
+
+// Active reservations of the blackout's organisation that fall inside it
+const findBlackoutConflicts = async (blackout) => {
+  const tenant = tenantFilterFor(blackout);
+  const filter = {
+    ...tenant,
+    status: { $in: ['pending', 'confirmed'] },
+    startTime: { $lt: blackout.endTime },
+    endTime: { $gt: blackout.startTime }
+  };
+
+  if (blackout.room) {
+    filter.room = blackout.room;
+  } else if (blackout.building) {
+    filter.room = { $in: await Room.find({ ...tenant, 'location.building': blackout.building }).distinct('_id') };
+  }
+
+  return Reservation.find(filter)
+    .populate('user', 'name email')
+    .populate('room', 'name location')
+    .sort({ startTime: 1 });
+};
+
+module.exports = {
+  loadClosures,
+  closureReason,
+  findClosure,
+  findClosedIntervals,
+  findBlackoutConflicts
+};
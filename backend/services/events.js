@@ -0,0 +1,59 @@
+const { EventEmitter } = require('events');
+const { emitEvent } = require('./webhooks');
+
+// In-process bus feeding the live /api/events streams
+const bus = new EventEmitter();
+// One listener per open stream
+bus.setMaxListeners(0);
+
+// Listen for every event; returns a function that stops listening
+const subscribe = (listener) => {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+};
+
+// Works for populated and unpopulated references
+const idOf = (value) => value && (value._id || value).toString();
+
+// Stable payload shapes, whatever the caller had populated
+const reservationData = (reservation) => ({
+  id: reservation._id.toString(),
+  room: idOf(reservation.room),
+  user: idOf(reservation.user),
+  series: idOf(reservation.series),
+  startTime: reservation.startTime,
+  endTime: reservation.endTime,
+  status: reservation.status,
+  purpose: reservation.purpose,
+  attendees: reservation.attendees
+});
+
+const roomData = (room) => ({
+  id: room._id.toString(),
+  name: room.name,
+  location: room.location,
+  capacity: room.capacity,
+  isActive: room.isActive
+});
+
+// Announce a change to open streams and the organisation's webhook subscribers. Never throws.
+const publish = async (event, data, organisation = null) => {
+  try {
+    bus.emit('event', event, data);
+  } catch (error) {
+    console.error(`Event stream "${event}" error:`, error);
+  }
+  await emitEvent(event, data, organisation);
+};
+
+const emitReservationEvent = (event, reservation, extra = {}) =>
+  publish(event, { reservation: reservationData(reservation), ...extra }, reservation.organisation);
+
+const emitRoomEvent = (event, room) => publish(event, { room: roomData(room) }, room.organisation);
+
+module.exports = {
+  subscribe,
+  publish,
+  emitReservationEvent,
+  emitRoomEvent
+};
@@ -0,0 +1,55 @@
+const Reservation = require('../models/reservation');
+const config = require('../config/config');
+const { snapshot } = require('../utils/audit');
+const { processFreedSlot } = require('./waitlist');
+const { emitReservationEvent } = require('./events');
+const { recordSystemAudit } = require('./audit');
+
+// Release confirmed bookings nobody checked into within the grace period
+const releaseNoShows = async () => {
+  if (!config.checkIn.required) return 0;
+
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - config.checkIn.graceMinutes * 60 * 1000);
+
+  const noShows = await Reservation.find({
+    status: 'confirmed',
+    checkedInAt: { $exists: false },
+    startTime: { $lte: cutoff }
+  });
+
+  for (const reservation of noShows) {
+    const before = snapshot(reservation);
+    reservation.status = 'no_show';
+    await reservation.save();
+    await recordSystemAudit('reservation.no_show', reservation._id, { before, after: reservation });
+    await emitReservationEvent('reservation.status_changed', reservation, { previousStatus: 'confirmed' });
+
+    // Whatever is left of the slot becomes bookable again
+    if (reservation.endTime > now) {
+      await processFreedSlot(reservation.room, now, reservation.endTime);
+    }
+  }
+
+  return noShows.length;
+};
+
+// Mark confirmed bookings that have ended as completed, one by one so each change is announced
+const completeEndedReservations = async () => {
+  const ended = await Reservation.find({ status: 'confirmed', endTime: { $lte: new Date() } });
+
+  for (const reservation of ended) {
+    const before = snapshot(reservation);
+    reservation.status = 'completed';
+    await reservation.save();
+    await recordSystemAudit('reservation.completed', reservation._id, { before, after: reservation });
+    await emitReservationEvent('reservation.status_changed', reservation, { previousStatus: 'confirmed' });
+  }
+
+  return ended.length;
+};
+
+module.exports = {
+  releaseNoShows,
+  completeEndedReservations
+};
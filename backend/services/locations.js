@@ -0,0 +1,86 @@
+const Building = require('../models/building');
+const Floor = require('../models/floor');
+const Reservation = require('../models/reservation');
+const Room = require('../models/room');
+const { normalizeName } = require('../utils/locations');
+
+// Link a room location to the organisation's building hierarchy. Ids win over names; a
+// building name that isn't in the hierarchy is kept as free text. The returned location
+// carries the canonical names, so "HQ" is stored as "Headquarters".
+// Returns { location, timezone } or { error } when an id doesn't belong to the organisation.
+const resolveLocation = async ({ building, floor, buildingId, floorId }, organisation) => {
+  const scope = { organisation: organisation || null };
+
+  let floorDoc = null;
+  if (floorId) {
+    floorDoc = await Floor.findOne({ _id: floorId, ...scope });
+    if (!floorDoc) {
+      return { error: 'Floor not found' };
+    }
+    if (buildingId && floorDoc.building.toString() !== buildingId.toString()) {
+      return { error: 'Floor does not belong to the building' };
+    }
+    buildingId = floorDoc.building;
+  }
+
+  let buildingDoc;
+  if (buildingId) {
+    buildingDoc = await Building.findOne({ _id: buildingId, ...scope });
+    if (!buildingDoc) {
+      return { error: 'Building not found' };
+    }
+  } else {
+    buildingDoc = await Building.findOne({ ...scope, ...Building.byName(building) });
+  }
+
+  if (!buildingDoc) {
+    return { location: { building, floor } };
+  }
+
+  if (!floorDoc && floor) {
+    floorDoc = await Floor.findOne({ building: buildingDoc._id, nameKey: normalizeName(floor) });
+  }
+
+  return {
+    location: {
+      building: buildingDoc.name,
+      floor: floorDoc ? floorDoc.name : floor,
+      buildingId: buildingDoc._id,
+      floorId: floorDoc ? floorDoc._id : undefined
+    },
+    // Rooms take their building's time zone, when it has one
+    timezone: buildingDoc.timezone
+  };
+};
+
+// Move the matching rooms, and every reservation in them, to a time zone
+const setRoomTimeZone = async (roomFilter, timezone) => {
+  const roomIds = await Room.find(roomFilter).distinct('_id');
+  await Room.updateMany({ _id: { $in: roomIds } }, { timezone });
+  await Reservation.updateMany({ room: { $in: roomIds } }, { timezone });
+};
+
+// Buildings of the given rooms by id, for policy lookups over many rooms
+const loadBuildings = async (rooms) => {
+  const ids = [...new Set(rooms
+    .map(room => room.location && room.location.buildingId)
+    .filter(Boolean)
+    .map(id => id.toString()))];
+  if (ids.length === 0) return new Map();
+
+  const buildings = await Building.find({ _id: { $in: ids } });
+  return new Map(buildings.map(building => [building._id.toString(), building]));
+};
+
+// The room's building out of a map from loadBuildings
+const buildingOf = (buildings, room) => {
+  const id = room.location && room.location.buildingId;
+  return (id && buildings.get(id.toString())) || null;
+};
+
+module.exports = {
+  resolveLocation,
+  setRoomTimeZone,
+  loadBuildings,
+  buildingOf
+};
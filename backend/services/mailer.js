@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const config = require('../config/config');
+
+// A transport is { send: async (message) => {} } and throws when the message wasn't sent.
+// Messages are { from, to, subject, text }.
+
+// Keeps messages in process; tests read them from `messages`
+const memoryTransport = {
+  messages: [],
+  send: async (message) => {
+    memoryTransport.messages.push({ ...message, sentAt: new Date() });
+  }
+};
+
+// Writes each message as an .eml file, for local development
+const fileTransport = {
+  send: async (message) => {
+    await fs.promises.mkdir(config.mail.dir, { recursive: true });
+    const name = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+    const contents = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      message.text
+    ].join('\r\n');
+    await fs.promises.writeFile(path.join(config.mail.dir, name), contents);
+  }
+};
+
+let smtpClient = null;
+
+const smtpTransport = {
+  send: async (message) => {
+    if (!smtpClient) {
+      const { host, port, secure, user, pass } = config.mail.smtp;
+      smtpClient = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+      });
+    }
+    await smtpClient.sendMail(message);
+  }
+};
+
+const transports = {
+  smtp: smtpTransport,
+  file: fileTransport,
+  memory: memoryTransport
+};
+
+// Add or replace a transport, e.g. for another email provider
+const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+const getTransport = (name = config.mail.transport) => {
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+  return transport;
+};
+
+// Send through the configured transport
+const sendMail = (message) => getTransport().send({ from: config.mail.from, ...message });
+
+module.exports = {
+  memoryTransport,
+  registerTransport,
+  getTransport,
+  sendMail
+};
@@ -0,0 +1,98 @@
+const Notification = require('../models/notification');
+const Reservation = require('../models/reservation');
+const config = require('../config/config');
+const { renderTemplate } = require('../utils/emailTemplates');
+const { sendMail } = require('./mailer');
+
+const MINUTE = 60 * 1000;
+
+// Wait 1, 2, 4, ... minutes (at most an hour) after each failed attempt
+const retryDelay = (attempts) => Math.min(2 ** (attempts - 1), 60) * MINUTE;
+
+// Try to send one outbox entry, recording the outcome
+const deliver = async (notification) => {
+  notification.attempts += 1;
+
+  try {
+    await sendMail({
+      to: notification.to,
+      subject: notification.subject,
+      text: notification.text
+    });
+    notification.status = 'sent';
+    notification.sentAt = new Date();
+    notification.nextAttemptAt = undefined;
+    notification.lastError = undefined;
+  } catch (error) {
+    notification.lastError = error.message;
+    if (notification.attempts >= config.mail.maxAttempts) {
+      notification.status = 'failed';
+      notification.nextAttemptAt = undefined;
+    } else {
+      notification.nextAttemptAt = new Date(Date.now() + retryDelay(notification.attempts));
+    }
+  }
+
+  await notification.save();
+  return notification;
+};
+
+// Queue a templated email and try to send it straight away.
+// `links` ties the outbox entry to a user and/or reservation and to their organisation.
+const notify = async (template, to, data, links = {}) => {
+  const { subject, text } = renderTemplate(template, data);
+  const notification = await Notification.create({
+    template,
+    to,
+    subject,
+    text,
+    user: links.user,
+    reservation: links.reservation,
+    organisation: links.organisation,
+    // Picked up by the scheduler only if the first attempt below never finishes
+    nextAttemptAt: new Date(Date.now() + retryDelay(1))
+  });
+  return deliver(notification);
+};
+
+// Email a reservation's owner. Never throws, so a notification problem can't fail the booking change.
+const notifyReservation = async (template, reservationId, data = {}) => {
+  try {
+    const reservation = await Reservation.findById(reservationId)
+      .populate('user', 'name email')
+      .populate('room', 'name location');
+    if (!reservation || !reservation.user || !reservation.room) return null;
+
+    return await notify(
+      template,
+      reservation.user.email,
+      { user: reservation.user, room: reservation.room, reservation, ...data },
+      { user: reservation.user._id, reservation: reservation._id, organisation: reservation.organisation }
+    );
+  } catch (error) {
+    console.error(`Notification "${template}" error:`, error);
+    return null;
+  }
+};
+
+// Retry pending emails that are due
+const processOutbox = async () => {
+  const due = await Notification.find({
+    status: 'pending',
+    nextAttemptAt: { $lte: new Date() }
+  })
+  .sort({ nextAttemptAt: 1 })
+  .limit(100);
+
+  for (const notification of due) {
+    await deliver(notification);
+  }
+  return due.length;
+};
+
+module.exports = {
+  deliver,
+  notify,
+  notifyReservation,
+  processOutbox
+};
@@ -0,0 +1,23 @@
+const Role = require('../models/role');
+const { BUILT_IN_ROLES, isBuiltInRole, effectivePermissions } = require('../utils/permissions');
+
+// Permissions a role grants in an organisation (null for the default tenant), or null
+// if no such role exists there
+const rolePermissions = async (name, organisation) => {
+  if (isBuiltInRole(name)) {
+    return effectivePermissions(BUILT_IN_ROLES[name], organisation);
+  }
+
+  const role = await Role.findOne({ organisation: organisation || null, name });
+  return role ? effectivePermissions(role.permissions, organisation) : null;
+};
+
+// A user's permissions; a role that has since been deleted grants nothing
+const loadPermissions = async (user) => {
+  return await rolePermissions(user.role, user.organisation) || new Set();
+};
+
+module.exports = {
+  rolePermissions,
+  loadPermissions
+};
@@ -0,0 +1,92 @@
+const BookingPolicy = require('../models/bookingPolicy');
+const Building = require('../models/building');
+const Reservation = require('../models/reservation');
+const { DEFAULT_POLICY, POLICY_FIELDS } = require('../utils/bookingRules');
+const { roomTimeZone } = require('../utils/timezone');
+const { tenantFilterFor, sameTenant } = require('../utils/tenant');
+
+// Broadest first, so more specific policies override it
+const SCOPE_ORDER = ['global', 'building', 'room'];
+
+const appliesTo = (policy, room) => {
+  if (!sameTenant(policy, room)) return false;
+  if (policy.scope === 'global') return true;
+  if (policy.scope === 'building') return policy.building === (room.location && room.location.building);
+  return policy.room && policy.room.toString() === room._id.toString();
+};
+
+// Settings a Building document contributes, between global and building-scope policies
+const BUILDING_FIELDS = ['openingHours'];
+
+const mergeInto = (effective, source, fields) => {
+  for (const field of fields) {
+    const value = source[field];
+    if (value !== undefined && value !== null) {
+      effective[field] = Array.isArray(value) ? [...value] : value;
+    }
+  }
+};
+
+// Effective policy for a room out of already loaded policy documents and the room's building
+const policyFor = (policies, room, building = null) => {
+  const effective = { ...DEFAULT_POLICY };
+
+  const applicable = policies
+    .filter(policy => appliesTo(policy, room))
+    .sort((a, b) => SCOPE_ORDER.indexOf(a.scope) - SCOPE_ORDER.indexOf(b.scope));
+
+  applicable
+    .filter(policy => policy.scope === 'global')
+    .forEach(policy => mergeInto(effective, policy, POLICY_FIELDS));
+  if (building) {
+    mergeInto(effective, building, BUILDING_FIELDS);
+  }
+  applicable
+    .filter(policy => policy.scope !== 'global')
+    .forEach(policy => mergeInto(effective, policy, POLICY_FIELDS));
+
+  // Opening hours and holidays are read in the room's zone
+  effective.timezone = roomTimeZone(room);
+
+  return effective;
+};
+
+// Load and merge the policies that apply to a room (defaults if the room is gone)
+const resolvePolicy = async (room) => {
+  if (!room) return { ...DEFAULT_POLICY };
+
+  const policies = await BookingPolicy.find({
+    ...tenantFilterFor(room),
+    $or: [
+      { scope: 'global' },
+      { scope: 'building', building: room.location && room.location.building },
+      { scope: 'room', room: room._id }
+    ]
+  });
+  const buildingId = room.location && room.location.buildingId;
+  const building = buildingId ? await Building.findById(buildingId) : null;
+  return policyFor(policies, room, building);
+};
+
+// Error message if booking `adding` more would put the user over the limit, otherwise null
+const checkActiveBookingLimit = async (policy, user, adding = 1) => {
+  if (user.can('reservations:manage') || !policy.maxActiveBookings) return null;
+
+  // Counts the user's upcoming bookings across all rooms
+  const active = await Reservation.countDocuments({
+    user: user._id,
+    status: { $in: ['pending', 'confirmed'] },
+    endTime: { $gt: new Date() }
+  });
+
+  if (active + adding > policy.maxActiveBookings) {
+    return `You have reached the limit of ${policy.maxActiveBookings} active bookings`;
+  }
+  return null;
+};
+
+module.exports = {
+  policyFor,
+  resolvePolicy,
+  checkActiveBookingLimit
+};
@@ -0,0 +1,140 @@
+const config = require('../config/config');
+const { WEEKDAYS } = require('../utils/recurrence');
+const { toMinuteOfDay } = require('../utils/openingHours');
+const { DAY_MS, MAX_OFFSET, roomTimeZone, zonedParts, timeZoneOffset, toWallClock } = require('../utils/timezone');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// First rate rule covering this moment (room-local weekday and time), or null for the base rate
+const findRateRule = (rules, date, timeZone) => {
+  const { weekday, hour, minute: minutes } = zonedParts(date, timeZone);
+  const day = WEEKDAYS[weekday];
+  const minute = hour * 60 + minutes;
+
+  return rules.find(rule => (
+    (!rule.days || rule.days.length === 0 || rule.days.includes(day)) &&
+    minute >= toMinuteOfDay(rule.startTime) &&
+    minute < toMinuteOfDay(rule.endTime)
+  )) || null;
+};
+
+// First instant in [from, to) with the offset `to` has, for a day the clocks change on
+const offsetChange = (from, to, timeZone) => {
+  const offset = timeZoneOffset(to, timeZone);
+  let low = from;
+  let high = to;
+  while (high - low > MINUTE) {
+    const middle = low + Math.floor((high - low) / 2 / MINUTE) * MINUTE;
+    if (timeZoneOffset(middle, timeZone) === offset) high = middle; else low = middle;
+  }
+  return high;
+};
+
+// Instants in [start, end] where the rate can change: the ends of the booking and, on every
+// room-local day it touches, midnight, each rule's start and end time (twice when the clocks
+// go back over it) and the moment the clocks change. Extra boundaries only split a rate in two.
+const rateBoundaries = (rules, start, end, timeZone) => {
+  if (rules.length === 0) return [start, end];
+
+  const boundaries = new Set([start.getTime(), end.getTime()]);
+  const add = (instant) => {
+    if (instant > start.getTime() && instant < end.getTime()) boundaries.add(instant);
+  };
+  const minutes = [0, ...rules.flatMap(rule => [toMinuteOfDay(rule.startTime), toMinuteOfDay(rule.endTime)])];
+
+  const { year, month, day } = zonedParts(start, timeZone);
+  const lastWallClock = toWallClock(end, timeZone);
+  for (let dayStart = Date.UTC(year, month - 1, day); dayStart <= lastWallClock; dayStart += DAY_MS) {
+    // Every offset in use on the day, whatever the zone
+    const from = dayStart - MAX_OFFSET;
+    const to = dayStart + DAY_MS + MAX_OFFSET;
+    const offsets = new Set([timeZoneOffset(from, timeZone), timeZoneOffset(to, timeZone)]);
+    if (offsets.size > 1) add(offsetChange(from, to, timeZone));
+
+    for (const minute of minutes) {
+      const wallClock = dayStart + minute * MINUTE;
+      // Wall-clock times the clocks jump over have no instant
+      for (const offset of offsets) {
+        if (toWallClock(wallClock - offset, timeZone) === wallClock) add(wallClock - offset);
+      }
+    }
+  }
+
+  return [...boundaries].sort((a, b) => a - b).map(time => new Date(time));
+};
+
+// Price breakdown for booking a room, as snapshotted on the reservation.
+// `user` only needs a role, which selects the room's role discount.
+const calculatePrice = (room, startTime, endTime, user = {}) => {
+  const pricing = room.pricing || {};
+  const rules = pricing.rateRules || [];
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+  const timeZone = roomTimeZone(room);
+
+  // One rate holds between consecutive boundaries; merge neighbours at the same rate
+  const boundaries = rateBoundaries(rules, start, end, timeZone);
+  const segments = [];
+  for (let index = 1; index < boundaries.length && start < end; index++) {
+    const from = boundaries[index - 1];
+    const to = boundaries[index];
+    const rule = findRateRule(rules, from, timeZone);
+    const last = segments[segments.length - 1];
+
+    if (last && last.rule === rule) {
+      last.endTime = to;
+    } else {
+      segments.push({ rule, startTime: from, endTime: to });
+    }
+  }
+
+  const lines = segments.map(({ rule, startTime: from, endTime: to }) => {
+    const pricePerHour = rule ? rule.pricePerHour : room.pricePerHour;
+    return {
+      label: rule ? rule.label : 'Standard rate',
+      startTime: from,
+      endTime: to,
+      minutes: Math.round((to - from) / MINUTE),
+      pricePerHour,
+      amount: roundMoney(pricePerHour * (to - from) / HOUR)
+    };
+  });
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+
+  // The best discount for the user's role applies
+  const discountPercent = Math.max(0, ...(pricing.roleDiscounts || [])
+    .filter(discount => discount.role === user.role)
+    .map(discount => discount.percent));
+  const discount = discountPercent > 0
+    ? { percent: discountPercent, amount: roundMoney(subtotal * discountPercent / 100) }
+    : null;
+  const discounted = roundMoney(subtotal - (discount ? discount.amount : 0));
+
+  const minimumChargeAdjustment = pricing.minimumCharge && pricing.minimumCharge > discounted
+    ? roundMoney(pricing.minimumCharge - discounted)
+    : 0;
+  const net = roundMoney(discounted + minimumChargeAdjustment);
+
+  const taxPercent = typeof pricing.taxPercent === 'number' ? pricing.taxPercent : config.pricing.taxPercent;
+  const tax = roundMoney(net * taxPercent / 100);
+
+  return {
+    currency: config.pricing.currency,
+    lines,
+    subtotal,
+    discount,
+    minimumChargeAdjustment,
+    taxPercent,
+    tax,
+    total: roundMoney(net + tax)
+  };
+};
+
+module.exports = {
+  roundMoney,
+  calculatePrice
+};
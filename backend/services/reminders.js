@@ -0,0 +1,103 @@
+const Reminder = require('../models/reminder');
+const Reservation = require('../models/reservation');
+const User = require('../models/user');
+const { notifyReservation } = require('./notifications');
+
+const MINUTE = 60 * 1000;
+
+// Bookings that can still take place get reminders
+const ACTIVE_STATUSES = ['pending', 'confirmed'];
+
+// Cancel pending reminders, then schedule one per owner preference that is still in the future
+const scheduleReminders = async (reservations) => {
+  await Reminder.updateMany(
+    { reservation: { $in: reservations.map(reservation => reservation._id) }, status: 'scheduled' },
+    { status: 'cancelled' }
+  );
+
+  const active = reservations.filter(reservation => ACTIVE_STATUSES.includes(reservation.status));
+  if (!active.length) return 0;
+
+  // Owners may be populated or bare ids
+  const ownerIds = [...new Set(active.map(reservation => String(reservation.user._id || reservation.user)))];
+  const owners = await User.find({ _id: { $in: ownerIds } }).select('reminderMinutes');
+  const preferences = new Map(owners.map(owner => [owner._id.toString(), owner.reminderMinutes]));
+
+  const now = Date.now();
+  const reminders = [];
+  for (const reservation of active) {
+    const owner = String(reservation.user._id || reservation.user);
+    for (const offsetMinutes of preferences.get(owner) || []) {
+      const sendAt = new Date(new Date(reservation.startTime).getTime() - offsetMinutes * MINUTE);
+      // Too late for this one
+      if (sendAt.getTime() <= now) continue;
+      reminders.push({ reservation: reservation._id, user: owner, offsetMinutes, sendAt });
+    }
+  }
+
+  if (reminders.length) {
+    await Reminder.insertMany(reminders);
+  }
+  return reminders.length;
+};
+
+// Replace the scheduled reminders for these reservations with ones matching their
+// current times and status. Call after any booking change.
+// Never throws, so a scheduling problem can't fail the booking change.
+const syncReminders = async (reservations) => {
+  if (!reservations.length) return 0;
+
+  try {
+    return await scheduleReminders(reservations);
+  } catch (error) {
+    console.error('Reminder scheduling error:', error);
+    return 0;
+  }
+};
+
+// Catch up one user's upcoming bookings after they change their reminder preferences
+const rescheduleUserReminders = async (userId) => {
+  const upcoming = await Reservation.find({
+    user: userId,
+    status: { $in: ACTIVE_STATUSES },
+    startTime: { $gt: new Date() }
+  });
+  return syncReminders(upcoming);
+};
+
+// Send reminders that are due. Each one is claimed before sending so it goes out at most once.
+const sendDueReminders = async () => {
+  const now = new Date();
+  const due = await Reminder.find({ status: 'scheduled', sendAt: { $lte: now } })
+    .sort({ sendAt: 1 })
+    .limit(100);
+
+  let sent = 0;
+  for (const { _id } of due) {
+    const reminder = await Reminder.findOneAndUpdate(
+      { _id, status: 'scheduled' },
+      { status: 'sent', sentAt: new Date() },
+      { new: true }
+    );
+    if (!reminder) continue;
+
+    // Only confirmed bookings that haven't started yet are worth a reminder
+    const reservation = await Reservation.findById(reminder.reservation).select('status startTime');
+    if (!reservation || reservation.status !== 'confirmed' || reservation.startTime <= now) {
+      reminder.status = 'cancelled';
+      reminder.sentAt = undefined;
+      await reminder.save();
+      continue;
+    }
+
+    await notifyReservation('reminder', reminder.reservation, { minutesBefore: reminder.offsetMinutes });
+    sent += 1;
+  }
+  return sent;
+};
+
+module.exports = {
+  syncReminders,
+  rescheduleUserReminders,
+  sendDueReminders
+};
@@ -0,0 +1,65 @@
+const config = require('../config/config');
+const { expireHolds } = require('./waitlist');
+const { expirePendingApprovals } = require('./approval');
+const { releaseNoShows, completeEndedReservations } = require('./lifecycle');
+const { postCharges } = require('./billing');
+const { processOutbox } = require('./notifications');
+const { sendDueReminders } = require('./reminders');
+const { processWebhookDeliveries } = require('./webhooks');
+
+// Background jobs, run in order on every tick
+const jobs = [
+  { name: 'waitlist hold expiry', run: expireHolds },
+  { name: 'approval expiry', run: expirePendingApprovals },
+  // No-shows first so unclaimed bookings aren't marked completed
+  { name: 'no-show release', run: releaseNoShows },
+  { name: 'reservation completion', run: completeEndedReservations },
+  // After completion so finished bookings are charged in the same tick
+  { name: 'ledger posting', run: postCharges },
+  { name: 'booking reminders', run: sendDueReminders },
+  { name: 'notification retry', run: processOutbox },
+  { name: 'webhook delivery', run: processWebhookDeliveries }
+];
+
+let timer = null;
+let running = false;
+
+// Run every job once; a failing job is logged and doesn't stop the others
+const runJobs = async () => {
+  // Skip a tick if the previous one is still going
+  if (running) return;
+  running = true;
+
+  try {
+    for (const job of jobs) {
+      try {
+        await job.run();
+      } catch (error) {
+        console.error(`Scheduled job "${job.name}" failed:`, error);
+      }
+    }
+  } finally {
+    running = false;
+  }
+};
+
+const startScheduler = (intervalMs = config.scheduler.intervalMs) => {
+  if (timer) return timer;
+
+  timer = setInterval(runJobs, intervalMs);
+  // Don't keep the process alive just for housekeeping
+  timer.unref();
+  return timer;
+};
+
+const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  jobs,
+  runJobs,
+  startScheduler,
+  stopScheduler
+};
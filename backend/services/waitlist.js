@@ -0,0 +1,147 @@
+const Reservation = require('../models/reservation');
+const Room = require('../models/room');
+const RoomLock = require('../models/roomLock');
+const User = require('../models/user');
+const WaitlistEntry = require('../models/waitlistEntry');
+const { validateBooking } = require('../utils/bookingRules');
+const { calculatePrice } = require('./pricing');
+const { syncReminders } = require('./reminders');
+const { emitReservationEvent } = require('./events');
+const { notifyReservation } = require('./notifications');
+const { loadPermissions } = require('./permissions');
+const { resolvePolicy, checkActiveBookingLimit } = require('./policy');
+const { findClosure } = require('./closures');
+const { approvalFields } = require('./approval');
+const { recordSystemAudit } = require('./audit');
+const config = require('../config/config');
+
+// Why the user can no longer book a waitlisted slot, or null. Accounts, policies, closures
+// and the user's other bookings may all have changed since they joined the queue; `adding`
+// is how many bookings this would add to their active ones.
+const waitlistBookingError = async (user, room, policy, startTime, endTime, adding = 1) => {
+  if (!user.isActive) return 'Account is deactivated';
+  return validateBooking(startTime, endTime, policy, user) ||
+    await findClosure(room, policy, startTime, endTime) ||
+    await checkActiveBookingLimit(policy, user, adding);
+};
+
+// Offer (or grant) a freed slot to waitlisted users, oldest entry first.
+// Runs after a cancellation has already succeeded, so it logs instead of throwing.
+const processFreedSlot = async (roomId, startTime, endTime) => {
+  try {
+    const room = await Room.findById(roomId);
+    if (!room || !room.isActive) return;
+    const policy = await resolvePolicy(room);
+
+    const entries = await WaitlistEntry.find({
+      room: roomId,
+      status: 'waiting',
+      startTime: { $lt: endTime, $gt: new Date() },
+      endTime: { $gt: startTime }
+    }).sort({ createdAt: 1, _id: 1 });
+
+    for (const entry of entries) {
+      const lockToken = await RoomLock.acquire(roomId);
+      if (!lockToken) return;
+
+      let reservation = null;
+      try {
+        // An earlier entry may already have taken part of the window
+        const isAvailable = await Reservation.checkAvailability(roomId, entry.startTime, entry.endTime);
+        if (!isAvailable || entry.attendees > room.capacity) continue;
+
+        // The slot must still be one the user could book
+        const user = await User.findById(entry.user);
+        if (!user) continue;
+        user.$locals.permissions = await loadPermissions(user);
+        if (await waitlistBookingError(user, room, policy, entry.startTime, entry.endTime)) continue;
+
+        // Granted slots go through approval like any booking; offers do once accepted
+        const grant = config.waitlist.mode === 'grant';
+        const holdExpiresAt = grant
+          ? undefined
+          : new Date(Date.now() + config.waitlist.holdMinutes * 60 * 1000);
+
+        reservation = await Reservation.create({
+          user: entry.user,
+          room: roomId,
+          organisation: room.organisation,
+          timezone: room.timezone,
+          startTime: entry.startTime,
+          endTime: entry.endTime,
+          attendees: entry.attendees,
+          purpose: entry.purpose,
+          specialRequirements: entry.specialRequirements,
+          price: calculatePrice(room, entry.startTime, entry.endTime, user),
+          status: grant ? 'confirmed' : 'pending',
+          holdExpiresAt,
+          ...(grant ? approvalFields(user, room, entry.startTime, entry.endTime) : {})
+        });
+        await syncReminders([reservation]);
+        await emitReservationEvent('reservation.created', reservation);
+
+        entry.reservation = reservation._id;
+        entry.status = grant ? 'fulfilled' : 'offered';
+        entry.offeredAt = new Date();
+        entry.holdExpiresAt = holdExpiresAt;
+        await entry.save();
+      } finally {
+        await RoomLock.release(roomId, lockToken);
+      }
+
+      if (reservation) {
+        await notifyReservation(reservation.holdExpiresAt ? 'waitlistOffer' : 'bookingConfirmation', reservation._id);
+      }
+    }
+  } catch (error) {
+    console.error('Waitlist processing error:', error);
+  }
+};
+
+// Release a held slot and pass it on to the next user in the queue; returns the held reservation
+const releaseOffer = async (entry, status) => {
+  const reservation = await Reservation.findById(entry.reservation);
+
+  entry.status = status;
+  await entry.save();
+
+  if (reservation && reservation.status === 'pending' && reservation.holdExpiresAt) {
+    reservation.status = 'cancelled';
+    reservation.holdExpiresAt = undefined;
+    await reservation.save();
+    await syncReminders([reservation]);
+    await emitReservationEvent('reservation.cancelled', reservation);
+    await processFreedSlot(reservation.room, reservation.startTime, reservation.endTime);
+  }
+  return reservation;
+};
+
+// Expire offers whose hold ran out, and waiting entries whose slot has already started
+const expireHolds = async () => {
+  const now = new Date();
+
+  const expiredOffers = await WaitlistEntry.find({
+    status: 'offered',
+    holdExpiresAt: { $lte: now }
+  });
+  for (const entry of expiredOffers) {
+    const reservation = await releaseOffer(entry, 'expired');
+    await recordSystemAudit('waitlist.offer_expired', entry._id, {
+      organisation: reservation ? reservation.organisation : null
+    });
+  }
+
+  await WaitlistEntry.updateMany(
+    { status: 'waiting', startTime: { $lte: now } },
+    { status: 'expired' }
+  );
+
+  return expiredOffers.length;
+};
+
+module.exports = {
+  waitlistBookingError,
+  processFreedSlot,
+  releaseOffer,
+  expireHolds
+};
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookDelivery');
+const config = require('../config/config');
+const { signPayload, isPrivateAddress } = require('../utils/webhooks');
+
+const MINUTE = 60 * 1000;
+
+// Wait 1, 2, 4, ... minutes (at most an hour) after each failed attempt
+const retryDelay = (attempts) => Math.min(2 ** (attempts - 1), 60) * MINUTE;
+
+// Error message if the URL's host is, or resolves to, a loopback, private or link-local
+// address, so webhooks can't be used to reach internal services; otherwise null.
+// Throws if the host can't be resolved.
+const checkWebhookHost = async (url) => {
+  if (config.webhooks.allowPrivateUrls) return null;
+
+  const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname }]
+    : await dns.lookup(hostname, { all: true });
+
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    return 'Webhook URL must not point to a private, loopback or link-local address';
+  }
+  return null;
+};
+
+// POST the payload to the webhook's URL; throws unless it answers with a 2xx
+const post = async (webhook, delivery) => {
+  // Checked on every attempt, since DNS may have changed since the webhook was saved
+  const blocked = await checkWebhookHost(webhook.url);
+  if (blocked) {
+    throw new Error(blocked);
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  const response = await fetch(webhook.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Room-Reservations-Webhooks',
+      'X-Webhook-Id': delivery._id.toString(),
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': signPayload(webhook.secret, timestamp, delivery.payload)
+    },
+    body: delivery.payload,
+    // A redirect could point anywhere, including the addresses checked above
+    redirect: 'manual',
+    signal: AbortSignal.timeout(config.webhooks.timeoutMs)
+  });
+
+  delivery.responseStatus = response.status;
+  if (response.status >= 300 && response.status < 400) {
+    throw new Error(`Endpoint redirected with HTTP ${response.status}; redirects are not followed`);
+  }
+  if (!response.ok) {
+    throw new Error(`Endpoint responded with HTTP ${response.status}`);
+  }
+};
+
+// Try to send one delivery, recording the outcome
+const deliverWebhook = async (delivery) => {
+  delivery.attempts += 1;
+  delivery.responseStatus = undefined;
+
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+  try {
+    if (!webhook) {
+      throw new Error('Webhook was deleted');
+    }
+    if (!webhook.isActive) {
+      throw new Error('Webhook is disabled');
+    }
+
+    await post(webhook, delivery);
+    delivery.status = 'delivered';
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = undefined;
+    delivery.lastError = undefined;
+  } catch (error) {
+    delivery.lastError = error.name === 'TimeoutError'
+      ? `No response within ${config.webhooks.timeoutMs}ms`
+      : error.message;
+    // No point retrying a webhook that is gone or switched off
+    if (!webhook || !webhook.isActive || delivery.attempts >= config.webhooks.maxAttempts) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = undefined;
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts));
+    }
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+// Queue an event for every active webhook of the organisation (null for the default tenant)
+// subscribed to it. The scheduler sends the deliveries, so a slow receiver never holds up the
+// change that triggered it. Never throws.
+const emitEvent = async (event, data, organisation = null) => {
+  try {
+    const webhooks = await Webhook.find({ organisation: organisation || null, isActive: true, events: event });
+    if (!webhooks.length) return [];
+
+    // Every subscriber gets the same body, with an id receivers can use to spot duplicates
+    const payload = JSON.stringify({
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date().toISOString(),
+      data
+    });
+
+    // Due straight away, so the next scheduler tick sends them
+    return await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+      webhook: webhook._id,
+      event,
+      payload,
+      nextAttemptAt: new Date()
+    })));
+  } catch (error) {
+    console.error(`Webhook event "${event}" error:`, error);
+    return [];
+  }
+};
+
+// Send pending deliveries that are due: new ones and retries
+const processWebhookDeliveries = async () => {
+  const due = await WebhookDelivery.find({
+    status: 'pending',
+    nextAttemptAt: { $lte: new Date() }
+  })
+  .sort({ nextAttemptAt: 1, _id: 1 })
+  .limit(100);
+
+  for (const delivery of due) {
+    await deliverWebhook(delivery);
+  }
+  return due.length;
+};
+
+module.exports = {
+  checkWebhookHost,
+  deliverWebhook,
+  emitEvent,
+  processWebhookDeliveries
+};
@@ -0,0 +1,176 @@
+const request = require('supertest');
+const app = require('../app');
+const Reservation = require('../models/reservation');
+const Room = require('../models/room');
+const User = require('../models/user');
+const { generateToken } = require('../utils/jwt');
+const { expirePendingApprovals } = require('../services/approval');
+
+describe('Approval Workflow', () => {
+  let userToken, approverToken, outsiderToken, adminToken;
+  let user, boardroom, thresholdRoom;
+  const hour = 60 * 60 * 1000;
+  const start = new Date(Date.now() + 24 * hour);
+
+  beforeAll(async () => {
+    user = await User.create({ name: 'Booking User', email: 'approvaluser@test.com', password: 'password123' });
+    const approver = await User.create({ name: 'Room Approver', email: 'approver@test.com', password: 'password123' });
+    const outsider = await User.create({ name: 'Outsider', email: 'outsider@test.com', password: 'password123' });
+    const admin = await User.create({
+      name: 'Approval Admin',
+      email: 'approvaladmin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    boardroom = await Room.create({
+      name: 'Boardroom',
+      description: 'Boardroom that requires approval',
+      capacity: 12,
+      pricePerHour: 200,
+      location: { building: 'HQ', floor: '10' },
+      requiresApproval: true,
+      approvers: [approver._id],
+      createdBy: admin._id
+    });
+
+    thresholdRoom = await Room.create({
+      name: 'Threshold Room',
+      description: 'Room with a duration threshold',
+      capacity: 6,
+      pricePerHour: 20,
+      location: { building: 'HQ', floor: '2' },
+      approvalRules: { durationAboveMinutes: 120 },
+      createdBy: admin._id
+    });
+
+    userToken = generateToken({ id: user._id, role: 'user' });
+    approverToken = generateToken({ id: approver._id, role: 'user' });
+    outsiderToken = generateToken({ id: outsider._id, role: 'user' });
+    adminToken = generateToken({ id: admin._id, role: 'admin' });
+  });
+
+  beforeEach(async () => {
+    await Reservation.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await Reservation.deleteMany({});
+    await Room.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  const book = (room, hours = 1) => request(app)
+    .post('/api/reservations')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send({
+      room: room._id,
+      startTime: start.toISOString(),
+      endTime: new Date(start.getTime() + hours * hour).toISOString(),
+      purpose: 'Board Meeting',
+      attendees: 4
+    });
+
+  test('should create pending reservation for rooms requiring approval', async () => {
+    const response = await book(boardroom);
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.reservation.status).toBe('pending');
+    expect(response.body.data.reservation.approval.state).toBe('awaiting');
+  });
+
+  test('should require approval only above the duration threshold', async () => {
+    const short = await book(thresholdRoom, 1);
+    expect(short.body.data.reservation.status).toBe('confirmed');
+
+    await Reservation.deleteMany({});
+    const long = await book(thresholdRoom, 3);
+    expect(long.body.data.reservation.status).toBe('pending');
+  });
+
+  test('should list the queue for designated approvers', async () => {
+    await book(boardroom);
+
+    const response = await request(app)
+      .get('/api/reservations/approvals')
+      .set('Authorization', `Bearer ${approverToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.count).toBe(1);
+  });
+
+  test('should deny the queue to users who approve nothing', async () => {
+    const response = await request(app)
+      .get('/api/reservations/approvals')
+      .set('Authorization', `Bearer ${outsiderToken}`);
+
+    expect(response.status).toBe(403);
+  });
+
+  test('should let a designated approver approve', async () => {
+    const booked = await book(boardroom);
+
+    const response = await request(app)
+      .post(`/api/reservations/${booked.body.data.reservation._id}/approve`)
+      .set('Authorization', `Bearer ${approverToken}`)
+      .send({ reason: 'Looks good' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.reservation.status).toBe('confirmed');
+    expect(response.body.data.reservation.approval.state).toBe('approved');
+  });
+
+  test('should let an admin reject with a reason', async () => {
+    const booked = await book(boardroom);
+
+    const response = await request(app)
+      .post(`/api/reservations/${booked.body.data.reservation._id}/reject`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ reason: 'Board offsite that day' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.reservation.status).toBe('cancelled');
+    expect(response.body.data.reservation.approval.reason).toBe('Board offsite that day');
+  });
+
+  test('should require a reason to reject', async () => {
+    const booked = await book(boardroom);
+
+    const response = await request(app)
+      .post(`/api/reservations/${booked.body.data.reservation._id}/reject`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({});
+
+    expect(response.status).toBe(400);
+  });
+
+  test('should not let other users decide', async () => {
+    const booked = await book(boardroom);
+
+    const response = await request(app)
+      .post(`/api/reservations/${booked.body.data.reservation._id}/approve`)
+      .set('Authorization', `Bearer ${outsiderToken}`)
+      .send({});
+
+    expect(response.status).toBe(403);
+  });
+
+  test('should expire requests not acted on before start time', async () => {
+    const pending = await Reservation.create({
+      user: user._id,
+      room: boardroom._id,
+      startTime: new Date(Date.now() - hour),
+      endTime: new Date(Date.now() + hour),
+      purpose: 'Forgotten Request',
+      attendees: 2,
+      status: 'pending',
+      approval: { state: 'awaiting' }
+    });
+
+    await expirePendingApprovals();
+
+    const expired = await Reservation.findById(pending._id);
+    expect(expired.status).toBe('cancelled');
+    expect(expired.approval.state).toBe('expired');
+  });
+});
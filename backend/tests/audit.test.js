@@ -0,0 +1,282 @@
+const request = require('supertest');
+const app = require('../app');
+const AuditLog = require('../models/auditLog');
+const Reservation = require('../models/reservation');
+const Room = require('../models/room');
+const User = require('../models/user');
+const { generateToken } = require('../utils/jwt');
+const { snapshot, diffSnapshots } = require('../utils/audit');
+const { completeEndedReservations } = require('../services/lifecycle');
+
+describe('Audit log', () => {
+  let userToken, adminToken, user, admin, room;
+  const hour = 60 * 60 * 1000;
+
+  beforeAll(async () => {
+    user = await User.create({
+      name: 'Audited User',
+      email: 'auditeduser@test.com',
+      password: 'password123'
+    });
+
+    admin = await User.create({
+      name: 'Audit Admin',
+      email: 'auditadmin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    room = await Room.create({
+      name: 'Audit Room',
+      description: 'Room used for audit tests',
+      capacity: 10,
+      pricePerHour: 40,
+      location: { building: 'Test Building', floor: '1st Floor' },
+      createdBy: admin._id
+    });
+
+    userToken = generateToken({ id: user._id, role: 'user' });
+    adminToken = generateToken({ id: admin._id, role: 'admin' });
+  });
+
+  beforeEach(async () => {
+    await Reservation.deleteMany({});
+    // The model refuses deletes, so clear the collection directly
+    await AuditLog.collection.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await Reservation.deleteMany({});
+    await AuditLog.collection.deleteMany({});
+    await Room.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  describe('Snapshots', () => {
+    test('should keep only changed fields and drop secrets', () => {
+      const before = snapshot({ name: 'Ada', role: 'user', password: 'hash', updatedAt: new Date(0) });
+      const after = snapshot({ name: 'Ada', role: 'admin', password: 'other', updatedAt: new Date() });
+
+      expect(diffSnapshots(before, after)).toEqual({
+        before: { role: 'user' },
+        after: { role: 'admin' }
+      });
+    });
+  });
+
+  describe('Recording', () => {
+    test('should record a role change with actor, diff and IP', async () => {
+      const response = await request(app)
+        .patch(`/api/users/admin/users/${user._id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('User-Agent', 'audit-test')
+        .send({ role: 'admin' });
+
+      expect(response.status).toBe(200);
+
+      const [entry] = await AuditLog.find({});
+      expect(entry.action).toBe('user.role_updated');
+      expect(entry.targetType).toBe('user');
+      expect(entry.targetId.toString()).toBe(user._id.toString());
+      expect(entry.actor.toString()).toBe(admin._id.toString());
+      expect(entry.actorRole).toBe('admin');
+      expect(entry.before).toEqual({ role: 'user' });
+      expect(entry.after).toEqual({ role: 'admin' });
+      expect(entry.ip).toBeDefined();
+      expect(entry.userAgent).toBe('audit-test');
+
+      await User.findByIdAndUpdate(user._id, { role: 'user' });
+    });
+
+    test('should record room updates and deletions', async () => {
+      const spare = await Room.create({
+        name: 'Spare Audit Room',
+        description: 'Room that gets changed',
+        capacity: 4,
+        pricePerHour: 20,
+        location: { building: 'Test Building', floor: '2nd Floor' },
+        createdBy: admin._id
+      });
+
+      await request(app)
+        .patch(`/api/rooms/${spare._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ capacity: 6 });
+
+      await request(app)
+        .delete(`/api/rooms/${spare._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const entries = await AuditLog.find({ targetId: spare._id }).sort({ createdAt: 1, _id: 1 });
+      expect(entries.map(entry => entry.action)).toEqual(['room.updated', 'room.deleted']);
+      expect(entries[0].after).toEqual({ capacity: 6 });
+      expect(entries[1].before).toEqual({ isActive: true });
+    });
+
+    test('should record bookings and cancellations by users', async () => {
+      const startTime = new Date(Date.now() + 24 * hour);
+      const response = await request(app)
+        .post('/api/reservations')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          room: room._id,
+          startTime: startTime.toISOString(),
+          endTime: new Date(startTime.getTime() + hour).toISOString(),
+          purpose: 'Audited Meeting',
+          attendees: 3
+        });
+      const reservationId = response.body.data.reservation._id;
+
+      await request(app)
+        .patch(`/api/reservations/${reservationId}/cancel`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      const entries = await AuditLog.find({ targetId: reservationId }).sort({ createdAt: 1, _id: 1 });
+      expect(entries.map(entry => entry.action)).toEqual(['reservation.created', 'reservation.cancelled']);
+      expect(entries[0].before).toBeNull();
+      expect(entries[0].after.purpose).toBe('Audited Meeting');
+      expect(entries[1].before.status).toBe('confirmed');
+      expect(entries[1].after.status).toBe('cancelled');
+    });
+
+    test('should record admin cancellations once', async () => {
+      const reservation = await Reservation.create({
+        user: user._id,
+        room: room._id,
+        startTime: new Date(Date.now() + 24 * hour),
+        endTime: new Date(Date.now() + 25 * hour),
+        purpose: 'Audited Meeting',
+        attendees: 3
+      });
+
+      const cancel = () => request(app)
+        .patch(`/api/reservations/admin/${reservation._id}/cancel`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect((await cancel()).status).toBe(200);
+      const again = await cancel();
+      expect(again.status).toBe(400);
+      expect(again.body.message).toBe('Reservation is already cancelled');
+
+      const entries = await AuditLog.find({ targetId: reservation._id });
+      expect(entries.map(entry => entry.action)).toEqual(['reservation.admin_cancelled']);
+    });
+
+    test('should record changes made by background jobs as the system', async () => {
+      const reservation = await Reservation.create({
+        user: user._id,
+        room: room._id,
+        startTime: new Date(Date.now() - 3 * hour),
+        endTime: new Date(Date.now() - 2 * hour),
+        purpose: 'Audited Meeting',
+        attendees: 3
+      });
+
+      await completeEndedReservations();
+
+      const [entry] = await AuditLog.find({ targetId: reservation._id });
+      expect(entry.action).toBe('reservation.completed');
+      expect(entry.actor).toBeUndefined();
+      expect(entry.actorRole).toBe('system');
+      expect(entry.before).toEqual({ status: 'confirmed' });
+      expect(entry.after).toEqual({ status: 'completed' });
+    });
+
+    test('should not record failed requests', async () => {
+      const response = await request(app)
+        .patch(`/api/users/admin/users/${admin._id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'user' });
+
+      expect(response.status).toBe(400);
+      expect(await AuditLog.countDocuments()).toBe(0);
+    });
+
+    test('should never store passwords', async () => {
+      await request(app)
+        .patch('/api/users/change-password')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ currentPassword: 'password123', newPassword: 'password456' });
+
+      const [entry] = await AuditLog.find({});
+      expect(entry.action).toBe('user.password_changed');
+      expect(JSON.stringify(entry)).not.toContain('password456');
+
+      const updated = await User.findById(user._id).select('+password');
+      updated.password = 'password123';
+      await updated.save();
+    });
+  });
+
+  describe('Append-only', () => {
+    test('should refuse updates and deletes', async () => {
+      const entry = await AuditLog.create({ action: 'room.updated', targetType: 'room' });
+
+      await expect(AuditLog.updateOne({ _id: entry._id }, { action: 'room.deleted' })).rejects.toThrow('Audit log entries cannot be changed');
+      await expect(AuditLog.deleteMany({})).rejects.toThrow('Audit log entries cannot be changed');
+      await expect(entry.deleteOne()).rejects.toThrow('Audit log entries cannot be changed');
+
+      entry.action = 'room.deleted';
+      await expect(entry.save()).rejects.toThrow('Audit log entries cannot be changed');
+    });
+  });
+
+  describe('Querying', () => {
+    beforeEach(async () => {
+      await AuditLog.create([
+        { actor: admin._id, action: 'room.updated', targetType: 'room', targetId: room._id },
+        { actor: user._id, action: 'reservation.created', targetType: 'reservation' },
+        { actor: admin._id, action: 'user.role_updated', targetType: 'user', targetId: user._id }
+      ]);
+    });
+
+    test('should filter by actor, target type and action', async () => {
+      const byActor = await request(app)
+        .get('/api/audit')
+        .query({ actor: admin._id.toString() })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(byActor.status).toBe(200);
+      expect(byActor.body.data.entries).toHaveLength(2);
+      expect(byActor.body.data.entries[0].actor.email).toBe('auditadmin@test.com');
+
+      const byTarget = await request(app)
+        .get('/api/audit')
+        .query({ targetType: 'room', targetId: room._id.toString() })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(byTarget.body.data.entries.map(entry => entry.action)).toEqual(['room.updated']);
+
+      const byAction = await request(app)
+        .get('/api/audit')
+        .query({ action: 'reservation.created' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(byAction.body.data.pagination.totalRecords).toBe(1);
+    });
+
+    test('should filter by date range', async () => {
+      const future = await request(app)
+        .get('/api/audit')
+        .query({ from: new Date(Date.now() + hour).toISOString() })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(future.body.data.entries).toHaveLength(0);
+
+      const invalid = await request(app)
+        .get('/api/audit')
+        .query({ from: new Date().toISOString(), to: new Date(Date.now() - hour).toISOString() })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(invalid.status).toBe(400);
+    });
+
+    test('should be admin only', async () => {
+      const response = await request(app)
+        .get('/api/audit')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/user');
+const RefreshToken = require('../models/refreshToken');
+const { generateRefreshToken } = require('../utils/jwt');
+
+describe('Refresh Tokens', () => {
+  const credentials = { email: 'refreshuser@test.com', password: 'password123' };
+
+  beforeAll(async () => {
+    await User.create({ name: 'Refresh User', ...credentials });
+  });
+
+  beforeEach(async () => {
+    await RefreshToken.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await RefreshToken.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  const login = async () => {
+    const response = await request(app)
+      .post('/api/users/login')
+      .send(credentials);
+    return response.body.data.refreshToken;
+  };
+
+  test('should persist refresh token on login', async () => {
+    await login();
+    expect(await RefreshToken.countDocuments()).toBe(1);
+  });
+
+  test('should rotate refresh token and issue a new access token', async () => {
+    const refreshToken = await login();
+
+    const response = await request(app)
+      .post('/api/users/refresh')
+      .send({ refreshToken });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.token).toBeDefined();
+    expect(response.body.data.refreshToken).not.toBe(refreshToken);
+  });
+
+  test('should revoke the whole family when a rotated token is replayed', async () => {
+    const original = await login();
+    const rotated = (await request(app)
+      .post('/api/users/refresh')
+      .send({ refreshToken: original })).body.data.refreshToken;
+
+    const replay = await request(app)
+      .post('/api/users/refresh')
+      .send({ refreshToken: original });
+    expect(replay.status).toBe(401);
+
+    // The legitimately rotated token is now dead too
+    const response = await request(app)
+      .post('/api/users/refresh')
+      .send({ refreshToken: rotated });
+    expect(response.status).toBe(401);
+
+    const revoked = await RefreshToken.countDocuments({ revokedReason: 'reuse_detected' });
+    expect(revoked).toBeGreaterThan(0);
+  });
+
+  test('should reject refresh after logout', async () => {
+    const refreshToken = await login();
+
+    const logout = await request(app)
+      .post('/api/users/logout')
+      .send({ refreshToken });
+    expect(logout.status).toBe(200);
+
+    const response = await request(app)
+      .post('/api/users/refresh')
+      .send({ refreshToken });
+    expect(response.status).toBe(401);
+  });
+
+  describe('Password changes', () => {
+    // Put the original password back for the other tests
+    afterEach(async () => {
+      const user = await User.findOne({ email: credentials.email });
+      user.password = credentials.password;
+      await user.save();
+    });
+
+    test('should reject old refresh tokens after a password change', async () => {
+      const stolen = await login();
+      const loginResponse = await request(app)
+        .post('/api/users/login')
+        .send(credentials);
+
+      const change = await request(app)
+        .patch('/api/users/change-password')
+        .set('Authorization', `Bearer ${loginResponse.body.data.token}`)
+        .send({ currentPassword: credentials.password, newPassword: 'newpassword123' });
+      expect(change.status).toBe(200);
+
+      for (const refreshToken of [stolen, loginResponse.body.data.refreshToken]) {
+        const response = await request(app)
+          .post('/api/users/refresh')
+          .send({ refreshToken });
+        expect(response.status).toBe(401);
+      }
+
+      // The session that changed the password carries on with its new token
+      const response = await request(app)
+        .post('/api/users/refresh')
+        .send({ refreshToken: change.body.data.refreshToken });
+      expect(response.status).toBe(200);
+    });
+
+    test('should reject old refresh tokens after a password reset', async () => {
+      const stolen = await login();
+      await User.updateOne(
+        { email: credentials.email },
+        { passwordResetToken: 'reset-token', passwordResetExpires: new Date(Date.now() + 60000) }
+      );
+
+      const reset = await request(app)
+        .post('/api/users/reset-password')
+        .send({ token: 'reset-token', password: 'newpassword123' });
+      expect(reset.status).toBe(200);
+
+      const response = await request(app)
+        .post('/api/users/refresh')
+        .send({ refreshToken: stolen });
+      expect(response.status).toBe(401);
+      expect(await RefreshToken.countDocuments({ revokedReason: 'password_changed' })).toBe(1);
+    });
+  });
+
+  test('should reject refresh tokens that were never persisted', async () => {
+    const user = await User.findOne({ email: credentials.email });
+    const refreshToken = generateRefreshToken({ id: user._id });
+
+    const response = await request(app)
+      .post('/api/users/refresh')
+      .send({ refreshToken });
+    expect(response.status).toBe(401);
+  });
+
+  test('should validate refresh request body', async () => {
+    const response = await request(app)
+      .post('/api/users/refresh')
+      .send({});
+    expect(response.status).toBe(400);
+  });
+});
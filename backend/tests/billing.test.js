@@ -0,0 +1,307 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const Counter = require('../models/counter');
+const Invoice = require('../models/invoice');
+const LedgerEntry = require('../models/ledgerEntry');
+const Reservation = require('../models/reservation');
+const Room = require('../models/room');
+const User = require('../models/user');
+const { generateToken } = require('../utils/jwt');
+const { postCharges, generateInvoices } = require('../services/billing');
+
+describe('Billing', () => {
+  let userToken, adminToken, user, departmentUser, room;
+  const hour = 60 * 60 * 1000;
+
+  beforeAll(async () => {
+    user = await User.create({
+      name: 'Billing User',
+      email: 'billinguser@test.com',
+      password: 'password123'
+    });
+
+    departmentUser = await User.create({
+      name: 'Department User',
+      email: 'departmentuser@test.com',
+      password: 'password123',
+      costCentre: 'ENG-42'
+    });
+
+    const admin = await User.create({
+      name: 'Billing Admin',
+      email: 'billingadmin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    room = await Room.create({
+      name: 'Billing Room',
+      description: 'Room used for billing tests',
+      capacity: 10,
+      pricePerHour: 40,
+      location: { building: 'Test Building', floor: '1st Floor' },
+      createdBy: admin._id
+    });
+
+    userToken = generateToken({ id: user._id, role: 'user' });
+    adminToken = generateToken({ id: admin._id, role: 'admin' });
+  });
+
+  beforeEach(async () => {
+    await Reservation.deleteMany({});
+    await LedgerEntry.deleteMany({});
+    await Invoice.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await Reservation.deleteMany({});
+    await LedgerEntry.deleteMany({});
+    await Invoice.deleteMany({});
+    await Room.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  // Two hours at the booked price of 80
+  const createReservation = (startTime, overrides = {}) => Reservation.create({
+    user: user._id,
+    room: room._id,
+    startTime,
+    endTime: new Date(startTime.getTime() + 2 * hour),
+    purpose: 'Billing Meeting',
+    attendees: 3,
+    price: { currency: 'USD', lines: [], subtotal: 80, tax: 0, total: 80 },
+    ...overrides
+  });
+
+  describe('Ledger posting', () => {
+    test('should charge completed reservations once', async () => {
+      const reservation = await createReservation(new Date(Date.now() - 5 * hour), { status: 'completed' });
+
+      await postCharges();
+      await postCharges();
+
+      const entries = await LedgerEntry.find({ reservation: reservation._id });
+      expect(entries).toHaveLength(1);
+      expect(entries[0].type).toBe('charge');
+      expect(entries[0].amount).toBe(80);
+    });
+
+    test('should charge the booked price even after the room price changes', async () => {
+      await createReservation(new Date(Date.now() - 5 * hour), { status: 'completed' });
+      await Room.findByIdAndUpdate(room._id, { pricePerHour: 500 });
+
+      await postCharges();
+
+      const [entry] = await LedgerEntry.find({});
+      expect(entry.amount).toBe(80);
+
+      await Room.findByIdAndUpdate(room._id, { pricePerHour: 40 });
+    });
+
+    test('should charge a fee for no-shows', async () => {
+      await createReservation(new Date(Date.now() - 5 * hour), { status: 'no_show' });
+
+      await postCharges();
+
+      const [entry] = await LedgerEntry.find({});
+      expect(entry.type).toBe('no_show_fee');
+      expect(entry.amount).toBe(80);
+    });
+
+    test('should skip charges for deleted users', async () => {
+      const reservation = await createReservation(new Date(Date.now() - 5 * hour), {
+        status: 'completed',
+        user: new mongoose.Types.ObjectId()
+      });
+
+      await postCharges();
+
+      expect(await LedgerEntry.countDocuments({})).toBe(0);
+      expect((await Reservation.findById(reservation._id)).billedAt).toBeDefined();
+    });
+
+    test('should charge a fee for late cancellations only', async () => {
+      const late = await createReservation(new Date(Date.now() + hour));
+      const early = await createReservation(new Date(Date.now() + 48 * hour));
+
+      const lateResponse = await request(app)
+        .patch(`/api/reservations/admin/${late._id}/cancel`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(lateResponse.status).toBe(200);
+
+      const earlyResponse = await request(app)
+        .patch(`/api/reservations/${early._id}/cancel`)
+        .set('Authorization', `Bearer ${userToken}`);
+      expect(earlyResponse.status).toBe(200);
+
+      await postCharges();
+
+      const entries = await LedgerEntry.find({});
+      expect(entries).toHaveLength(1);
+      expect(entries[0].reservation.toString()).toBe(late._id.toString());
+      expect(entries[0].type).toBe('cancellation_fee');
+      expect(entries[0].amount).toBe(40);
+    });
+  });
+
+  describe('Billing endpoints', () => {
+    test('should post manual credits as negative amounts', async () => {
+      const response = await request(app)
+        .post('/api/billing/ledger')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          user: user._id,
+          type: 'credit',
+          amount: 25,
+          description: 'Goodwill credit'
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.entry.amount).toBe(-25);
+
+      const ledger = await request(app)
+        .get('/api/billing/ledger')
+        .query({ user: user._id.toString() })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(ledger.status).toBe(200);
+      expect(ledger.body.data.balance).toBe(-25);
+    });
+
+    test('should invoice a month per user and per cost centre', async () => {
+      await createReservation(new Date(Date.UTC(2025, 2, 10, 9)), { status: 'completed' });
+      await createReservation(new Date(Date.UTC(2025, 2, 12, 9)), { status: 'completed' });
+      await createReservation(new Date(Date.UTC(2025, 2, 14, 9)), { status: 'completed', user: departmentUser._id });
+      await createReservation(new Date(Date.UTC(2025, 3, 2, 9)), { status: 'completed' });
+      await postCharges();
+
+      const response = await request(app)
+        .post('/api/billing/invoices')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ year: 2025, month: 3 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.invoices).toHaveLength(2);
+
+      const userInvoice = response.body.data.invoices.find(invoice => invoice.user);
+      const departmentInvoice = response.body.data.invoices.find(invoice => invoice.costCentre);
+      expect(userInvoice.total).toBe(160);
+      expect(userInvoice.lines).toHaveLength(2);
+      expect(departmentInvoice.costCentre).toBe('ENG-42');
+      expect(departmentInvoice.number).toMatch(/^INV-202503-\d{4}$/);
+
+      // Running it again doesn't invoice anything twice
+      const again = await request(app)
+        .post('/api/billing/invoices')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ year: 2025, month: 3 });
+      expect(again.body.data.invoices).toHaveLength(0);
+    });
+
+    test('should number concurrent invoice runs uniquely', async () => {
+      await createReservation(new Date(Date.UTC(2025, 4, 10, 9)), { status: 'completed' });
+      await createReservation(new Date(Date.UTC(2025, 4, 12, 9)), { status: 'completed', user: departmentUser._id });
+      await postCharges();
+
+      // Two runs at once, each picking up one user's entries
+      const invoices = (await Promise.all([
+        generateInvoices(2025, 5, { user: user._id }),
+        generateInvoices(2025, 5, { user: departmentUser._id })
+      ])).flat();
+
+      expect(invoices).toHaveLength(2);
+      expect(new Set(invoices.map(invoice => invoice.number)).size).toBe(2);
+      expect((await Counter.findById('invoice:202505')).seq).toBeGreaterThanOrEqual(2);
+    });
+
+    test('should not invoice an entry twice when runs for the same month overlap', async () => {
+      await createReservation(new Date(Date.UTC(2025, 5, 10, 9)), { status: 'completed' });
+      await createReservation(new Date(Date.UTC(2025, 5, 12, 9)), { status: 'completed' });
+      await createReservation(new Date(Date.UTC(2025, 5, 14, 9)), { status: 'completed', user: departmentUser._id });
+      await postCharges();
+
+      const invoices = (await Promise.all([
+        generateInvoices(2025, 6),
+        generateInvoices(2025, 6)
+      ])).flat();
+
+      // Every entry is on exactly one invoice, and that is the invoice it points to
+      const lines = invoices.flatMap(invoice => invoice.lines.map(line => ({ entry: line.entry.toString(), invoice: invoice._id.toString() })));
+      const entries = await LedgerEntry.find({});
+      expect(entries).toHaveLength(3);
+      expect(lines).toHaveLength(3);
+      for (const entry of entries) {
+        expect(lines.filter(line => line.entry === entry._id.toString())).toEqual([
+          { entry: entry._id.toString(), invoice: entry.invoice.toString() }
+        ]);
+      }
+      expect(await Invoice.countDocuments({})).toBe(invoices.length);
+      expect(invoices.reduce((sum, invoice) => sum + invoice.total, 0)).toBe(240);
+    });
+
+    test('should invoice entries in the month of their room\'s zone', async () => {
+      const pacificRoom = await Room.create({
+        name: 'Pacific Billing Room',
+        description: 'Room used for billing month tests',
+        capacity: 10,
+        pricePerHour: 40,
+        location: { building: 'West Building', floor: '1st Floor' },
+        timezone: 'America/Los_Angeles',
+        createdBy: user._id
+      });
+
+      // Ends at 20:00 on 31 July in Los Angeles, which is already 1 August in UTC
+      await createReservation(new Date('2025-07-31T18:00:00-07:00'), { status: 'completed', room: pacificRoom._id });
+      await postCharges();
+
+      const august = await generateInvoices(2025, 8);
+      expect(august).toHaveLength(0);
+
+      const [july] = await generateInvoices(2025, 7);
+      expect(july.lines).toHaveLength(1);
+      expect(july.total).toBe(80);
+
+      await Room.deleteOne({ _id: pacificRoom._id });
+    });
+
+    test('should export an invoice as plain text', async () => {
+      await createReservation(new Date(Date.UTC(2025, 2, 10, 9)), { status: 'completed' });
+      await postCharges();
+
+      const generated = await request(app)
+        .post('/api/billing/invoices')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ year: 2025, month: 3 });
+      const [invoice] = generated.body.data.invoices;
+
+      const response = await request(app)
+        .get(`/api/billing/invoices/${invoice._id}/export`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/text\/plain/);
+      expect(response.text).toContain(`INVOICE ${invoice.number}`);
+      expect(response.text).toContain('Billing Room: Billing Meeting');
+      expect(response.text).toMatch(/Total\s+80\.00/);
+    });
+
+    test('should not generate invoices for a month that has not ended', async () => {
+      const now = new Date();
+      const response = await request(app)
+        .post('/api/billing/invoices')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ year: now.getUTCFullYear(), month: now.getUTCMonth() + 1 });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should only allow admins', async () => {
+      const response = await request(app)
+        .get('/api/billing/ledger')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
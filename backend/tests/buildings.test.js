@@ -0,0 +1,197 @@
+const request = require('supertest');
+const app = require('../app');
+const Building = require('../models/building');
+const Floor = require('../models/floor');
+const Room = require('../models/room');
+const User = require('../models/user');
+const { generateToken } = require('../utils/jwt');
+
+describe('Buildings and floors', () => {
+  let adminToken, userToken, admin;
+
+  const roomBody = (name, location) => ({
+    name,
+    description: 'Room used for building tests',
+    capacity: 6,
+    pricePerHour: 25,
+    location
+  });
+
+  const createRoom = (name, location) => request(app)
+    .post('/api/rooms')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(roomBody(name, location));
+
+  beforeAll(async () => {
+    admin = await User.create({
+      name: 'Buildings Admin',
+      email: 'buildingsadmin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    const user = await User.create({
+      name: 'Buildings User',
+      email: 'buildingsuser@test.com',
+      password: 'password123'
+    });
+
+    adminToken = generateToken({ id: admin._id, role: admin.role });
+    userToken = generateToken({ id: user._id, role: user.role });
+  });
+
+  beforeEach(async () => {
+    await Room.deleteMany({});
+    await Floor.deleteMany({});
+    await Building.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await Room.deleteMany({});
+    await Floor.deleteMany({});
+    await Building.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  describe('Managing buildings', () => {
+    test('should create a building with floors and list them', async () => {
+      const created = await request(app)
+        .post('/api/buildings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: 'Headquarters',
+          aliases: ['HQ'],
+          address: { street: '1 Main Street', city: 'Springfield', country: 'US' },
+          timezone: 'America/Chicago'
+        });
+      expect(created.status).toBe(201);
+      expect(created.body.data.building.aliases).toEqual(['hq']);
+
+      const buildingId = created.body.data.building._id;
+      const floor = await request(app)
+        .post(`/api/buildings/${buildingId}/floors`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Ground Floor', level: 0, map: { imageUrl: 'https://example.com/ground.png', width: 1200, height: 800 } });
+      expect(floor.status).toBe(201);
+
+      const list = await request(app)
+        .get('/api/buildings')
+        .set('Authorization', `Bearer ${userToken}`);
+      expect(list.status).toBe(200);
+      expect(list.body.data.buildings).toHaveLength(1);
+      expect(list.body.data.buildings[0].floors[0].name).toBe('Ground Floor');
+    });
+
+    test('should reject duplicate names, aliases and unknown time zones', async () => {
+      await Building.create({ name: 'Headquarters', aliases: ['HQ'] });
+
+      const duplicate = await request(app)
+        .post('/api/buildings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: ' hq ' });
+      expect(duplicate.status).toBe(409);
+
+      const timezone = await request(app)
+        .post('/api/buildings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Annex', timezone: 'Mars/Olympus_Mons' });
+      expect(timezone.status).toBe(400);
+    });
+
+    test('should only let rooms:write holders change buildings', async () => {
+      const response = await request(app)
+        .post('/api/buildings')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: 'Annex' });
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Linking rooms', () => {
+    test('should link rooms by alias and store the canonical names', async () => {
+      const building = await Building.create({ name: 'Headquarters', aliases: ['HQ'] });
+      const floor = await Floor.create({ building: building._id, name: '2nd Floor', level: 2 });
+
+      const response = await createRoom('Alias Room', { building: 'hq', floor: '2ND floor' });
+      expect(response.status).toBe(201);
+      expect(response.body.data.room.location).toMatchObject({
+        building: 'Headquarters',
+        floor: '2nd Floor',
+        buildingId: building._id.toString(),
+        floorId: floor._id.toString()
+      });
+    });
+
+    test('should create rooms from a floor id and reject floors of other buildings', async () => {
+      const building = await Building.create({ name: 'Annex' });
+      const other = await Building.create({ name: 'Warehouse' });
+      const floor = await Floor.create({ building: building._id, name: '1st Floor' });
+
+      const linked = await createRoom('Floor Room', { floorId: floor._id.toString() });
+      expect(linked.status).toBe(201);
+      expect(linked.body.data.room.location.building).toBe('Annex');
+
+      const mismatched = await createRoom('Mismatched Room', {
+        buildingId: other._id.toString(),
+        floorId: floor._id.toString()
+      });
+      expect(mismatched.status).toBe(400);
+    });
+
+    test('should keep free-text locations outside the hierarchy', async () => {
+      const response = await createRoom('Free Text Room', { building: 'Pop-up Office', floor: '1' });
+      expect(response.status).toBe(201);
+      expect(response.body.data.room.location.buildingId).toBeUndefined();
+    });
+
+    test('should filter rooms by building name or alias without partial matches', async () => {
+      await Building.create({ name: 'Headquarters', aliases: ['HQ'] });
+      await createRoom('HQ Room', { building: 'HQ', floor: '1' });
+      await createRoom('Headquarters Annex Room', { building: 'Headquarters Annex', floor: '1' });
+
+      const response = await request(app).get('/api/rooms?building=hq');
+      expect(response.status).toBe(200);
+      expect(response.body.data.rooms.map(room => room.name)).toEqual(['HQ Room']);
+    });
+
+    test('should copy a new building name to its rooms', async () => {
+      const building = await Building.create({ name: 'Old Name' });
+      const room = await createRoom('Renamed Room', { buildingId: building._id.toString(), floor: '1' });
+
+      const response = await request(app)
+        .patch(`/api/buildings/${building._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'New Name' });
+      expect(response.status).toBe(200);
+
+      const updated = await Room.findById(room.body.data.room._id);
+      expect(updated.location.building).toBe('New Name');
+    });
+
+    test('should not delete a building with active rooms', async () => {
+      const building = await Building.create({ name: 'Busy Building' });
+      await createRoom('Busy Room', { buildingId: building._id.toString(), floor: '1' });
+
+      const response = await request(app)
+        .delete(`/api/buildings/${building._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('Opening hours', () => {
+    test('should apply the building\'s opening hours to its rooms', async () => {
+      const building = await Building.create({
+        name: 'Office Hours Building',
+        openingHours: [{ days: ['MO', 'TU', 'WE', 'TH', 'FR'], open: '08:00', close: '18:00' }]
+      });
+      const room = await createRoom('Office Hours Room', { buildingId: building._id.toString(), floor: '1' });
+
+      const response = await request(app).get(`/api/rooms/${room.body.data.room._id}/policy`);
+      expect(response.status).toBe(200);
+      expect(response.body.data.policy.openingHours).toEqual([
+        { days: ['MO', 'TU', 'WE', 'TH', 'FR'], open: '08:00', close: '18:00' }
+      ]);
+    });
+  });
+});
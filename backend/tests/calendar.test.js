@@ -0,0 +1,199 @@
+const request = require('supertest');
+const app = require('../app');
+const Reservation = require('../models/reservation');
+const Room = require('../models/room');
+const User = require('../models/user');
+const { generateToken } = require('../utils/jwt');
+const { formatDate, escapeText, foldLine, buildCalendar } = require('../utils/ical');
+
+describe('iCalendar', () => {
+  let userToken, otherToken, adminToken, user, room;
+  const hour = 60 * 60 * 1000;
+
+  beforeAll(async () => {
+    user = await User.create({
+      name: 'Calendar User',
+      email: 'calendaruser@test.com',
+      password: 'password123'
+    });
+
+    const otherUser = await User.create({
+      name: 'Other Calendar User',
+      email: 'othercalendaruser@test.com',
+      password: 'password123'
+    });
+
+    const admin = await User.create({
+      name: 'Calendar Admin',
+      email: 'calendaradmin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    room = await Room.create({
+      name: 'Calendar Room',
+      description: 'Room used for calendar tests',
+      capacity: 10,
+      pricePerHour: 50,
+      location: { building: 'Test Building', floor: '1st Floor' },
+      createdBy: admin._id
+    });
+
+    userToken = generateToken({ id: user._id, role: 'user' });
+    otherToken = generateToken({ id: otherUser._id, role: 'user' });
+    adminToken = generateToken({ id: admin._id, role: 'admin' });
+  });
+
+  beforeEach(async () => {
+    await Reservation.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await Reservation.deleteMany({});
+    await Room.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  const createReservation = (startOffset, overrides = {}) => Reservation.create({
+    user: user._id,
+    room: room._id,
+    startTime: new Date(Date.now() + startOffset),
+    endTime: new Date(Date.now() + startOffset + hour),
+    purpose: 'Calendar Sync',
+    attendees: 4,
+    specialRequirements: 'Projector, whiteboard',
+    ...overrides
+  });
+
+  describe('Formatting helpers', () => {
+    test('should format dates as UTC', () => {
+      expect(formatDate(new Date('2030-01-02T03:04:05.678Z'))).toBe('20300102T030405Z');
+    });
+
+    test('should escape special characters', () => {
+      expect(escapeText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+    });
+
+    test('should fold long lines at 75 octets', () => {
+      const folded = foldLine(`SUMMARY:${'x'.repeat(200)}`);
+      const lines = folded.split('\r\n');
+      expect(lines.length).toBeGreaterThan(1);
+      lines.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+      expect(lines.slice(1).every(line => line.startsWith(' '))).toBe(true);
+    });
+
+    test('should map reservation status to event status', () => {
+      const ics = buildCalendar([
+        { _id: 'a', purpose: 'A', status: 'pending', startTime: new Date(), endTime: new Date() },
+        { _id: 'b', purpose: 'B', status: 'cancelled', startTime: new Date(), endTime: new Date() }
+      ]);
+      expect(ics).toContain('STATUS:TENTATIVE');
+      expect(ics).toContain('STATUS:CANCELLED');
+    });
+  });
+
+  describe('GET /api/reservations/:id/ics', () => {
+    test('should export a reservation as an .ics file', async () => {
+      const reservation = await createReservation(hour);
+
+      const response = await request(app)
+        .get(`/api/reservations/${reservation._id}/ics`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/text\/calendar/);
+      expect(response.headers['content-disposition']).toContain(`reservation-${reservation._id}.ics`);
+      expect(response.text).toContain(`UID:${reservation._id}@room-reservation-api`);
+      expect(response.text).toContain(`DTSTART:${formatDate(reservation.startTime)}`);
+      expect(response.text).toContain('LOCATION:Calendar Room\\, Test Building\\, 1st Floor');
+    });
+
+    test('should let admins export any reservation', async () => {
+      const reservation = await createReservation(hour);
+
+      const response = await request(app)
+        .get(`/api/reservations/${reservation._id}/ics`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+    });
+
+    test('should not export another user\'s reservation', async () => {
+      const reservation = await createReservation(hour);
+
+      const response = await request(app)
+        .get(`/api/reservations/${reservation._id}/ics`)
+        .set('Authorization', `Bearer ${otherToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Subscription feeds', () => {
+    const feedPath = (url) => new URL(url).pathname;
+
+    test('should serve the user feed including cancellations', async () => {
+      const upcoming = await createReservation(hour);
+      const cancelled = await createReservation(3 * hour, { status: 'cancelled' });
+      const old = await createReservation(-60 * 24 * hour);
+
+      const tokenResponse = await request(app)
+        .post('/api/users/calendar-token')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(tokenResponse.status).toBe(201);
+
+      const response = await request(app).get(feedPath(tokenResponse.body.data.url));
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain(`UID:${upcoming._id}@`);
+      expect(response.text).toContain(`UID:${cancelled._id}@`);
+      expect(response.text).not.toContain(`UID:${old._id}@`);
+      expect(response.text).toContain('STATUS:CANCELLED');
+    });
+
+    test('should stop serving a rotated feed URL', async () => {
+      const first = await request(app)
+        .post('/api/users/calendar-token')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      await request(app)
+        .post('/api/users/calendar-token')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      const response = await request(app).get(feedPath(first.body.data.url));
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should serve a room feed without attendee details', async () => {
+      await createReservation(hour);
+
+      const tokenResponse = await request(app)
+        .post(`/api/rooms/${room._id}/calendar-token`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(tokenResponse.status).toBe(201);
+
+      const response = await request(app).get(feedPath(tokenResponse.body.data.url));
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('SUMMARY:Calendar Sync');
+      expect(response.text).not.toContain('Projector');
+    });
+
+    test('should reject room feed tokens from non-admins', async () => {
+      const response = await request(app)
+        .post(`/api/rooms/${room._id}/calendar-token`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should return 404 for unknown feed tokens', async () => {
+      const response = await request(app).get('/api/calendar/doesnotexist.ics');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
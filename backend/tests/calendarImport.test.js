@@ -0,0 +1,224 @@
+const request = require('supertest');
+const app = require('../app');
+const Reservation = require('../models/reservation');
+const ReservationSeries = require('../models/reservationSeries');
+const Room = require('../models/room');
+const User = require('../models/user');
+const { generateToken } = require('../utils/jwt');
+const { formatDate, parseCalendar, parseDateValue, resolveFloatingTimes } = require('../utils/ical');
+
+describe('iCalendar Import', () => {
+  let userToken, adminToken, user, admin, room;
+  const hour = 60 * 60 * 1000;
+  const day = 24 * hour;
+
+  // Whole hours a few days out, so occurrences are always in the future
+  const base = new Date(Math.ceil((Date.now() + 2 * day) / hour) * hour);
+  const at = (offset) => new Date(base.getTime() + offset);
+
+  const calendar = (...events) => [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Other Scheduler//EN',
+    ...events.flat(),
+    'END:VCALENDAR'
+  ].join('\r\n');
+
+  const vevent = (uid, start, end, { location = 'Import Room', summary = 'Imported Meeting', extra = [] } = {}) => [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SUMMARY:${summary}`,
+    `LOCATION:${location}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    ...extra,
+    'END:VEVENT'
+  ];
+
+  beforeAll(async () => {
+    user = await User.create({
+      name: 'Import User',
+      email: 'importuser@test.com',
+      password: 'password123'
+    });
+
+    admin = await User.create({
+      name: 'Import Admin',
+      email: 'importadmin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    room = await Room.create({
+      name: 'Import Room',
+      description: 'Room used for import tests',
+      capacity: 10,
+      pricePerHour: 50,
+      location: { building: 'Test Building', floor: '1st Floor' },
+      createdBy: admin._id
+    });
+
+    userToken = generateToken({ id: user._id, role: 'user' });
+    adminToken = generateToken({ id: admin._id, role: 'admin' });
+  });
+
+  beforeEach(async () => {
+    await Reservation.deleteMany({});
+    await ReservationSeries.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await Reservation.deleteMany({});
+    await ReservationSeries.deleteMany({});
+    await Room.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  describe('Parsing', () => {
+    test('should unfold lines and read recurrence rules', () => {
+      const [event] = parseCalendar(calendar([
+        'BEGIN:VEVENT',
+        'UID:abc',
+        'SUMMARY:Long\\, folded',
+        '  summary',
+        'DTSTART:20300107T090000Z',
+        'DURATION:PT1H30M',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4',
+        'EXDATE:20300109T090000Z',
+        'ATTENDEE:mailto:a@test.com',
+        'ATTENDEE:mailto:b@test.com',
+        'END:VEVENT'
+      ]));
+
+      expect(event.summary).toBe('Long, folded summary');
+      expect(event.endTime.toISOString()).toBe('2030-01-07T10:30:00.000Z');
+      expect(event.recurrence).toEqual({ frequency: 'weekly', byWeekday: ['MO', 'WE'], count: 4 });
+      expect(event.exdates).toHaveLength(1);
+      expect(event.attendees).toBe(2);
+    });
+
+    test('should convert zoned times to UTC', () => {
+      const { date } = parseDateValue('20300701T090000', { TZID: 'Europe/London' });
+      expect(date.toISOString()).toBe('2030-07-01T08:00:00.000Z');
+    });
+
+    test('should place floating times and date-only UNTIL in the given zone', () => {
+      const [event] = parseCalendar(calendar([
+        'BEGIN:VEVENT',
+        'UID:floating',
+        'DTSTART:20300107T090000',
+        'DURATION:PT1H',
+        'RRULE:FREQ=DAILY;UNTIL=20300109',
+        'EXDATE:20300108T090000',
+        'END:VEVENT'
+      ]));
+
+      resolveFloatingTimes(event, 'Asia/Tokyo');
+
+      expect(event.startTime.toISOString()).toBe('2030-01-07T00:00:00.000Z');
+      expect(event.endTime.toISOString()).toBe('2030-01-07T01:00:00.000Z');
+      expect(event.exdates[0].toISOString()).toBe('2030-01-08T00:00:00.000Z');
+      // The whole of 9 January in Tokyo
+      expect(event.recurrence.until.toISOString()).toBe('2030-01-09T14:59:59.999Z');
+    });
+
+    test('should record unsupported rules on the event', () => {
+      const [event] = parseCalendar(calendar(vevent('yearly', at(0), at(hour), {
+        extra: ['RRULE:FREQ=YEARLY']
+      })));
+
+      expect(event.error).toMatch(/Unsupported recurrence frequency/);
+    });
+  });
+
+  describe('POST /api/reservations/admin/import', () => {
+    test('should report creatable, conflicting and invalid events without creating anything', async () => {
+      await Reservation.create({
+        user: user._id,
+        room: room._id,
+        startTime: at(4 * hour),
+        endTime: at(5 * hour),
+        purpose: 'Existing Meeting',
+        attendees: 2
+      });
+
+      const response = await request(app)
+        .post('/api/reservations/admin/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          calendar: calendar(
+            vevent('free', at(0), at(hour)),
+            vevent('taken', at(4 * hour), at(5 * hour)),
+            vevent('same-file', at(30 * 60 * 1000), at(2 * hour)),
+            vevent('unmapped', at(0), at(hour), { location: 'Nowhere' })
+          )
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.dryRun).toBe(true);
+      expect(response.body.data.summary).toMatchObject({ creatable: 1, conflict: 2, invalid: 1 });
+
+      const statuses = Object.fromEntries(response.body.data.results.map(result => [result.uid, result.status]));
+      expect(statuses).toEqual({ free: 'creatable', taken: 'conflict', 'same-file': 'conflict', unmapped: 'invalid' });
+
+      expect(await Reservation.countDocuments()).toBe(1);
+    });
+
+    test('should map locations to rooms and expand RRULE/EXDATE', async () => {
+      const response = await request(app)
+        .post('/api/reservations/admin/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          calendar: calendar(vevent('weekly', at(0), at(hour), {
+            location: 'Building 7 / Room 101',
+            extra: ['RRULE:FREQ=DAILY;COUNT=4', `EXDATE:${formatDate(at(day))}`]
+          })),
+          roomMapping: { 'Building 7 / Room 101': room._id.toString() }
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.summary.creatable).toBe(3);
+      expect(response.body.data.results.every(result => result.room.name === 'Import Room')).toBe(true);
+    });
+
+    test('should create reservations and a series when not a dry run', async () => {
+      const response = await request(app)
+        .post('/api/reservations/admin/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          calendar: calendar(
+            vevent('series', at(0), at(hour), { extra: ['RRULE:FREQ=DAILY;COUNT=3'] }),
+            vevent('single', at(10 * hour), at(11 * hour))
+          ),
+          user: user._id.toString(),
+          dryRun: false
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.summary.created).toBe(4);
+
+      const reservations = await Reservation.find({ user: user._id });
+      expect(reservations).toHaveLength(4);
+      expect(reservations.filter(reservation => reservation.series)).toHaveLength(3);
+      expect(await ReservationSeries.countDocuments()).toBe(1);
+    });
+
+    test('should reject files that are not iCalendar', async () => {
+      const response = await request(app)
+        .post('/api/reservations/admin/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ calendar: 'not a calendar' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should only allow admins to import', async () => {
+      const response = await request(app)
+        .post('/api/reservations/admin/import')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ calendar: calendar(vevent('free', at(0), at(hour))) });
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,213 @@
+const request = require('supertest');
+const app = require('../app');
+const Blackout = require('../models/blackout');
+const BookingPolicy = require('../models/bookingPolicy');
+const Holiday = require('../models/holiday');
+const Reservation = require('../models/reservation');
+const Room = require('../models/room');
+const User = require('../models/user');
+const { generateToken } = require('../utils/jwt');
+const { checkOpeningHours, closedIntervals } = require('../utils/openingHours');
+
+describe('Opening hours and closures', () => {
+  let userToken, adminToken, user, room;
+
+  // Monday 7 January 2030, local time
+  const monday = (hours, minutes = 0) => new Date(2030, 0, 7, hours, minutes);
+  const weekdays = [{ days: ['MO', 'TU', 'WE', 'TH', 'FR'], open: '08:00', close: '18:00' }];
+
+  beforeAll(async () => {
+    user = await User.create({
+      name: 'Closure User',
+      email: 'closureuser@test.com',
+      password: 'password123'
+    });
+
+    const admin = await User.create({
+      name: 'Closure Admin',
+      email: 'closureadmin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    room = await Room.create({
+      name: 'Closure Room',
+      description: 'Room used for closure tests',
+      capacity: 10,
+      pricePerHour: 40,
+      location: { building: 'East Wing', floor: '1st Floor' },
+      createdBy: admin._id
+    });
+
+    userToken = generateToken({ id: user._id, role: 'user' });
+    adminToken = generateToken({ id: admin._id, role: 'admin' });
+  });
+
+  beforeEach(async () => {
+    await Reservation.deleteMany({});
+    await BookingPolicy.deleteMany({});
+    await Holiday.deleteMany({});
+    await Blackout.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await Reservation.deleteMany({});
+    await BookingPolicy.deleteMany({});
+    await Holiday.deleteMany({});
+    await Blackout.deleteMany({});
+    await Room.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  const book = (startTime, endTime) => request(app)
+    .post('/api/reservations')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send({
+      room: room._id,
+      startTime: startTime.toISOString(),
+      endTime: endTime.toISOString(),
+      purpose: 'Closure Meeting',
+      attendees: 3
+    });
+
+  describe('Opening hours', () => {
+    test('should accept slots inside and reject slots outside the opening hours', () => {
+      expect(checkOpeningHours(weekdays, monday(9), monday(10))).toBeNull();
+      expect(checkOpeningHours(weekdays, monday(17), monday(19))).toBe('Room is only open 08:00-18:00 on Mondays');
+      expect(checkOpeningHours(weekdays, new Date(2030, 0, 6, 9), new Date(2030, 0, 6, 10))).toBe('Room is closed on Sundays');
+      expect(checkOpeningHours(null, monday(3), monday(4))).toBeNull();
+    });
+
+    test('should list the closed time in a range', () => {
+      const closed = closedIntervals(weekdays, monday(0), monday(24));
+
+      expect(closed).toEqual([
+        { startTime: monday(0), endTime: monday(8) },
+        { startTime: monday(18), endTime: monday(24) }
+      ]);
+    });
+
+    test('should reject bookings outside a room policy opening hours', async () => {
+      await BookingPolicy.create({ scope: 'building', building: 'East Wing', openingHours: weekdays });
+
+      const response = await book(monday(3), monday(4));
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Room is only open 08:00-18:00 on Mondays');
+
+      const inHours = await book(monday(9), monday(10));
+      expect(inHours.status).toBe(201);
+    });
+  });
+
+  describe('Holidays and blackouts', () => {
+    test('should reject bookings on a holiday', async () => {
+      await Holiday.create({ name: 'Founders Day', date: '2030-01-07' });
+
+      const response = await book(monday(9), monday(10));
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Room is closed for Founders Day on 2030-01-07');
+    });
+
+    test('should ignore holidays for other buildings', async () => {
+      await Holiday.create({ name: 'West Wing Closure', date: '2030-01-07', building: 'West Wing' });
+
+      const response = await book(monday(9), monday(10));
+
+      expect(response.status).toBe(201);
+    });
+
+    test('should report the blackout in availability checks', async () => {
+      await Blackout.create({
+        scope: 'room',
+        room: room._id,
+        startTime: monday(8),
+        endTime: monday(12),
+        reason: 'Maintenance'
+      });
+
+      const response = await request(app)
+        .post('/api/reservations/check-availability')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ room: room._id, startTime: monday(9).toISOString(), endTime: monday(10).toISOString() });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.available).toBe(false);
+      expect(response.body.data.reason).toMatch(/^Room is unavailable \(Maintenance\)/);
+    });
+
+    test('should report colliding reservations when creating a blackout', async () => {
+      const reservation = await Reservation.create({
+        user: user._id,
+        room: room._id,
+        startTime: monday(9),
+        endTime: monday(10),
+        purpose: 'Closure Meeting',
+        attendees: 3
+      });
+
+      const response = await request(app)
+        .post('/api/closures/blackouts')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          scope: 'building',
+          building: 'East Wing',
+          startTime: monday(8).toISOString(),
+          endTime: monday(12).toISOString(),
+          reason: 'Fire drill'
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.conflicts).toHaveLength(1);
+      expect(response.body.data.cancelled).toBe(0);
+
+      const unchanged = await Reservation.findById(reservation._id);
+      expect(unchanged.status).toBe('confirmed');
+    });
+
+    test('should cancel colliding reservations when asked', async () => {
+      const reservation = await Reservation.create({
+        user: user._id,
+        room: room._id,
+        startTime: monday(9),
+        endTime: monday(10),
+        purpose: 'Closure Meeting',
+        attendees: 3
+      });
+
+      const response = await request(app)
+        .post('/api/closures/blackouts')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          scope: 'room',
+          room: room._id,
+          startTime: monday(8).toISOString(),
+          endTime: monday(12).toISOString(),
+          reason: 'Maintenance',
+          cancelReservations: true
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.cancelled).toBe(1);
+
+      const cancelled = await Reservation.findById(reservation._id);
+      expect(cancelled.status).toBe('cancelled');
+      expect(cancelled.cancellation.late).toBe(false);
+      expect(cancelled.cancellation.reason).toBe('Room unavailable: Maintenance');
+    });
+
+    test('should only allow admins to create blackouts', async () => {
+      const response = await request(app)
+        .post('/api/closures/blackouts')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          scope: 'global',
+          startTime: monday(8).toISOString(),
+          endTime: monday(12).toISOString(),
+          reason: 'Maintenance'
+        });
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,237 @@
+const http = require('http');
+const request = require('supertest');
+const app = require('../app');
+const Reservation = require('../models/reservation');
+const Room = require('../models/room');
+const User = require('../models/user');
+const { generateToken } = require('../utils/jwt');
+const { releaseNoShows } = require('../services/lifecycle');
+const { expirePendingApprovals } = require('../services/approval');
+
+describe('Live event stream', () => {
+  let server, baseUrl, userToken, otherToken, adminToken, user, room, otherRoom;
+  const hour = 60 * 60 * 1000;
+  const streams = [];
+
+  // Open a stream and collect its events; resolves once the server says it's ready
+  const openStream = (query) => new Promise((resolve, reject) => {
+    const events = [];
+    const waiters = [];
+    let buffer = '';
+
+    const req = http.get(`${baseUrl}/api/events?${new URLSearchParams(query)}`, (res) => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        return resolve({ status: res.statusCode });
+      }
+
+      const stream = {
+        status: res.statusCode,
+        headers: res.headers,
+        events,
+        // Wait until `count` events (besides "ready") have arrived
+        waitFor: (count) => new Promise(done => {
+          const check = () => events.length >= count + 1 ? done(events.slice(1)) : waiters.push(check);
+          check();
+        })
+      };
+      streams.push(req);
+
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        const messages = buffer.split('\n\n');
+        buffer = messages.pop();
+        for (const message of messages) {
+          const event = /^event: (.*)$/m.exec(message);
+          const data = /^data: (.*)$/m.exec(message);
+          if (!event) continue;
+          events.push({ event: event[1], data: JSON.parse(data[1]) });
+          if (event[1] === 'ready') resolve(stream);
+          waiters.splice(0).forEach(check => check());
+        }
+      });
+    });
+    req.on('error', reject);
+  });
+
+  const book = (roomId, token) => {
+    const startTime = new Date(Date.now() + 24 * hour);
+    return request(app)
+      .post('/api/reservations')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        room: roomId,
+        startTime: startTime.toISOString(),
+        endTime: new Date(startTime.getTime() + hour).toISOString(),
+        purpose: 'Streamed Meeting',
+        attendees: 3
+      });
+  };
+
+  beforeAll(async () => {
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    user = await User.create({
+      name: 'Streaming User',
+      email: 'streaminguser@test.com',
+      password: 'password123'
+    });
+
+    const other = await User.create({
+      name: 'Other Streaming User',
+      email: 'otherstreaminguser@test.com',
+      password: 'password123'
+    });
+
+    const admin = await User.create({
+      name: 'Streaming Admin',
+      email: 'streamingadmin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    room = await Room.create({
+      name: 'Stream Room',
+      description: 'Room used for event stream tests',
+      capacity: 10,
+      pricePerHour: 40,
+      location: { building: 'Test Building', floor: '1st Floor' },
+      createdBy: admin._id
+    });
+
+    otherRoom = await Room.create({
+      name: 'Other Stream Room',
+      description: 'Room nobody in these tests watches',
+      capacity: 10,
+      pricePerHour: 40,
+      location: { building: 'Test Building', floor: '2nd Floor' },
+      createdBy: admin._id
+    });
+
+    userToken = generateToken({ id: user._id, role: 'user' });
+    otherToken = generateToken({ id: other._id, role: 'user' });
+    adminToken = generateToken({ id: admin._id, role: 'admin' });
+  });
+
+  beforeEach(async () => {
+    await Reservation.deleteMany({});
+  });
+
+  afterEach(() => {
+    streams.splice(0).forEach(req => req.destroy());
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await Reservation.deleteMany({});
+    await Room.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  test('should require a token', async () => {
+    const stream = await openStream({ mine: true });
+
+    expect(stream.status).toBe(401);
+  });
+
+  test('should require a subscription', async () => {
+    const stream = await openStream({ token: userToken });
+
+    expect(stream.status).toBe(400);
+  });
+
+  test('should accept the token as a query parameter', async () => {
+    const stream = await openStream({ token: userToken, rooms: room._id.toString() });
+
+    expect(stream.status).toBe(200);
+    expect(stream.headers['content-type']).toBe('text/event-stream');
+    expect(stream.events[0].data).toEqual({ rooms: [room._id.toString()], mine: false });
+  });
+
+  test('should push bookings in watched rooms without private details', async () => {
+    const stream = await openStream({ token: userToken, rooms: room._id.toString() });
+
+    await book(otherRoom._id, otherToken);
+    const response = await book(room._id, otherToken);
+    const [created] = await stream.waitFor(1);
+
+    expect(created.event).toBe('reservation.created');
+    expect(created.data.reservation).toEqual({
+      id: response.body.data.reservation._id,
+      room: room._id.toString(),
+      startTime: response.body.data.reservation.startTime,
+      endTime: response.body.data.reservation.endTime,
+      status: 'confirmed'
+    });
+  });
+
+  test('should push changes to the user\'s own reservations', async () => {
+    const stream = await openStream({ token: userToken, mine: true });
+
+    const response = await book(otherRoom._id, userToken);
+    await request(app)
+      .patch(`/api/reservations/${response.body.data.reservation._id}/cancel`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    const events = await stream.waitFor(2);
+    expect(events.map(({ event }) => event)).toEqual(['reservation.created', 'reservation.cancelled']);
+    expect(events[0].data.reservation.purpose).toBe('Streamed Meeting');
+  });
+
+  test('should push status changes with the previous status', async () => {
+    const stream = await openStream({ token: adminToken, rooms: room._id.toString() });
+    const reservation = await Reservation.create({
+      user: user._id,
+      room: room._id,
+      startTime: new Date(Date.now() + 24 * hour),
+      endTime: new Date(Date.now() + 25 * hour),
+      purpose: 'Streamed Meeting',
+      attendees: 3
+    });
+
+    await request(app)
+      .patch(`/api/reservations/admin/${reservation._id}/status`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'pending' });
+
+    const [changed] = await stream.waitFor(1);
+    expect(changed.event).toBe('reservation.status_changed');
+    expect(changed.data.previousStatus).toBe('confirmed');
+    // Admins see full details
+    expect(changed.data.reservation.user).toBe(user._id.toString());
+  });
+
+  test('should push status changes made by background jobs', async () => {
+    const stream = await openStream({ token: adminToken, rooms: room._id.toString() });
+    const unclaimed = await Reservation.create({
+      user: user._id,
+      room: room._id,
+      startTime: new Date(Date.now() - hour),
+      endTime: new Date(Date.now() + hour),
+      purpose: 'Streamed Meeting',
+      attendees: 3
+    });
+    const undecided = await Reservation.create({
+      user: user._id,
+      room: room._id,
+      startTime: new Date(Date.now() - hour),
+      endTime: new Date(Date.now() + hour),
+      purpose: 'Streamed Meeting',
+      attendees: 3,
+      status: 'pending',
+      approval: { state: 'awaiting' }
+    });
+
+    await releaseNoShows();
+    await expirePendingApprovals();
+
+    const events = await stream.waitFor(3);
+    expect(events.map(({ event, data }) => [event, data.reservation.id, data.reservation.status])).toEqual([
+      ['reservation.status_changed', unclaimed._id.toString(), 'no_show'],
+      ['reservation.status_changed', undecided._id.toString(), 'cancelled'],
+      ['reservation.cancelled', undecided._id.toString(), 'cancelled']
+    ]);
+  });
+});
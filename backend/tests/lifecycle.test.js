@@ -0,0 +1,152 @@
+const request = require('supertest');
+const app = require('../app');
+const config = require('../config/config');
+const Reservation = require('../models/reservation');
+const Room = require('../models/room');
+const User = require('../models/user');
+const { generateToken } = require('../utils/jwt');
+const { releaseNoShows, completeEndedReservations } = require('../services/lifecycle');
+const { runJobs } = require('../services/scheduler');
+
+describe('Reservation Lifecycle', () => {
+  let userToken, user, room;
+  const minute = 60 * 1000;
+  const hour = 60 * minute;
+
+  beforeAll(async () => {
+    user = await User.create({
+      name: 'Lifecycle User',
+      email: 'lifecycleuser@test.com',
+      password: 'password123'
+    });
+
+    room = await Room.create({
+      name: 'Lifecycle Room',
+      description: 'Room used for lifecycle tests',
+      capacity: 10,
+      pricePerHour: 50,
+      location: { building: 'Test Building', floor: '1st Floor' },
+      createdBy: user._id
+    });
+
+    userToken = generateToken({ id: user._id, role: 'user' });
+  });
+
+  beforeEach(async () => {
+    await Reservation.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await Reservation.deleteMany({});
+    await Room.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  const createReservation = (startOffset, endOffset, overrides = {}) => Reservation.create({
+    user: user._id,
+    room: room._id,
+    startTime: new Date(Date.now() + startOffset),
+    endTime: new Date(Date.now() + endOffset),
+    purpose: 'Lifecycle Meeting',
+    attendees: 3,
+    ...overrides
+  });
+
+  describe('POST /api/reservations/:id/check-in', () => {
+    test('should check in to a reservation in progress', async () => {
+      const reservation = await createReservation(-5 * minute, hour);
+
+      const response = await request(app)
+        .post(`/api/reservations/${reservation._id}/check-in`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.reservation.checkedInAt).toBeDefined();
+    });
+
+    test('should allow check-in shortly before start', async () => {
+      const reservation = await createReservation(10 * minute, hour);
+
+      const response = await request(app)
+        .post(`/api/reservations/${reservation._id}/check-in`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(200);
+    });
+
+    test('should reject check-in long before start', async () => {
+      const reservation = await createReservation(3 * hour, 4 * hour);
+
+      const response = await request(app)
+        .post(`/api/reservations/${reservation._id}/check-in`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should reject checking in twice', async () => {
+      const reservation = await createReservation(-5 * minute, hour, { checkedInAt: new Date() });
+
+      const response = await request(app)
+        .post(`/api/reservations/${reservation._id}/check-in`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Background jobs', () => {
+    test('should release unclaimed bookings after the grace period', async () => {
+      const unclaimed = await createReservation(-30 * minute, hour);
+      const claimed = await createReservation(-30 * minute, hour, { checkedInAt: new Date() });
+      const withinGrace = await createReservation(-5 * minute, hour);
+
+      await releaseNoShows();
+
+      expect((await Reservation.findById(unclaimed._id)).status).toBe('no_show');
+      expect((await Reservation.findById(claimed._id)).status).toBe('confirmed');
+      expect((await Reservation.findById(withinGrace._id)).status).toBe('confirmed');
+
+      // The released slot is bookable again
+      const available = await Reservation.checkAvailability(
+        room._id,
+        new Date(Date.now() + 10 * minute),
+        new Date(Date.now() + 40 * minute),
+        [claimed._id, withinGrace._id]
+      );
+      expect(available).toBe(true);
+    });
+
+    test('should leave unclaimed bookings alone when check-in is turned off', async () => {
+      config.checkIn.required = false;
+      try {
+        const unclaimed = await createReservation(-30 * minute, hour);
+
+        expect(await releaseNoShows()).toBe(0);
+        expect((await Reservation.findById(unclaimed._id)).status).toBe('confirmed');
+      } finally {
+        config.checkIn.required = true;
+      }
+    });
+
+    test('should mark ended reservations completed', async () => {
+      const ended = await createReservation(-3 * hour, -hour, { checkedInAt: new Date() });
+      const upcoming = await createReservation(hour, 2 * hour);
+
+      await completeEndedReservations();
+
+      expect((await Reservation.findById(ended._id)).status).toBe('completed');
+      expect((await Reservation.findById(upcoming._id)).status).toBe('confirmed');
+    });
+
+    test('should run every job in one tick', async () => {
+      const unclaimedEnded = await createReservation(-3 * hour, -hour);
+      const attendedEnded = await createReservation(-3 * hour, -hour, { checkedInAt: new Date() });
+
+      await runJobs();
+
+      expect((await Reservation.findById(unclaimedEnded._id)).status).toBe('no_show');
+      expect((await Reservation.findById(attendedEnded._id)).status).toBe('completed');
+    });
+  });
+});
@@ -0,0 +1,201 @@
+const request = require('supertest');
+const app = require('../app');
+const Notification = require('../models/notification');
+const Reservation = require('../models/reservation');
+const Room = require('../models/room');
+const User = require('../models/user');
+const { generateToken } = require('../utils/jwt');
+const { renderTemplate } = require('../utils/emailTemplates');
+const { memoryTransport } = require('../services/mailer');
+const { notify, processOutbox } = require('../services/notifications');
+
+describe('Email notifications', () => {
+  let userToken, adminToken, user, room;
+  const hour = 60 * 60 * 1000;
+
+  beforeAll(async () => {
+    user = await User.create({
+      name: 'Notified User',
+      email: 'notifieduser@test.com',
+      password: 'password123'
+    });
+
+    const admin = await User.create({
+      name: 'Notification Admin',
+      email: 'notificationadmin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    room = await Room.create({
+      name: 'Notification Room',
+      description: 'Room used for notification tests',
+      capacity: 10,
+      pricePerHour: 40,
+      location: { building: 'Test Building', floor: '1st Floor' },
+      createdBy: admin._id
+    });
+
+    userToken = generateToken({ id: user._id, role: 'user' });
+    adminToken = generateToken({ id: admin._id, role: 'admin' });
+  });
+
+  beforeEach(async () => {
+    await Reservation.deleteMany({});
+    await Notification.deleteMany({});
+    memoryTransport.messages.length = 0;
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await Reservation.deleteMany({});
+    await Notification.deleteMany({});
+    await Room.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  describe('Templates', () => {
+    test('should render a booking confirmation', () => {
+      const { subject, text } = renderTemplate('bookingConfirmation', {
+        user: { name: 'Ada' },
+        room: { name: 'Board Room', location: { building: 'HQ', floor: '2nd Floor' } },
+        reservation: {
+          status: 'confirmed',
+          startTime: new Date('2030-01-07T09:00:00Z'),
+          endTime: new Date('2030-01-07T10:00:00Z'),
+          timezone: 'UTC',
+          purpose: 'Planning'
+        }
+      });
+
+      expect(subject).toBe('Booking confirmed: Board Room');
+      expect(text).toContain('Hi Ada,');
+      expect(text).toContain('Room:    Board Room, HQ, 2nd Floor');
+      expect(text).toContain('Start:   Mon, 07 Jan 2030 09:00 UTC');
+    });
+
+    test('should reject unknown templates', () => {
+      expect(() => renderTemplate('nope', {})).toThrow('Unknown email template "nope"');
+    });
+  });
+
+  describe('Sending', () => {
+    test('should email a reset link instead of returning the token', async () => {
+      const response = await request(app)
+        .post('/api/users/forgot-password')
+        .send({ email: 'notifieduser@test.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toBeUndefined();
+
+      const updated = await User.findById(user._id).select('+passwordResetToken');
+      expect(memoryTransport.messages).toHaveLength(1);
+      expect(memoryTransport.messages[0].to).toBe('notifieduser@test.com');
+      expect(memoryTransport.messages[0].text).toContain(`token=${updated.passwordResetToken}`);
+    });
+
+    test('should confirm new bookings by email', async () => {
+      const startTime = new Date(Date.now() + 24 * hour);
+      const response = await request(app)
+        .post('/api/reservations')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          room: room._id,
+          startTime: startTime.toISOString(),
+          endTime: new Date(startTime.getTime() + hour).toISOString(),
+          purpose: 'Notified Meeting',
+          attendees: 3
+        });
+
+      expect(response.status).toBe(201);
+      expect(memoryTransport.messages.map(message => message.subject)).toEqual(['Booking confirmed: Notification Room']);
+
+      const [notification] = await Notification.find({});
+      expect(notification.status).toBe('sent');
+      expect(notification.reservation.toString()).toBe(response.body.data.reservation._id);
+    });
+
+    test('should email the owner when an admin changes the status', async () => {
+      const reservation = await Reservation.create({
+        user: user._id,
+        room: room._id,
+        startTime: new Date(Date.now() + 24 * hour),
+        endTime: new Date(Date.now() + 25 * hour),
+        purpose: 'Notified Meeting',
+        attendees: 3
+      });
+
+      const response = await request(app)
+        .patch(`/api/reservations/admin/${reservation._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'cancelled' });
+
+      expect(response.status).toBe(200);
+      expect(memoryTransport.messages).toHaveLength(1);
+      expect(memoryTransport.messages[0].text).toContain('changed from confirmed to cancelled');
+    });
+  });
+
+  describe('Outbox', () => {
+    test('should keep failed sends and retry them', async () => {
+      jest.spyOn(memoryTransport, 'send').mockRejectedValueOnce(new Error('Connection refused'));
+
+      const notification = await notify('passwordReset', 'notifieduser@test.com', {
+        user,
+        resetUrl: 'http://localhost:3000/reset-password?token=abc',
+        expiresMinutes: 10
+      });
+
+      expect(notification.status).toBe('pending');
+      expect(notification.attempts).toBe(1);
+      expect(notification.lastError).toBe('Connection refused');
+
+      // Not due yet
+      expect(await processOutbox()).toBe(0);
+
+      await Notification.findByIdAndUpdate(notification._id, { nextAttemptAt: new Date(Date.now() - 1000) });
+      expect(await processOutbox()).toBe(1);
+
+      const sent = await Notification.findById(notification._id);
+      expect(sent.status).toBe('sent');
+      expect(sent.attempts).toBe(2);
+      expect(memoryTransport.messages).toHaveLength(1);
+    });
+
+    test('should give up after the maximum number of attempts', async () => {
+      jest.spyOn(memoryTransport, 'send').mockRejectedValue(new Error('Connection refused'));
+
+      const notification = await notify('passwordReset', 'notifieduser@test.com', {
+        user,
+        resetUrl: 'http://localhost:3000/reset-password?token=abc',
+        expiresMinutes: 10
+      });
+
+      for (let attempt = 1; attempt < 5; attempt++) {
+        await Notification.findByIdAndUpdate(notification._id, { nextAttemptAt: new Date(Date.now() - 1000) });
+        await processOutbox();
+      }
+
+      const failed = await Notification.findById(notification._id);
+      expect(failed.status).toBe('failed');
+      expect(failed.attempts).toBe(5);
+    });
+
+    test('should let admins list the outbox', async () => {
+      await notify('passwordReset', 'notifieduser@test.com', {
+        user,
+        resetUrl: 'http://localhost:3000/reset-password?token=abc',
+        expiresMinutes: 10
+      });
+
+      const response = await request(app)
+        .get('/api/notifications')
+        .query({ status: 'sent' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.notifications).toHaveLength(1);
+      expect(response.body.data.notifications[0].template).toBe('passwordReset');
+    });
+  });
+});
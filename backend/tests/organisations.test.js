@@ -0,0 +1,350 @@
+const request = require('supertest');
+const app = require('../app');
+const Blackout = require('../models/blackout');
+const Organisation = require('../models/organisation');
+const Reservation = require('../models/reservation');
+const Room = require('../models/room');
+const Webhook = require('../models/webhook');
+const User = require('../models/user');
+const { generateToken, verifyToken } = require('../utils/jwt');
+
+describe('Organisations', () => {
+  let acme, globex, superToken, acmeAdminToken, acmeUserToken, defaultAdminToken, acmeRoom, globexRoom, defaultRoom, globexUser;
+  const hour = 60 * 60 * 1000;
+
+  const room = (name, organisation, createdBy) => Room.create({
+    name,
+    description: 'Room used for tenant tests',
+    capacity: 10,
+    pricePerHour: 40,
+    location: { building: 'Shared Building', floor: '1st Floor' },
+    organisation,
+    createdBy
+  });
+
+  beforeAll(async () => {
+    acme = await Organisation.create({ name: 'Acme', slug: 'acme' });
+    globex = await Organisation.create({ name: 'Globex', slug: 'globex' });
+
+    const superadmin = await User.create({
+      name: 'Platform Admin',
+      email: 'platform@test.com',
+      password: 'password123',
+      role: 'superadmin'
+    });
+
+    const acmeAdmin = await User.create({
+      name: 'Acme Admin',
+      email: 'admin@acme.test',
+      password: 'password123',
+      role: 'admin',
+      organisation: acme._id
+    });
+
+    const acmeUser = await User.create({
+      name: 'Acme User',
+      email: 'shared@test.com',
+      password: 'password123',
+      organisation: acme._id
+    });
+
+    globexUser = await User.create({
+      name: 'Globex User',
+      email: 'shared@test.com',
+      password: 'password123',
+      organisation: globex._id
+    });
+
+    const defaultAdmin = await User.create({
+      name: 'Default Admin',
+      email: 'defaultadmin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    acmeRoom = await room('Board Room', acme._id, acmeAdmin._id);
+    // Same name and building is fine in another organisation
+    globexRoom = await room('Board Room', globex._id, globexUser._id);
+    defaultRoom = await room('Default Room', undefined, defaultAdmin._id);
+
+    superToken = generateToken({ id: superadmin._id, role: 'superadmin' });
+    acmeAdminToken = generateToken({ id: acmeAdmin._id, role: 'admin', organisation: acme._id });
+    acmeUserToken = generateToken({ id: acmeUser._id, role: 'user', organisation: acme._id });
+    defaultAdminToken = generateToken({ id: defaultAdmin._id, role: 'admin' });
+  });
+
+  beforeEach(async () => {
+    await Reservation.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await Blackout.deleteMany({});
+    await Reservation.deleteMany({});
+    await Room.deleteMany({});
+    await User.deleteMany({});
+    await Organisation.deleteMany({});
+  });
+
+  describe('Sign-in', () => {
+    test('should keep emails unique per organisation', async () => {
+      const addUser = (token, organisation) => request(app)
+        .post('/api/users/admin/users')
+        .set('Authorization', `Bearer ${token}`)
+        .set(organisation ? { 'X-Organisation-Id': organisation } : {})
+        .send({ name: 'New Person', email: 'newperson@test.com', password: 'password123' });
+
+      const created = await addUser(acmeAdminToken);
+      expect(created.status).toBe(201);
+      expect(created.body.data.user.organisation).toBe(acme._id.toString());
+      expect(created.body.data.user.role).toBe('user');
+
+      expect((await addUser(superToken, globex._id.toString())).status).toBe(201);
+      expect((await addUser(acmeAdminToken)).status).toBe(409);
+
+      await User.deleteMany({ email: 'newperson@test.com' });
+    });
+
+    test('should only let public registration join the default tenant as a user', async () => {
+      const register = (extra) => request(app)
+        .post('/api/users/register')
+        .send({ name: 'Intruder', email: 'intruder@test.com', password: 'password123', ...extra });
+
+      expect((await register({ organisation: 'acme' })).status).toBe(400);
+      expect((await register({ role: 'admin' })).status).toBe(400);
+
+      const response = await register();
+      expect(response.status).toBe(201);
+      expect(response.body.data.user.role).toBe('user');
+      expect(response.body.data.user.organisation).toBeUndefined();
+      expect(await User.exists({ email: 'intruder@test.com', organisation: acme._id })).toBeNull();
+
+      await User.deleteMany({ email: 'intruder@test.com' });
+    });
+
+    test('should log in to the given organisation only', async () => {
+      const response = await request(app)
+        .post('/api/users/login')
+        .send({ email: 'shared@test.com', password: 'password123', organisation: 'globex' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.user.id).toBe(globexUser._id.toString());
+      expect(verifyToken(response.body.data.token).organisation).toBe(globex._id.toString());
+
+      const withoutOrganisation = await request(app)
+        .post('/api/users/login')
+        .send({ email: 'shared@test.com', password: 'password123' });
+
+      expect(withoutOrganisation.status).toBe(401);
+    });
+
+    test('should reject tokens for another organisation', async () => {
+      const forged = generateToken({ id: globexUser._id, role: 'user', organisation: acme._id });
+      const response = await request(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${forged}`);
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should lock out members of a deactivated organisation', async () => {
+      await Organisation.findByIdAndUpdate(acme._id, { isActive: false });
+
+      const response = await request(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${acmeUserToken}`);
+
+      await Organisation.findByIdAndUpdate(acme._id, { isActive: true });
+
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe('Organisation is deactivated.');
+    });
+  });
+
+  describe('Scoping', () => {
+    test('should only list the organisation\'s rooms', async () => {
+      const response = await request(app)
+        .get('/api/rooms')
+        .set('Authorization', `Bearer ${acmeUserToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.rooms.map(({ _id }) => _id)).toEqual([acmeRoom._id.toString()]);
+
+      const anonymous = await request(app).get('/api/rooms');
+      expect(anonymous.body.data.rooms.map(({ _id }) => _id)).toEqual([defaultRoom._id.toString()]);
+    });
+
+    test('should not book or see other organisations\' rooms', async () => {
+      const startTime = new Date(Date.now() + 24 * hour);
+      const book = (roomId) => request(app)
+        .post('/api/reservations')
+        .set('Authorization', `Bearer ${acmeUserToken}`)
+        .send({
+          room: roomId,
+          startTime: startTime.toISOString(),
+          endTime: new Date(startTime.getTime() + hour).toISOString(),
+          purpose: 'Tenant Meeting',
+          attendees: 3
+        });
+
+      expect((await book(globexRoom._id)).status).toBe(404);
+
+      const response = await book(acmeRoom._id);
+      expect(response.status).toBe(201);
+      expect(response.body.data.reservation.organisation).toBe(acme._id.toString());
+
+      const other = await request(app)
+        .get(`/api/rooms/${globexRoom._id}`)
+        .set('Authorization', `Bearer ${acmeUserToken}`);
+      expect(other.status).toBe(404);
+    });
+
+    test('should limit organisation admins to their own users', async () => {
+      const list = await request(app)
+        .get('/api/users/admin/users')
+        .set('Authorization', `Bearer ${acmeAdminToken}`);
+
+      expect(list.status).toBe(200);
+      expect(list.body.data.users.every(user => user.organisation === acme._id.toString())).toBe(true);
+
+      const response = await request(app)
+        .patch(`/api/users/admin/users/${globexUser._id}/role`)
+        .set('Authorization', `Bearer ${acmeAdminToken}`)
+        .send({ role: 'admin' });
+
+      expect(response.status).toBe(404);
+      expect((await User.findById(globexUser._id)).role).toBe('user');
+    });
+
+    test('should keep webhooks and the audit log within the organisation', async () => {
+      const created = await request(app)
+        .post('/api/webhooks')
+        .set('Authorization', `Bearer ${acmeAdminToken}`)
+        .send({ url: 'https://acme.test/hooks', events: ['reservation.created'] });
+      expect(created.status).toBe(201);
+
+      const otherWebhooks = await request(app)
+        .get('/api/webhooks')
+        .set('Authorization', `Bearer ${defaultAdminToken}`);
+      expect(otherWebhooks.status).toBe(200);
+      expect(otherWebhooks.body.data.webhooks.map(({ _id }) => _id)).not.toContain(created.body.data.webhook._id);
+
+      const acmeAudit = await request(app)
+        .get('/api/audit?action=webhook.created')
+        .set('Authorization', `Bearer ${acmeAdminToken}`);
+      expect(acmeAudit.status).toBe(200);
+      expect(acmeAudit.body.data.entries.map(entry => entry.targetId)).toContain(created.body.data.webhook._id);
+      expect(acmeAudit.body.data.entries.every(entry => entry.organisation === acme._id.toString())).toBe(true);
+
+      const otherAudit = await request(app)
+        .get('/api/audit?action=webhook.created')
+        .set('Authorization', `Bearer ${defaultAdminToken}`);
+      expect(otherAudit.body.data.entries.map(entry => entry.targetId)).not.toContain(created.body.data.webhook._id);
+
+      await Webhook.deleteMany({});
+    });
+
+    test('should apply closures to their own organisation only', async () => {
+      const startTime = new Date(Date.now() + 24 * hour);
+      const endTime = new Date(startTime.getTime() + hour);
+      const booking = await Reservation.create({
+        user: globexUser._id,
+        room: globexRoom._id,
+        organisation: globex._id,
+        startTime,
+        endTime,
+        purpose: 'Globex Meeting',
+        attendees: 2
+      });
+
+      const blackout = await request(app)
+        .post('/api/closures/blackouts')
+        .set('Authorization', `Bearer ${acmeAdminToken}`)
+        .send({
+          scope: 'global',
+          startTime: startTime.toISOString(),
+          endTime: endTime.toISOString(),
+          reason: 'Acme offsite',
+          cancelReservations: true
+        });
+      expect(blackout.status).toBe(201);
+      expect(blackout.body.data.cancelled).toBe(0);
+      expect((await Reservation.findById(booking._id)).status).toBe('confirmed');
+
+      const acmeBooking = await request(app)
+        .post('/api/reservations')
+        .set('Authorization', `Bearer ${acmeUserToken}`)
+        .send({
+          room: acmeRoom._id,
+          startTime: startTime.toISOString(),
+          endTime: endTime.toISOString(),
+          purpose: 'Acme Meeting',
+          attendees: 2
+        });
+      expect(acmeBooking.status).toBe(400);
+
+      const otherTenant = await request(app)
+        .get('/api/closures/blackouts')
+        .set('Authorization', `Bearer ${defaultAdminToken}`);
+      expect(otherTenant.body.data.blackouts).toHaveLength(0);
+    });
+
+    test('should let super-admins work across or within organisations', async () => {
+      const all = await request(app)
+        .get('/api/rooms')
+        .set('Authorization', `Bearer ${superToken}`);
+      expect(all.body.data.rooms).toHaveLength(3);
+
+      const globexOnly = await request(app)
+        .get('/api/rooms')
+        .set('Authorization', `Bearer ${superToken}`)
+        .set('X-Organisation-Id', globex._id.toString());
+      expect(globexOnly.body.data.rooms.map(({ _id }) => _id)).toEqual([globexRoom._id.toString()]);
+
+      const invalid = await request(app)
+        .get('/api/rooms')
+        .set('Authorization', `Bearer ${superToken}`)
+        .set('X-Organisation-Id', 'acme');
+      expect(invalid.status).toBe(400);
+    });
+  });
+
+  describe('Management', () => {
+    test('should be super-admin only', async () => {
+      const response = await request(app)
+        .get('/api/organisations')
+        .set('Authorization', `Bearer ${acmeAdminToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should create organisations and their admins', async () => {
+      const created = await request(app)
+        .post('/api/organisations')
+        .set('Authorization', `Bearer ${superToken}`)
+        .send({ name: 'Initech', slug: 'Initech' });
+
+      expect(created.status).toBe(201);
+      expect(created.body.data.organisation.slug).toBe('initech');
+
+      const duplicate = await request(app)
+        .post('/api/organisations')
+        .set('Authorization', `Bearer ${superToken}`)
+        .send({ name: 'Initech Again', slug: 'initech' });
+      expect(duplicate.status).toBe(409);
+
+      const admin = await request(app)
+        .post(`/api/organisations/${created.body.data.organisation._id}/admins`)
+        .set('Authorization', `Bearer ${superToken}`)
+        .send({ name: 'Initech Admin', email: 'admin@initech.test', password: 'password123' });
+
+      expect(admin.status).toBe(201);
+      expect(admin.body.data.user.role).toBe('admin');
+      expect(admin.body.data.user.organisation).toBe(created.body.data.organisation._id);
+
+      const login = await request(app)
+        .post('/api/users/login')
+        .send({ email: 'admin@initech.test', password: 'password123', organisation: 'initech' });
+      expect(login.status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,229 @@
+const request = require('supertest');
+const app = require('../app');
+const Role = require('../models/role');
+const Room = require('../models/room');
+const User = require('../models/user');
+const { generateToken } = require('../utils/jwt');
+
+describe('Roles and permissions', () => {
+  let adminToken, managerToken, auditorToken, delegateToken, staff, delegate, admin;
+
+  const tokenFor = (user) => generateToken({ id: user._id, role: user.role });
+
+  const roomBody = (name) => ({
+    name,
+    description: 'Room used for permission tests',
+    capacity: 8,
+    pricePerHour: 30,
+    location: { building: 'Test Building', floor: '1st Floor' }
+  });
+
+  beforeAll(async () => {
+    admin = await User.create({
+      name: 'Permissions Admin',
+      email: 'permissionsadmin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    const manager = await User.create({
+      name: 'Facility Manager',
+      email: 'facilities@test.com',
+      password: 'password123',
+      role: 'facility_manager'
+    });
+
+    const auditor = await User.create({
+      name: 'Auditor',
+      email: 'auditor@test.com',
+      password: 'password123',
+      role: 'auditor'
+    });
+
+    staff = await User.create({
+      name: 'Front Desk',
+      email: 'frontdesk@test.com',
+      password: 'password123'
+    });
+
+    // Can manage users and roles, but nothing else
+    await Role.create({ name: 'people_manager', permissions: ['users:manage', 'roles:manage'] });
+    delegate = await User.create({
+      name: 'People Manager',
+      email: 'people@test.com',
+      password: 'password123',
+      role: 'people_manager'
+    });
+
+    adminToken = tokenFor(admin);
+    managerToken = tokenFor(manager);
+    auditorToken = tokenFor(auditor);
+    delegateToken = tokenFor(delegate);
+  });
+
+  beforeEach(async () => {
+    await Role.deleteMany({ name: { $ne: 'people_manager' } });
+    await User.findByIdAndUpdate(staff._id, { role: 'user' });
+  });
+
+  afterAll(async () => {
+    await Role.deleteMany({});
+    await Room.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  describe('Built-in roles', () => {
+    test('should let facility managers manage rooms but not users', async () => {
+      const room = await request(app)
+        .post('/api/rooms')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send(roomBody('Managed Room'));
+      expect(room.status).toBe(201);
+
+      const users = await request(app)
+        .get('/api/users/admin/users')
+        .set('Authorization', `Bearer ${managerToken}`);
+      expect(users.status).toBe(403);
+    });
+
+    test('should let auditors read the audit log and reports only', async () => {
+      const audit = await request(app)
+        .get('/api/audit')
+        .set('Authorization', `Bearer ${auditorToken}`);
+      expect(audit.status).toBe(200);
+
+      const stats = await request(app)
+        .get('/api/reservations/admin/stats')
+        .set('Authorization', `Bearer ${auditorToken}`);
+      expect(stats.status).toBe(200);
+
+      const userStats = await request(app)
+        .get('/api/users/admin/users/stats')
+        .set('Authorization', `Bearer ${auditorToken}`);
+      expect(userStats.status).toBe(200);
+
+      const room = await request(app)
+        .post('/api/rooms')
+        .set('Authorization', `Bearer ${auditorToken}`)
+        .send(roomBody('Audited Room'));
+      expect(room.status).toBe(403);
+    });
+  });
+
+  describe('Custom roles', () => {
+    test('should list built-in and custom roles with the permission catalogue', async () => {
+      const response = await request(app)
+        .get('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.permissions['rooms:write']).toBeDefined();
+      const names = response.body.data.roles.map(role => role.name);
+      expect(names).toEqual(expect.arrayContaining(['user', 'receptionist', 'facility_manager', 'auditor', 'admin', 'people_manager']));
+    });
+
+    test('should grant a custom role\'s permissions to its members', async () => {
+      const created = await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'front_desk', permissions: ['reservations:manage'] });
+      expect(created.status).toBe(201);
+
+      const assigned = await request(app)
+        .patch(`/api/users/admin/users/${staff._id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'front_desk' });
+      expect(assigned.status).toBe(200);
+
+      const staffToken = generateToken({ id: staff._id, role: 'front_desk' });
+      const allowed = await request(app)
+        .get('/api/reservations/admin/all')
+        .set('Authorization', `Bearer ${staffToken}`);
+      expect(allowed.status).toBe(200);
+
+      // Changes apply on the next request
+      await request(app)
+        .patch(`/api/roles/${created.body.data.role._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ permissions: [] });
+
+      const denied = await request(app)
+        .get('/api/reservations/admin/all')
+        .set('Authorization', `Bearer ${staffToken}`);
+      expect(denied.status).toBe(403);
+    });
+
+    test('should reject unknown roles and built-in names', async () => {
+      const unknown = await request(app)
+        .patch(`/api/users/admin/users/${staff._id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'wizard' });
+      expect(unknown.status).toBe(400);
+
+      const builtIn = await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'auditor', permissions: [] });
+      expect(builtIn.status).toBe(409);
+    });
+
+    test('should not delete roles that are still assigned', async () => {
+      const role = await Role.create({ name: 'in_use', permissions: [] });
+      await User.findByIdAndUpdate(staff._id, { role: 'in_use' });
+
+      const response = await request(app)
+        .delete(`/api/roles/${role._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('Escalation', () => {
+    test('should not grant permissions the granter lacks', async () => {
+      const role = await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${delegateToken}`)
+        .send({ name: 'room_editor', permissions: ['rooms:write'] });
+      expect(role.status).toBe(403);
+
+      const promote = await request(app)
+        .patch(`/api/users/admin/users/${staff._id}/role`)
+        .set('Authorization', `Bearer ${delegateToken}`)
+        .send({ role: 'admin' });
+      expect(promote.status).toBe(403);
+
+      const demote = await request(app)
+        .patch(`/api/users/admin/users/${admin._id}/role`)
+        .set('Authorization', `Bearer ${delegateToken}`)
+        .send({ role: 'user' });
+      expect(demote.status).toBe(403);
+
+      expect((await User.findById(admin._id)).role).toBe('admin');
+    });
+
+    test('should not deactivate or delete users with permissions the caller lacks', async () => {
+      const deactivate = await request(app)
+        .patch(`/api/users/admin/users/${admin._id}/status`)
+        .set('Authorization', `Bearer ${delegateToken}`);
+      expect(deactivate.status).toBe(403);
+
+      const remove = await request(app)
+        .delete(`/api/users/admin/users/${admin._id}`)
+        .set('Authorization', `Bearer ${delegateToken}`);
+      expect(remove.status).toBe(403);
+
+      const stillThere = await User.findById(admin._id);
+      expect(stillThere.isActive).toBe(true);
+    });
+
+    test('should still manage users whose permissions the caller has', async () => {
+      const deactivate = await request(app)
+        .patch(`/api/users/admin/users/${staff._id}/status`)
+        .set('Authorization', `Bearer ${delegateToken}`);
+      expect(deactivate.status).toBe(200);
+      expect(deactivate.body.data.user.isActive).toBe(false);
+
+      await User.findByIdAndUpdate(staff._id, { isActive: true });
+    });
+  });
+});
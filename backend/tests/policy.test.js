@@ -0,0 +1,223 @@
+const request = require('supertest');
+const app = require('../app');
+const BookingPolicy = require('../models/bookingPolicy');
+const Reservation = require('../models/reservation');
+const Room = require('../models/room');
+const User = require('../models/user');
+const { generateToken } = require('../utils/jwt');
+const { policyFor } = require('../services/policy');
+const { DEFAULT_POLICY } = require('../utils/bookingRules');
+
+describe('Booking policies', () => {
+  let userToken, adminToken, user, room, otherRoom;
+  const hour = 60 * 60 * 1000;
+
+  beforeAll(async () => {
+    user = await User.create({
+      name: 'Policy User',
+      email: 'policyuser@test.com',
+      password: 'password123'
+    });
+
+    const admin = await User.create({
+      name: 'Policy Admin',
+      email: 'policyadmin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    room = await Room.create({
+      name: 'Policy Room',
+      description: 'Room used for policy tests',
+      capacity: 10,
+      pricePerHour: 40,
+      location: { building: 'North Wing', floor: '1st Floor' },
+      createdBy: admin._id
+    });
+
+    otherRoom = await Room.create({
+      name: 'Other Policy Room',
+      description: 'Room in another building',
+      capacity: 10,
+      pricePerHour: 40,
+      location: { building: 'South Wing', floor: '1st Floor' },
+      createdBy: admin._id
+    });
+
+    userToken = generateToken({ id: user._id, role: 'user' });
+    adminToken = generateToken({ id: admin._id, role: 'admin' });
+  });
+
+  beforeEach(async () => {
+    await Reservation.deleteMany({});
+    await BookingPolicy.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await Reservation.deleteMany({});
+    await BookingPolicy.deleteMany({});
+    await Room.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  const book = (startTime, duration = 2 * hour, targetRoom = room) => request(app)
+    .post('/api/reservations')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send({
+      room: targetRoom._id,
+      startTime: startTime.toISOString(),
+      endTime: new Date(startTime.getTime() + duration).toISOString(),
+      purpose: 'Policy Meeting',
+      attendees: 3
+    });
+
+  const createPolicy = (body) => request(app)
+    .post('/api/policies')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(body);
+
+  describe('policyFor', () => {
+    test('should let more specific policies override broader ones field by field', () => {
+      const policies = [
+        { scope: 'room', room: room._id, maxDurationMinutes: 60 },
+        { scope: 'global', maxDurationMinutes: 240, minLeadMinutes: 30 },
+        { scope: 'building', building: 'North Wing', minLeadMinutes: 60, maxAdvanceDays: 14 }
+      ];
+
+      expect(policyFor(policies, room)).toEqual({
+        ...DEFAULT_POLICY,
+        maxDurationMinutes: 60,
+        minLeadMinutes: 60,
+        maxAdvanceDays: 14
+      });
+      expect(policyFor(policies, otherRoom)).toEqual({
+        ...DEFAULT_POLICY,
+        maxDurationMinutes: 240,
+        minLeadMinutes: 30
+      });
+    });
+  });
+
+  describe('Enforcement', () => {
+    test('should apply a room policy duration limit', async () => {
+      await createPolicy({ scope: 'room', room: room._id, maxDurationMinutes: 60 });
+
+      const response = await book(new Date(Date.now() + 24 * hour));
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Maximum booking duration is 1 hour');
+
+      const otherResponse = await book(new Date(Date.now() + 24 * hour), 2 * hour, otherRoom);
+      expect(otherResponse.status).toBe(201);
+    });
+
+    test('should enforce lead time and advance booking window', async () => {
+      await createPolicy({ scope: 'building', building: 'North Wing', minLeadMinutes: 180, maxAdvanceDays: 7 });
+
+      const tooSoon = await book(new Date(Date.now() + hour));
+      expect(tooSoon.status).toBe(400);
+
+      const tooFar = await book(new Date(Date.now() + 10 * 24 * hour));
+      expect(tooFar.status).toBe(400);
+
+      const inWindow = await book(new Date(Date.now() + 24 * hour));
+      expect(inWindow.status).toBe(201);
+    });
+
+    test('should limit active bookings per user', async () => {
+      await createPolicy({ scope: 'global', maxActiveBookings: 1 });
+
+      const first = await book(new Date(Date.now() + 24 * hour));
+      expect(first.status).toBe(201);
+
+      const second = await book(new Date(Date.now() + 48 * hour), 2 * hour, otherRoom);
+      expect(second.status).toBe(400);
+      expect(second.body.message).toBe('You have reached the limit of 1 active bookings');
+    });
+
+    test('should restrict booking to allowed roles', async () => {
+      await createPolicy({ scope: 'room', room: room._id, allowedRoles: ['admin'] });
+
+      const response = await book(new Date(Date.now() + 24 * hour));
+      expect(response.status).toBe(400);
+    });
+
+    test('should use the room cancellation cutoff', async () => {
+      await createPolicy({ scope: 'room', room: room._id, cancellationCutoffMinutes: 30 });
+      const reservation = await Reservation.create({
+        user: user._id,
+        room: room._id,
+        startTime: new Date(Date.now() + hour),
+        endTime: new Date(Date.now() + 2 * hour),
+        purpose: 'Policy Meeting',
+        attendees: 3
+      });
+
+      const response = await request(app)
+        .patch(`/api/reservations/${reservation._id}/cancel`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(200);
+      const cancelled = await Reservation.findById(reservation._id);
+      expect(cancelled.cancellation.late).toBe(false);
+    });
+
+    test('should leave rooms that reject the slot out of search results', async () => {
+      await createPolicy({ scope: 'room', room: room._id, maxDurationMinutes: 60 });
+      const start = new Date(Date.now() + 24 * hour);
+
+      const response = await request(app)
+        .get('/api/rooms/available')
+        .query({ start: start.toISOString(), end: new Date(start.getTime() + 2 * hour).toISOString() });
+
+      expect(response.status).toBe(200);
+      const names = response.body.data.rooms.map(found => found.name);
+      expect(names).toEqual(['Other Policy Room']);
+    });
+  });
+
+  describe('Policy endpoints', () => {
+    test('should return the effective policy for a room', async () => {
+      await createPolicy({ scope: 'global', minLeadMinutes: 15 });
+
+      const response = await request(app).get(`/api/rooms/${room._id}/policy`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.policy.minLeadMinutes).toBe(15);
+      expect(response.body.data.policy.maxDurationMinutes).toBe(480);
+    });
+
+    test('should reject a second policy for the same scope', async () => {
+      await createPolicy({ scope: 'global', minLeadMinutes: 15 });
+      const response = await createPolicy({ scope: 'global', minLeadMinutes: 30 });
+
+      expect(response.status).toBe(409);
+    });
+
+    test('should require the scope target', async () => {
+      const response = await createPolicy({ scope: 'room', maxDurationMinutes: 60 });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should clear a rule when updated to null', async () => {
+      const created = await createPolicy({ scope: 'global', minLeadMinutes: 15, maxActiveBookings: 3 });
+
+      const response = await request(app)
+        .patch(`/api/policies/${created.body.data.policy._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ maxActiveBookings: null });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.policy.maxActiveBookings).toBeUndefined();
+      expect(response.body.data.policy.minLeadMinutes).toBe(15);
+    });
+
+    test('should only allow admins to manage policies', async () => {
+      const response = await request(app)
+        .get('/api/policies')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+const request = require('supertest');
+const app = require('../app');
+const Reservation = require('../models/reservation');
+const Room = require('../models/room');
+const User = require('../models/user');
+const { generateToken } = require('../utils/jwt');
+const { calculatePrice } = require('../services/pricing');
+
+describe('Pricing', () => {
+  let userToken, adminToken, user, room;
+
+  // Monday 7 January 2030, local time
+  const monday = (hours, minutes = 0) => new Date(2030, 0, 7, hours, minutes);
+
+  const pricing = {
+    rateRules: [{
+      label: 'Peak',
+      days: ['MO', 'TU', 'WE', 'TH', 'FR'],
+      startTime: '09:00',
+      endTime: '17:00',
+      pricePerHour: 80
+    }],
+    roleDiscounts: [{ role: 'user', percent: 10 }],
+    minimumCharge: 30,
+    taxPercent: 20
+  };
+
+  beforeAll(async () => {
+    user = await User.create({
+      name: 'Pricing User',
+      email: 'pricinguser@test.com',
+      password: 'password123'
+    });
+
+    const admin = await User.create({
+      name: 'Pricing Admin',
+      email: 'pricingadmin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    room = await Room.create({
+      name: 'Pricing Room',
+      description: 'Room used for pricing tests',
+      capacity: 10,
+      pricePerHour: 50,
+      location: { building: 'Test Building', floor: '1st Floor' },
+      pricing,
+      createdBy: admin._id
+    });
+
+    userToken = generateToken({ id: user._id, role: 'user' });
+    adminToken = generateToken({ id: admin._id, role: 'admin' });
+  });
+
+  beforeEach(async () => {
+    await Reservation.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await Reservation.deleteMany({});
+    await Room.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  describe('calculatePrice', () => {
+    test('should split a booking across peak and off-peak rates', () => {
+      const price = calculatePrice({ pricePerHour: 50, pricing }, monday(8), monday(10, 30));
+
+      expect(price.lines).toEqual([
+        expect.objectContaining({ label: 'Standard rate', minutes: 60, amount: 50 }),
+        expect.objectContaining({ label: 'Peak', minutes: 90, amount: 120 })
+      ]);
+      expect(price.subtotal).toBe(170);
+    });
+
+    test('should only apply rate rules on their weekdays', () => {
+      const saturday = new Date(2030, 0, 12, 10);
+      const price = calculatePrice({ pricePerHour: 50, pricing }, saturday, new Date(2030, 0, 12, 11));
+
+      expect(price.subtotal).toBe(50);
+    });
+
+    test('should price rate rules across the clock change', () => {
+      const night = { rateRules: [{ label: 'Night', startTime: '00:00', endTime: '06:00', pricePerHour: 10 }] };
+      // Berlin goes back from 03:00 to 02:00 on 27 October 2030, so 00:00-06:00 lasts seven hours
+      const price = calculatePrice(
+        { pricePerHour: 50, timezone: 'Europe/Berlin', pricing: night },
+        new Date('2030-10-26T21:00:00Z'),
+        new Date('2030-10-27T07:00:00Z')
+      );
+
+      expect(price.lines).toEqual([
+        expect.objectContaining({ label: 'Standard rate', minutes: 60 }),
+        expect.objectContaining({ label: 'Night', minutes: 420 }),
+        expect.objectContaining({ label: 'Standard rate', minutes: 120 })
+      ]);
+    });
+
+    test('should price long bookings without walking every minute', () => {
+      const start = new Date('2030-01-07T00:00:00Z');
+      const price = calculatePrice({ pricePerHour: 50, timezone: 'UTC', pricing }, start, new Date(start.getTime() + 28 * 24 * 60 * 60 * 1000));
+
+      // Peak on 20 weekdays, standard rate around them
+      expect(price.lines).toHaveLength(41);
+      expect(price.subtotal).toBe(20 * 8 * 80 + (28 * 24 - 20 * 8) * 50);
+    });
+
+    test('should apply role discounts before tax', () => {
+      const price = calculatePrice({ pricePerHour: 50, pricing }, monday(9), monday(11), { role: 'user' });
+
+      expect(price.discount).toEqual({ percent: 10, amount: 16 });
+      expect(price.tax).toBe(28.8);
+      expect(price.total).toBe(172.8);
+    });
+
+    test('should raise short bookings to the minimum charge', () => {
+      const price = calculatePrice({ pricePerHour: 20, pricing: { minimumCharge: 30 } }, monday(18), monday(19));
+
+      expect(price.minimumChargeAdjustment).toBe(10);
+      expect(price.total).toBe(30);
+    });
+  });
+
+  describe('POST /api/reservations/quote', () => {
+    test('should return the price breakdown for a slot', async () => {
+      const response = await request(app)
+        .post('/api/reservations/quote')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          room: room._id,
+          startTime: monday(9).toISOString(),
+          endTime: monday(11).toISOString()
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.available).toBe(true);
+      expect(response.body.data.price.subtotal).toBe(160);
+      expect(response.body.data.price.discount.percent).toBe(10);
+    });
+
+    test('should not discount roles without a discount', async () => {
+      const response = await request(app)
+        .post('/api/reservations/quote')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          room: room._id,
+          startTime: monday(9).toISOString(),
+          endTime: monday(11).toISOString()
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.price.discount).toBeNull();
+    });
+
+    test('should reject invalid durations', async () => {
+      const response = await request(app)
+        .post('/api/reservations/quote')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          room: room._id,
+          startTime: monday(9).toISOString(),
+          endTime: monday(9, 15).toISOString()
+        });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Price snapshots', () => {
+    test('should keep the booked price after the room price changes', async () => {
+      const createResponse = await request(app)
+        .post('/api/reservations')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          room: room._id,
+          startTime: monday(18).toISOString(),
+          endTime: monday(20).toISOString(),
+          purpose: 'Evening Workshop',
+          attendees: 5
+        });
+
+      expect(createResponse.status).toBe(201);
+      expect(createResponse.body.data.reservation.price.subtotal).toBe(100);
+
+      await request(app)
+        .patch(`/api/rooms/${room._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ pricePerHour: 200 });
+
+      const reservation = await Reservation.findById(createResponse.body.data.reservation._id);
+      expect(reservation.price.subtotal).toBe(100);
+      expect(reservation.totalCost).toBe(reservation.price.total);
+
+      await Room.findByIdAndUpdate(room._id, { pricePerHour: 50 });
+    });
+  });
+});
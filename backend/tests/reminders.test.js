@@ -0,0 +1,221 @@
+const request = require('supertest');
+const app = require('../app');
+const Notification = require('../models/notification');
+const Reminder = require('../models/reminder');
+const Reservation = require('../models/reservation');
+const Room = require('../models/room');
+const User = require('../models/user');
+const { generateToken } = require('../utils/jwt');
+const { memoryTransport } = require('../services/mailer');
+const { sendDueReminders } = require('../services/reminders');
+
+describe('Booking reminders', () => {
+  let userToken, user, room;
+  const hour = 60 * 60 * 1000;
+
+  const book = (startTime) => request(app)
+    .post('/api/reservations')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send({
+      room: room._id,
+      startTime: startTime.toISOString(),
+      endTime: new Date(startTime.getTime() + hour).toISOString(),
+      purpose: 'Reminded Meeting',
+      attendees: 3
+    });
+
+  // Pretend the reminders' send time has come
+  const makeDue = () => Reminder.updateMany(
+    { status: 'scheduled' },
+    { sendAt: new Date(Date.now() - 1000) }
+  );
+
+  beforeAll(async () => {
+    user = await User.create({
+      name: 'Reminded User',
+      email: 'remindeduser@test.com',
+      password: 'password123'
+    });
+
+    const admin = await User.create({
+      name: 'Reminder Admin',
+      email: 'reminderadmin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    room = await Room.create({
+      name: 'Reminder Room',
+      description: 'Room used for reminder tests',
+      capacity: 10,
+      pricePerHour: 40,
+      location: { building: 'Test Building', floor: '1st Floor' },
+      createdBy: admin._id
+    });
+
+    userToken = generateToken({ id: user._id, role: 'user' });
+  });
+
+  beforeEach(async () => {
+    await Reservation.deleteMany({});
+    await Reminder.deleteMany({});
+    await Notification.deleteMany({});
+    await User.findByIdAndUpdate(user._id, { reminderMinutes: [60] });
+    memoryTransport.messages.length = 0;
+  });
+
+  afterAll(async () => {
+    await Reservation.deleteMany({});
+    await Reminder.deleteMany({});
+    await Notification.deleteMany({});
+    await Room.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  describe('Scheduling', () => {
+    test('should schedule a reminder an hour before by default', async () => {
+      const startTime = new Date(Date.now() + 24 * hour);
+      const response = await book(startTime);
+
+      expect(response.status).toBe(201);
+
+      const reminders = await Reminder.find({ reservation: response.body.data.reservation._id });
+      expect(reminders).toHaveLength(1);
+      expect(reminders[0].status).toBe('scheduled');
+      expect(reminders[0].offsetMinutes).toBe(60);
+      expect(reminders[0].sendAt.getTime()).toBe(startTime.getTime() - hour);
+    });
+
+    test('should schedule one reminder per preference and skip ones already past', async () => {
+      await User.findByIdAndUpdate(user._id, { reminderMinutes: [15, 1440] });
+
+      const response = await book(new Date(Date.now() + 2 * hour));
+
+      const reminders = await Reminder.find({ reservation: response.body.data.reservation._id });
+      expect(reminders.map(reminder => reminder.offsetMinutes)).toEqual([15]);
+    });
+
+    test('should move reminders when a booking is rescheduled', async () => {
+      const response = await book(new Date(Date.now() + 24 * hour));
+      const reservationId = response.body.data.reservation._id;
+      const newStart = new Date(Date.now() + 48 * hour);
+
+      const updated = await request(app)
+        .patch(`/api/reservations/${reservationId}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          startTime: newStart.toISOString(),
+          endTime: new Date(newStart.getTime() + hour).toISOString()
+        });
+
+      expect(updated.status).toBe(200);
+
+      const scheduled = await Reminder.find({ reservation: reservationId, status: 'scheduled' });
+      expect(scheduled).toHaveLength(1);
+      expect(scheduled[0].sendAt.getTime()).toBe(newStart.getTime() - hour);
+      expect(await Reminder.countDocuments({ reservation: reservationId, status: 'cancelled' })).toBe(1);
+    });
+
+    test('should drop reminders when a booking is cancelled', async () => {
+      const response = await book(new Date(Date.now() + 24 * hour));
+      const reservationId = response.body.data.reservation._id;
+
+      const cancelled = await request(app)
+        .patch(`/api/reservations/${reservationId}/cancel`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(cancelled.status).toBe(200);
+      expect(await Reminder.countDocuments({ reservation: reservationId, status: 'scheduled' })).toBe(0);
+    });
+
+    test('should reschedule upcoming bookings when preferences change', async () => {
+      await book(new Date(Date.now() + 24 * hour));
+
+      const response = await request(app)
+        .patch('/api/users/profile')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reminderMinutes: [30, 120] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.user.reminderMinutes).toEqual([30, 120]);
+
+      const scheduled = await Reminder.find({ status: 'scheduled' }).sort({ offsetMinutes: 1 });
+      expect(scheduled.map(reminder => reminder.offsetMinutes)).toEqual([30, 120]);
+    });
+
+    test('should let users turn reminders off', async () => {
+      await book(new Date(Date.now() + 24 * hour));
+
+      const response = await request(app)
+        .patch('/api/users/profile')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reminderMinutes: [] });
+
+      expect(response.status).toBe(200);
+      expect(await Reminder.countDocuments({ status: 'scheduled' })).toBe(0);
+    });
+
+    test('should reject invalid reminder preferences', async () => {
+      const response = await request(app)
+        .patch('/api/users/profile')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reminderMinutes: [1] });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Sending', () => {
+    test('should email due reminders once', async () => {
+      await book(new Date(Date.now() + 24 * hour));
+      memoryTransport.messages.length = 0;
+      await makeDue();
+
+      expect(await sendDueReminders()).toBe(1);
+      expect(await sendDueReminders()).toBe(0);
+
+      expect(memoryTransport.messages).toHaveLength(1);
+      expect(memoryTransport.messages[0].subject).toContain('Reminder: Reminder Room');
+      expect(memoryTransport.messages[0].text).toContain('your booking starts in 1 hour');
+
+      const [reminder] = await Reminder.find({});
+      expect(reminder.status).toBe('sent');
+      expect(reminder.sentAt).toBeDefined();
+    });
+
+    test('should not remind about bookings that are no longer confirmed', async () => {
+      const response = await book(new Date(Date.now() + 24 * hour));
+      // Changed without going through the API, so the reminder is still scheduled
+      await Reservation.findByIdAndUpdate(response.body.data.reservation._id, { status: 'cancelled' });
+      memoryTransport.messages.length = 0;
+      await makeDue();
+
+      expect(await sendDueReminders()).toBe(0);
+      expect(memoryTransport.messages).toHaveLength(0);
+
+      const [reminder] = await Reminder.find({});
+      expect(reminder.status).toBe('cancelled');
+    });
+
+    test('should pick up reminders persisted before a restart', async () => {
+      // As if created by an earlier server process
+      const reservation = await Reservation.create({
+        user: user._id,
+        room: room._id,
+        startTime: new Date(Date.now() + 10 * 60 * 1000),
+        endTime: new Date(Date.now() + hour),
+        purpose: 'Reminded Meeting',
+        attendees: 3
+      });
+      await Reminder.create({
+        reservation: reservation._id,
+        user: user._id,
+        offsetMinutes: 15,
+        sendAt: new Date(Date.now() - 5 * 60 * 1000)
+      });
+
+      expect(await sendDueReminders()).toBe(1);
+      expect(memoryTransport.messages[0].text).toContain('your booking starts in 15 minutes');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const request = require('supertest');
+const app = require('../app');
+const Reservation = require('../models/reservation');
+const Room = require('../models/room');
+const User = require('../models/user');
+const { generateToken } = require('../utils/jwt');
+
+describe('Setup and teardown buffers', () => {
+  let userToken, user, room;
+  const minute = 60 * 1000;
+  const hour = 60 * minute;
+
+  // Tomorrow at 08:00 UTC, so every slot in these tests is in the future
+  const base = () => {
+    const date = new Date(Date.now() + 24 * hour);
+    date.setUTCHours(8, 0, 0, 0);
+    return date;
+  };
+  const at = (hours) => new Date(base().getTime() + hours * hour);
+
+  beforeAll(async () => {
+    user = await User.create({
+      name: 'Buffer User',
+      email: 'bufferuser@test.com',
+      password: 'password123'
+    });
+
+    // 10 minutes setup plus 5 minutes teardown: bookings need 15 minutes between them
+    room = await Room.create({
+      name: 'Buffer Room',
+      description: 'Room used for buffer tests',
+      capacity: 50,
+      pricePerHour: 40,
+      location: { building: 'Test Building', floor: '1st Floor' },
+      bufferBeforeMinutes: 10,
+      bufferAfterMinutes: 5,
+      createdBy: user._id
+    });
+
+    userToken = generateToken({ id: user._id, role: 'user' });
+  });
+
+  beforeEach(async () => {
+    await Reservation.deleteMany({});
+    await Reservation.create({
+      user: user._id,
+      room: room._id,
+      startTime: at(2),
+      endTime: at(4),
+      purpose: 'Large Event',
+      attendees: 40
+    });
+  });
+
+  afterAll(async () => {
+    await Reservation.deleteMany({});
+    await Room.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  const book = (startTime, endTime) => request(app)
+    .post('/api/reservations')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send({
+      room: room._id,
+      startTime: startTime.toISOString(),
+      endTime: endTime.toISOString(),
+      purpose: 'Follow-up Meeting',
+      attendees: 5
+    });
+
+  test('should treat bookings inside the buffer as unavailable', async () => {
+    const tooClose = await Reservation.checkAvailability(room._id, new Date(at(4).getTime() + 10 * minute), at(5));
+    const farEnough = await Reservation.checkAvailability(room._id, new Date(at(4).getTime() + 15 * minute), at(5));
+
+    expect(tooClose).toBe(false);
+    expect(farEnough).toBe(true);
+  });
+
+  test('should explain buffer conflicts', async () => {
+    const response = await book(new Date(at(4).getTime() + 5 * minute), at(5));
+
+    expect(response.status).toBe(409);
+    expect(response.body.message).toBe(
+      'Room is not available for the selected time slot. It needs 15 minutes between bookings for setup and teardown'
+    );
+  });
+
+  test('should keep the booked start and end times unchanged', async () => {
+    const response = await book(new Date(at(4).getTime() + 15 * minute), at(5));
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.reservation.startTime).toBe(new Date(at(4).getTime() + 15 * minute).toISOString());
+    expect(response.body.data.reservation.endTime).toBe(at(5).toISOString());
+  });
+
+  test('should leave buffers out of free slots', async () => {
+    const response = await request(app)
+      .get(`/api/rooms/${room._id}/availability`)
+      .query({ from: at(0).toISOString(), to: at(6).toISOString() });
+
+    expect(response.status).toBe(200);
+    const slots = response.body.data.freeSlots.map(slot => [slot.startTime, slot.endTime]);
+    expect(slots).toEqual([
+      [at(0).toISOString(), new Date(at(2).getTime() - 15 * minute).toISOString()],
+      [new Date(at(4).getTime() + 15 * minute).toISOString(), at(6).toISOString()]
+    ]);
+  });
+});
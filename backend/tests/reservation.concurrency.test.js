@@ -0,0 +1,100 @@
+const request = require('supertest');
+const app = require('../app');
+const Reservation = require('../models/reservation');
+const RoomLock = require('../models/roomLock');
+const Room = require('../models/room');
+const User = require('../models/user');
+const { generateToken } = require('../utils/jwt');
+
+describe('Concurrent Reservations', () => {
+  let userToken, room;
+
+  beforeAll(async () => {
+    const user = await User.create({
+      name: 'Concurrent User',
+      email: 'concurrentuser@test.com',
+      password: 'password123'
+    });
+
+    room = await Room.create({
+      name: 'Busy Room',
+      description: 'Room used for concurrency tests',
+      capacity: 10,
+      pricePerHour: 50,
+      location: { building: 'Test Building', floor: '1st Floor' },
+      createdBy: user._id
+    });
+
+    userToken = generateToken({ id: user._id, role: 'user' });
+  });
+
+  beforeEach(async () => {
+    await Reservation.deleteMany({});
+    await RoomLock.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await Reservation.deleteMany({});
+    await Room.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  test('should let exactly one of many parallel bookings win', async () => {
+    const start = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const end = new Date(start.getTime() + 60 * 60 * 1000);
+
+    const responses = await Promise.all(Array.from({ length: 8 }, () => request(app)
+      .post('/api/reservations')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        room: room._id,
+        startTime: start.toISOString(),
+        endTime: end.toISOString(),
+        purpose: 'Contested Meeting',
+        attendees: 2
+      })));
+
+    const statuses = responses.map(response => response.status);
+    expect(statuses.filter(status => status === 201)).toHaveLength(1);
+    expect(statuses.filter(status => status === 409)).toHaveLength(7);
+    expect(await Reservation.countDocuments({ room: room._id })).toBe(1);
+  });
+
+  test('should release the lock after booking', async () => {
+    const start = new Date(Date.now() + 48 * 60 * 60 * 1000);
+    const end = new Date(start.getTime() + 60 * 60 * 1000);
+
+    await request(app)
+      .post('/api/reservations')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        room: room._id,
+        startTime: start.toISOString(),
+        endTime: end.toISOString(),
+        purpose: 'Quick Meeting',
+        attendees: 2
+      });
+
+    expect(await RoomLock.countDocuments({ room: room._id })).toBe(0);
+  });
+
+  test('should take over an expired lock', async () => {
+    await RoomLock.create({
+      room: room._id,
+      token: 'stale',
+      expiresAt: new Date(Date.now() - 1000)
+    });
+
+    const token = await RoomLock.acquire(room._id, { retries: 0 });
+    expect(token).toBeTruthy();
+    await RoomLock.release(room._id, token);
+  });
+
+  test('should report a live lock as busy', async () => {
+    const token = await RoomLock.acquire(room._id);
+    const second = await RoomLock.acquire(room._id, { retries: 0 });
+
+    expect(second).toBeNull();
+    await RoomLock.release(room._id, token);
+  });
+});
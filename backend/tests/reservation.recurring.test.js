@@ -0,0 +1,284 @@
+const request = require('supertest');
+const app = require('../app');
+const Reservation = require('../models/reservation');
+const ReservationSeries = require('../models/reservationSeries');
+const Room = require('../models/room');
+const User = require('../models/user');
+const { generateToken } = require('../utils/jwt');
+const { expandRecurrence } = require('../utils/recurrence');
+
+describe('Recurring Reservations', () => {
+  let userToken, room, user;
+  const hour = 60 * 60 * 1000;
+  const day = 24 * hour;
+
+  beforeAll(async () => {
+    user = await User.create({
+      name: 'Series User',
+      email: 'seriesuser@test.com',
+      password: 'password123'
+    });
+
+    room = await Room.create({
+      name: 'Standup Room',
+      description: 'Room used for recurring tests',
+      capacity: 10,
+      pricePerHour: 20,
+      location: { building: 'Test Building', floor: '2nd Floor' },
+      createdBy: user._id
+    });
+
+    userToken = generateToken({ id: user._id, role: 'user' });
+  });
+
+  beforeEach(async () => {
+    await Reservation.deleteMany({});
+    await ReservationSeries.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await Reservation.deleteMany({});
+    await ReservationSeries.deleteMany({});
+    await Room.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  const firstSlot = () => {
+    const startTime = new Date(Date.now() + 2 * day);
+    return { startTime, endTime: new Date(startTime.getTime() + hour) };
+  };
+
+  const createSeries = (recurrence, extra = {}) => {
+    const { startTime, endTime } = firstSlot();
+    return request(app)
+      .post('/api/reservations/recurring')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        room: room._id,
+        startTime: startTime.toISOString(),
+        endTime: endTime.toISOString(),
+        purpose: 'Daily standup',
+        attendees: 5,
+        recurrence,
+        ...extra
+      });
+  };
+
+  describe('expandRecurrence', () => {
+    test('should expand weekday-only daily rule', () => {
+      // Monday 5 Jan 2026, 09:00 local time
+      const start = new Date(2026, 0, 5, 9, 0);
+      const occurrences = expandRecurrence(start, new Date(2026, 0, 5, 9, 15), {
+        frequency: 'daily',
+        byWeekday: ['MO', 'TU', 'WE', 'TH', 'FR'],
+        count: 6
+      });
+
+      expect(occurrences).toHaveLength(6);
+      expect(occurrences[5].startTime.getDay()).toBe(1); // Next Monday
+      expect(occurrences[5].startTime.getHours()).toBe(9);
+    });
+
+    test('should expand weekly rule on several weekdays', () => {
+      const start = new Date(2026, 0, 5, 9, 0);
+      const occurrences = expandRecurrence(start, new Date(2026, 0, 5, 10, 0), {
+        frequency: 'weekly',
+        interval: 2,
+        byWeekday: ['MO', 'TH'],
+        count: 4
+      });
+
+      expect(occurrences.map(o => o.startTime.getDate())).toEqual([5, 8, 19, 22]);
+    });
+
+    test('should skip months without the start day', () => {
+      const start = new Date(2026, 0, 31, 9, 0);
+      const occurrences = expandRecurrence(start, new Date(2026, 0, 31, 10, 0), {
+        frequency: 'monthly',
+        count: 3
+      });
+
+      expect(occurrences.map(o => o.startTime.getMonth())).toEqual([0, 2, 4]);
+    });
+
+    test('should stop at until date', () => {
+      const start = new Date(2026, 0, 5, 9, 0);
+      const occurrences = expandRecurrence(start, new Date(2026, 0, 5, 10, 0), {
+        frequency: 'daily',
+        until: new Date(2026, 0, 9, 23, 59)
+      });
+
+      expect(occurrences).toHaveLength(5);
+    });
+  });
+
+  describe('POST /api/reservations/recurring', () => {
+    test('should create linked occurrences', async () => {
+      const response = await createSeries({ frequency: 'daily', count: 5 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.reservations).toHaveLength(5);
+
+      const seriesId = response.body.data.series._id;
+      expect(await Reservation.countDocuments({ series: seriesId })).toBe(5);
+    });
+
+    test('should report per-occurrence conflicts', async () => {
+      const { startTime, endTime } = firstSlot();
+      await Reservation.create({
+        user: user._id,
+        room: room._id,
+        startTime: new Date(startTime.getTime() + 2 * day),
+        endTime: new Date(endTime.getTime() + 2 * day),
+        purpose: 'Existing booking',
+        attendees: 2
+      });
+
+      const response = await createSeries({ frequency: 'daily', count: 5 });
+
+      expect(response.status).toBe(409);
+      expect(response.body.data.conflicts).toHaveLength(1);
+      expect(await ReservationSeries.countDocuments()).toBe(0);
+    });
+
+    test('should skip conflicting occurrences when requested', async () => {
+      const { startTime, endTime } = firstSlot();
+      await Reservation.create({
+        user: user._id,
+        room: room._id,
+        startTime: new Date(startTime.getTime() + day),
+        endTime: new Date(endTime.getTime() + day),
+        purpose: 'Existing booking',
+        attendees: 2
+      });
+
+      const response = await createSeries({ frequency: 'daily', count: 5 }, { skipConflicts: true });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.reservations).toHaveLength(4);
+      expect(response.body.data.skipped).toHaveLength(1);
+    });
+
+    test('should require count or until', async () => {
+      const response = await createSeries({ frequency: 'weekly' });
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Series scopes', () => {
+    const seriesReservations = async () => {
+      const response = await createSeries({ frequency: 'daily', count: 4 });
+      return response.body.data.reservations;
+    };
+
+    test('should cancel a single occurrence', async () => {
+      const reservations = await seriesReservations();
+
+      const response = await request(app)
+        .patch(`/api/reservations/${reservations[1]._id}/cancel`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(200);
+      expect(await Reservation.countDocuments({ status: 'cancelled' })).toBe(1);
+    });
+
+    test('should cancel this and following occurrences', async () => {
+      const reservations = await seriesReservations();
+
+      const response = await request(app)
+        .patch(`/api/reservations/${reservations[1]._id}/cancel?scope=following`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.cancelledCount).toBe(3);
+      const first = await Reservation.findById(reservations[0]._id);
+      expect(first.status).toBe('confirmed');
+    });
+
+    test('should cancel the whole series', async () => {
+      const reservations = await seriesReservations();
+
+      const response = await request(app)
+        .patch(`/api/reservations/${reservations[2]._id}/cancel?scope=series`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(200);
+      expect(await Reservation.countDocuments({ status: 'cancelled' })).toBe(4);
+      const series = await ReservationSeries.findById(reservations[0].series);
+      expect(series.status).toBe('cancelled');
+    });
+
+    test('should only report the occurrences actually cancelled', async () => {
+      const reservations = await seriesReservations();
+      // The picked occurrence has already started, so it is no longer part of the series' future
+      await Reservation.findByIdAndUpdate(reservations[0]._id, {
+        startTime: new Date(Date.now() - hour),
+        endTime: new Date(Date.now() + hour)
+      });
+
+      const response = await request(app)
+        .patch(`/api/reservations/${reservations[0]._id}/cancel?scope=series`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.cancelledCount).toBe(3);
+      expect(response.body.data.reservation).toBeUndefined();
+      expect(response.body.data.reservations.map(cancelled => cancelled._id))
+        .toEqual(reservations.slice(1).map(occurrence => occurrence._id));
+      expect(response.body.data.reservations.every(cancelled => cancelled.status === 'cancelled')).toBe(true);
+      expect((await Reservation.findById(reservations[0]._id)).status).toBe('confirmed');
+    });
+
+    test('should shift this and following occurrences when rescheduled', async () => {
+      const reservations = await seriesReservations();
+      const target = reservations[2];
+      const newStart = new Date(new Date(target.startTime).getTime() + hour);
+
+      const response = await request(app)
+        .patch(`/api/reservations/${target._id}?scope=following`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          startTime: newStart.toISOString(),
+          endTime: new Date(newStart.getTime() + hour).toISOString()
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.updatedCount).toBe(2);
+
+      const unchanged = await Reservation.findById(reservations[1]._id);
+      const shifted = await Reservation.findById(reservations[3]._id);
+      expect(unchanged.startTime.getTime()).toBe(new Date(reservations[1].startTime).getTime());
+      expect(shifted.startTime.getTime()).toBe(new Date(reservations[3].startTime).getTime() + hour);
+    });
+
+    test('should edit purpose across the whole series', async () => {
+      const reservations = await seriesReservations();
+
+      const response = await request(app)
+        .patch(`/api/reservations/${reservations[0]._id}?scope=series`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ purpose: 'Renamed standup' });
+
+      expect(response.status).toBe(200);
+      expect(await Reservation.countDocuments({ purpose: 'Renamed standup' })).toBe(4);
+    });
+
+    test('should reject series scope on a single reservation', async () => {
+      const { startTime, endTime } = firstSlot();
+      const single = await Reservation.create({
+        user: user._id,
+        room: room._id,
+        startTime,
+        endTime,
+        purpose: 'One-off meeting',
+        attendees: 2
+      });
+
+      const response = await request(app)
+        .patch(`/api/reservations/${single._id}/cancel?scope=series`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
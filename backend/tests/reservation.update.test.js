@@ -0,0 +1,180 @@
+const request = require('supertest');
+const app = require('../app');
+const Reservation = require('../models/reservation');
+const Room = require('../models/room');
+const User = require('../models/user');
+const { generateToken } = require('../utils/jwt');
+
+describe('Reservation Updates', () => {
+  let userToken, otherToken, adminToken, room, user;
+  const hour = 60 * 60 * 1000;
+  const start = () => new Date(Date.now() + 24 * hour);
+
+  beforeAll(async () => {
+    user = await User.create({
+      name: 'Update User',
+      email: 'updateuser@test.com',
+      password: 'password123'
+    });
+    const other = await User.create({
+      name: 'Other User',
+      email: 'updateother@test.com',
+      password: 'password123'
+    });
+    const admin = await User.create({
+      name: 'Update Admin',
+      email: 'updateadmin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    room = await Room.create({
+      name: 'Update Room',
+      description: 'Room used for update tests',
+      capacity: 10,
+      pricePerHour: 50,
+      location: { building: 'Test Building', floor: '1st Floor' },
+      createdBy: admin._id
+    });
+
+    userToken = generateToken({ id: user._id, role: 'user' });
+    otherToken = generateToken({ id: other._id, role: 'user' });
+    adminToken = generateToken({ id: admin._id, role: 'admin' });
+  });
+
+  beforeEach(async () => {
+    await Reservation.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await Reservation.deleteMany({});
+    await Room.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  const createReservation = (overrides = {}) => {
+    const startTime = start();
+    return Reservation.create({
+      user: user._id,
+      room: room._id,
+      startTime,
+      endTime: new Date(startTime.getTime() + 2 * hour),
+      purpose: 'Planning Meeting',
+      attendees: 5,
+      ...overrides
+    });
+  };
+
+  test('should reschedule own reservation', async () => {
+    const reservation = await createReservation();
+    const newStart = new Date(reservation.startTime.getTime() + 3 * hour);
+    const newEnd = new Date(newStart.getTime() + hour);
+
+    const response = await request(app)
+      .patch(`/api/reservations/${reservation._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ startTime: newStart.toISOString(), endTime: newEnd.toISOString() });
+
+    expect(response.status).toBe(200);
+    expect(new Date(response.body.data.reservation.startTime).getTime()).toBe(newStart.getTime());
+  });
+
+  test('should allow moving within its own current slot', async () => {
+    const reservation = await createReservation();
+    const newEnd = new Date(reservation.endTime.getTime() - 30 * 60 * 1000);
+
+    const response = await request(app)
+      .patch(`/api/reservations/${reservation._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ endTime: newEnd.toISOString() });
+
+    expect(response.status).toBe(200);
+  });
+
+  test('should reject a slot that conflicts with another reservation', async () => {
+    const reservation = await createReservation();
+    const blocker = await createReservation({
+      startTime: new Date(reservation.endTime.getTime() + hour),
+      endTime: new Date(reservation.endTime.getTime() + 3 * hour)
+    });
+
+    const response = await request(app)
+      .patch(`/api/reservations/${reservation._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        startTime: blocker.startTime.toISOString(),
+        endTime: blocker.endTime.toISOString()
+      });
+
+    expect(response.status).toBe(409);
+  });
+
+  test('should enforce duration rules', async () => {
+    const reservation = await createReservation();
+
+    const response = await request(app)
+      .patch(`/api/reservations/${reservation._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ endTime: new Date(reservation.startTime.getTime() + 10 * 60 * 1000).toISOString() });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toContain('Minimum');
+  });
+
+  test('should enforce room capacity', async () => {
+    const reservation = await createReservation();
+
+    const response = await request(app)
+      .patch(`/api/reservations/${reservation._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ attendees: 15 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toContain('capacity');
+  });
+
+  test("should not allow editing another user's reservation", async () => {
+    const reservation = await createReservation();
+
+    const response = await request(app)
+      .patch(`/api/reservations/${reservation._id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ purpose: 'Hijacked meeting' });
+
+    expect(response.status).toBe(403);
+  });
+
+  test("admin should edit any user's reservation", async () => {
+    const reservation = await createReservation();
+
+    const response = await request(app)
+      .patch(`/api/reservations/${reservation._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ purpose: 'Updated by admin' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.reservation.purpose).toBe('Updated by admin');
+  });
+
+  test('should not edit a cancelled reservation', async () => {
+    const reservation = await createReservation({ status: 'cancelled' });
+
+    const response = await request(app)
+      .patch(`/api/reservations/${reservation._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ purpose: 'Revived meeting' });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('should reject status changes through the edit endpoint', async () => {
+    const reservation = await createReservation();
+
+    const response = await request(app)
+      .patch(`/api/reservations/${reservation._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ status: 'cancelled' });
+
+    expect(response.status).toBe(400);
+  });
+});
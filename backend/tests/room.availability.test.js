@@ -0,0 +1,149 @@
+const request = require('supertest');
+const app = require('../app');
+const Reservation = require('../models/reservation');
+const Room = require('../models/room');
+const User = require('../models/user');
+const { findFreeIntervals, suggestStartTimes } = require('../utils/availability');
+
+describe('Room Availability', () => {
+  let room, user;
+  const hour = 60 * 60 * 1000;
+
+  // Tomorrow at 08:00 UTC, so every slot in these tests is in the future
+  const base = () => {
+    const date = new Date(Date.now() + 24 * hour);
+    date.setUTCHours(8, 0, 0, 0);
+    return date;
+  };
+  const at = (hours) => new Date(base().getTime() + hours * hour);
+
+  beforeAll(async () => {
+    user = await User.create({
+      name: 'Availability User',
+      email: 'availabilityuser@test.com',
+      password: 'password123'
+    });
+
+    room = await Room.create({
+      name: 'Availability Room',
+      description: 'Room used for availability tests',
+      capacity: 8,
+      pricePerHour: 40,
+      location: { building: 'Test Building', floor: '3rd Floor' },
+      createdBy: user._id
+    });
+  });
+
+  beforeEach(async () => {
+    await Reservation.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await Reservation.deleteMany({});
+    await Room.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  describe('findFreeIntervals', () => {
+    test('should merge overlapping busy intervals', () => {
+      const from = new Date('2030-01-01T08:00:00Z');
+      const to = new Date('2030-01-01T17:00:00Z');
+      const free = findFreeIntervals([
+        { startTime: new Date('2030-01-01T10:00:00Z'), endTime: new Date('2030-01-01T11:00:00Z') },
+        { startTime: new Date('2030-01-01T10:30:00Z'), endTime: new Date('2030-01-01T12:00:00Z') }
+      ], from, to);
+
+      expect(free).toHaveLength(2);
+      expect(free[0].endTime.toISOString()).toBe('2030-01-01T10:00:00.000Z');
+      expect(free[1].startTime.toISOString()).toBe('2030-01-01T12:00:00.000Z');
+    });
+
+    test('should drop gaps shorter than the minimum booking duration', () => {
+      const from = new Date('2030-01-01T08:00:00Z');
+      const to = new Date('2030-01-01T10:00:00Z');
+      const free = findFreeIntervals([
+        { startTime: new Date('2030-01-01T08:00:00Z'), endTime: new Date('2030-01-01T09:00:00Z') },
+        { startTime: new Date('2030-01-01T09:15:00Z'), endTime: new Date('2030-01-01T10:00:00Z') }
+      ], from, to);
+
+      expect(free).toHaveLength(0);
+    });
+
+    test('should suggest aligned start times that fit the duration', () => {
+      const free = [{
+        startTime: new Date('2030-01-01T08:10:00Z'),
+        endTime: new Date('2030-01-01T10:00:00Z')
+      }];
+
+      const suggestions = suggestStartTimes(free, 60, 30);
+      expect(suggestions.map(date => date.toISOString())).toEqual([
+        '2030-01-01T08:30:00.000Z',
+        '2030-01-01T09:00:00.000Z'
+      ]);
+    });
+  });
+
+  describe('GET /api/rooms/:id/availability', () => {
+    test('should return free intervals around active reservations', async () => {
+      await Reservation.create({
+        user: user._id,
+        room: room._id,
+        startTime: at(2),
+        endTime: at(4),
+        purpose: 'Blocking Meeting',
+        attendees: 2
+      });
+      await Reservation.create({
+        user: user._id,
+        room: room._id,
+        startTime: at(5),
+        endTime: at(6),
+        purpose: 'Cancelled Meeting',
+        attendees: 2,
+        status: 'cancelled'
+      });
+
+      const response = await request(app)
+        .get(`/api/rooms/${room._id}/availability`)
+        .query({ from: at(0).toISOString(), to: at(8).toISOString() });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.freeSlots).toHaveLength(2);
+      expect(response.body.data.freeSlots[1].startTime).toBe(at(4).toISOString());
+      expect(response.body.data.suggestedStartTimes).toBeUndefined();
+    });
+
+    test('should suggest start times for a requested duration', async () => {
+      const response = await request(app)
+        .get(`/api/rooms/${room._id}/availability`)
+        .query({ from: at(0).toISOString(), to: at(2).toISOString(), duration: 60 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.suggestedStartTimes).toHaveLength(3);
+    });
+
+    test('should reject durations outside booking limits', async () => {
+      const response = await request(app)
+        .get(`/api/rooms/${room._id}/availability`)
+        .query({ from: at(0).toISOString(), to: at(2).toISOString(), duration: 15 });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should reject ranges longer than 31 days', async () => {
+      const response = await request(app)
+        .get(`/api/rooms/${room._id}/availability`)
+        .query({ from: at(0).toISOString(), to: at(24 * 40).toISOString() });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should return 404 for unknown room', async () => {
+      const response = await request(app)
+        .get('/api/rooms/507f1f77bcf86cd799439011/availability')
+        .query({ to: at(2).toISOString() });
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
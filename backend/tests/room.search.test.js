@@ -0,0 +1,93 @@
+const request = require('supertest');
+const app = require('../app');
+const Reservation = require('../models/reservation');
+const Room = require('../models/room');
+const User = require('../models/user');
+
+describe('Available Room Search', () => {
+  let user, small, medium, large, busy;
+  const hour = 60 * 60 * 1000;
+  const start = new Date(Date.now() + 24 * hour);
+  const end = new Date(start.getTime() + 2 * hour);
+
+  const createRoom = (name, capacity, pricePerHour, amenities = []) => Room.create({
+    name,
+    description: `${name} used for search tests`,
+    capacity,
+    pricePerHour,
+    amenities,
+    location: { building: 'Search Building', floor: '1' },
+    createdBy: user._id
+  });
+
+  beforeAll(async () => {
+    user = await User.create({
+      name: 'Search User',
+      email: 'searchuser@test.com',
+      password: 'password123'
+    });
+
+    small = await createRoom('Small Room', 4, 20, ['WiFi']);
+    medium = await createRoom('Medium Room', 8, 40, ['WiFi', 'Projector']);
+    large = await createRoom('Large Room', 8, 30, ['Projector']);
+    busy = await createRoom('Busy Room', 6, 10, ['WiFi', 'Projector']);
+
+    await Reservation.create({
+      user: user._id,
+      room: busy._id,
+      startTime: new Date(start.getTime() + hour),
+      endTime: new Date(end.getTime() + hour),
+      purpose: 'Overlapping Meeting',
+      attendees: 3
+    });
+  });
+
+  afterAll(async () => {
+    await Reservation.deleteMany({});
+    await Room.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  const search = (query) => request(app)
+    .get('/api/rooms/available')
+    .query({ start: start.toISOString(), end: end.toISOString(), ...query });
+
+  test('should exclude rooms with conflicting reservations', async () => {
+    const response = await search({});
+
+    expect(response.status).toBe(200);
+    const ids = response.body.data.rooms.map(room => room._id);
+    expect(ids).not.toContain(busy._id.toString());
+    expect(ids).toHaveLength(3);
+  });
+
+  test('should rank by capacity fit, then price', async () => {
+    const response = await search({ attendees: 5 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.rooms.map(room => room.name)).toEqual(['Large Room', 'Medium Room']);
+  });
+
+  test('should apply existing room filters', async () => {
+    const response = await search({ attendees: 2, amenities: 'WiFi', maxPrice: 30 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.rooms.map(room => room.name)).toEqual(['Small Room']);
+  });
+
+  test('should paginate results', async () => {
+    const response = await search({ limit: 1, page: 2 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.rooms).toHaveLength(1);
+    expect(response.body.data.pagination.totalRecords).toBe(3);
+  });
+
+  test('should require a valid time window', async () => {
+    const response = await request(app)
+      .get('/api/rooms/available')
+      .query({ start: end.toISOString(), end: start.toISOString() });
+
+    expect(response.status).toBe(400);
+  });
+});
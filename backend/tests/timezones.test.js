@@ -0,0 +1,196 @@
+const request = require('supertest');
+const app = require('../app');
+const Building = require('../models/building');
+const BookingPolicy = require('../models/bookingPolicy');
+const Reservation = require('../models/reservation');
+const Room = require('../models/room');
+const User = require('../models/user');
+const { generateToken } = require('../utils/jwt');
+const { checkOpeningHours } = require('../utils/openingHours');
+const { expandRecurrence } = require('../utils/recurrence');
+const { toZonedISOString, startOfWeek } = require('../utils/timezone');
+
+describe('Time zones', () => {
+  let adminToken, userToken, building;
+
+  // A Monday next year, so every slot in these tests is in the future
+  const nextMonday = () => {
+    const date = new Date(Date.UTC(new Date().getUTCFullYear() + 1, 0, 1));
+    date.setUTCDate(date.getUTCDate() + ((8 - date.getUTCDay()) % 7));
+    return date;
+  };
+  const hour = 60 * 60 * 1000;
+
+  beforeAll(async () => {
+    const admin = await User.create({
+      name: 'Zones Admin',
+      email: 'zonesadmin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    const user = await User.create({
+      name: 'Zones User',
+      email: 'zonesuser@test.com',
+      password: 'password123'
+    });
+
+    adminToken = generateToken({ id: admin._id, role: admin.role });
+    userToken = generateToken({ id: user._id, role: user.role });
+  });
+
+  beforeEach(async () => {
+    await Reservation.deleteMany({});
+    await Room.deleteMany({});
+    await BookingPolicy.deleteMany({});
+    await Building.deleteMany({});
+    building = await Building.create({ name: 'Tokyo Office', timezone: 'Asia/Tokyo' });
+  });
+
+  afterAll(async () => {
+    await Reservation.deleteMany({});
+    await Room.deleteMany({});
+    await BookingPolicy.deleteMany({});
+    await Building.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  const createRoom = (body = {}) => request(app)
+    .post('/api/rooms')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({
+      name: 'Zoned Room',
+      description: 'Room used for time zone tests',
+      capacity: 6,
+      pricePerHour: 20,
+      location: { buildingId: building._id.toString(), floor: '3' },
+      ...body
+    });
+
+  describe('Helpers', () => {
+    test('should format instants with the zone\'s offset', () => {
+      const instant = new Date('2030-07-01T08:00:00Z');
+      expect(toZonedISOString(instant, 'Europe/London')).toBe('2030-07-01T09:00:00.000+01:00');
+      expect(toZonedISOString(instant, 'America/New_York')).toBe('2030-07-01T04:00:00.000-04:00');
+    });
+
+    test('should read opening hours in the given zone', () => {
+      const hours = [{ days: ['MO'], open: '09:00', close: '17:00' }];
+      // 09:00-10:00 in Tokyo is 00:00-01:00 UTC
+      expect(checkOpeningHours(hours, new Date('2030-01-07T00:00:00Z'), new Date('2030-01-07T01:00:00Z'), 'Asia/Tokyo')).toBeNull();
+      expect(checkOpeningHours(hours, new Date('2030-01-07T09:00:00Z'), new Date('2030-01-07T10:00:00Z'), 'Asia/Tokyo'))
+        .toBe('Room is only open 09:00-17:00 on Mondays');
+    });
+
+    test('should keep recurring bookings at the same local time across DST', () => {
+      // Berlin moves to summer time on 31 March 2030
+      const occurrences = expandRecurrence('2030-03-25T08:00:00Z', '2030-03-25T09:00:00Z', { frequency: 'weekly', count: 2 }, 'Europe/Berlin');
+      expect(occurrences.map(occurrence => occurrence.startTime.toISOString()))
+        .toEqual(['2030-03-25T08:00:00.000Z', '2030-04-01T07:00:00.000Z']);
+    });
+
+    test('should start weeks on Monday in the zone', () => {
+      // Sunday evening in New York is already Monday in Tokyo
+      const instant = new Date('2030-01-07T01:00:00Z');
+      expect(startOfWeek(instant, 'America/New_York').toISOString()).toBe('2029-12-31T05:00:00.000Z');
+      expect(startOfWeek(instant, 'Asia/Tokyo').toISOString()).toBe('2030-01-06T15:00:00.000Z');
+    });
+  });
+
+  describe('Rooms', () => {
+    test('should give rooms their building\'s time zone', async () => {
+      const response = await createRoom();
+      expect(response.status).toBe(201);
+      expect(response.body.data.room.timezone).toBe('Asia/Tokyo');
+
+      const conflicting = await createRoom({ name: 'Conflicting Room', timezone: 'Europe/Paris' });
+      expect(conflicting.status).toBe(400);
+    });
+
+    test('should move rooms and their reservations with the building', async () => {
+      const room = await createRoom();
+      const monday = nextMonday();
+      const reservation = await Reservation.create({
+        user: room.body.data.room.createdBy._id,
+        room: room.body.data.room._id,
+        timezone: 'Asia/Tokyo',
+        startTime: new Date(monday.getTime() + 2 * hour),
+        endTime: new Date(monday.getTime() + 3 * hour),
+        purpose: 'Zone move',
+        attendees: 2
+      });
+
+      const response = await request(app)
+        .patch(`/api/buildings/${building._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ timezone: 'Asia/Seoul' });
+      expect(response.status).toBe(200);
+
+      expect((await Room.findById(room.body.data.room._id)).timezone).toBe('Asia/Seoul');
+      expect((await Reservation.findById(reservation._id)).timezone).toBe('Asia/Seoul');
+    });
+  });
+
+  describe('Reservations', () => {
+    test('should accept offsets and return local times', async () => {
+      const room = await createRoom();
+      const monday = nextMonday();
+      const day = monday.toISOString().slice(0, 10);
+
+      const response = await request(app)
+        .post('/api/reservations')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          room: room.body.data.room._id,
+          startTime: `${day}T10:00:00+09:00`,
+          endTime: `${day}T11:00:00+09:00`,
+          purpose: 'Local time meeting',
+          attendees: 2
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.reservation.startTime).toBe(`${day}T01:00:00.000Z`);
+      expect(response.body.data.reservation.timezone).toBe('Asia/Tokyo');
+      expect(response.body.data.reservation.localStartTime).toBe(`${day}T10:00:00.000+09:00`);
+    });
+
+    test('should reject timestamps without an offset', async () => {
+      const room = await createRoom();
+      const day = nextMonday().toISOString().slice(0, 10);
+
+      const response = await request(app)
+        .post('/api/reservations')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          room: room.body.data.room._id,
+          startTime: `${day}T10:00:00`,
+          endTime: `${day}T11:00:00`,
+          purpose: 'Floating time meeting',
+          attendees: 2
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toMatch(/must include a UTC offset/);
+    });
+
+    test('should apply opening hours in the building\'s zone', async () => {
+      await Building.findByIdAndUpdate(building._id, {
+        openingHours: [{ days: ['MO', 'TU', 'WE', 'TH', 'FR'], open: '09:00', close: '18:00' }]
+      });
+      const room = await createRoom();
+      const day = nextMonday().toISOString().slice(0, 10);
+
+      const book = (start, end) => request(app)
+        .post('/api/reservations')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ room: room.body.data.room._id, startTime: start, endTime: end, purpose: 'Office hours', attendees: 2 });
+
+      // 09:00 UTC is 18:00 in Tokyo, after closing
+      const late = await book(`${day}T09:00:00Z`, `${day}T10:00:00Z`);
+      expect(late.status).toBe(400);
+
+      const inHours = await book(`${day}T00:00:00Z`, `${day}T01:00:00Z`);
+      expect(inHours.status).toBe(201);
+    });
+  });
+});
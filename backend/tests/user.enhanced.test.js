@@ -430,12 +430,12 @@ test('admin should deactivate and reactivate a user', async () => {
     });
 
     test('should handle updateUserRole server error', async () => {
-      jest.spyOn(User, 'findByIdAndUpdate').mockImplementationOnce(() => { throw new Error('fail'); });
+      jest.spyOn(User, 'findOneAndUpdate').mockImplementationOnce(() => { throw new Error('fail'); });
       const response = await request(app)
         .patch('/api/users/admin/users/' + testUser._id + '/role')
         .set('Authorization', 'Bearer ' + adminToken)
         .send({ role: 'admin' });
-      expect([401, 404, 500]).toContain(response.status);
+      expect(response.status).toBe(500);
     });
 
     test('should 400 when admin tries to delete self', async () => {
@@ -454,11 +454,11 @@ test('admin should deactivate and reactivate a user', async () => {
     });
 
     test('should handle deleteUser server error', async () => {
-      jest.spyOn(User, 'findByIdAndDelete').mockImplementationOnce(() => { throw new Error('fail'); });
+      jest.spyOn(User, 'findOneAndDelete').mockImplementationOnce(() => { throw new Error('fail'); });
       const response = await request(app)
         .delete(`/api/users/admin/users/${testUser._id}`)
         .set('Authorization', 'Bearer ' + adminToken);
-      expect([401, 404, 500]).toContain(response.status);
+      expect(response.status).toBe(500);
     });
 
     test('should 400 when admin tries to toggle own status', async () => {
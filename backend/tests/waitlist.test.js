@@ -0,0 +1,310 @@
+const request = require('supertest');
+const app = require('../app');
+const config = require('../config/config');
+const Blackout = require('../models/blackout');
+const BookingPolicy = require('../models/bookingPolicy');
+const Notification = require('../models/notification');
+const Reservation = require('../models/reservation');
+const WaitlistEntry = require('../models/waitlistEntry');
+const Room = require('../models/room');
+const User = require('../models/user');
+const { generateToken } = require('../utils/jwt');
+const { expireHolds } = require('../services/waitlist');
+
+describe('Waitlist', () => {
+  let ownerToken, waiterToken, secondToken, thirdToken, adminToken, room, owner, waiter, second, third;
+  const hour = 60 * 60 * 1000;
+  const start = new Date(Date.now() + 48 * hour);
+  const end = new Date(start.getTime() + 2 * hour);
+  const slot = () => ({
+    room: room._id,
+    startTime: start.toISOString(),
+    endTime: end.toISOString(),
+    purpose: 'Waitlisted Meeting',
+    attendees: 4
+  });
+
+  beforeAll(async () => {
+    owner = await User.create({ name: 'Slot Owner', email: 'slotowner@test.com', password: 'password123' });
+    waiter = await User.create({ name: 'First Waiter', email: 'firstwaiter@test.com', password: 'password123' });
+    second = await User.create({ name: 'Second Waiter', email: 'secondwaiter@test.com', password: 'password123' });
+    third = await User.create({ name: 'Third Waiter', email: 'thirdwaiter@test.com', password: 'password123' });
+    const admin = await User.create({
+      name: 'Waitlist Admin',
+      email: 'waitlistadmin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    room = await Room.create({
+      name: 'Popular Room',
+      description: 'Room used for waitlist tests',
+      capacity: 10,
+      pricePerHour: 50,
+      location: { building: 'Test Building', floor: '1st Floor' },
+      createdBy: admin._id
+    });
+
+    ownerToken = generateToken({ id: owner._id, role: 'user' });
+    waiterToken = generateToken({ id: waiter._id, role: 'user' });
+    secondToken = generateToken({ id: second._id, role: 'user' });
+    thirdToken = generateToken({ id: third._id, role: 'user' });
+    adminToken = generateToken({ id: admin._id, role: 'admin' });
+  });
+
+  let booking;
+  beforeEach(async () => {
+    await Reservation.deleteMany({});
+    await WaitlistEntry.deleteMany({});
+    config.waitlist.mode = 'offer';
+
+    booking = await Reservation.create({
+      user: owner._id,
+      room: room._id,
+      startTime: start,
+      endTime: end,
+      purpose: 'Original Booking',
+      attendees: 4
+    });
+  });
+
+  afterAll(async () => {
+    await Reservation.deleteMany({});
+    await WaitlistEntry.deleteMany({});
+    await Room.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  const join = (token) => request(app)
+    .post('/api/reservations/waitlist')
+    .set('Authorization', `Bearer ${token}`)
+    .send(slot());
+
+  test('should join the waitlist for a booked slot', async () => {
+    const response = await join(waiterToken);
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.entry.status).toBe('waiting');
+  });
+
+  test('should refuse to waitlist a free slot', async () => {
+    await Reservation.deleteMany({});
+
+    const response = await join(waiterToken);
+    expect(response.status).toBe(400);
+  });
+
+  test('should report queue position', async () => {
+    await join(waiterToken);
+    await join(secondToken);
+
+    const response = await request(app)
+      .get('/api/reservations/waitlist')
+      .set('Authorization', `Bearer ${secondToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.entries[0].position).toBe(2);
+  });
+
+  test('should leave expired offers out of the list without expiring them', async () => {
+    await join(waiterToken);
+    await request(app)
+      .patch(`/api/reservations/${booking._id}/cancel`)
+      .set('Authorization', `Bearer ${ownerToken}`);
+    await WaitlistEntry.updateOne({ user: waiter._id }, { holdExpiresAt: new Date(Date.now() - 1000) });
+
+    const response = await request(app)
+      .get('/api/reservations/waitlist')
+      .set('Authorization', `Bearer ${waiterToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.entries).toHaveLength(0);
+    // Expiring the hold (and passing the slot on) is the scheduler's job
+    expect((await WaitlistEntry.findOne({ user: waiter._id })).status).toBe('offered');
+  });
+
+  test('should offer the slot to the first waiter on cancellation', async () => {
+    await join(waiterToken);
+    await join(secondToken);
+
+    await request(app)
+      .patch(`/api/reservations/${booking._id}/cancel`)
+      .set('Authorization', `Bearer ${ownerToken}`);
+
+    const entry = await WaitlistEntry.findOne({ user: waiter._id });
+    expect(entry.status).toBe('offered');
+    expect(entry.holdExpiresAt).toBeDefined();
+
+    const held = await Reservation.findById(entry.reservation);
+    expect(held.status).toBe('pending');
+
+    const accept = await request(app)
+      .post(`/api/reservations/waitlist/${entry._id}/accept`)
+      .set('Authorization', `Bearer ${waiterToken}`);
+    expect(accept.status).toBe(200);
+    expect(accept.body.data.reservation.status).toBe('confirmed');
+  });
+
+  test('should email the offer with its hold expiry', async () => {
+    await Notification.deleteMany({});
+    await join(waiterToken);
+
+    await request(app)
+      .patch(`/api/reservations/${booking._id}/cancel`)
+      .set('Authorization', `Bearer ${ownerToken}`);
+
+    const offer = await Notification.findOne({ template: 'waitlistOffer' });
+    expect(offer.to).toBe('firstwaiter@test.com');
+    expect(offer.subject).toBe('Slot available: Popular Room');
+    expect(offer.text).toMatch(/Accept the offer before \w{3}, \d{2} \w{3} \d{4} \d{2}:\d{2}/);
+  });
+
+  test('should not offer a slot that has since been closed', async () => {
+    await join(waiterToken);
+    await Blackout.create({ scope: 'room', room: room._id, startTime: start, endTime: end, reason: 'Repairs' });
+
+    try {
+      await request(app)
+        .patch(`/api/reservations/${booking._id}/cancel`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+
+      const entry = await WaitlistEntry.findOne({ user: waiter._id });
+      expect(entry.status).toBe('waiting');
+      expect(await Reservation.countDocuments({ user: waiter._id })).toBe(0);
+    } finally {
+      await Blackout.deleteMany({});
+    }
+  });
+
+  test('should grant the slot directly in grant mode', async () => {
+    config.waitlist.mode = 'grant';
+    await join(waiterToken);
+
+    await request(app)
+      .patch(`/api/reservations/admin/${booking._id}/cancel`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    const entry = await WaitlistEntry.findOne({ user: waiter._id });
+    expect(entry.status).toBe('fulfilled');
+    const granted = await Reservation.findById(entry.reservation);
+    expect(granted.status).toBe('confirmed');
+  });
+
+  test('should submit accepted offers for approval when the room needs it', async () => {
+    await Room.updateOne({ _id: room._id }, { requiresApproval: true });
+    try {
+      await join(waiterToken);
+      await request(app)
+        .patch(`/api/reservations/${booking._id}/cancel`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+
+      const entry = await WaitlistEntry.findOne({ user: waiter._id });
+      const accept = await request(app)
+        .post(`/api/reservations/waitlist/${entry._id}/accept`)
+        .set('Authorization', `Bearer ${waiterToken}`);
+
+      expect(accept.status).toBe(200);
+      expect(accept.body.data.reservation.status).toBe('pending');
+      expect(accept.body.data.reservation.approval.state).toBe('awaiting');
+      expect(accept.body.data.reservation.holdExpiresAt).toBeUndefined();
+    } finally {
+      await Room.updateOne({ _id: room._id }, { requiresApproval: false });
+    }
+  });
+
+  test('should submit granted slots for approval when the room needs it', async () => {
+    config.waitlist.mode = 'grant';
+    await Room.updateOne({ _id: room._id }, { requiresApproval: true });
+    try {
+      await join(waiterToken);
+      await request(app)
+        .patch(`/api/reservations/admin/${booking._id}/cancel`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const entry = await WaitlistEntry.findOne({ user: waiter._id });
+      const granted = await Reservation.findById(entry.reservation);
+      expect(granted.status).toBe('pending');
+      expect(granted.approval.state).toBe('awaiting');
+    } finally {
+      await Room.updateOne({ _id: room._id }, { requiresApproval: false });
+    }
+  });
+
+  test('should skip waiters over their booking limit or with a deactivated account', async () => {
+    await join(waiterToken);
+    await join(secondToken);
+    await join(thirdToken);
+
+    // The first waiter already has an upcoming booking elsewhere in the week
+    await Reservation.create({
+      user: waiter._id,
+      room: room._id,
+      startTime: new Date(start.getTime() + 24 * hour),
+      endTime: new Date(end.getTime() + 24 * hour),
+      purpose: 'Other Booking',
+      attendees: 2
+    });
+    await BookingPolicy.create({ scope: 'room', room: room._id, maxActiveBookings: 1 });
+    await User.updateOne({ _id: second._id }, { isActive: false });
+
+    try {
+      await request(app)
+        .patch(`/api/reservations/admin/${booking._id}/cancel`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect((await WaitlistEntry.findOne({ user: waiter._id })).status).toBe('waiting');
+      expect((await WaitlistEntry.findOne({ user: second._id })).status).toBe('waiting');
+      expect((await WaitlistEntry.findOne({ user: third._id })).status).toBe('offered');
+    } finally {
+      await BookingPolicy.deleteMany({});
+      await User.updateOne({ _id: second._id }, { isActive: true });
+    }
+  });
+
+  test('should pass an expired offer to the next waiter', async () => {
+    await join(waiterToken);
+    await join(secondToken);
+
+    await request(app)
+      .patch(`/api/reservations/admin/${booking._id}/cancel`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    await WaitlistEntry.updateOne({ user: waiter._id }, { holdExpiresAt: new Date(Date.now() - 1000) });
+    await expireHolds();
+
+    const first = await WaitlistEntry.findOne({ user: waiter._id });
+    const next = await WaitlistEntry.findOne({ status: 'offered' });
+    expect(first.status).toBe('expired');
+    expect(next).not.toBeNull();
+    expect(next.user.toString()).not.toBe(waiter._id.toString());
+  });
+
+  test('should pass a declined offer to the next waiter', async () => {
+    await join(waiterToken);
+    await join(secondToken);
+
+    await request(app)
+      .patch(`/api/reservations/admin/${booking._id}/cancel`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    const entry = await WaitlistEntry.findOne({ user: waiter._id });
+    const response = await request(app)
+      .post(`/api/reservations/waitlist/${entry._id}/decline`)
+      .set('Authorization', `Bearer ${waiterToken}`);
+
+    expect(response.status).toBe(200);
+    expect(await WaitlistEntry.countDocuments({ status: 'offered' })).toBe(1);
+  });
+
+  test('should leave the waitlist', async () => {
+    const joined = await join(waiterToken);
+
+    const response = await request(app)
+      .delete(`/api/reservations/waitlist/${joined.body.data.entry._id}`)
+      .set('Authorization', `Bearer ${waiterToken}`);
+
+    expect(response.status).toBe(200);
+    const entry = await WaitlistEntry.findById(joined.body.data.entry._id);
+    expect(entry.status).toBe('cancelled');
+  });
+});
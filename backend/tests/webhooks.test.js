@@ -0,0 +1,364 @@
+const http = require('http');
+const request = require('supertest');
+const app = require('../app');
+const config = require('../config/config');
+const Reservation = require('../models/reservation');
+const Room = require('../models/room');
+const User = require('../models/user');
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookDelivery');
+const { generateToken } = require('../utils/jwt');
+const { signPayload } = require('../utils/webhooks');
+const { processWebhookDeliveries } = require('../services/webhooks');
+const { completeEndedReservations } = require('../services/lifecycle');
+
+describe('Webhooks', () => {
+  let userToken, adminToken, user, room, receiver, receiverUrl;
+  // Requests the receiver got, and the status it answers with
+  let received = [];
+  let responseStatus = 200;
+  const hour = 60 * 60 * 1000;
+
+  const createWebhook = (events) => request(app)
+    .post('/api/webhooks')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ url: receiverUrl, events });
+
+  const book = () => {
+    const startTime = new Date(Date.now() + 24 * hour);
+    return request(app)
+      .post('/api/reservations')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        room: room._id,
+        startTime: startTime.toISOString(),
+        endTime: new Date(startTime.getTime() + hour).toISOString(),
+        purpose: 'Hooked Meeting',
+        attendees: 3
+      });
+  };
+
+  beforeAll(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ url: req.url, headers: req.headers, body });
+        res.statusCode = responseStatus;
+        if (responseStatus === 302) res.setHeader('Location', '/elsewhere');
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+    // The test receiver listens on loopback
+    config.webhooks.allowPrivateUrls = true;
+
+    user = await User.create({
+      name: 'Hooked User',
+      email: 'hookeduser@test.com',
+      password: 'password123'
+    });
+
+    const admin = await User.create({
+      name: 'Webhook Admin',
+      email: 'webhookadmin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    room = await Room.create({
+      name: 'Webhook Room',
+      description: 'Room used for webhook tests',
+      capacity: 10,
+      pricePerHour: 40,
+      location: { building: 'Test Building', floor: '1st Floor' },
+      createdBy: admin._id
+    });
+
+    userToken = generateToken({ id: user._id, role: 'user' });
+    adminToken = generateToken({ id: admin._id, role: 'admin' });
+  });
+
+  beforeEach(async () => {
+    await Reservation.deleteMany({});
+    await Webhook.deleteMany({});
+    await WebhookDelivery.deleteMany({});
+    received = [];
+    responseStatus = 200;
+  });
+
+  afterAll(async () => {
+    config.webhooks.allowPrivateUrls = false;
+    await new Promise(resolve => receiver.close(resolve));
+    await Reservation.deleteMany({});
+    await Webhook.deleteMany({});
+    await WebhookDelivery.deleteMany({});
+    await Room.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  describe('Subscriptions', () => {
+    test('should return the secret only when the webhook is created', async () => {
+      const response = await createWebhook(['reservation.created']);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.secret).toMatch(/^[0-9a-f]{64}$/);
+      expect(response.body.data.webhook.secret).toBeUndefined();
+
+      const list = await request(app)
+        .get('/api/webhooks')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(list.body.data.webhooks).toHaveLength(1);
+      expect(list.body.data.webhooks[0].secret).toBeUndefined();
+    });
+
+    test('should reject unknown events', async () => {
+      const response = await createWebhook(['reservation.exploded']);
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should refuse loopback, private and link-local addresses', async () => {
+      config.webhooks.allowPrivateUrls = false;
+      try {
+        for (const url of [receiverUrl, 'http://10.0.0.5/hooks', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/hooks']) {
+          const response = await request(app)
+            .post('/api/webhooks')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ url, events: ['reservation.created'] });
+
+          expect(response.status).toBe(400);
+          expect(response.body.message).toMatch(/private, loopback or link-local/);
+        }
+      } finally {
+        config.webhooks.allowPrivateUrls = true;
+      }
+    });
+
+    test('should be admin only', async () => {
+      const response = await request(app)
+        .get('/api/webhooks')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Delivery', () => {
+    test('should send signed payloads for subscribed events', async () => {
+      const { body: { data: { secret } } } = await createWebhook(['reservation.created']);
+
+      const response = await book();
+      expect(response.status).toBe(201);
+
+      // The booking only queues the delivery; the scheduler sends it
+      expect(received).toHaveLength(0);
+      expect(await processWebhookDeliveries()).toBe(1);
+
+      expect(received).toHaveLength(1);
+      const [{ headers, body }] = received;
+      expect(headers['x-webhook-event']).toBe('reservation.created');
+      expect(headers['x-webhook-signature']).toBe(signPayload(secret, headers['x-webhook-timestamp'], body));
+
+      const payload = JSON.parse(body);
+      expect(payload.event).toBe('reservation.created');
+      expect(payload.data.reservation.id).toBe(response.body.data.reservation._id);
+      expect(payload.data.reservation.room).toBe(room._id.toString());
+
+      const [delivery] = await WebhookDelivery.find({});
+      expect(delivery.status).toBe('delivered');
+      expect(delivery.responseStatus).toBe(200);
+    });
+
+    test('should only send events the webhook subscribed to', async () => {
+      await createWebhook(['reservation.cancelled']);
+
+      const response = await book();
+      await processWebhookDeliveries();
+      expect(received).toHaveLength(0);
+
+      await request(app)
+        .patch(`/api/reservations/${response.body.data.reservation._id}/cancel`)
+        .set('Authorization', `Bearer ${userToken}`);
+      await processWebhookDeliveries();
+
+      expect(received.map(({ headers }) => headers['x-webhook-event'])).toEqual(['reservation.cancelled']);
+    });
+
+    test('should report status changes with the previous status', async () => {
+      await createWebhook(['reservation.status_changed']);
+      const reservation = await Reservation.create({
+        user: user._id,
+        room: room._id,
+        startTime: new Date(Date.now() + 24 * hour),
+        endTime: new Date(Date.now() + 25 * hour),
+        purpose: 'Hooked Meeting',
+        attendees: 3
+      });
+
+      await request(app)
+        .patch(`/api/reservations/admin/${reservation._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'no_show' });
+      await processWebhookDeliveries();
+
+      expect(received).toHaveLength(1);
+      const payload = JSON.parse(received[0].body);
+      expect(payload.data.previousStatus).toBe('confirmed');
+      expect(payload.data.reservation.status).toBe('no_show');
+    });
+
+    test('should report status changes made by background jobs', async () => {
+      await createWebhook(['reservation.status_changed']);
+      const reservation = await Reservation.create({
+        user: user._id,
+        room: room._id,
+        startTime: new Date(Date.now() - 3 * hour),
+        endTime: new Date(Date.now() - 2 * hour),
+        purpose: 'Hooked Meeting',
+        attendees: 3,
+        checkedInAt: new Date(Date.now() - 3 * hour)
+      });
+
+      await completeEndedReservations();
+      await processWebhookDeliveries();
+
+      expect(received).toHaveLength(1);
+      const payload = JSON.parse(received[0].body);
+      expect(payload.data.reservation.id).toBe(reservation._id.toString());
+      expect(payload.data.previousStatus).toBe('confirmed');
+      expect(payload.data.reservation.status).toBe('completed');
+    });
+
+    test('should not deliver to internal addresses', async () => {
+      await createWebhook(['reservation.created']);
+      await book();
+
+      // e.g. the host's DNS now points at an internal address
+      config.webhooks.allowPrivateUrls = false;
+      try {
+        await processWebhookDeliveries();
+      } finally {
+        config.webhooks.allowPrivateUrls = true;
+      }
+
+      expect(received).toHaveLength(0);
+      const [delivery] = await WebhookDelivery.find({});
+      expect(delivery.status).toBe('pending');
+      expect(delivery.lastError).toBe('Webhook URL must not point to a private, loopback or link-local address');
+    });
+
+    test('should not follow redirects', async () => {
+      await createWebhook(['reservation.created']);
+      responseStatus = 302;
+
+      await book();
+      await processWebhookDeliveries();
+
+      expect(received.map(({ url }) => url)).toEqual(['/hooks']);
+      const [delivery] = await WebhookDelivery.find({});
+      expect(delivery.status).toBe('pending');
+      expect(delivery.responseStatus).toBe(302);
+      expect(delivery.lastError).toBe('Endpoint redirected with HTTP 302; redirects are not followed');
+    });
+
+    test('should announce room updates and deactivation', async () => {
+      await createWebhook(['room.updated', 'room.deactivated']);
+      const spare = await Room.create({
+        name: 'Spare Webhook Room',
+        description: 'Room that gets deactivated',
+        capacity: 4,
+        pricePerHour: 20,
+        location: { building: 'Test Building', floor: '2nd Floor' },
+        createdBy: user._id
+      });
+
+      await request(app)
+        .patch(`/api/rooms/${spare._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ capacity: 6 });
+
+      await request(app)
+        .delete(`/api/rooms/${spare._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      await processWebhookDeliveries();
+
+      expect(received.map(({ headers }) => headers['x-webhook-event'])).toEqual(['room.updated', 'room.deactivated']);
+      expect(JSON.parse(received[0].body).data.room.capacity).toBe(6);
+    });
+  });
+
+  describe('Retries', () => {
+    test('should retry failed deliveries with backoff', async () => {
+      await createWebhook(['reservation.created']);
+      responseStatus = 503;
+
+      await book();
+      await processWebhookDeliveries();
+
+      const [failed] = await WebhookDelivery.find({});
+      expect(failed.status).toBe('pending');
+      expect(failed.attempts).toBe(1);
+      expect(failed.responseStatus).toBe(503);
+      expect(failed.lastError).toBe('Endpoint responded with HTTP 503');
+      expect(failed.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+      // Not due yet
+      expect(await processWebhookDeliveries()).toBe(0);
+
+      responseStatus = 200;
+      await WebhookDelivery.findByIdAndUpdate(failed._id, { nextAttemptAt: new Date(Date.now() - 1000) });
+      expect(await processWebhookDeliveries()).toBe(1);
+
+      const delivered = await WebhookDelivery.findById(failed._id);
+      expect(delivered.status).toBe('delivered');
+      expect(delivered.attempts).toBe(2);
+      // Retries send the same body
+      expect(received[1].body).toBe(received[0].body);
+    });
+
+    test('should list deliveries and redeliver on request', async () => {
+      const { body: { data: { webhook } } } = await createWebhook(['reservation.created']);
+      await book();
+      await processWebhookDeliveries();
+
+      const log = await request(app)
+        .get(`/api/webhooks/${webhook._id}/deliveries`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(log.status).toBe(200);
+      expect(log.body.data.deliveries).toHaveLength(1);
+      expect(log.body.data.deliveries[0].status).toBe('delivered');
+
+      const response = await request(app)
+        .post(`/api/webhooks/${webhook._id}/deliveries/${log.body.data.deliveries[0]._id}/redeliver`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.delivery.status).toBe('delivered');
+      expect(received).toHaveLength(2);
+    });
+
+    test('should stop delivering to disabled webhooks', async () => {
+      const { body: { data: { webhook } } } = await createWebhook(['reservation.created']);
+      responseStatus = 500;
+      await book();
+      await processWebhookDeliveries();
+
+      await request(app)
+        .patch(`/api/webhooks/${webhook._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ isActive: false });
+
+      await WebhookDelivery.updateMany({}, { nextAttemptAt: new Date(Date.now() - 1000) });
+      await processWebhookDeliveries();
+
+      const [delivery] = await WebhookDelivery.find({});
+      expect(delivery.status).toBe('failed');
+      expect(delivery.lastError).toBe('Webhook is disabled');
+      expect(received).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+// Never copied into the audit log
+const HIDDEN_FIELDS = [
+  'password',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'calendarToken',
+  'secret',
+  '__v',
+  'updatedAt'
+];
+
+// Plain JSON copy of a document or object, without secrets. Take it before changing the document.
+const snapshot = (doc) => {
+  if (!doc) return null;
+
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : { ...doc };
+  for (const field of HIDDEN_FIELDS) {
+    delete plain[field];
+  }
+  // Turns ObjectIds and dates into strings
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Keep only the top-level fields that differ between two snapshots
+const diffSnapshots = (before, after) => {
+  if (!before || !after) {
+    return { before: before || null, after: after || null };
+  }
+
+  const changed = { before: {}, after: {} };
+  for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[field]) === JSON.stringify(after[field])) continue;
+    if (field in before) changed.before[field] = before[field];
+    if (field in after) changed.after[field] = after[field];
+  }
+  return changed;
+};
+
+module.exports = {
+  snapshot,
+  diffSnapshots
+};
@@ -0,0 +1,83 @@
+const { MIN_DURATION_MINUTES, formatMinutes } = require('./bookingRules');
+
+const MINUTE = 60 * 1000;
+
+// Cap on how many start times a single availability lookup suggests
+const MAX_SUGGESTIONS = 100;
+
+// Gap a room needs between two bookings: teardown after one plus setup before the next
+const bufferMinutes = (room) => (
+  room ? (room.bufferBeforeMinutes || 0) + (room.bufferAfterMinutes || 0) : 0
+);
+
+// Stretch busy intervals by `minutes` on both sides
+const padIntervals = (intervals, minutes) => intervals.map(interval => ({
+  startTime: new Date(new Date(interval.startTime).getTime() - minutes * MINUTE),
+  endTime: new Date(new Date(interval.endTime).getTime() + minutes * MINUTE)
+}));
+
+// 409 message for a slot that collides with `conflict`, saying so when only the room's buffer is in the way
+const conflictMessage = (room, conflict, startTime, endTime) => {
+  const overlapsSlot = conflict.startTime < new Date(endTime) && conflict.endTime > new Date(startTime);
+  if (overlapsSlot) {
+    return 'Room is not available for the selected time slot';
+  }
+  return `Room is not available for the selected time slot. It needs ${formatMinutes(bufferMinutes(room))} between bookings for setup and teardown`;
+};
+
+// Free gaps inside [from, to] left by busy intervals, ignoring gaps too short to book
+const findFreeIntervals = (busy, from, to, minMinutes = MIN_DURATION_MINUTES) => {
+  const sorted = busy
+    .map(interval => ({ startTime: new Date(interval.startTime), endTime: new Date(interval.endTime) }))
+    .sort((a, b) => a.startTime - b.startTime);
+
+  const free = [];
+  let cursor = new Date(from);
+
+  for (const interval of sorted) {
+    if (interval.endTime <= cursor) continue;
+    if (interval.startTime >= to) break;
+    if (interval.startTime > cursor) {
+      free.push({ startTime: cursor, endTime: interval.startTime });
+    }
+    cursor = interval.endTime;
+  }
+
+  if (cursor < to) {
+    free.push({ startTime: cursor, endTime: new Date(to) });
+  }
+
+  return free
+    .filter(interval => interval.endTime - interval.startTime >= minMinutes * MINUTE)
+    .map(interval => ({
+      ...interval,
+      durationMinutes: Math.floor((interval.endTime - interval.startTime) / MINUTE)
+    }));
+};
+
+// Start times, aligned to `stepMinutes`, where a booking of `durationMinutes` fits
+const suggestStartTimes = (freeIntervals, durationMinutes, stepMinutes = 30) => {
+  const step = stepMinutes * MINUTE;
+  const duration = durationMinutes * MINUTE;
+  const suggestions = [];
+
+  for (const interval of freeIntervals) {
+    let start = Math.ceil(interval.startTime.getTime() / step) * step;
+    while (start + duration <= interval.endTime.getTime()) {
+      if (suggestions.length >= MAX_SUGGESTIONS) return suggestions;
+      suggestions.push(new Date(start));
+      start += step;
+    }
+  }
+
+  return suggestions;
+};
+
+module.exports = {
+  MAX_SUGGESTIONS,
+  bufferMinutes,
+  padIntervals,
+  conflictMessage,
+  findFreeIntervals,
+  suggestStartTimes
+};
@@ -0,0 +1,89 @@
+// Built-in booking policy. BookingPolicy documents override it globally,
+// per building or per room (see services/policy).
+const DEFAULT_POLICY = {
+  minDurationMinutes: 30,
+  maxDurationMinutes: 8 * 60,
+  // How long before the start a booking must be made
+  minLeadMinutes: 0,
+  // How far ahead bookings may be made (null = no limit)
+  maxAdvanceDays: null,
+  // Users can cancel up to this long before the start
+  cancellationCutoffMinutes: 2 * 60,
+  // Upcoming bookings a user may hold at once (null = no limit)
+  maxActiveBookings: null,
+  // Roles allowed to book (null = everyone)
+  allowedRoles: null,
+  // Weekly opening windows, [{ days, open, close }] (null = always open)
+  openingHours: null
+};
+
+const POLICY_FIELDS = Object.keys(DEFAULT_POLICY);
+
+// Kept for callers that only need the default limits
+const MIN_DURATION_MINUTES = DEFAULT_POLICY.minDurationMinutes;
+const MAX_DURATION_MINUTES = DEFAULT_POLICY.maxDurationMinutes;
+
+// 30 -> "30 minutes", 120 -> "2 hours"
+const formatMinutes = (minutes) => {
+  if (minutes >= 60 && minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+  }
+  return `${minutes} minutes`;
+};
+
+// Returns an error message if the slot breaks the duration rules, otherwise null
+const validateDuration = (startTime, endTime, policy = DEFAULT_POLICY) => {
+  const durationMs = new Date(endTime) - new Date(startTime);
+  const durationMinutes = durationMs / (1000 * 60);
+
+  if (durationMinutes < policy.minDurationMinutes) {
+    return `Minimum booking duration is ${formatMinutes(policy.minDurationMinutes)}`;
+  }
+
+  if (durationMinutes > policy.maxDurationMinutes) {
+    return `Maximum booking duration is ${formatMinutes(policy.maxDurationMinutes)}`;
+  }
+
+  return null;
+};
+
+// Returns an error message if the slot starts too soon or too far ahead, otherwise null
+const validateBookingWindow = (startTime, policy = DEFAULT_POLICY, now = new Date()) => {
+  const minutesUntilStart = (new Date(startTime) - now) / (1000 * 60);
+
+  if (minutesUntilStart < policy.minLeadMinutes) {
+    return `Bookings must be made at least ${formatMinutes(policy.minLeadMinutes)} before the start time`;
+  }
+
+  if (policy.maxAdvanceDays && minutesUntilStart > policy.maxAdvanceDays * 24 * 60) {
+    return `Bookings cannot be made more than ${policy.maxAdvanceDays} days in advance`;
+  }
+
+  return null;
+};
+
+const isRoleAllowed = (policy, role) => (
+  !policy.allowedRoles || policy.allowedRoles.includes(role)
+);
+
+// Every per-slot policy check; `user` may be null for anonymous availability lookups.
+// Staff who manage reservations can always book.
+const validateBooking = (startTime, endTime, policy = DEFAULT_POLICY, user = null) => {
+  if (user && !user.can('reservations:manage') && !isRoleAllowed(policy, user.role)) {
+    return 'Your role is not allowed to book this room';
+  }
+  return validateDuration(startTime, endTime, policy) || validateBookingWindow(startTime, policy);
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  POLICY_FIELDS,
+  MIN_DURATION_MINUTES,
+  MAX_DURATION_MINUTES,
+  formatMinutes,
+  validateDuration,
+  validateBookingWindow,
+  isRoleAllowed,
+  validateBooking
+};
@@ -0,0 +1,125 @@
+const { formatMinutes } = require('./bookingRules');
+const { DEFAULT_TIMEZONE, zonedParts, timeZoneOffset, formatOffset } = require('./timezone');
+
+// Plain-text email templates. Each takes the data passed to notify() and returns { subject, text }.
+
+const DAY_ABBREVIATIONS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_ABBREVIATIONS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// "Mon, 07 Jan 2030 10:00 Europe/Berlin (UTC+01:00)"; reservations without a zone use the default one
+const formatDateTime = (date, timeZone) => {
+  const zone = timeZone || DEFAULT_TIMEZONE;
+  const instant = new Date(date);
+  const { year, month, day, hour, minute, weekday } = zonedParts(instant, zone);
+  const time = `${DAY_ABBREVIATIONS[weekday]}, ${pad(day)} ${MONTH_ABBREVIATIONS[month - 1]} ${year} ${pad(hour)}:${pad(minute)}`;
+  if (zone === 'UTC') return `${time} UTC`;
+  return `${time} ${zone} (UTC${formatOffset(timeZoneOffset(instant.getTime(), zone))})`;
+};
+
+const formatLocation = (room) => [room.name, room.location && room.location.building, room.location && room.location.floor]
+  .filter(Boolean)
+  .join(', ');
+
+// Greeting, body lines and sign-off
+const letter = (user, lines) => [
+  `Hi ${user.name},`,
+  '',
+  ...lines,
+  '',
+  'Room Reservations'
+].join('\n') + '\n';
+
+const bookingDetails = (room, reservation) => [
+  `Room:    ${formatLocation(room)}`,
+  `Start:   ${formatDateTime(reservation.startTime, reservation.timezone)}`,
+  `End:     ${formatDateTime(reservation.endTime, reservation.timezone)}`,
+  `Purpose: ${reservation.purpose}`
+];
+
+const templates = {
+  bookingConfirmation: ({ user, room, reservation, occurrences }) => {
+    const pending = reservation.status === 'pending';
+    return {
+      subject: pending ? `Booking request received: ${room.name}` : `Booking confirmed: ${room.name}`,
+      text: letter(user, [
+        pending
+          ? 'Your booking request has been received and is waiting for approval.'
+          : 'Your booking is confirmed.',
+        '',
+        ...bookingDetails(room, reservation),
+        ...(occurrences > 1 ? [`Repeats: ${occurrences} occurrences, starting with the one above`] : [])
+      ])
+    };
+  },
+
+  bookingCancellation: ({ user, room, reservation, reason, occurrences }) => ({
+    subject: `Booking cancelled: ${room.name}`,
+    text: letter(user, [
+      occurrences > 1
+        ? `${occurrences} occurrences of your booking have been cancelled, starting with:`
+        : 'Your booking has been cancelled.',
+      '',
+      ...bookingDetails(room, reservation),
+      ...(reason ? ['', `Reason: ${reason}`] : [])
+    ])
+  }),
+
+  waitlistOffer: ({ user, room, reservation }) => ({
+    subject: `Slot available: ${room.name}`,
+    text: letter(user, [
+      'A slot you were waiting for has become available and is being held for you.',
+      '',
+      ...bookingDetails(room, reservation),
+      '',
+      `Accept the offer before ${formatDateTime(reservation.holdExpiresAt, reservation.timezone)}, or it passes to the next person in the queue.`
+    ])
+  }),
+
+  reminder: ({ user, room, reservation, minutesBefore }) => ({
+    subject: `Reminder: ${room.name} at ${formatDateTime(reservation.startTime, reservation.timezone)}`,
+    text: letter(user, [
+      minutesBefore
+        ? `This is a reminder that your booking starts in ${formatMinutes(minutesBefore)}.`
+        : 'This is a reminder of your upcoming booking.',
+      '',
+      ...bookingDetails(room, reservation)
+    ])
+  }),
+
+  statusChange: ({ user, room, reservation, previousStatus }) => ({
+    subject: `Booking ${reservation.status.replace('_', '-')}: ${room.name}`,
+    text: letter(user, [
+      `The status of your booking changed from ${previousStatus} to ${reservation.status}.`,
+      '',
+      ...bookingDetails(room, reservation),
+      ...(reservation.approval && reservation.approval.reason ? ['', `Reason: ${reservation.approval.reason}`] : [])
+    ])
+  }),
+
+  passwordReset: ({ user, resetUrl, expiresMinutes }) => ({
+    subject: 'Reset your password',
+    text: letter(user, [
+      'We received a request to reset your password. Open this link to choose a new one:',
+      '',
+      resetUrl,
+      '',
+      `The link expires in ${expiresMinutes} minutes. If you didn't ask for this, you can ignore this email.`
+    ])
+  })
+};
+
+const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+  return template(data);
+};
+
+module.exports = {
+  TEMPLATES: Object.keys(templates),
+  formatDateTime,
+  renderTemplate
+};
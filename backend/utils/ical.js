@@ -0,0 +1,378 @@
+// Minimal RFC 5545 (iCalendar) writer for reservation exports and feeds,
+// plus a reader for the subset of VEVENT features bulk imports need
+
+const { WEEKDAYS } = require('./recurrence');
+const { DAY_MS, isValidTimeZone, fromZonedTime, fromWallClock } = require('./timezone');
+
+const PRODUCT_ID = '-//Room Reservation API//EN';
+const UID_DOMAIN = 'room-reservation-api';
+
+// Reservation status -> VEVENT STATUS
+const EVENT_STATUS = {
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  no_show: 'CANCELLED',
+  cancelled: 'CANCELLED'
+};
+
+// 20260102T030405Z
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Content lines longer than 75 octets are folded onto continuation lines
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+const describeLocation = (room) => {
+  if (!room || !room.name) return null;
+  const { building, floor } = room.location || {};
+  return [room.name, building, floor].filter(Boolean).join(', ');
+};
+
+// Convert a reservation (room optionally populated) into VEVENT lines
+const reservationToEvent = (reservation, { includeDetails = true } = {}) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${reservation._id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(reservation.startTime)}`,
+    `DTEND:${formatDate(reservation.endTime)}`,
+    `SUMMARY:${escapeText(reservation.purpose)}`,
+    `STATUS:${EVENT_STATUS[reservation.status] || 'CONFIRMED'}`
+  ];
+
+  // Calendar clients only apply updates whose SEQUENCE increased
+  if (reservation.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatDate(reservation.updatedAt)}`);
+    lines.push(`SEQUENCE:${Math.floor(new Date(reservation.updatedAt).getTime() / 1000)}`);
+  }
+
+  const location = describeLocation(reservation.room);
+  if (location) {
+    lines.push(`LOCATION:${escapeText(location)}`);
+  }
+
+  if (includeDetails) {
+    const description = [
+      `Status: ${reservation.status}`,
+      `Attendees: ${reservation.attendees}`,
+      reservation.specialRequirements && `Special requirements: ${reservation.specialRequirements}`
+    ].filter(Boolean).join('\n');
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Build a complete VCALENDAR document from reservations
+const buildCalendar = (reservations, { name, includeDetails = true } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  for (const reservation of reservations) {
+    lines.push(...reservationToEvent(reservation, { includeDetails }));
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// --- Parsing ---
+
+const RRULE_FREQUENCIES = { DAILY: 'daily', WEEKLY: 'weekly', MONTHLY: 'monthly' };
+const RRULE_IGNORED_PARTS = ['WKST'];
+
+const unescapeText = (value) => value.replace(/\\([\;,nN])/g, (match, char) => (
+  char === 'n' || char === 'N' ? '\n' : char
+));
+
+// Split "NAME;PARAM=x;TZID=\"a:b\":value" into its parts (colons may appear in quoted params)
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const param of rawParams) {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+// DATE-TIME / DATE values: UTC ("...Z"), zoned (TZID param) or floating. Floating values
+// and dates belong to no zone yet, so they come back as wall-clock time (UTC fields)
+// for resolveFloatingTimes to place in the room's zone.
+const parseDateValue = (value, params = {}) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) {
+    throw new Error(`Invalid date "${value}"`);
+  }
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0', utc] = match;
+  const fields = [year, month - 1, day, hour, minute, second].map(Number);
+  const allDay = params.VALUE === 'DATE' || match[4] === undefined;
+
+  if (utc) {
+    return { date: new Date(Date.UTC(...fields)), allDay, floating: false };
+  }
+
+  if (params.TZID && !allDay) {
+    if (!isValidTimeZone(params.TZID)) {
+      throw new Error(`Unknown time zone "${params.TZID}"`);
+    }
+    const date = fromZonedTime({
+      year: Number(year),
+      month: Number(month),
+      day: Number(day),
+      hour: Number(hour),
+      minute: Number(minute),
+      second: Number(second)
+    }, params.TZID);
+    return { date, allDay, floating: false };
+  }
+
+  return { date: new Date(Date.UTC(...fields)), allDay, floating: true };
+};
+
+// DURATION values such as PT1H30M or P1D
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) {
+    throw new Error(`Invalid duration "${value}"`);
+  }
+
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -ms : ms;
+};
+
+// Convert an RRULE into the rule format used by utils/recurrence. A floating UNTIL
+// is added to `floating`.
+const parseRecurrenceRule = (value, floating = new Set()) => {
+  const parts = {};
+  for (const part of value.split(';').filter(Boolean)) {
+    const [key, partValue = ''] = part.split('=');
+    parts[key.toUpperCase()] = partValue.toUpperCase();
+  }
+
+  const frequency = RRULE_FREQUENCIES[parts.FREQ];
+  if (!frequency) {
+    throw new Error(`Unsupported recurrence frequency "${parts.FREQ}"`);
+  }
+
+  const unsupported = Object.keys(parts)
+    .filter(key => !['FREQ', 'INTERVAL', 'BYDAY', 'COUNT', 'UNTIL', ...RRULE_IGNORED_PARTS].includes(key));
+  if (unsupported.length > 0) {
+    throw new Error(`Unsupported recurrence rule part ${unsupported[0]}`);
+  }
+
+  const rule = { frequency };
+
+  if (parts.INTERVAL) {
+    rule.interval = parseInt(parts.INTERVAL, 10);
+  }
+
+  if (parts.BYDAY) {
+    const byWeekday = parts.BYDAY.split(',');
+    // Ordinal days (e.g. 2TU) and BYDAY on monthly rules aren't supported
+    if (frequency === 'monthly' || byWeekday.some(day => !WEEKDAYS.includes(day))) {
+      throw new Error(`Unsupported recurrence rule BYDAY=${parts.BYDAY}`);
+    }
+    rule.byWeekday = byWeekday;
+  }
+
+  if (parts.COUNT) {
+    rule.count = parseInt(parts.COUNT, 10);
+  }
+
+  if (parts.UNTIL) {
+    const { date, allDay, floating: isFloating } = parseDateValue(parts.UNTIL);
+    // A date-only UNTIL includes occurrences on that day
+    rule.until = allDay ? new Date(date.getTime() + DAY_MS - 1) : date;
+    if (isFloating) floating.add('until');
+  }
+
+  return rule;
+};
+
+// Apply one VEVENT property to the event being built
+const applyEventProperty = (event, { name, params, value }) => {
+  switch (name) {
+    case 'UID':
+      event.uid = value;
+      break;
+    case 'SUMMARY':
+      event.summary = unescapeText(value).trim();
+      break;
+    case 'DESCRIPTION':
+      event.description = unescapeText(value).trim();
+      break;
+    case 'LOCATION':
+      event.location = unescapeText(value).trim();
+      break;
+    case 'STATUS':
+      event.status = value.toUpperCase();
+      break;
+    case 'ATTENDEE':
+      event.attendees += 1;
+      break;
+    case 'DTSTART': {
+      const { date, allDay, floating } = parseDateValue(value, params);
+      event.startTime = date;
+      event.allDay = allDay;
+      if (floating) event.floating.add('startTime');
+      // Recurrences repeat at the same wall-clock time in this zone
+      if (params.TZID) event.timezone = params.TZID;
+      break;
+    }
+    case 'DTEND': {
+      const { date, floating } = parseDateValue(value, params);
+      event.endTime = date;
+      if (floating) event.floating.add('endTime');
+      break;
+    }
+    case 'DURATION':
+      event.duration = parseDuration(value);
+      break;
+    case 'RRULE':
+      event.recurrence = parseRecurrenceRule(value, event.floating);
+      break;
+    case 'EXDATE':
+      for (const exdate of value.split(',')) {
+        const { date, floating } = parseDateValue(exdate, params);
+        event.exdates.push(date);
+        if (floating) event.floating.add('exdates');
+      }
+      break;
+    case 'RECURRENCE-ID': {
+      const { date, floating } = parseDateValue(value, params);
+      event.recurrenceId = date;
+      if (floating) event.floating.add('recurrenceId');
+      break;
+    }
+    default:
+      break;
+  }
+};
+
+// Parse an iCalendar document into plain VEVENT objects. Problems with a
+// single event are recorded on its `error` instead of failing the whole file.
+const parseCalendar = (text) => {
+  const lines = String(text)
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== '');
+
+  if (!lines.length || lines[0].trim().toUpperCase() !== 'BEGIN:VCALENDAR') {
+    throw new Error('Not an iCalendar document');
+  }
+
+  const events = [];
+  let event = null;
+  let nested = 0;
+
+  for (const line of lines) {
+    const property = parseContentLine(line);
+    if (!property) continue;
+
+    const { name, value } = property;
+    const component = value.trim().toUpperCase();
+
+    if (name === 'BEGIN' && component === 'VEVENT') {
+      // `floating` names the times still in wall-clock time
+      event = { attendees: 0, exdates: [], floating: new Set(), error: null };
+    } else if (name === 'END' && component === 'VEVENT' && event) {
+      if (!event.error && event.endTime === undefined && event.startTime) {
+        // Without DTEND the event lasts DURATION (or no time at all)
+        event.endTime = new Date(event.startTime.getTime() + (event.duration || 0));
+        if (event.floating.has('startTime')) event.floating.add('endTime');
+      }
+      if (!event.error && !event.startTime) {
+        event.error = 'Event has no start time';
+      }
+      delete event.duration;
+      events.push(event);
+      event = null;
+    } else if (event && name === 'BEGIN') {
+      // Skip nested components such as VALARM
+      nested += 1;
+    } else if (event && name === 'END') {
+      nested -= 1;
+    } else if (event && nested === 0) {
+      try {
+        applyEventProperty(event, property);
+      } catch (error) {
+        // Keep reading so the report can still show the event's UID and summary
+        event.error = event.error || error.message;
+      }
+    }
+  }
+
+  return events;
+};
+
+// Place an event's floating times in `timeZone`, usually its room's
+const resolveFloatingTimes = (event, timeZone) => {
+  const place = (date) => fromWallClock(date.getTime(), timeZone);
+
+  for (const field of ['startTime', 'endTime', 'recurrenceId']) {
+    if (event.floating.has(field) && event[field]) event[field] = place(event[field]);
+  }
+  if (event.floating.has('until') && event.recurrence) {
+    event.recurrence.until = place(event.recurrence.until);
+  }
+  if (event.floating.has('exdates')) {
+    event.exdates = event.exdates.map(place);
+  }
+  event.floating.clear();
+};
+
+module.exports = {
+  formatDate,
+  escapeText,
+  foldLine,
+  buildCalendar,
+  parseDateValue,
+  parseRecurrenceRule,
+  resolveFloatingTimes,
+  parseCalendar
+};
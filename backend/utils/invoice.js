@@ -0,0 +1,43 @@
+// Plain-text rendering of an invoice for export
+
+const WIDTH = 72;
+
+const formatAmount = (amount) => amount.toFixed(2);
+
+const formatDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Left text and right-aligned amount on one line, truncating the text if needed
+const row = (left, right) => {
+  const space = WIDTH - right.length - 1;
+  const text = left.length > space ? `${left.slice(0, space - 3)}...` : left;
+  return `${text.padEnd(space)} ${right}`;
+};
+
+// `invoice.user` may be populated with name/email
+const formatInvoiceText = (invoice) => {
+  const { year, month } = invoice.period;
+  const billTo = invoice.costCentre
+    ? `Cost centre ${invoice.costCentre}`
+    : invoice.user && invoice.user.name
+      ? `${invoice.user.name} <${invoice.user.email}>`
+      : `User ${invoice.user}`;
+
+  const lines = [
+    `INVOICE ${invoice.number}`,
+    `Period:  ${year}-${String(month).padStart(2, '0')}`,
+    `Issued:  ${formatDay(invoice.issuedAt)}`,
+    `Bill to: ${billTo}`,
+    '',
+    row('Date        Description', `Amount (${invoice.currency})`),
+    '-'.repeat(WIDTH),
+    ...invoice.lines.map(line => row(`${formatDay(line.date)}  ${line.description}`, formatAmount(line.amount))),
+    '-'.repeat(WIDTH),
+    row('Total', formatAmount(invoice.total))
+  ];
+
+  return lines.join('\n') + '\n';
+};
+
+module.exports = {
+  formatInvoiceText
+};
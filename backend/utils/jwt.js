@@ -7,6 +7,12 @@ const generateToken = (payload) => {
   if (safePayload && safePayload.id && typeof safePayload.id !== 'string' && safePayload.id.toString) {
     safePayload.id = safePayload.id.toString();
   }
+  if (safePayload.organisation && typeof safePayload.organisation !== 'string') {
+    safePayload.organisation = safePayload.organisation.toString();
+  }
+  if (!safePayload.organisation) {
+    delete safePayload.organisation;
+  }
   return jwt.sign(safePayload, config.jwt.secret, {
     expiresIn: config.jwt.expire
   });
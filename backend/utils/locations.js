@@ -0,0 +1,6 @@
+// Comparison key for building and floor names: "  Main   Building" and "main building" are the same
+const normalizeName = (name) => String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+
+module.exports = {
+  normalizeName
+};
@@ -0,0 +1,128 @@
+const { WEEKDAYS } = require('./recurrence');
+const {
+  DEFAULT_TIMEZONE,
+  zonedParts,
+  fromZonedTime,
+  startOfDay,
+  addDays
+} = require('./timezone');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// HH:MM, with 24:00 for the end of the day
+const TIME_OF_DAY = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+// "08:30" -> 510
+const toMinuteOfDay = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Calendar date in the zone as YYYY-MM-DD
+const toDateKey = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+// YYYY-MM-DD -> midnight in the zone
+const parseDateKey = (key, timeZone = DEFAULT_TIMEZONE) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return fromZonedTime({ year, month, day }, timeZone);
+};
+
+// Dates (YYYY-MM-DD) of every day in the zone the interval [start, end) touches
+const dateKeysBetween = (start, end, timeZone = DEFAULT_TIMEZONE) => {
+  const keys = [];
+  for (let day = startOfDay(start, timeZone); day < end; day = addDays(day, 1, timeZone)) {
+    keys.push(toDateKey(day, timeZone));
+  }
+  return keys;
+};
+
+// Open windows on the days [from, to) touches, with back-to-back windows (e.g. overnight) merged.
+// Opening hours are wall-clock times in the zone.
+const openWindowsBetween = (openingHours, from, to, timeZone) => {
+  const windows = [];
+
+  for (let day = startOfDay(from, timeZone); day < to; day = addDays(day, 1, timeZone)) {
+    const { year, month, day: date, weekday } = zonedParts(day, timeZone);
+    const code = WEEKDAYS[weekday];
+    for (const hours of openingHours.filter(entry => entry.days.includes(code))) {
+      windows.push({
+        startTime: fromZonedTime({ year, month, day: date, minute: toMinuteOfDay(hours.open) }, timeZone),
+        endTime: fromZonedTime({ year, month, day: date, minute: toMinuteOfDay(hours.close) }, timeZone)
+      });
+    }
+  }
+
+  return windows
+    .sort((a, b) => a.startTime - b.startTime)
+    .reduce((merged, window) => {
+      const last = merged[merged.length - 1];
+      if (last && window.startTime <= last.endTime) {
+        if (window.endTime > last.endTime) last.endTime = window.endTime;
+      } else {
+        merged.push(window);
+      }
+      return merged;
+    }, []);
+};
+
+// Returns an error message if the slot isn't inside the opening hours, otherwise null.
+// No opening hours means the room is always open.
+const checkOpeningHours = (openingHours, startTime, endTime, timeZone = DEFAULT_TIMEZONE) => {
+  if (!openingHours) return null;
+
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+  const windows = openWindowsBetween(openingHours, start, end, timeZone);
+  if (windows.some(window => window.startTime <= start && end <= window.endTime)) {
+    return null;
+  }
+
+  const { weekday } = zonedParts(start, timeZone);
+  const day = DAY_NAMES[weekday];
+  const ranges = openingHours
+    .filter(entry => entry.days.includes(WEEKDAYS[weekday]))
+    .map(entry => `${entry.open}-${entry.close}`);
+
+  if (ranges.length === 0) {
+    return `Room is closed on ${day}s`;
+  }
+  return `Room is only open ${ranges.join(', ')} on ${day}s`;
+};
+
+// Times inside [from, to) outside the opening hours
+const closedIntervals = (openingHours, from, to, timeZone = DEFAULT_TIMEZONE) => {
+  if (!openingHours) return [];
+
+  const closed = [];
+  let cursor = new Date(from);
+
+  for (const window of openWindowsBetween(openingHours, from, to, timeZone)) {
+    if (window.endTime <= cursor) continue;
+    if (window.startTime >= to) break;
+    if (window.startTime > cursor) {
+      closed.push({ startTime: cursor, endTime: window.startTime });
+    }
+    cursor = window.endTime;
+  }
+
+  if (cursor < to) {
+    closed.push({ startTime: cursor, endTime: new Date(to) });
+  }
+
+  return closed;
+};
+
+module.exports = {
+  TIME_OF_DAY,
+  toMinuteOfDay,
+  toDateKey,
+  parseDateKey,
+  dateKeysBetween,
+  checkOpeningHours,
+  closedIntervals
+};
@@ -0,0 +1,49 @@
+// Everything a role can be allowed to do
+const PERMISSIONS = {
+  'rooms:write': 'Create, edit and remove rooms',
+  'reservations:manage': 'See and change everyone\'s reservations, exempt from booking limits',
+  'reservations:approve': 'Approve or reject booking requests for any room',
+  'users:manage': 'Manage users and assign roles',
+  'roles:manage': 'Create and edit custom roles',
+  'reports:view': 'See reservation and user statistics',
+  'policies:manage': 'Manage booking policies, holidays and blackouts',
+  'billing:manage': 'Manage the ledger and invoices',
+  'notifications:manage': 'Manage the email outbox',
+  'webhooks:manage': 'Manage webhooks',
+  'audit:view': 'Search the audit log',
+  'organisations:manage': 'Create and manage organisations'
+};
+
+// Platform management; members of a named organisation never get these
+const PLATFORM_PERMISSIONS = [
+  'organisations:manage'
+];
+
+// Roles every deployment has. Organisations can add their own (see models/role.js).
+const BUILT_IN_ROLES = {
+  user: [],
+  receptionist: ['reservations:manage', 'reports:view'],
+  facility_manager: ['rooms:write', 'reservations:manage', 'reservations:approve', 'reports:view'],
+  auditor: ['reports:view', 'audit:view'],
+  admin: Object.keys(PERMISSIONS).filter(permission => permission !== 'organisations:manage'),
+  superadmin: Object.keys(PERMISSIONS)
+};
+
+// Role names are lowercase words joined by underscores, e.g. "facility_manager"
+const ROLE_NAME = /^[a-z][a-z0-9_]{1,29}$/;
+
+const isBuiltInRole = (role) => Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, role);
+
+// Permissions a role grants a member of `organisation` (null for the default tenant)
+const effectivePermissions = (permissions, organisation) => new Set(
+  organisation ? permissions.filter(permission => !PLATFORM_PERMISSIONS.includes(permission)) : permissions
+);
+
+module.exports = {
+  PERMISSIONS,
+  PLATFORM_PERMISSIONS,
+  BUILT_IN_ROLES,
+  ROLE_NAME,
+  isBuiltInRole,
+  effectivePermissions
+};
@@ -0,0 +1,79 @@
+const { DEFAULT_TIMEZONE, zonedParts, fromZonedTime, addDays } = require('./timezone');
+
+// RRULE-style weekday codes, indexed like Date#getDay()
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Upper bound on occurrences a single series may expand into
+const MAX_OCCURRENCES = 100;
+
+// Days since Monday, so weeks start on Monday like RRULE's default WKST
+const mondayIndex = (day) => (day + 6) % 7;
+
+// Expand a recurrence rule into concrete { startTime, endTime } slots.
+// Stops after `count` occurrences or once past `until`; without a count it
+// returns at most MAX_OCCURRENCES + 1 slots so callers can detect overflow.
+// Occurrences keep the first one's wall-clock time in `timeZone` across DST changes.
+const expandRecurrence = (startTime, endTime, rule, timeZone = DEFAULT_TIMEZONE) => {
+  const start = new Date(startTime);
+  const duration = new Date(endTime) - start;
+  const { frequency, interval = 1, byWeekday, count, until } = rule;
+  const limit = count || MAX_OCCURRENCES + 1;
+  const untilDate = until ? new Date(until) : null;
+  const days = byWeekday && byWeekday.length
+    ? byWeekday.map(code => WEEKDAYS.indexOf(code))
+    : null;
+  const occurrences = [];
+  const weekdayOf = (date) => zonedParts(date, timeZone).weekday;
+
+  const isFull = () => occurrences.length >= limit;
+  const isPastUntil = (date) => untilDate && date > untilDate;
+  const push = (date) => {
+    occurrences.push({
+      startTime: date,
+      endTime: new Date(date.getTime() + duration)
+    });
+  };
+
+  if (frequency === 'daily') {
+    for (let offset = 0; !isFull(); offset += interval) {
+      const date = addDays(start, offset, timeZone);
+      if (isPastUntil(date)) break;
+      if (!days || days.includes(weekdayOf(date))) push(date);
+    }
+  }
+
+  if (frequency === 'weekly') {
+    const weekStart = addDays(start, -mondayIndex(weekdayOf(start)), timeZone);
+    const weekdays = (days || [weekdayOf(start)])
+      .slice()
+      .sort((a, b) => mondayIndex(a) - mondayIndex(b));
+
+    for (let week = 0; !isFull(); week += interval) {
+      for (const day of weekdays) {
+        const date = addDays(weekStart, week * 7 + mondayIndex(day), timeZone);
+        if (date < start) continue;
+        if (isPastUntil(date) || isFull()) return occurrences;
+        push(date);
+      }
+    }
+  }
+
+  if (frequency === 'monthly') {
+    const first = zonedParts(start, timeZone);
+    for (let month = 0; !isFull(); month += interval) {
+      const date = fromZonedTime({ ...first, month: first.month + month }, timeZone);
+      // Skip months that don't have this day (e.g. the 31st)
+      if (zonedParts(date, timeZone).day !== first.day) continue;
+      if (isPastUntil(date)) break;
+      push(date);
+    }
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  WEEKDAYS,
+  MAX_OCCURRENCES,
+  expandRecurrence
+};
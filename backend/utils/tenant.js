@@ -0,0 +1,23 @@
+// Query conditions limiting a request to its tenant. req.tenant is set by the auth middleware:
+// an organisation id, null for the default tenant, or undefined for a super-admin acting
+// platform-wide (no scoping).
+const tenantFilter = (req) => {
+  return req.tenant === undefined ? {} : { organisation: req.tenant };
+};
+
+// Organisation that records created by the request belong to (null for the default tenant;
+// a super-admin without X-Organisation-Id also creates there)
+const tenantOf = (req) => req.tenant || null;
+
+// Query conditions for records of the same tenant as a document (room, reservation, ...)
+const tenantFilterFor = (doc) => ({ organisation: doc.organisation || null });
+
+// Whether two documents belong to the same tenant (both unset means the default tenant)
+const sameTenant = (a, b) => String(a.organisation || null) === String(b.organisation || null);
+
+module.exports = {
+  tenantFilter,
+  tenantOf,
+  tenantFilterFor,
+  sameTenant
+};
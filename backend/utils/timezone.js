@@ -0,0 +1,134 @@
+const config = require('../config/config');
+
+// Zone of rooms that don't have one
+const DEFAULT_TIMEZONE = config.timezone;
+
+const MINUTE = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE;
+// No zone is further than this from UTC
+const MAX_OFFSET = 14 * 60 * MINUTE;
+
+const formatters = new Map();
+
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// IANA zone names such as "Europe/London", as understood by Intl
+const isValidTimeZone = (timeZone) => {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Zone a room's times are shown and interpreted in
+const roomTimeZone = (room) => (room && room.timezone) || DEFAULT_TIMEZONE;
+
+// Wall-clock fields of an instant in a zone; month is 1-12 and weekday 0 (Sunday) to 6
+const zonedParts = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = formatterFor(timeZone).formatToParts(new Date(date));
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  const fields = {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second')
+  };
+  fields.weekday = new Date(Date.UTC(fields.year, fields.month - 1, fields.day)).getUTCDay();
+  return fields;
+};
+
+// Offset of a time zone from UTC, in milliseconds, at the given instant
+const timeZoneOffset = (timestamp, timeZone = DEFAULT_TIMEZONE) => {
+  const whole = Math.floor(timestamp / 1000) * 1000;
+  const { year, month, day, hour, minute, second } = zonedParts(whole, timeZone);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - whole;
+};
+
+// Local time in the zone written as a UTC timestamp, for arithmetic on wall-clock times
+const toWallClock = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const timestamp = new Date(date).getTime();
+  return timestamp + timeZoneOffset(timestamp, timeZone);
+};
+
+// Instant of a toWallClock value
+const fromWallClock = (wallClock, timeZone = DEFAULT_TIMEZONE) => {
+  const offset = timeZoneOffset(wallClock, timeZone);
+  // Re-check at the resulting instant in case it falls on the other side of a DST change
+  return new Date(wallClock - timeZoneOffset(wallClock - offset, timeZone));
+};
+
+// Instant of a wall-clock time in a zone. Fields may overflow, e.g. minute 1440 is the next
+// midnight and day 32 rolls into the next month.
+const fromZonedTime = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = DEFAULT_TIMEZONE) => (
+  fromWallClock(Date.UTC(year, month - 1, day, hour, minute, second), timeZone)
+);
+
+// Midnight at the start of the zone's calendar day containing `date`
+const startOfDay = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return fromZonedTime({ year, month, day }, timeZone);
+};
+
+// Same wall-clock time `days` calendar days later (not always 24 hours, because of DST)
+const addDays = (date, days, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = zonedParts(date, timeZone);
+  return fromZonedTime({ ...parts, day: parts.day + days }, timeZone);
+};
+
+// Midnight starting the zone's ISO week (Monday) containing `date`
+const startOfWeek = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const { weekday } = zonedParts(date, timeZone);
+  return startOfDay(addDays(date, -((weekday + 6) % 7), timeZone), timeZone);
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// "+02:00" for an offset in milliseconds
+const formatOffset = (offset) => {
+  const minutes = Math.round(Math.abs(offset) / MINUTE);
+  return `${offset < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+};
+
+// ISO 8601 with the zone's offset, e.g. 2030-01-07T10:00:00.000+01:00
+const toZonedISOString = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const instant = new Date(date);
+  const { year, month, day, hour, minute, second } = zonedParts(instant, timeZone);
+  return `${pad(year, 4)}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}` +
+    `.${pad(instant.getUTCMilliseconds(), 3)}${formatOffset(timeZoneOffset(instant.getTime(), timeZone))}`;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DAY_MS,
+  MAX_OFFSET,
+  isValidTimeZone,
+  roomTimeZone,
+  zonedParts,
+  timeZoneOffset,
+  toWallClock,
+  fromWallClock,
+  fromZonedTime,
+  startOfDay,
+  addDays,
+  startOfWeek,
+  formatOffset,
+  toZonedISOString
+};
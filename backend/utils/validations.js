@@ -1,21 +1,54 @@
 const Joi = require('joi');
+const { WEEKDAYS, MAX_OCCURRENCES } = require('./recurrence');
+const { WEBHOOK_EVENTS } = require('./webhooks');
+const { PERMISSIONS, ROLE_NAME } = require('./permissions');
+const { isValidTimeZone } = require('./timezone');
+
+// A built-in or custom role
+const roleName = Joi.string().pattern(ROLE_NAME).messages({
+  'string.pattern.base': 'Role names are lowercase letters, digits and underscores'
+});
+
+// IANA time zone name, e.g. "Europe/London"
+const timeZone = Joi.string().trim().custom((value, helpers) => (
+  isValidTimeZone(value) ? value : helpers.message(`Unknown time zone "${value}"`)
+));
+
+// ISO 8601 date or timestamp. Timestamps must say which zone they are in ("Z" or an
+// offset such as +01:00) rather than being read in the server's zone.
+const timestamp = Joi.date().iso().custom((value, helpers) => {
+  const raw = helpers.original;
+  if (typeof raw === 'string' && raw.includes('T') && !/(Z|[+-]\d{2}(:?\d{2})?)$/i.test(raw.trim())) {
+    return helpers.message('{{#label}} must include a UTC offset, e.g. 2030-01-07T09:00:00+01:00');
+  }
+  return value;
+});
 
 // User validation schemas
 const registerValidation = Joi.object({
   name: Joi.string().min(2).max(50).required().trim(),
   email: Joi.string().email().required().trim().lowercase(),
-  password: Joi.string().min(6).required(),
-  role: Joi.string().valid('user', 'admin').default('user')
+  password: Joi.string().min(6).required()
+});
+
+// Admins add members to their own organisation
+const createUserValidation = Joi.object({
+  name: Joi.string().min(2).max(50).required().trim(),
+  email: Joi.string().email().required().trim().lowercase(),
+  password: Joi.string().min(6).required()
 });
 
 const loginValidation = Joi.object({
   email: Joi.string().email().required().trim().lowercase(),
-  password: Joi.string().required()
+  password: Joi.string().required(),
+  organisation: Joi.string().trim().lowercase().max(50)
 });
 
 const updateUserValidation = Joi.object({
   name: Joi.string().min(2).max(50).trim(),
-  email: Joi.string().email().trim().lowercase()
+  email: Joi.string().email().trim().lowercase(),
+  // Up to five reminders, from 5 minutes to a week before each booking
+  reminderMinutes: Joi.array().items(Joi.number().integer().min(5).max(7 * 24 * 60)).unique().max(5)
 });
 
 const changePasswordValidation = Joi.object({
@@ -24,7 +57,8 @@ const changePasswordValidation = Joi.object({
 });
 
 const forgotPasswordValidation = Joi.object({
-  email: Joi.string().email().required().trim().lowercase()
+  email: Joi.string().email().required().trim().lowercase(),
+  organisation: Joi.string().trim().lowercase().max(50)
 });
 
 const resetPasswordValidation = Joi.object({
@@ -32,19 +66,63 @@ const resetPasswordValidation = Joi.object({
   password: Joi.string().min(6).required()
 });
 
+const refreshTokenValidation = Joi.object({
+  refreshToken: Joi.string().required()
+});
+
 // Room validation schemas
+const approvalRulesValidation = Joi.object({
+  priceAbove: Joi.number().min(0),
+  durationAboveMinutes: Joi.number().integer().min(1)
+});
+
+const timeOfDay = Joi.string().pattern(/^(([01]\d|2[0-3]):[0-5]\d|24:00)$/).messages({
+  'string.pattern.base': 'Times must be in HH:MM format'
+});
+
+const pricingValidation = Joi.object({
+  rateRules: Joi.array().items(Joi.object({
+    label: Joi.string().max(50).required().trim(),
+    days: Joi.array().items(Joi.string().valid(...WEEKDAYS)).unique(),
+    startTime: timeOfDay.required(),
+    endTime: timeOfDay.required(),
+    pricePerHour: Joi.number().min(0).required()
+  }).custom((rule, helpers) => (
+    // Zero-padded HH:MM strings compare in time order
+    rule.endTime > rule.startTime ? rule : helpers.message('Rate rule end time must be after its start time')
+  ))),
+  roleDiscounts: Joi.array().items(Joi.object({
+    role: roleName.required(),
+    percent: Joi.number().min(0).max(100).required()
+  })),
+  minimumCharge: Joi.number().min(0),
+  taxPercent: Joi.number().min(0).max(100)
+});
+
+// Free-text names, or ids from the building hierarchy
+const roomLocationValidation = Joi.object({
+  building: Joi.string().trim(),
+  floor: Joi.string().trim(),
+  buildingId: Joi.string().hex().length(24),
+  floorId: Joi.string().hex().length(24)
+});
+
 const createRoomValidation = Joi.object({
   name: Joi.string().min(2).max(100).required().trim(),
   description: Joi.string().min(10).max(500).required().trim(),
   capacity: Joi.number().integer().min(1).max(1000).required(),
   amenities: Joi.array().items(Joi.string().trim()),
   pricePerHour: Joi.number().min(0).required(),
-  location: Joi.object({
-    building: Joi.string().required().trim(),
-    floor: Joi.string().required().trim()
-  }).required(),
+  location: roomLocationValidation.or('building', 'buildingId', 'floorId').or('floor', 'floorId').required(),
   images: Joi.array().items(Joi.string().uri().trim()),
-  isActive: Joi.boolean().default(true)
+  isActive: Joi.boolean().default(true),
+  requiresApproval: Joi.boolean().default(false),
+  approvalRules: approvalRulesValidation,
+  approvers: Joi.array().items(Joi.string().hex().length(24)).unique(),
+  pricing: pricingValidation,
+  bufferBeforeMinutes: Joi.number().integer().min(0).max(240),
+  bufferAfterMinutes: Joi.number().integer().min(0).max(240),
+  timezone: timeZone
 });
 
 const updateRoomValidation = Joi.object({
@@ -53,12 +131,16 @@ const updateRoomValidation = Joi.object({
   capacity: Joi.number().integer().min(1).max(1000),
   amenities: Joi.array().items(Joi.string().trim()),
   pricePerHour: Joi.number().min(0),
-  location: Joi.object({
-    building: Joi.string().trim(),
-    floor: Joi.string().trim()
-  }),
+  location: roomLocationValidation,
   images: Joi.array().items(Joi.string().uri().trim()),
-  isActive: Joi.boolean()
+  isActive: Joi.boolean(),
+  requiresApproval: Joi.boolean(),
+  approvalRules: approvalRulesValidation,
+  approvers: Joi.array().items(Joi.string().hex().length(24)).unique(),
+  pricing: pricingValidation,
+  bufferBeforeMinutes: Joi.number().integer().min(0).max(240),
+  bufferAfterMinutes: Joi.number().integer().min(0).max(240),
+  timezone: timeZone
 });
 
 const roomQueryValidation = Joi.object({
@@ -70,21 +152,47 @@ const roomQueryValidation = Joi.object({
   minPrice: Joi.number().min(0),
   maxPrice: Joi.number().min(0),
   building: Joi.string().trim(),
+  buildingId: Joi.string().hex().length(24),
+  floorId: Joi.string().hex().length(24),
   amenities: Joi.string().trim(), // comma-separated
   sortBy: Joi.string().valid('name', 'capacity', 'pricePerHour', 'createdAt').default('name'),
   sortOrder: Joi.string().valid('asc', 'desc').default('asc')
 });
 
+const availableRoomsQueryValidation = roomQueryValidation.keys({
+  start: timestamp.greater('now').required().messages({
+    'date.greater': 'Start time must be in the future'
+  }),
+  end: timestamp.greater(Joi.ref('start')).required().messages({
+    'date.greater': 'End time must be after start time'
+  }),
+  attendees: Joi.number().integer().min(1),
+  sortBy: Joi.string().valid('fit', 'name', 'capacity', 'pricePerHour', 'createdAt').default('fit')
+});
+
+const roomAvailabilityQueryValidation = Joi.object({
+  from: timestamp,
+  to: timestamp.required().when('from', {
+    is: Joi.exist(),
+    then: Joi.date().greater(Joi.ref('from'))
+  }).messages({
+    'date.greater': '"to" must be after "from"'
+  }),
+  // Checked against the room's booking policy once the room is loaded
+  duration: Joi.number().integer().min(1).max(24 * 60),
+  step: Joi.number().integer().min(5).max(240).default(30)
+});
+
 // Reservation validation schemas
 const createReservationValidation = Joi.object({
   room: Joi.string().hex().length(24).required().messages({
     'string.hex': 'Room ID must be a valid MongoDB ID',
     'string.length': 'Room ID must be 24 characters long'
   }),
-  startTime: Joi.date().iso().greater('now').required().messages({
+  startTime: timestamp.greater('now').required().messages({
     'date.greater': 'Start time must be in the future'
   }),
-  endTime: Joi.date().iso().greater(Joi.ref('startTime')).required().messages({
+  endTime: timestamp.greater(Joi.ref('startTime')).required().messages({
     'date.greater': 'End time must be after start time'
   }),
   purpose: Joi.string().min(5).max(200).required().trim(),
@@ -92,44 +200,403 @@ const createReservationValidation = Joi.object({
   specialRequirements: Joi.string().max(500).trim().allow('')
 });
 
+const recurrenceValidation = Joi.object({
+  frequency: Joi.string().valid('daily', 'weekly', 'monthly').required(),
+  interval: Joi.number().integer().min(1).max(12).default(1),
+  byWeekday: Joi.array().items(Joi.string().valid(...WEEKDAYS)).unique().min(1)
+    .when('frequency', { is: 'monthly', then: Joi.forbidden() }),
+  count: Joi.number().integer().min(1).max(MAX_OCCURRENCES),
+  until: timestamp.greater(Joi.ref('/startTime')).messages({
+    'date.greater': 'Recurrence end must be after the first occurrence'
+  })
+}).xor('count', 'until').messages({
+  'object.missing': 'Recurrence must specify either count or until',
+  'object.xor': 'Recurrence cannot specify both count and until'
+});
+
+const createRecurringReservationValidation = createReservationValidation.keys({
+  recurrence: recurrenceValidation.required(),
+  skipConflicts: Joi.boolean().default(false)
+});
+
+const quoteValidation = Joi.object({
+  room: Joi.string().hex().length(24).required().messages({
+    'string.hex': 'Room ID must be a valid MongoDB ID',
+    'string.length': 'Room ID must be 24 characters long'
+  }),
+  startTime: timestamp.required(),
+  endTime: timestamp.greater(Joi.ref('startTime')).required().messages({
+    'date.greater': 'End time must be after start time'
+  })
+});
+
+// Bulk import of an iCalendar file (admin); dry run unless told otherwise
+const importCalendarValidation = Joi.object({
+  calendar: Joi.string().required(),
+  // LOCATION value -> room ID
+  roomMapping: Joi.object().pattern(
+    Joi.string(),
+    Joi.string().hex().length(24).messages({
+      'string.hex': 'Room ID must be a valid MongoDB ID',
+      'string.length': 'Room ID must be 24 characters long'
+    })
+  ).default({}),
+  // Who the reservations are booked for; defaults to the importing admin
+  user: Joi.string().hex().length(24),
+  dryRun: Joi.boolean().default(true)
+});
+
+// Which occurrences of a series an edit or cancellation applies to
+const seriesScopeValidation = Joi.object({
+  scope: Joi.string().valid('this', 'following', 'series').default('this')
+});
+
+const approveReservationValidation = Joi.object({
+  reason: Joi.string().max(500).trim().allow('')
+});
+
+const rejectReservationValidation = Joi.object({
+  reason: Joi.string().min(3).max(500).trim().required()
+});
+
 const updateReservationValidation = Joi.object({
-  startTime: Joi.date().iso().greater('now'),
-  endTime: Joi.date().iso().greater(Joi.ref('startTime')),
+  startTime: timestamp.greater('now').messages({
+    'date.greater': 'Start time must be in the future'
+  }),
+  endTime: timestamp.when('startTime', {
+    is: Joi.exist(),
+    then: Joi.date().greater(Joi.ref('startTime'))
+  }).messages({
+    'date.greater': 'End time must be after start time'
+  }),
   purpose: Joi.string().min(5).max(200).trim(),
   attendees: Joi.number().integer().min(1),
-  specialRequirements: Joi.string().max(500).trim().allow(''),
-  status: Joi.string().valid('pending', 'confirmed', 'cancelled')
-});
+  specialRequirements: Joi.string().max(500).trim().allow('')
+}).min(1);
 
 const reservationQueryValidation = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(50).default(10),
-  status: Joi.string().valid('pending', 'confirmed', 'cancelled', 'completed'),
-  from: Joi.date().iso(),
-  to: Joi.date().iso(),
+  status: Joi.string().valid('pending', 'confirmed', 'cancelled', 'completed', 'no_show'),
+  from: timestamp,
+  to: timestamp,
   sortBy: Joi.string().valid('startTime', 'createdAt', 'updatedAt').default('startTime'),
   sortOrder: Joi.string().valid('asc', 'desc').default('asc')
 });
 
 const checkAvailabilityValidation = Joi.object({
   room: Joi.string().hex().length(24).required(),
-  startTime: Joi.date().iso().greater('now').required(),
-  endTime: Joi.date().iso().greater(Joi.ref('startTime')).required(),
+  startTime: timestamp.greater('now').required(),
+  endTime: timestamp.greater(Joi.ref('startTime')).required(),
   excludeReservation: Joi.string().hex().length(24) // For updating existing reservations
 });
 
+// Billing validation schemas
+const costCentreValidation = Joi.object({
+  // Empty or null removes the user's cost centre
+  costCentre: Joi.string().max(50).trim().allow('', null).required()
+});
+
+const ledgerQueryValidation = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  user: Joi.string().hex().length(24),
+  costCentre: Joi.string().trim(),
+  type: Joi.string().valid('charge', 'cancellation_fee', 'no_show_fee', 'credit', 'adjustment'),
+  invoiced: Joi.boolean(),
+  from: timestamp,
+  to: timestamp
+});
+
+const createLedgerEntryValidation = Joi.object({
+  user: Joi.string().hex().length(24).required(),
+  // Credits reduce what is owed; adjustments may go either way
+  type: Joi.string().valid('credit', 'adjustment').required(),
+  amount: Joi.number().invalid(0).required()
+    .when('type', { is: 'credit', then: Joi.number().positive() }),
+  description: Joi.string().min(3).max(300).trim().required(),
+  reservation: Joi.string().hex().length(24),
+  occurredAt: timestamp
+});
+
+const generateInvoicesValidation = Joi.object({
+  year: Joi.number().integer().min(2000).max(2100).required(),
+  month: Joi.number().integer().min(1).max(12).required()
+});
+
+const invoiceQueryValidation = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  year: Joi.number().integer().min(2000).max(2100),
+  month: Joi.number().integer().min(1).max(12),
+  user: Joi.string().hex().length(24),
+  costCentre: Joi.string().trim()
+});
+
+const invoiceExportValidation = Joi.object({
+  format: Joi.string().valid('json', 'text').default('text')
+});
+
+// Booking policy validation schemas
+const openingHoursValidation = Joi.array().items(Joi.object({
+  days: Joi.array().items(Joi.string().valid(...WEEKDAYS)).min(1).unique().required(),
+  open: timeOfDay.required(),
+  close: timeOfDay.required()
+}).custom((hours, helpers) => (
+  hours.close > hours.open ? hours : helpers.message('Closing time must be after opening time')
+)));
+
+const policyRules = {
+  minDurationMinutes: Joi.number().integer().min(1).max(24 * 60),
+  maxDurationMinutes: Joi.number().integer().min(1).max(7 * 24 * 60),
+  minLeadMinutes: Joi.number().integer().min(0),
+  maxAdvanceDays: Joi.number().integer().min(1).max(3650),
+  cancellationCutoffMinutes: Joi.number().integer().min(0),
+  maxActiveBookings: Joi.number().integer().min(1),
+  allowedRoles: Joi.array().items(roleName).min(1).unique(),
+  openingHours: openingHoursValidation
+};
+
+const createPolicyValidation = Joi.object({
+  scope: Joi.string().valid('global', 'building', 'room').required(),
+  building: Joi.string().trim().when('scope', {
+    is: 'building',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  room: Joi.string().hex().length(24).when('scope', {
+    is: 'room',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  ...policyRules
+});
+
+// null clears a rule so it falls back to the broader policy
+const updatePolicyValidation = Joi.object(
+  Object.fromEntries(Object.entries(policyRules).map(([field, rule]) => [field, rule.allow(null)]))
+).min(1);
+
+// Closure validation schemas
+const createHolidayValidation = Joi.object({
+  name: Joi.string().min(2).max(100).trim().required(),
+  date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required().messages({
+    'string.pattern.base': 'Date must be YYYY-MM-DD'
+  }),
+  // Omit to close every building
+  building: Joi.string().trim()
+});
+
+const blackoutQueryValidation = Joi.object({
+  from: timestamp,
+  to: timestamp,
+  room: Joi.string().hex().length(24),
+  building: Joi.string().trim()
+});
+
+const createBlackoutValidation = Joi.object({
+  scope: Joi.string().valid('global', 'building', 'room').required(),
+  building: Joi.string().trim().when('scope', {
+    is: 'building',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  room: Joi.string().hex().length(24).when('scope', {
+    is: 'room',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  startTime: timestamp.required(),
+  endTime: timestamp.greater(Joi.ref('startTime')).required().messages({
+    'date.greater': 'End time must be after start time'
+  }),
+  reason: Joi.string().min(3).max(200).trim().required(),
+  // Cancel the reservations the blackout collides with instead of only reporting them
+  cancelReservations: Joi.boolean().default(false)
+});
+
+// Notification validation schemas
+const notificationQueryValidation = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('pending', 'sent', 'failed'),
+  template: Joi.string().trim(),
+  user: Joi.string().hex().length(24)
+});
+
+// Webhook validation schemas
+const webhookUrl = Joi.string().trim().uri({ scheme: ['http', 'https'] });
+const webhookEvents = Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).unique().min(1);
+
+const createWebhookValidation = Joi.object({
+  url: webhookUrl.required(),
+  events: webhookEvents.required(),
+  description: Joi.string().trim().max(200).allow('')
+});
+
+const updateWebhookValidation = Joi.object({
+  url: webhookUrl,
+  events: webhookEvents,
+  description: Joi.string().trim().max(200).allow(''),
+  isActive: Joi.boolean()
+}).min(1);
+
+const webhookDeliveryQueryValidation = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('pending', 'delivered', 'failed'),
+  event: Joi.string().valid(...WEBHOOK_EVENTS)
+});
+
+// Event stream validation schemas
+const eventStreamQueryValidation = Joi.object({
+  token: Joi.string(),
+  // Comma-separated room IDs
+  rooms: Joi.string().trim().pattern(/^[0-9a-fA-F]{24}(,[0-9a-fA-F]{24}){0,49}$/)
+    .messages({ 'string.pattern.base': '"rooms" must be a comma-separated list of up to 50 room IDs' }),
+  mine: Joi.boolean().default(false)
+});
+
+// Audit log validation schemas
+const auditQueryValidation = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  actor: Joi.string().hex().length(24),
+  targetType: Joi.string().trim(),
+  targetId: Joi.string().hex().length(24),
+  action: Joi.string().trim(),
+  from: timestamp,
+  to: timestamp.min(Joi.ref('from'))
+});
+
+// Organisation validation schemas
+const organisationSlug = Joi.string().trim().lowercase().max(50).pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+  .messages({ 'string.pattern.base': 'Slug may only contain lowercase letters, digits and dashes' });
+
+const createOrganisationValidation = Joi.object({
+  name: Joi.string().max(100).required().trim(),
+  slug: organisationSlug.required()
+});
+
+const updateOrganisationValidation = Joi.object({
+  name: Joi.string().max(100).trim(),
+  isActive: Joi.boolean()
+}).min(1);
+
+const createOrganisationAdminValidation = Joi.object({
+  name: Joi.string().min(2).max(50).required().trim(),
+  email: Joi.string().email().required().trim().lowercase(),
+  password: Joi.string().min(6).required()
+});
+
+// Building validation schemas
+const addressValidation = Joi.object({
+  street: Joi.string().max(200).trim().allow(''),
+  city: Joi.string().max(100).trim().allow(''),
+  postalCode: Joi.string().max(20).trim().allow(''),
+  country: Joi.string().max(100).trim().allow('')
+});
+
+const buildingFields = {
+  name: Joi.string().max(100).trim(),
+  aliases: Joi.array().items(Joi.string().max(100).trim()).max(20).unique(),
+  address: addressValidation,
+  timezone: timeZone,
+  // null clears them, so global policies apply again
+  openingHours: openingHoursValidation.allow(null)
+};
+
+const createBuildingValidation = Joi.object({
+  ...buildingFields,
+  name: buildingFields.name.required()
+});
+
+const updateBuildingValidation = Joi.object(buildingFields).min(1);
+
+const floorFields = {
+  name: Joi.string().max(50).trim(),
+  level: Joi.number().integer().min(-20).max(300),
+  map: Joi.object({
+    imageUrl: Joi.string().uri().trim(),
+    width: Joi.number().integer().min(1),
+    height: Joi.number().integer().min(1)
+  })
+};
+
+const createFloorValidation = Joi.object({
+  ...floorFields,
+  name: floorFields.name.required()
+});
+
+const updateFloorValidation = Joi.object(floorFields).min(1);
+
+// Role validation schemas
+const rolePermissions = Joi.array().items(Joi.string().valid(...Object.keys(PERMISSIONS))).unique();
+
+const createRoleValidation = Joi.object({
+  name: roleName.required(),
+  description: Joi.string().max(200).trim().allow(''),
+  permissions: rolePermissions.required()
+});
+
+const updateRoleValidation = Joi.object({
+  description: Joi.string().max(200).trim().allow(''),
+  permissions: rolePermissions
+}).min(1);
+
+const updateUserRoleValidation = Joi.object({
+  role: roleName.required()
+});
+
 module.exports = {
   registerValidation,
+  createUserValidation,
   loginValidation,
   updateUserValidation,
   changePasswordValidation,
   forgotPasswordValidation,
   resetPasswordValidation,
+  refreshTokenValidation,
   createRoomValidation,
   updateRoomValidation,
   roomQueryValidation,
-   createReservationValidation,
+  roomAvailabilityQueryValidation,
+  availableRoomsQueryValidation,
+  createReservationValidation,
+  createRecurringReservationValidation,
+  quoteValidation,
+  importCalendarValidation,
+  seriesScopeValidation,
   updateReservationValidation,
+  approveReservationValidation,
+  rejectReservationValidation,
   reservationQueryValidation,
-  checkAvailabilityValidation
+  checkAvailabilityValidation,
+  costCentreValidation,
+  ledgerQueryValidation,
+  createLedgerEntryValidation,
+  generateInvoicesValidation,
+  invoiceQueryValidation,
+  invoiceExportValidation,
+  createPolicyValidation,
+  updatePolicyValidation,
+  createHolidayValidation,
+  blackoutQueryValidation,
+  createBlackoutValidation,
+  notificationQueryValidation,
+  createWebhookValidation,
+  updateWebhookValidation,
+  webhookDeliveryQueryValidation,
+  eventStreamQueryValidation,
+  auditQueryValidation,
+  createOrganisationValidation,
+  updateOrganisationValidation,
+  createOrganisationAdminValidation,
+  createRoleValidation,
+  updateRoleValidation,
+  updateUserRoleValidation,
+  createBuildingValidation,
+  updateBuildingValidation,
+  createFloorValidation,
+  updateFloorValidation
 };
\ No newline at end of file
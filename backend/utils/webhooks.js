@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const net = require('net');
+
+// Events webhooks can subscribe to
+const WEBHOOK_EVENTS = [
+  'reservation.created',
+  'reservation.updated',
+  'reservation.cancelled',
+  'reservation.status_changed',
+  'room.updated',
+  'room.deactivated'
+];
+
+// HMAC-SHA256 over "<timestamp>.<body>", sent as "sha256=<hex>". Receivers recompute it
+// with their secret and should reject old timestamps to stop replays.
+const signPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+};
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Addresses webhooks are never sent to: unspecified, loopback, private, carrier-grade NAT,
+// link-local (which includes cloud metadata services), multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are matched against the IPv4 ranges.
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  signPayload,
+  generateSecret,
+  isPrivateAddress
+};